@@ -0,0 +1,304 @@
+/**
+ * Account archive - export a whole account's CoValue graph into one portable JSON file and
+ * replay it into any node/storage adapter.
+ *
+ * Export walks from the account (plus optional extra roots) through cojson dependencies
+ * (owner groups, members, session accounts, branch sources), co-ids in header meta ($factory)
+ * and co-ids in current content (registries → sparks → their os/vibes/data). Each CoValue is
+ * stored as the raw signed content messages cojson syncs with, dependencies first. Binary
+ * CoValue transactions are moved into a blob table keyed by BLAKE3 (the storage adapters
+ * offload them the same way on import).
+ *
+ * Import feeds every message through syncManager.handleNewContent(msg, 'import'): cojson checks
+ * the header hash and session signatures, skips transactions the node already has, and stores
+ * the rest through whatever storage the node was created with. Only local state decides what
+ * the node already has, so import works offline.
+ *
+ * The archive file is the archive object as JSON (`*.maia-archive.json`); see
+ * libs/maia-self/scripts/account-archive.js for the CLI.
+ */
+
+import { createOpsLogger } from '@MaiaOS/logs'
+import { cojsonInternals } from 'cojson'
+
+const opsArchive = createOpsLogger('AccountArchive')
+
+export const ACCOUNT_ARCHIVE_FORMAT = 'maia-account-archive'
+export const ACCOUNT_ARCHIVE_VERSION = 1
+
+const CO_ID = /^co_z[1-9A-HJ-NP-Za-km-z]+$/
+
+/**
+ * @typedef {Object} AccountArchive
+ * @property {'maia-account-archive'} format
+ * @property {number} version
+ * @property {string} exportedAt - ISO timestamp
+ * @property {string} account - root account co-id
+ * @property {{ id: string, messages: object[] }[]} coValues - dependency order
+ * @property {Record<string, string>} blobs - BLAKE3 hex → JSON transaction payload
+ */
+
+/**
+ * @typedef {Object} AccountArchiveImportReport
+ * @property {number} total
+ * @property {number} imported - new to this node
+ * @property {number} merged - existed, archive added sessions/transactions
+ * @property {number} skipped - existed with everything the archive has
+ * @property {{ id: string, error: string }[]} failed
+ */
+
+/** Collect co-ids from JSON values and keys (group member keys are co-ids). */
+function collectCoIds(value, out, depth = 0) {
+	if (depth > 32 || value == null) return
+	if (typeof value === 'string') {
+		if (CO_ID.test(value)) out.add(value)
+		return
+	}
+	if (Array.isArray(value)) {
+		for (const v of value) collectCoIds(v, out, depth + 1)
+		return
+	}
+	if (typeof value === 'object') {
+		for (const [k, v] of Object.entries(value)) {
+			if (CO_ID.test(k)) out.add(k)
+			collectCoIds(v, out, depth + 1)
+		}
+	}
+}
+
+function isBinaryHeader(header) {
+	return header?.meta?.type === 'binary'
+}
+
+function hexOf(bytes) {
+	let hex = ''
+	for (const b of bytes) hex += b.toString(16).padStart(2, '0')
+	return hex
+}
+
+/**
+ * Co-ids a CoValue must be imported after (cojson dependencies and header meta references).
+ * @param {import('cojson').CoValueCore} core
+ */
+function orderingDependencies(core) {
+	const deps = new Set(core.dependencies ?? [])
+	collectCoIds(core.verified?.header?.meta, deps)
+	deps.delete(core.id)
+	return deps
+}
+
+/**
+ * Co-ids referenced from a CoValue: ordering dependencies plus current content.
+ * @param {import('cojson').CoValueCore} core
+ */
+function referencedCoIds(core) {
+	const refs = orderingDependencies(core)
+	if (!isBinaryHeader(core.verified?.header)) {
+		try {
+			collectCoIds(core.getCurrentContent()?.toJSON?.(), refs)
+		} catch (_e) {
+			// Unreadable content (no read key): raw transactions are still exported
+		}
+	}
+	refs.delete(core.id)
+	return refs
+}
+
+/**
+ * Export the account's CoValue graph.
+ *
+ * @param {{ node: import('cojson').LocalNode, account: { id: string } }} peer
+ * @param {Object} [options]
+ * @param {string[]} [options.roots] - extra co-ids to walk from (e.g. a spark not in the registries)
+ * @returns {Promise<AccountArchive>}
+ */
+export async function exportAccountArchive(peer, options = {}) {
+	const node = peer?.node
+	const accountId = peer?.account?.id
+	if (!node || !accountId?.startsWith('co_z')) {
+		throw new Error('[AccountArchive] export requires peer.node and peer.account')
+	}
+
+	/** @type {Map<string, import('cojson').CoValueCore>} */
+	const cores = new Map()
+	const unavailable = []
+	const queue = [accountId, ...(options.roots ?? [])]
+	const seen = new Set(queue)
+	while (queue.length > 0) {
+		const id = queue.shift()
+		const core = await node.loadCoValueCore(id)
+		if (!core?.isAvailable?.()) {
+			unavailable.push(id)
+			continue
+		}
+		cores.set(id, core)
+		for (const ref of referencedCoIds(core)) {
+			if (seen.has(ref)) continue
+			seen.add(ref)
+			queue.push(ref)
+		}
+	}
+	if (unavailable.length > 0) {
+		opsArchive.warn('Export skipped %d unavailable CoValues', unavailable.length)
+	}
+
+	const ordered = []
+	const visited = new Set()
+	const visit = (id) => {
+		if (visited.has(id)) return
+		visited.add(id)
+		const core = cores.get(id)
+		for (const dep of orderingDependencies(core)) if (cores.has(dep)) visit(dep)
+		ordered.push(core)
+	}
+	for (const id of cores.keys()) visit(id)
+
+	const blobs = {}
+	const coValues = ordered.map((core) => {
+		const messages = core.verified.newContentSince(undefined) ?? []
+		if (isBinaryHeader(core.verified.header)) {
+			for (const msg of messages) {
+				for (const session of Object.values(msg.new)) {
+					session.newTransactions = session.newTransactions.map((tx) => {
+						const payload = JSON.stringify(tx)
+						const hash = hexOf(node.crypto.blake3HashOnce(new TextEncoder().encode(payload)))
+						blobs[hash] = payload
+						return { _blobRef: hash }
+					})
+				}
+			}
+		}
+		return { id: core.id, messages }
+	})
+
+	return {
+		format: ACCOUNT_ARCHIVE_FORMAT,
+		version: ACCOUNT_ARCHIVE_VERSION,
+		exportedAt: new Date().toISOString(),
+		account: accountId,
+		coValues,
+		blobs,
+	}
+}
+
+/**
+ * Highest transaction index per session the archive carries for one CoValue.
+ * @param {object[]} messages
+ */
+function archivedSessions(messages) {
+	const sessions = {}
+	for (const msg of messages) {
+		for (const [sessionID, content] of Object.entries(msg.new ?? {})) {
+			const end = (content.after ?? 0) + (content.newTransactions?.length ?? 0)
+			sessions[sessionID] = Math.max(sessions[sessionID] ?? 0, end)
+		}
+	}
+	return sessions
+}
+
+function sessionsMissing(knownSessions, wanted) {
+	return Object.entries(wanted).filter(([sessionID, n]) => (knownSessions?.[sessionID] ?? 0) < n)
+}
+
+/**
+ * Restore binary transactions from the archive blob table.
+ * @param {object[]} messages
+ * @param {Record<string, string>} blobs
+ */
+function withBlobsRestored(messages, blobs) {
+	return messages.map((msg) => ({
+		...msg,
+		new: Object.fromEntries(
+			Object.entries(msg.new ?? {}).map(([sessionID, content]) => [
+				sessionID,
+				{
+					...content,
+					newTransactions: content.newTransactions.map((tx) => {
+						if (typeof tx?._blobRef !== 'string') return tx
+						const payload = blobs?.[tx._blobRef]
+						if (typeof payload !== 'string') {
+							throw new Error(`blob ${tx._blobRef} missing from archive`)
+						}
+						return JSON.parse(payload)
+					}),
+				},
+			]),
+		),
+	}))
+}
+
+/**
+ * The node's own copy of a CoValue: memory, else its storage. Never asks sync peers, so an
+ * offline import does not wait on the network (and an online one does not pull in remote state).
+ * @param {import('cojson').LocalNode} node
+ * @param {string} id
+ * @returns {Promise<import('cojson').CoValueCore|null>}
+ */
+function loadLocalCoValue(node, id) {
+	if (node.hasCoValue(id)) return Promise.resolve(node.getCoValue(id))
+	if (!node.storage) return Promise.resolve(null)
+	const core = node.getCoValue(id)
+	return new Promise((resolve) => core.loadFromStorage((found) => resolve(found ? core : null)))
+}
+
+/**
+ * Replay an archive into the peer's node (and therefore its storage adapter).
+ *
+ * @param {{ node: import('cojson').LocalNode }} peer
+ * @param {AccountArchive|string} archive - archive object or its JSON text
+ * @returns {Promise<AccountArchiveImportReport>}
+ */
+export async function importAccountArchive(peer, archive) {
+	const node = peer?.node
+	if (!node?.syncManager) throw new Error('[AccountArchive] import requires peer.node')
+	const data = typeof archive === 'string' ? JSON.parse(archive) : archive
+	if (data?.format !== ACCOUNT_ARCHIVE_FORMAT || !Array.isArray(data.coValues)) {
+		throw new Error('[AccountArchive] Not a MaiaOS account archive')
+	}
+	if (data.version !== ACCOUNT_ARCHIVE_VERSION) {
+		throw new Error(`[AccountArchive] Unsupported archive version ${data.version}`)
+	}
+
+	/** @type {AccountArchiveImportReport} */
+	const report = { total: data.coValues.length, imported: 0, merged: 0, skipped: 0, failed: [] }
+	const written = []
+	for (const entry of data.coValues) {
+		const { id } = entry
+		try {
+			const header = entry.messages?.find((m) => m.header)?.header
+			if (!header || cojsonInternals.idforHeader(header, node.crypto) !== id) {
+				throw new Error('header does not hash to the archived id')
+			}
+			const wanted = archivedSessions(entry.messages)
+			const existing = await loadLocalCoValue(node, id)
+			const existed = existing?.isAvailable() ?? false
+			if (existed && sessionsMissing(existing.knownState().sessions, wanted).length === 0) {
+				report.skipped++
+				continue
+			}
+
+			for (const msg of withBlobsRestored(entry.messages, data.blobs)) {
+				await node.syncManager.handleNewContent(msg, 'import')
+			}
+
+			const core = node.getCoValue(id)
+			const missing = core.isAvailable() ? sessionsMissing(core.knownState().sessions, wanted) : []
+			if (!core.isAvailable() || missing.length > 0) {
+				throw new Error(
+					`rejected (signature, permission or validation): ${missing.map(([s]) => s).join(', ') || 'header'}`,
+				)
+			}
+			written.push(id)
+			if (existed) report.merged++
+			else report.imported++
+		} catch (e) {
+			report.failed.push({ id, error: e?.message ?? String(e) })
+		}
+	}
+
+	await Promise.all(written.map((id) => node.syncManager.waitForStorageSync(id)))
+	if (report.failed.length > 0) {
+		opsArchive.warn('Import: %d of %d CoValues failed', report.failed.length, report.total)
+	}
+	return report
+}
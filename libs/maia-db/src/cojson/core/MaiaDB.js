@@ -5,6 +5,7 @@
  * No DBAdapter interface. Direct CoJSON operations.
  */
 
+import { getCoValueSyncStatus, subscribeCoValueSyncStatus } from '@MaiaOS/peer'
 import { wrapSyncManagerWithValidation } from '@MaiaOS/validation/validation-hook-wrapper'
 import { ReactiveStore } from '../../reactive-store.js'
 import { getGlobalCoCache } from '../cache/coCache.js'
@@ -271,8 +272,12 @@ export class MaiaDB {
 			timeoutMs = 5000,
 			map = null,
 			onChange = null,
+			sort = null,
+			limit = null,
+			offset = null,
 		} = options
 		const readOptions = { deepResolve, maxDepth, timeoutMs, map, onChange }
+		const queryOptions = { ...readOptions, sort, limit, offset }
 		if (keys && Array.isArray(keys)) {
 			const stores = await Promise.all(
 				keys.map((coId) => universalRead(this, coId, schema, null, schema, readOptions)),
@@ -280,8 +285,8 @@ export class MaiaDB {
 			return stores
 		}
 		if (key) return await universalRead(this, key, schema, null, schema, readOptions)
-		if (!schema) return await universalRead(this, null, null, filter, null, readOptions)
-		return await universalRead(this, null, schema, filter, null, readOptions)
+		if (!schema) return await universalRead(this, null, null, filter, null, queryOptions)
+		return await universalRead(this, null, schema, filter, null, queryOptions)
 	}
 
 	async findFirst(schema, filter, options = {}) {
@@ -292,8 +297,8 @@ export class MaiaDB {
 		return await crudCreate.create(this, schema, data, options)
 	}
 
-	async update(schema, id, data) {
-		return await crudUpdate.update(this, schema, id, data)
+	async update(schema, id, data, options = {}) {
+		return await crudUpdate.update(this, schema, id, data, options)
 	}
 
 	async delete(schema, id) {
@@ -353,6 +358,33 @@ export class MaiaDB {
 	createReactiveStore(initialValue) {
 		return new ReactiveStore(initialValue)
 	}
+	/**
+	 * Reactive sync status of one CoValue: { id, status: 'local-only' | 'uploading' | 'synced' | 'conflict' }.
+	 * Node listeners attach on the first subscriber and are released when the last one leaves.
+	 */
+	syncStatus(coId) {
+		const node = this.node
+		const current = () => ({ id: coId, status: getCoValueSyncStatus(node, coId) })
+		const store = new ReactiveStore(current())
+		const subscribe = store.subscribe.bind(store)
+		store.subscribe = (callback, options) => {
+			if (store._subscribers.size === 0) {
+				const release = subscribeCoValueSyncStatus(node, coId, (status) =>
+					store._set({ id: coId, status }),
+				)
+				store._unsubscribe = () => {
+					store._unsubscribe = null
+					release()
+				}
+			}
+			return subscribe(callback, options)
+		}
+		// Unwatched: nothing keeps _value current
+		Object.defineProperty(store, 'value', {
+			get: () => (store._subscribers.size > 0 ? store._value : current()),
+		})
+		return store
+	}
 	async getSparkCapabilityGroupIdFromSparkCoId(sparkCoId, capabilityName = 'guardian') {
 		return groups.getSparkCapabilityGroupIdFromSparkCoId(this, sparkCoId, capabilityName)
 	}
@@ -2,7 +2,210 @@
  * Filter Helpers
  *
  * Provides helpers for filtering CoValue data.
+ *
+ * Filter language (Mongo-style, JSON-only so it can live in context / .maia files):
+ * - Field match: { done: false } - strict equality (handles boolean, null, undefined correctly)
+ * - Nested paths: { 'author.name': 'ann' }
+ * - Field operators: $eq, $ne, $gt, $gte, $lt, $lte, $in, $nin, $contains, $regex (+ $options), $exists, $not
+ * - Logical operators (top level): $and: [filter...], $or: [filter...], $not: filter
+ *
+ * Query options applied after filtering: sort ({ path: 1 | -1 | 'asc' | 'desc' }), offset, limit.
+ */
+
+const LOGICAL_OPERATORS = new Set(['$and', '$or', '$not'])
+
+const FIELD_OPERATORS = new Set([
+	'$eq',
+	'$ne',
+	'$gt',
+	'$gte',
+	'$lt',
+	'$lte',
+	'$in',
+	'$nin',
+	'$contains',
+	'$regex',
+	'$options',
+	'$exists',
+	'$not',
+])
+
+/** Max cached compiled regexes ($regex patterns are static per query, so this stays tiny) */
+const REGEX_CACHE_MAX = 100
+const regexCache = new Map()
+
+function getRegex(pattern, flags = '') {
+	const key = `${flags}/${pattern}`
+	let re = regexCache.get(key)
+	if (!re) {
+		re = new RegExp(pattern, flags)
+		if (regexCache.size >= REGEX_CACHE_MAX) regexCache.delete(regexCache.keys().next().value)
+		regexCache.set(key, re)
+	}
+	return re
+}
+
+function hasOnlyDollarKeys(value) {
+	if (!value || typeof value !== 'object' || Array.isArray(value)) return false
+	const keys = Object.keys(value)
+	return keys.length > 0 && keys.every((k) => k.startsWith('$'))
+}
+
+/**
+ * True if value is a field operator object ({ $gt: 1 }, { $in: [...] }) rather than a literal or a
+ * MaiaScript expression ({ $context: 'x' }): every key must be a supported field operator
+ * @param {any} value
+ * @returns {boolean}
+ */
+export function isOperatorObject(value) {
+	return hasOnlyDollarKeys(value) && Object.keys(value).every((k) => FIELD_OPERATORS.has(k))
+}
+
+/**
+ * Resolve a dot path ('author.name') against CoValue data
+ * @param {Object} data
+ * @param {string} path
+ * @returns {any}
+ */
+export function getFilterPath(data, path) {
+	if (!path.includes('.')) return data?.[path]
+	return path.split('.').reduce((acc, key) => (acc == null ? undefined : acc[key]), data)
+}
+
+function isComparable(a, b) {
+	return (
+		(typeof a === 'number' && typeof b === 'number') ||
+		(typeof a === 'string' && typeof b === 'string')
+	)
+}
+
+function deepEqual(a, b) {
+	if (a === b) return true
+	if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false
+	return JSON.stringify(a) === JSON.stringify(b)
+}
+
+function matchesFieldOperators(actual, ops) {
+	for (const [op, operand] of Object.entries(ops)) {
+		switch (op) {
+			case '$eq':
+				if (!deepEqual(actual, operand)) return false
+				break
+			case '$ne':
+				if (deepEqual(actual, operand)) return false
+				break
+			case '$gt':
+				if (!isComparable(actual, operand) || !(actual > operand)) return false
+				break
+			case '$gte':
+				if (!isComparable(actual, operand) || !(actual >= operand)) return false
+				break
+			case '$lt':
+				if (!isComparable(actual, operand) || !(actual < operand)) return false
+				break
+			case '$lte':
+				if (!isComparable(actual, operand) || !(actual <= operand)) return false
+				break
+			case '$in':
+				if (!operand.some((v) => deepEqual(actual, v))) return false
+				break
+			case '$nin':
+				if (operand.some((v) => deepEqual(actual, v))) return false
+				break
+			case '$contains':
+				if (typeof actual === 'string') {
+					if (typeof operand !== 'string' || !actual.includes(operand)) return false
+				} else if (Array.isArray(actual)) {
+					if (!actual.some((v) => deepEqual(v, operand))) return false
+				} else {
+					return false
+				}
+				break
+			case '$regex':
+				if (typeof actual !== 'string' || !getRegex(operand, ops.$options || '').test(actual))
+					return false
+				break
+			case '$options':
+				break
+			case '$exists':
+				if ((actual !== undefined) !== Boolean(operand)) return false
+				break
+			case '$not':
+				if (matchesFieldValue(actual, operand)) return false
+				break
+		}
+	}
+	return true
+}
+
+function matchesFieldValue(actual, expected) {
+	if (isOperatorObject(expected)) return matchesFieldOperators(actual, expected)
+	// Use strict equality check (handles boolean, null, undefined correctly)
+	// This ensures {done: false} matches items where done === false (not just falsy)
+	if (expected && typeof expected === 'object') return deepEqual(actual, expected)
+	return actual === expected
+}
+
+function matchesObject(data, filter) {
+	for (const [key, value] of Object.entries(filter)) {
+		if (key === '$and') {
+			if (!value.every((sub) => matchesObject(data, sub))) return false
+		} else if (key === '$or') {
+			if (!value.some((sub) => matchesObject(data, sub))) return false
+		} else if (key === '$not') {
+			if (matchesObject(data, value)) return false
+		} else if (!matchesFieldValue(getFilterPath(data, key), value)) {
+			return false
+		}
+	}
+	return true
+}
+
+/**
+ * Validate filter shape up front so a typo surfaces as an error instead of an always-empty result
+ * @param {Object|null} filter - Filter criteria
+ * @throws {Error} If an operator is unknown or has the wrong operand type
  */
+export function assertValidFilter(filter) {
+	if (filter == null) return
+	if (typeof filter !== 'object' || Array.isArray(filter)) {
+		throw new Error('[matchesFilter] filter must be an object')
+	}
+	for (const [key, value] of Object.entries(filter)) {
+		if (key.startsWith('$')) {
+			if (!LOGICAL_OPERATORS.has(key)) {
+				throw new Error(`[matchesFilter] Unknown logical operator: ${key}`)
+			}
+			if (key === '$not') {
+				assertValidFilter(value)
+				continue
+			}
+			if (!Array.isArray(value)) {
+				throw new Error(`[matchesFilter] ${key} requires an array of filters`)
+			}
+			for (const sub of value) assertValidFilter(sub)
+			continue
+		}
+		// Filters are validated after expressions were evaluated: leftover $-only objects are typos
+		if (hasOnlyDollarKeys(value)) assertValidFieldOperators(key, value)
+	}
+}
+
+function assertValidFieldOperators(path, ops) {
+	for (const [op, operand] of Object.entries(ops)) {
+		if (!FIELD_OPERATORS.has(op)) {
+			throw new Error(`[matchesFilter] Unknown operator ${op} on "${path}"`)
+		}
+		if ((op === '$in' || op === '$nin') && !Array.isArray(operand)) {
+			throw new Error(`[matchesFilter] ${op} on "${path}" requires an array`)
+		}
+		if ((op === '$regex' || op === '$options') && typeof operand !== 'string') {
+			throw new Error(`[matchesFilter] ${op} on "${path}" requires a string`)
+		}
+		if (op === '$regex') getRegex(operand, ops.$options || '')
+		if (op === '$not' && hasOnlyDollarKeys(operand)) assertValidFieldOperators(path, operand)
+	}
+}
 
 /**
  * Check if CoValue data matches filter criteria
@@ -13,28 +216,60 @@
 export function matchesFilter(data, filter) {
 	// For arrays (CoList), filter applies to items
 	if (Array.isArray(data)) {
-		return data.some((item) => {
-			for (const [key, value] of Object.entries(filter)) {
-				// Use strict equality check (handles boolean, null, undefined correctly)
-				if (item[key] !== value) {
-					return false
-				}
-			}
-			return true
-		})
+		return data.some((item) => item && typeof item === 'object' && matchesObject(item, filter))
 	}
 
 	// For objects (CoMap), filter applies to properties
 	if (data && typeof data === 'object') {
-		for (const [key, value] of Object.entries(filter)) {
-			// Use strict equality check (handles boolean, null, undefined correctly)
-			// This ensures {done: false} matches items where done === false (not just falsy)
-			if (data[key] !== value) {
-				return false
-			}
-		}
-		return true
+		return matchesObject(data, filter)
 	}
 
 	return false
 }
+
+function normalizeSort(sort) {
+	if (!sort || typeof sort !== 'object') return []
+	return Object.entries(sort).map(([path, dir]) => [
+		path,
+		dir === -1 || dir === 'desc' || dir === 'descending' ? -1 : 1,
+	])
+}
+
+function compareValues(a, b) {
+	// Missing values always sort last regardless of direction
+	const aMissing = a === undefined || a === null
+	const bMissing = b === undefined || b === null
+	if (aMissing || bMissing) return aMissing === bMissing ? 0 : aMissing ? 1 : -1
+	if (a < b) return -1
+	if (a > b) return 1
+	return 0
+}
+
+/**
+ * Apply sort / offset / limit to filtered results (returns a new array, input untouched)
+ * @param {Array} results - Filtered items
+ * @param {Object} [queryOptions]
+ * @param {Object} [queryOptions.sort] - { path: 1 | -1 | 'asc' | 'desc' }, applied in key order
+ * @param {number} [queryOptions.offset] - Items to skip
+ * @param {number} [queryOptions.limit] - Max items to return
+ * @returns {Array}
+ */
+export function applyQueryOptions(results, { sort = null, offset = null, limit = null } = {}) {
+	const sortSpec = normalizeSort(sort)
+	let out = results
+	if (sortSpec.length > 0) {
+		out = [...results].sort((a, b) => {
+			for (const [path, dir] of sortSpec) {
+				const av = getFilterPath(a, path)
+				const bv = getFilterPath(b, path)
+				const missing = av == null || bv == null
+				const cmp = compareValues(av, bv)
+				if (cmp !== 0) return missing ? cmp : cmp * dir
+			}
+			return 0
+		})
+	}
+	const start = Number.isInteger(offset) && offset > 0 ? offset : 0
+	const end = Number.isInteger(limit) && limit >= 0 ? start + limit : undefined
+	return start > 0 || end !== undefined ? out.slice(start, end) : out
+}
@@ -22,10 +22,18 @@ import {
 	resolveNestedReferences,
 	resolveNestedReferencesPublic,
 } from './deep-resolution.js'
-import { matchesFilter } from './filter-helpers.js'
+import {
+	applyQueryOptions,
+	assertValidFilter,
+	isOperatorObject,
+	matchesFilter,
+} from './filter-helpers.js'
 import { applyMapTransform, applyMapTransformToArray } from './map-transform.js'
 import { waitForStoreReady } from './read-operations.js'
 
+/** Virtual factory: read resolves to peer.syncStatus(id) instead of CoValue data */
+export const SYNC_STATUS_FACTORY = '@syncStatus'
+
 function debugLog(...args) {
 	if (typeof process !== 'undefined' && process.env?.DEBUG) console.error(...args)
 }
@@ -43,13 +51,16 @@ function debugLog(...args) {
  * @param {Object} peer - Backend instance
  * @param {string} [coId] - CoValue ID (for single item read)
  * @param {string} [schema] - Schema co-id (for collection read, or schemaHint for single item)
- * @param {Object} [filter] - Filter criteria (for collection/all reads)
+ * @param {Object} [filter] - Filter criteria (for collection/all reads); see filter-helpers.js for operators
  * @param {string} [schemaHint] - Schema hint for special types (@group, @account, @metaSchema)
  * @param {Object} [options] - Options for deep resolution and transformations
  * @param {boolean} [options.deepResolve=true] - Enable/disable deep resolution (default: true)
  * @param {number} [options.maxDepth=15] - Maximum depth for recursive resolution (default: 15)
  * @param {number} [options.timeoutMs=5000] - Timeout for waiting for nested CoValues (default: 5000)
  * @param {Object} [options.map] - Map config: { targetKey: "$sourcePath" } for on-demand ref resolution
+ * @param {Object} [options.sort] - Sort spec for collection/all reads: { path: 1 | -1 }
+ * @param {number} [options.limit] - Max items for collection/all reads (applied after filter + sort)
+ * @param {number} [options.offset] - Items to skip for collection/all reads (applied after filter + sort)
  * @returns {Promise<ReactiveStore>} ReactiveStore with CoValue data (progressive loading)
  */
 export async function read(
@@ -66,16 +77,31 @@ export async function read(
 		timeoutMs = 5000,
 		map = null,
 		onChange = null,
+		sort = null,
+		limit = null,
+		offset = null,
 	} = options
 
 	const readOptions = { deepResolve, maxDepth, timeoutMs, map, onChange }
 
+	// Sync status of one CoValue (context query: { factory: '@syncStatus', filter: { id: '$coId' } })
+	if (schema === SYNC_STATUS_FACTORY) {
+		const id = coId ?? filter?.id
+		return typeof id === 'string' && id.startsWith('co_z')
+			? peer.syncStatus(id)
+			: new ReactiveStore(null)
+	}
+
 	// Single item read (by coId)
 	if (coId) {
 		// Use schema as schemaHint if provided
 		return readSingleCoValue(peer, coId, schemaHint || schema, readOptions)
 	}
 
+	// Fail fast on malformed filters (unknown operator, bad operand) instead of an always-empty store
+	assertValidFilter(filter)
+	const queryOptions = { sort, limit, offset }
+
 	// Collection read (by schema)
 	if (schema) {
 		// Sparks: read from account.registries.sparks (index only has user-created sparks)
@@ -92,11 +118,11 @@ export async function read(
 		if (avenIdentitySchemaCoId && resolvedSchema === avenIdentitySchemaCoId) {
 			return readAvensFromRegistries(peer, readOptions)
 		}
-		return readCollection(peer, schema, filter, readOptions)
+		return readCollection(peer, schema, filter, { ...readOptions, ...queryOptions })
 	}
 
 	// All CoValues read (no schema) - returns array of all CoValues
-	return readAllCoValues(peer, filter, { deepResolve, maxDepth, timeoutMs })
+	return readAllCoValues(peer, filter, { deepResolve, maxDepth, timeoutMs, ...queryOptions })
 }
 
 /**
@@ -190,6 +216,7 @@ async function wireQueryStoreForSchema(
 	key,
 	resolvedSchemaCoId,
 	evaluatedFilter,
+	evaluatedQueryOptions,
 	value,
 	queryStores,
 	queryDefinitions,
@@ -200,7 +227,12 @@ async function wireQueryStoreForSchema(
 ) {
 	const isFindOne = isFindOneFilter(evaluatedFilter)
 	const singleCoId = isFindOne ? evaluatedFilter.id : null
-	const queryOptions = { ...options, timeoutMs, ...(value.map ? { map: value.map } : {}) }
+	const queryOptions = {
+		...options,
+		timeoutMs,
+		...(value.map ? { map: value.map } : {}),
+		...evaluatedQueryOptions,
+	}
 	const queryStore =
 		isFindOne && singleCoId
 			? await readFn(peer, singleCoId, resolvedSchemaCoId, null, null, queryOptions)
@@ -210,6 +242,7 @@ async function wireQueryStoreForSchema(
 	queryDefinitions.set(key, {
 		factory: value.factory,
 		filter: evaluatedFilter,
+		...evaluatedQueryOptions,
 		...(value.map ? { map: value.map } : {}),
 	})
 
@@ -221,6 +254,8 @@ async function wireQueryStoreForSchema(
 
 /**
  * Evaluate filter expressions using context values
+ * Query operators ($gt, $in, $and, ...) are structure, not MaiaScript - only their operands are evaluated,
+ * so { createdAt: { $gt: "$since" } } resolves "$since" instead of running the evaluator's $gt.
  * @param {Object|null} filter - Filter object that may contain expressions (e.g., { "id": "$sparkId" })
  * @param {Object} contextValue - Current context value for expression evaluation
  * @param {Object} evaluator - Evaluator instance for MaiaScript expressions
@@ -231,9 +266,45 @@ async function evaluateFilter(filter, contextValue, evaluator) {
 		return filter // Return null or non-object filters as-is
 	}
 
-	// Use resolveExpressions to evaluate filter values that reference context
-	// This handles expressions like "$sparkId" → actual co-id value
-	return resolveExpressions(filter, evaluator, { context: contextValue, item: {} })
+	const data = { context: contextValue, item: {} }
+	const evaluated = {}
+	for (const [key, value] of Object.entries(filter)) {
+		if (key === '$and' || key === '$or') {
+			evaluated[key] = Array.isArray(value)
+				? await Promise.all(value.map((sub) => evaluateFilter(sub, contextValue, evaluator)))
+				: value
+		} else if (key === '$not') {
+			evaluated[key] = await evaluateFilter(value, contextValue, evaluator)
+		} else if (isOperatorObject(value)) {
+			evaluated[key] = {}
+			for (const [op, operand] of Object.entries(value)) {
+				evaluated[key][op] =
+					op === '$not' && isOperatorObject(operand)
+						? (await evaluateFilter({ [key]: operand }, contextValue, evaluator))[key]
+						: await resolveExpressions(operand, evaluator, data)
+			}
+		} else {
+			// This handles expressions like "$sparkId" → actual co-id value
+			evaluated[key] = await resolveExpressions(value, evaluator, data)
+		}
+	}
+	return evaluated
+}
+
+/**
+ * Evaluate sort/limit/offset on a context query object (limit/offset may reference context, e.g. "$pageSize")
+ * @returns {Promise<Object>} Only the options that are set
+ */
+async function evaluateQueryOptions(value, contextValue, evaluator) {
+	const evaluated = {}
+	for (const key of ['sort', 'limit', 'offset']) {
+		if (value[key] === undefined || value[key] === null) continue
+		evaluated[key] = await resolveExpressions(value[key], evaluator, {
+			context: contextValue,
+			item: {},
+		})
+	}
+	return evaluated
 }
 
 async function createUnifiedStore(peer, contextStore, options = {}) {
@@ -421,6 +492,7 @@ async function createUnifiedStore(peer, contextStore, options = {}) {
 				if (value.factory === '@scope') continue
 
 				const evaluatedFilter = await evaluateFilter(value.filter || null, contextWithScope, evaluator)
+				const evaluatedQueryOptions = await evaluateQueryOptions(value, contextWithScope, evaluator)
 
 				// Re-read after await: another resolve leg must not skip wiring with a stale "existing" ref
 				const existingStore = queryStores.get(key)
@@ -429,8 +501,12 @@ async function createUnifiedStore(peer, contextStore, options = {}) {
 				const storedQueryDef = queryDefinitions.get(key)
 				const storedFilter = storedQueryDef?.filter || null
 
-				// Compare evaluated filters to detect changes (deep comparison)
-				const filterChanged = JSON.stringify(evaluatedFilter) !== JSON.stringify(storedFilter)
+				// Compare evaluated filters (and sort/limit/offset) to detect changes (deep comparison)
+				const filterChanged =
+					JSON.stringify(evaluatedFilter) !== JSON.stringify(storedFilter) ||
+					['sort', 'limit', 'offset'].some(
+						(k) => JSON.stringify(evaluatedQueryOptions[k]) !== JSON.stringify(storedQueryDef?.[k]),
+					)
 
 				try {
 					// UNIVERSAL PROGRESSIVE REACTIVE RESOLUTION: Use reactive schema resolution for queries
@@ -448,8 +524,9 @@ async function createUnifiedStore(peer, contextStore, options = {}) {
 						continue
 					}
 
+					const isSyncStatus = factoryCoId === SYNC_STATUS_FACTORY
 					// Runtime: resolve human-readable schema refs to co-id (seed should transform; resolve handles edge cases)
-					if (!factoryCoId.startsWith('co_z')) {
+					if (!factoryCoId.startsWith('co_z') && !isSyncStatus) {
 						try {
 							const resolved = await resolveSchema(peer, factoryCoId, {
 								returnType: 'coId',
@@ -467,7 +544,7 @@ async function createUnifiedStore(peer, contextStore, options = {}) {
 						}
 						if (!factoryCoId.startsWith('co_z')) continue
 					}
-					if (factoryCoId && typeof factoryCoId === 'string' && factoryCoId.startsWith('co_z')) {
+					if (isSyncStatus || factoryCoId.startsWith('co_z')) {
 						if (filterChanged || !existingStore) {
 							if (existingStore?._queryUnsubscribe) {
 								existingStore._queryUnsubscribe()
@@ -478,6 +555,7 @@ async function createUnifiedStore(peer, contextStore, options = {}) {
 								key,
 								factoryCoId,
 								evaluatedFilter,
+								evaluatedQueryOptions,
 								value,
 								queryStores,
 								queryDefinitions,
@@ -1168,14 +1246,27 @@ export async function findFirst(peer, schema, filter, options = {}) {
  * @param {Object} [filter] - Filter criteria
  * @param {Object} [options] - Options for deep resolution and transformations
  * @param {Object} [options.map] - Map config: { targetKey: "$sourcePath" } for on-demand ref resolution
+ * @param {Object} [options.sort] - Sort spec { path: 1 | -1 }
+ * @param {number} [options.limit] - Max items (after filter + sort)
+ * @param {number} [options.offset] - Items to skip (after filter + sort)
  * @returns {Promise<ReactiveStore>} ReactiveStore with array of CoValue data
  */
 async function readCollection(peer, schema, filter = null, options = {}) {
-	const { deepResolve = true, maxDepth = 15, timeoutMs = 5000, map = null } = options
+	const {
+		deepResolve = true,
+		maxDepth = 15,
+		timeoutMs = 5000,
+		map = null,
+		sort = null,
+		limit = null,
+		offset = null,
+	} = options
 
 	// Cache stores by schema+filter+options so multiple actors share same store
 	const optionsKey = options?.map ? JSON.stringify({ map: options.map }) : ''
-	const cacheKey = `${schema}:${JSON.stringify(filter || {})}:${optionsKey}`
+	const queryKey =
+		sort || limit != null || offset != null ? JSON.stringify({ sort, limit, offset }) : ''
+	const cacheKey = `${schema}:${JSON.stringify(filter || {})}:${optionsKey}${queryKey}`
 
 	const store = peer.subscriptionCache.getOrCreateStore(cacheKey, () => {
 		const s = new ReactiveStore([])
@@ -1264,7 +1355,7 @@ async function readCollection(peer, schema, filter = null, options = {}) {
 		perfDbRead.start(`updateStore schema=${schema}`)
 		let resultCount = 0
 		try {
-			const results = []
+			const matched = []
 
 			if (!peer.isAvailable(coListCore)) {
 				ensureCoValueLoaded(peer, coListId).catch(debugLog)
@@ -1355,7 +1446,7 @@ async function readCollection(peer, schema, filter = null, options = {}) {
 						}
 
 						if (!filter || matchesFilter(itemData, filter)) {
-							results.push(itemData)
+							matched.push(itemData)
 						}
 					}
 				}
@@ -1363,6 +1454,8 @@ async function readCollection(peer, schema, filter = null, options = {}) {
 				debugLog(_e)
 			}
 
+			// Sort/window over the full match set so items moving in or out of the window update live
+			const results = applyQueryOptions(matched, { sort, limit, offset })
 			store._set(results)
 			resultCount = results.length
 		} finally {
@@ -1453,12 +1546,21 @@ async function readCollection(peer, schema, filter = null, options = {}) {
  *
  * @param {Object} peer - Backend instance
  * @param {Object} [filter] - Filter criteria
- * @param {Object} [options] - Options for deep resolution
+ * @param {Object} [options] - Options for deep resolution and sort/limit/offset
  * @returns {Promise<ReactiveStore>} ReactiveStore with array of all CoValue data
  */
 async function readAllCoValues(peer, filter = null, options = {}) {
-	const { deepResolve = true, maxDepth = 15, timeoutMs = 5000 } = options
-	const cacheKey = `allCoValues:${JSON.stringify(filter || {})}:${deepResolve}:${maxDepth}:${timeoutMs}`
+	const {
+		deepResolve = true,
+		maxDepth = 15,
+		timeoutMs = 5000,
+		sort = null,
+		limit = null,
+		offset = null,
+	} = options
+	const queryKey =
+		sort || limit != null || offset != null ? JSON.stringify({ sort, limit, offset }) : ''
+	const cacheKey = `allCoValues:${JSON.stringify(filter || {})}:${deepResolve}:${maxDepth}:${timeoutMs}${queryKey}`
 
 	const store = peer.subscriptionCache.getOrCreateStore(cacheKey, () => {
 		const s = new ReactiveStore([])
@@ -1491,7 +1593,7 @@ async function readAllCoValues(peer, filter = null, options = {}) {
 
 	const runUpdateStore = async () => {
 		const allCoValues = peer.getAllCoValues()
-		const results = []
+		const matched = []
 
 		for (const [coId, coValueCore] of allCoValues.entries()) {
 			if (!coId || typeof coId !== 'string' || !coId.startsWith('co_')) {
@@ -1521,11 +1623,11 @@ async function readAllCoValues(peer, filter = null, options = {}) {
 			}
 
 			if (!filter || matchesFilter(data, filter)) {
-				results.push(data)
+				matched.push(data)
 			}
 		}
 
-		store._set(results)
+		store._set(applyQueryOptions(matched, { sort, limit, offset }))
 	}
 
 	updateStore = async () => {
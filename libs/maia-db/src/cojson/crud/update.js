@@ -18,9 +18,11 @@ import * as dataExtraction from './data-extraction.js'
  * @param {string} schema - Schema co-id (co_z...)
  * @param {string} id - Record co-id to update
  * @param {Object} data - Data to update
+ * @param {Object} [options]
+ * @param {string[]} [options.unset] - Keys to remove from the CoMap (applied after data)
  * @returns {Promise<Object>} Updated record
  */
-export async function update(peer, _schema, id, data) {
+export async function update(peer, _schema, id, data, { unset = [] } = {}) {
 	// Ensure CoValue is loaded before updating (jazz-tools pattern)
 	const coValueCore = await collectionHelpers.ensureCoValueLoaded(peer, id, {
 		waitForAvailable: true,
@@ -94,12 +96,13 @@ export async function update(peer, _schema, id, data) {
 
 				// Merge existing (schema props only) with update data
 				const mergedData = { ...existingDataOnly, ...data }
+				for (const key of unset) delete mergedData[key]
 
 				// getRawRecord can omit or reshape keys that still exist on the live CoMap; fill gaps for validation
 				if (rawType === 'comap' && content?.get && allowedKeys) {
 					const skipJsonParsingFields = ['error', 'message', 'content', 'addAgentError', 'addAvenError']
 					for (const key of allowedKeys) {
-						if (mergedData[key] !== undefined) continue
+						if (mergedData[key] !== undefined || unset.includes(key)) continue
 						try {
 							let v = content.get(key)
 							if (
@@ -138,6 +141,7 @@ export async function update(peer, _schema, id, data) {
 		for (const [key, value] of Object.entries(data)) {
 			content.set(key, value)
 		}
+		for (const key of unset) content.delete(key)
 	} else {
 		throw new Error(`[MaiaDB] Update not supported for type: ${rawType}`)
 	}
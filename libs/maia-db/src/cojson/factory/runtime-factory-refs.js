@@ -16,6 +16,12 @@ export const RUNTIME_REF = {
 	EVENT: 'event',
 	OS_INDEXES_REGISTRY: 'osIndexesRegistry',
 	OS_CAPABILITY: 'osCapability',
+	OS_REVOCATION: 'osRevocation',
+	OS_LLM_USAGE: 'osLlmUsage',
+	OS_TOOL_CONFIRMATION: 'osToolConfirmation',
+	OS_TOOL_AUDIT: 'osToolAudit',
+	OS_LOG_STREAM: 'osLogStream',
+	OS_TIMER: 'osTimer',
 	OS_GROUPS: 'osGroups',
 	OS_OS_REGISTRY: 'osOsRegistry',
 	OS_VIBES_REGISTRY: 'osVibesRegistry',
@@ -36,6 +42,12 @@ export const INFRA_FACTORY_NANOID_BY_ROLE = {
 	[RUNTIME_REF.EVENT]: infraNanoid('event.factory.maia'),
 	[RUNTIME_REF.OS_INDEXES_REGISTRY]: infraNanoid('indexes-registry.factory.maia'),
 	[RUNTIME_REF.OS_CAPABILITY]: infraNanoid('capability.factory.maia'),
+	[RUNTIME_REF.OS_REVOCATION]: infraNanoid('revocation.factory.maia'),
+	[RUNTIME_REF.OS_LLM_USAGE]: infraNanoid('llm-usage.factory.maia'),
+	[RUNTIME_REF.OS_TOOL_CONFIRMATION]: infraNanoid('tool-confirmation.factory.maia'),
+	[RUNTIME_REF.OS_TOOL_AUDIT]: infraNanoid('tool-audit.factory.maia'),
+	[RUNTIME_REF.OS_LOG_STREAM]: infraNanoid('log-stream.factory.maia'),
+	[RUNTIME_REF.OS_TIMER]: infraNanoid('timer.factory.maia'),
 	[RUNTIME_REF.OS_GROUPS]: infraNanoid('groups.factory.maia'),
 	[RUNTIME_REF.OS_OS_REGISTRY]: infraNanoid('os-registry.factory.maia'),
 	[RUNTIME_REF.OS_VIBES_REGISTRY]: infraNanoid('vibes-registry.factory.maia'),
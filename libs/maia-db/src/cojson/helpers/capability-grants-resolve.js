@@ -1,12 +1,17 @@
 /**
  * Resolve spark.os.indexes[OS_CAPABILITY schema co-id] — the schema index CoList for Capability grants.
  * Uses {@link getFactoryIndexColistId} so an empty index colist is ensured when none exists yet (same as other indexed factories).
+ *
+ * Lookups go through the sub → cmd index in capability-grant-index.js instead of loading every grant.
+ * A grant authorizes cmd when its own cmd covers it ("/llm" covers "/llm/chat"; "/admin" covers
+ * everything), now lies in [nbf, exp) and the invocation args satisfy its UCAN policy (pol).
  */
 
+import { cmdCovers, findPolicyViolation } from '@MaiaOS/maia-ucan'
 import { getFactoryIndexColistId } from '../crud/collection-helpers.js'
 import { waitForStoreReady } from '../crud/read-operations.js'
 import { RUNTIME_REF, resolveInfraFactoryCoId } from '../factory/runtime-factory-refs.js'
-import { collectCapabilityGrantCoIdsFromColistContent } from './capability-grant-co-ids.js'
+import { lookupCapabilityGrants } from '../indexing/capability-grant-index.js'
 
 /**
  * Co-id of the Capability schema index CoList (spark.os.indexes[capability schema co-id]).
@@ -40,38 +45,95 @@ export async function getCapabilityGrantIndexColistCoIdFromPeer(peer, _account)
 }
 
 /**
+ * Why a grant does not authorize an invocation, or null if it does
+ * @param {{ cmd?: string, exp?: number, nbf?: number, pol?: Array }} grant
+ * @param {string} cmd - Invoked command
+ * @param {Object} args - Invocation args the policy is applied to
+ * @param {number} now - Unix seconds
+ * @param {{ ignorePolicy?: boolean }} [opts]
+ * @returns {string|null}
+ */
+export function capabilityGrantRejection(grant, cmd, args, now, opts = {}) {
+	if (grant.cmd !== '/admin' && !cmdCovers(grant.cmd, cmd))
+		return `cmd ${grant.cmd} does not cover ${cmd}`
+	if (typeof grant.exp !== 'number' || grant.exp <= now) return 'expired'
+	if (typeof grant.nbf === 'number' && grant.nbf > now) return `not valid before ${grant.nbf}`
+	if (opts.ignorePolicy) return null
+	const violation = findPolicyViolation(grant.pol ?? [], args ?? {})
+	return violation ? `policy: ${violation.reason}` : null
+}
+
+/**
+ * Live grants for accountId that authorize cmd with args, with their quota
  * @param {object} peer
  * @param {object} account
  * @param {string} accountId
  * @param {string} cmd
- * @returns {Promise<boolean>}
+ * @param {Object} [opts]
+ * @param {Object} [opts.args={}] - Invocation args checked against each grant's pol
+ * @param {boolean} [opts.ignorePolicy] - Match on cmd and time window only (existence checks)
+ * @param {Array<{ id: string, reason: string }>} [opts.rejected] - Filled with the subject's grants that did not match, and why
+ * @returns {Promise<Array<{ id: string, cmd: string, exp: number, nbf: number|null, pol: Array, quota: { daily?: number, monthly?: number }|null }>>}
  */
-export async function accountHasCapabilityOnPeer(peer, account, accountId, cmd) {
-	if (!accountId?.startsWith('co_z') || !cmd) return false
+export async function findCapabilityGrantsOnPeer(peer, account, accountId, cmd, opts = {}) {
+	if (!accountId?.startsWith('co_z') || !cmd) return []
 	const colistId = await getCapabilityGrantIndexColistCoIdFromPeer(peer, account)
-	if (!colistId?.startsWith('co_z')) return false
-	const core = peer.node.getCoValue(colistId)
-	if (!core || !peer.isAvailable(core)) return false
-	const content = peer.getCurrentContent(core)
-	if (!content) return false
-	if (content.type !== undefined && content.type !== 'colist') return false
+	if (!colistId?.startsWith('co_z')) return []
 	const now = Math.floor(Date.now() / 1000)
-	const allCoIds = collectCapabilityGrantCoIdsFromColistContent(content)
-	for (const capCoId of allCoIds) {
-		let capContent
-		try {
-			capContent = await loadCoMapContent(peer, capCoId, { timeout: 3000 })
-		} catch {
+	const grants = []
+	const candidates = await lookupCapabilityGrants(peer, colistId, accountId, cmd, (coId) =>
+		readCapabilityGrant(peer, coId),
+	)
+	for (const grant of candidates) {
+		const reason = capabilityGrantRejection(grant, cmd, opts.args, now, opts)
+		if (reason) {
+			opts.rejected?.push({ id: grant.id, reason })
 			continue
 		}
-		if (!capContent?.get) continue
-		const sub = capContent.get('sub')
-		const capCmd = capContent.get('cmd')
-		const exp = capContent.get('exp')
-		if (sub !== accountId || typeof exp !== 'number' || exp <= now) continue
-		if (capCmd === cmd || capCmd === '/admin') return true
+		const { sub: _sub, ...rest } = grant
+		grants.push(rest)
 	}
-	return false
+	return grants
+}
+
+/**
+ * Grant CoMap as a plain record; null while unavailable
+ * @param {object} peer
+ * @param {string} coId
+ * @returns {Promise<Object|null>}
+ */
+async function readCapabilityGrant(peer, coId) {
+	let capContent
+	try {
+		capContent = await loadCoMapContent(peer, coId, { timeout: 3000 })
+	} catch {
+		return null
+	}
+	if (!capContent?.get) return null
+	const pol = capContent.get('pol')
+	const nbf = capContent.get('nbf')
+	const quota = capContent.get('quota')
+	return {
+		id: coId,
+		sub: capContent.get('sub'),
+		cmd: capContent.get('cmd'),
+		exp: capContent.get('exp'),
+		nbf: typeof nbf === 'number' ? nbf : null,
+		pol: Array.isArray(pol) ? pol : [],
+		quota: quota && typeof quota === 'object' ? quota : null,
+	}
+}
+
+/**
+ * @param {object} peer
+ * @param {object} account
+ * @param {string} accountId
+ * @param {string} cmd
+ * @param {Object} [opts] - See {@link findCapabilityGrantsOnPeer}
+ * @returns {Promise<boolean>}
+ */
+export async function accountHasCapabilityOnPeer(peer, account, accountId, cmd, opts) {
+	return (await findCapabilityGrantsOnPeer(peer, account, accountId, cmd, opts)).length > 0
 }
 
 /**
@@ -0,0 +1,45 @@
+/**
+ * Streams kept in a factory's schema index (spark.os.indexes[factory co-id]). Singletons such as
+ * the tool audit use the CoStream listed first: concurrent first uses may create two streams, and
+ * everyone converges on the first index entry. Log streams are one per session (all entries).
+ */
+
+import { getFactoryIndexColistId } from '../crud/collection-helpers.js'
+import { resolveInfraFactoryCoId } from '../factory/runtime-factory-refs.js'
+import { collectCapabilityGrantCoIdsFromColistContent } from './capability-grant-co-ids.js'
+
+/**
+ * Co-ids of every instance indexed under a runtime factory, oldest first
+ * @param {object} peer - MaiaDB (or compatible)
+ * @param {string} runtimeRef - RUNTIME_REF value, e.g. RUNTIME_REF.OS_LOG_STREAM
+ * @returns {Promise<string[]>}
+ */
+export async function getIndexedCoIdsFromPeer(peer, runtimeRef) {
+	let schema = resolveInfraFactoryCoId(peer, runtimeRef)
+	if (!schema?.startsWith('co_z') && peer?.dbEngine?.resolveSystemFactories) {
+		await peer.dbEngine.resolveSystemFactories()
+		schema = resolveInfraFactoryCoId(peer, runtimeRef)
+	}
+	if (!schema?.startsWith('co_z')) return []
+	let colistId
+	try {
+		colistId = await getFactoryIndexColistId(peer, schema)
+	} catch {
+		return []
+	}
+	if (!colistId?.startsWith('co_z')) return []
+	const core = peer.node.getCoValue(colistId)
+	if (!core || !peer.isAvailable(core)) return []
+	return collectCapabilityGrantCoIdsFromColistContent(peer.getCurrentContent(core))
+}
+
+/**
+ * Co-id of the first instance indexed under a runtime factory, or null when none exists yet
+ * @param {object} peer - MaiaDB (or compatible)
+ * @param {string} runtimeRef - RUNTIME_REF value, e.g. RUNTIME_REF.OS_TOOL_AUDIT
+ * @returns {Promise<string|null>}
+ */
+export async function getFirstIndexedCoIdFromPeer(peer, runtimeRef) {
+	const [first] = await getIndexedCoIdsFromPeer(peer, runtimeRef)
+	return first ?? null
+}
@@ -0,0 +1,91 @@
+/**
+ * LLM usage ledger — one LlmUsage CoMap per account per UTC day, listed in
+ * spark.os.indexes[OS_LLM_USAGE schema co-id]. The sync LLM proxy writes them; guardians read them.
+ */
+
+import { getFactoryIndexColistId } from '../crud/collection-helpers.js'
+import { waitForStoreReady } from '../crud/read-operations.js'
+import { RUNTIME_REF, resolveInfraFactoryCoId } from '../factory/runtime-factory-refs.js'
+import { collectCapabilityGrantCoIdsFromColistContent } from './capability-grant-co-ids.js'
+
+const USAGE_FIELDS = ['promptTokens', 'completionTokens', 'totalTokens', 'requests']
+
+/**
+ * Co-id of the LlmUsage schema index CoList (ensured empty when none exists yet)
+ * @param {object} peer - MaiaDB (or compatible)
+ * @returns {Promise<string|null>}
+ */
+export async function getLlmUsageIndexColistCoIdFromPeer(peer) {
+	let schema = resolveInfraFactoryCoId(peer, RUNTIME_REF.OS_LLM_USAGE)
+	if (!schema?.startsWith('co_z') && peer?.dbEngine?.resolveSystemFactories) {
+		await peer.dbEngine.resolveSystemFactories()
+		schema = resolveInfraFactoryCoId(peer, RUNTIME_REF.OS_LLM_USAGE)
+	}
+	if (!schema?.startsWith('co_z')) return null
+	try {
+		return await getFactoryIndexColistId(peer, schema)
+	} catch {
+		return null
+	}
+}
+
+/** Rows loaded at once while scanning the index */
+const LOAD_CONCURRENCY = 8
+
+async function loadUsageRow(peer, coId) {
+	try {
+		const store = await peer.read(null, coId)
+		await waitForStoreReady(store, coId, 3000)
+		const entryCore = peer.node.getCoValue(coId)
+		if (!entryCore || !peer.isAvailable(entryCore)) return null
+		const entry = peer.getCurrentContent(entryCore)
+		const account = entry?.get?.('account')
+		const day = entry?.get?.('day')
+		if (!account?.startsWith?.('co_z') || typeof day !== 'string') return null
+		const row = { id: coId, account, day, month: entry.get('month') ?? day.slice(0, 7) }
+		for (const f of USAGE_FIELDS) {
+			const v = entry.get(f)
+			row[f] = typeof v === 'number' ? v : 0
+		}
+		return row
+	} catch {
+		// Unavailable entry: skip
+		return null
+	}
+}
+
+/**
+ * Usage rows of one UTC month from index entries, oldest first. Rows are created on the first
+ * request of their day, so the index is in time order: entries are loaded newest first,
+ * `concurrency` at a time, and the scan stops at the first batch that reaches an earlier month.
+ * @param {object} peer - MaiaDB (or compatible)
+ * @param {string[]} coIds - LlmUsage co-ids in index order
+ * @param {{ month?: string, concurrency?: number }} [options] - month YYYY-MM (default: current UTC month)
+ */
+export async function loadLlmUsageRows(peer, coIds, options = {}) {
+	const month = options.month ?? new Date().toISOString().slice(0, 7)
+	const concurrency = options.concurrency ?? LOAD_CONCURRENCY
+	const batches = []
+	for (let end = coIds.length; end > 0; end -= concurrency) {
+		const batch = coIds.slice(Math.max(0, end - concurrency), end)
+		const rows = (await Promise.all(batch.map((coId) => loadUsageRow(peer, coId)))).filter(Boolean)
+		batches.unshift(rows.filter((row) => row.month === month))
+		if (rows.some((row) => row.month < month)) break
+	}
+	return batches.flat()
+}
+
+/**
+ * Load this UTC month's usage rows (enough for daily and monthly quotas)
+ * @param {object} peer - MaiaDB (or compatible)
+ * @param {{ month?: string, concurrency?: number }} [options] - see loadLlmUsageRows
+ * @returns {Promise<Array<{ id: string, account: string, day: string, month: string, promptTokens: number, completionTokens: number, totalTokens: number, requests: number }>>}
+ */
+export async function loadLlmUsageOnPeer(peer, options = {}) {
+	const colistId = await getLlmUsageIndexColistCoIdFromPeer(peer)
+	if (!colistId?.startsWith('co_z')) return []
+	const core = peer.node.getCoValue(colistId)
+	if (!core || !peer.isAvailable(core)) return []
+	const coIds = collectCapabilityGrantCoIdsFromColistContent(peer.getCurrentContent(core))
+	return loadLlmUsageRows(peer, coIds, options)
+}
@@ -0,0 +1,21 @@
+/**
+ * Log streams — LogStream CoStreams indexed in spark.os.indexes[OS_LOG_STREAM schema co-id], one
+ * per runtime session. The browser runtime appends @MaiaOS/logs records to its session's stream
+ * when LOG_MODE includes `persist` and removes all but the newest LOG_STREAM_RETENTION from the
+ * index; the logs op reads only those.
+ */
+
+import { RUNTIME_REF } from '../factory/runtime-factory-refs.js'
+import { getIndexedCoIdsFromPeer } from './indexed-stream-resolve.js'
+
+/** Sessions whose log streams are kept (and read by the logs op) */
+export const LOG_STREAM_RETENTION = 5
+
+/**
+ * Co-ids of the indexed log CoStreams, oldest first (empty when none was created yet)
+ * @param {object} peer - MaiaDB (or compatible)
+ * @returns {Promise<string[]>}
+ */
+export function getLogStreamCoIdsFromPeer(peer) {
+	return getIndexedCoIdsFromPeer(peer, RUNTIME_REF.OS_LOG_STREAM)
+}
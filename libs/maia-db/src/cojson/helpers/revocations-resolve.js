@@ -0,0 +1,59 @@
+/**
+ * UCAN revocation list — Revocation CoMaps listed in spark.os.indexes[OS_REVOCATION schema co-id].
+ * Guardians write entries (token CID or issuer DID); token verifiers load them as Sets.
+ */
+
+import { getFactoryIndexColistId } from '../crud/collection-helpers.js'
+import { waitForStoreReady } from '../crud/read-operations.js'
+import { RUNTIME_REF, resolveInfraFactoryCoId } from '../factory/runtime-factory-refs.js'
+import { collectCapabilityGrantCoIdsFromColistContent } from './capability-grant-co-ids.js'
+
+/**
+ * Co-id of the Revocation schema index CoList (ensured empty when none exists yet)
+ * @param {object} peer - MaiaDB (or compatible)
+ * @returns {Promise<string|null>}
+ */
+export async function getRevocationIndexColistCoIdFromPeer(peer) {
+	let schema = resolveInfraFactoryCoId(peer, RUNTIME_REF.OS_REVOCATION)
+	if (!schema?.startsWith('co_z') && peer?.dbEngine?.resolveSystemFactories) {
+		await peer.dbEngine.resolveSystemFactories()
+		schema = resolveInfraFactoryCoId(peer, RUNTIME_REF.OS_REVOCATION)
+	}
+	if (!schema?.startsWith('co_z')) return null
+	try {
+		return await getFactoryIndexColistId(peer, schema)
+	} catch {
+		return null
+	}
+}
+
+/**
+ * Load revoked token CIDs and issuer DIDs
+ * @param {object} peer - MaiaDB (or compatible)
+ * @returns {Promise<{ cids: Set<string>, dids: Set<string> }>}
+ */
+export async function loadRevocationsOnPeer(peer) {
+	const cids = new Set()
+	const dids = new Set()
+	const colistId = await getRevocationIndexColistCoIdFromPeer(peer)
+	if (!colistId?.startsWith('co_z')) return { cids, dids }
+	const core = peer.node.getCoValue(colistId)
+	if (!core || !peer.isAvailable(core)) return { cids, dids }
+	const content = peer.getCurrentContent(core)
+	for (const coId of collectCapabilityGrantCoIdsFromColistContent(content)) {
+		try {
+			const store = await peer.read(null, coId)
+			await waitForStoreReady(store, coId, 3000)
+			const entryCore = peer.node.getCoValue(coId)
+			if (!entryCore || !peer.isAvailable(entryCore)) continue
+			const entry = peer.getCurrentContent(entryCore)
+			const cid = entry?.get?.('cid')
+			const iss = entry?.get?.('iss')
+			if (typeof cid === 'string' && cid) cids.add(cid)
+			if (typeof iss === 'string' && iss.startsWith('did:key:')) dids.add(iss)
+		} catch {
+			// Unavailable entry: skip (next refresh retries)
+		}
+	}
+	return { cids, dids }
+}
@@ -0,0 +1,16 @@
+/**
+ * Tool audit stream — the ToolAudit CoStream listed first in spark.os.indexes[OS_TOOL_AUDIT schema co-id].
+ * Runtimes push settled ToolConfirmation co-ids into it (see Runtime.executeToolCall).
+ */
+
+import { RUNTIME_REF } from '../factory/runtime-factory-refs.js'
+import { getFirstIndexedCoIdFromPeer } from './indexed-stream-resolve.js'
+
+/**
+ * Co-id of the tool audit CoStream, or null when none was created yet
+ * @param {object} peer - MaiaDB (or compatible)
+ * @returns {Promise<string|null>}
+ */
+export function getToolAuditStreamCoIdFromPeer(peer) {
+	return getFirstIndexedCoIdFromPeer(peer, RUNTIME_REF.OS_TOOL_AUDIT)
+}
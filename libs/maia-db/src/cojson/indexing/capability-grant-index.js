@@ -0,0 +1,151 @@
+/**
+ * Capability grant secondary index: sub → cmd → grant co-ids, plus a short-lived cache of grant records.
+ *
+ * Built once from the Capability schema index CoList, then kept current by the storage hook
+ * ({@link noteCapabilityIndexWrite}): a write to the index CoList or to a grant CoMap marks the
+ * index for an incremental re-sync, which loads only grants it has not filed (new or just written).
+ * Between writes a check touches only the caller's few grants, from cache. Peers without storage get no hook calls, so they re-sync the
+ * CoList on every lookup and never reuse records.
+ */
+
+import { collectCapabilityGrantCoIdsFromColistContent } from '../helpers/capability-grant-co-ids.js'
+
+/** Safety net for writes the hook misses (e.g. storage swapped after boot) */
+export const GRANT_CACHE_TTL_MS = 30_000
+
+/** @type {WeakMap<Object, Object>} peer → index state */
+const states = new WeakMap()
+
+function freshState(colistId) {
+	return {
+		colistId,
+		dirty: true,
+		syncing: null,
+		/** sub → cmd → Set<grant co-id> */
+		bySub: new Map(),
+		/** grant co-id → { sub, cmd } it is filed under */
+		keys: new Map(),
+		/** grant co-id → { record, at } */
+		records: new Map(),
+	}
+}
+
+/**
+ * Storage hook: a CoValue was stored. O(1); no-op until the index has been built on this peer.
+ * @param {Object} peer
+ * @param {string} coId
+ */
+export function noteCapabilityIndexWrite(peer, coId) {
+	const state = states.get(peer)
+	if (!state) return
+	if (coId === state.colistId) {
+		state.dirty = true
+	} else if (state.keys.has(coId) || state.records.has(coId)) {
+		// Re-read and re-file on the next lookup (sub or cmd may have changed)
+		unfile(state, coId)
+		state.records.delete(coId)
+		state.dirty = true
+	}
+}
+
+/** Commands whose grants cover cmd: cmd itself, each parent, "/" and "/admin" */
+function coveringCmds(cmd) {
+	const cmds = [cmd]
+	for (let i = cmd.lastIndexOf('/'); i > 0; i = cmd.lastIndexOf('/', i - 1)) {
+		cmds.push(cmd.slice(0, i))
+	}
+	if (cmd !== '/') cmds.push('/')
+	if (cmd !== '/admin') cmds.push('/admin')
+	return cmds
+}
+
+function file(state, id, record) {
+	unfile(state, id)
+	if (!record?.sub || !record.cmd) return
+	let byCmd = state.bySub.get(record.sub)
+	if (!byCmd) {
+		byCmd = new Map()
+		state.bySub.set(record.sub, byCmd)
+	}
+	let ids = byCmd.get(record.cmd)
+	if (!ids) {
+		ids = new Set()
+		byCmd.set(record.cmd, ids)
+	}
+	ids.add(id)
+	state.keys.set(id, { sub: record.sub, cmd: record.cmd })
+}
+
+function unfile(state, id) {
+	const key = state.keys.get(id)
+	if (!key) return
+	state.keys.delete(id)
+	const byCmd = state.bySub.get(key.sub)
+	byCmd?.get(key.cmd)?.delete(id)
+	if (byCmd?.get(key.cmd)?.size === 0) byCmd.delete(key.cmd)
+	if (byCmd?.size === 0) state.bySub.delete(key.sub)
+}
+
+async function recordOf(state, id, readGrant, useCache) {
+	const cached = state.records.get(id)
+	if (useCache && cached && Date.now() - cached.at < GRANT_CACHE_TTL_MS) return cached.record
+	const record = await readGrant(id)
+	if (useCache) state.records.set(id, { record, at: Date.now() })
+	return record
+}
+
+async function syncFromColist(peer, state, readGrant, useCache) {
+	state.dirty = false
+	const core = peer.node.getCoValue(state.colistId)
+	const content = core && peer.isAvailable(core) ? peer.getCurrentContent(core) : null
+	const ids = new Set(collectCapabilityGrantCoIdsFromColistContent(content))
+	for (const id of [...state.keys.keys()]) {
+		if (!ids.has(id)) {
+			unfile(state, id)
+			state.records.delete(id)
+		}
+	}
+	for (const id of ids) {
+		if (state.keys.has(id)) continue
+		const record = await recordOf(state, id, readGrant, useCache)
+		// Unreadable for now (still syncing in): retry on the next lookup
+		if (!record) state.dirty = true
+		file(state, id, record)
+	}
+}
+
+/**
+ * Live-or-not grant records filed under sub for a command covering cmd; callers still check
+ * exp / nbf / pol. Records are re-read on cache miss and re-filed if their sub or cmd changed.
+ * @param {Object} peer
+ * @param {string} colistId - Capability schema index CoList
+ * @param {string} sub - Account co-id
+ * @param {string} cmd
+ * @param {(coId: string) => Promise<{ sub: string, cmd: string }|null>} readGrant - Load one grant record
+ * @returns {Promise<Array<Object>>}
+ */
+export async function lookupCapabilityGrants(peer, colistId, sub, cmd, readGrant) {
+	let state = states.get(peer)
+	if (!state || state.colistId !== colistId) {
+		state = freshState(colistId)
+		states.set(peer, state)
+	}
+	const useCache = Boolean(peer.node?.storage)
+	if (state.dirty || !useCache) {
+		state.syncing ??= syncFromColist(peer, state, readGrant, useCache).finally(() => {
+			state.syncing = null
+		})
+		await state.syncing
+	}
+	const byCmd = state.bySub.get(sub)
+	if (!byCmd) return []
+	const ids = coveringCmds(cmd).flatMap((c) => [...(byCmd.get(c) ?? [])])
+	const records = []
+	for (const id of ids) {
+		const record = await recordOf(state, id, readGrant, useCache)
+		const key = state.keys.get(id)
+		if (record?.sub !== key?.sub || record?.cmd !== key?.cmd) file(state, id, record)
+		if (record?.sub === sub) records.push(record)
+	}
+	return records
+}
@@ -17,6 +17,7 @@ import {
 } from '@MaiaOS/validation/co-value-detection'
 import { EXCEPTION_FACTORIES } from '../../factories/registry.js'
 import * as groups from '../groups/groups.js'
+import { noteCapabilityIndexWrite } from './capability-grant-index.js'
 import { applyPersistentCoValueIndexing } from './factory-index-manager.js'
 
 // Track pending indexing operations to prevent duplicates
@@ -58,6 +59,8 @@ export function wrapStorageWithIndexingHooks(storage, peer) {
 	// Store function (bound to original storage for 'this' context)
 	function wrappedStore(msg, correctionCallback, originalStore) {
 		const coId = msg.id
+		// Before any early return: incremental updates from sync carry no header
+		noteCapabilityIndexWrite(peer, coId)
 
 		// Normalize: CoJSON may send header in msg.header, msg.new[sessionId].header, or first transaction
 		let header = msg.header
@@ -12,7 +12,21 @@
  */
 
 // Sync Peer Setup (client-side peer configuration for LocalNode) - re-exported from @MaiaOS/peer
-export { setupSyncPeers, subscribeSyncState, updateSyncState } from '@MaiaOS/peer'
+export {
+	COVALUE_SYNC_STATUS,
+	getCoValueSyncStatus,
+	setupSyncPeers,
+	subscribeCoValueSyncStatus,
+	subscribeSyncState,
+	updateSyncState,
+} from '@MaiaOS/peer'
+// Account archive (portable export / import of an account's CoValue graph)
+export {
+	ACCOUNT_ARCHIVE_FORMAT,
+	ACCOUNT_ARCHIVE_VERSION,
+	exportAccountArchive,
+	importAccountArchive,
+} from './cojson/archive/account-archive.js'
 // Unified cache (subscriptions, stores, resolutions, resolved data)
 export {
 	CoCache,
@@ -54,7 +68,7 @@ export {
 	waitForReactiveResolution,
 } from './cojson/crud/reactive-resolver.js'
 // Read Operations (store-based loading with proper $store architecture)
-export { findFirst } from './cojson/crud/read.js'
+export { findFirst, SYNC_STATUS_FACTORY } from './cojson/crud/read.js'
 export { waitForStoreReady } from './cojson/crud/read-operations.js'
 export {
 	checkCotype,
@@ -88,14 +102,30 @@ export {
 export { collectCapabilityGrantCoIdsFromColistContent } from './cojson/helpers/capability-grant-co-ids.js'
 export {
 	accountHasCapabilityOnPeer,
+	capabilityGrantRejection,
+	findCapabilityGrantsOnPeer,
 	getCapabilityGrantIndexColistCoIdFromPeer,
 } from './cojson/helpers/capability-grants-resolve.js'
+export {
+	getLlmUsageIndexColistCoIdFromPeer,
+	loadLlmUsageOnPeer,
+	loadLlmUsageRows,
+} from './cojson/helpers/llm-usage-resolve.js'
 export {
 	getCapabilityGrantIndexColistCoId,
 	loadCapabilitiesGrants,
 } from './cojson/helpers/load-capabilities-grants.js'
+export {
+	getLogStreamCoIdsFromPeer,
+	LOG_STREAM_RETENTION,
+} from './cojson/helpers/log-stream-resolve.js'
 export { resolveAccountCoIdsToProfiles } from './cojson/helpers/resolve-account-profile.js'
 export { resolveGroupCoIdsToCapabilityNames } from './cojson/helpers/resolve-capability-group.js'
+export {
+	getRevocationIndexColistCoIdFromPeer,
+	loadRevocationsOnPeer,
+} from './cojson/helpers/revocations-resolve.js'
+export { getToolAuditStreamCoIdFromPeer } from './cojson/helpers/tool-audit-resolve.js'
 export { SPARK_OS_META_FACTORY_CO_ID_KEY } from './cojson/spark-os-keys.js'
 export {
 	createFactoryMeta,
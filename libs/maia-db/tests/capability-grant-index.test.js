@@ -0,0 +1,78 @@
+import { describe, expect, it } from 'bun:test'
+import {
+	lookupCapabilityGrants,
+	noteCapabilityIndexWrite,
+} from '../src/cojson/indexing/capability-grant-index.js'
+
+const COLIST = 'co_zcolist'
+
+/** Peer whose capability index CoList lists grants; reads are counted per grant co-id */
+function setup(grants, { storage = true } = {}) {
+	const colist = { type: 'colist', items: Object.keys(grants) }
+	const peer = {
+		node: {
+			storage: storage ? {} : undefined,
+			getCoValue: (id) => (id === COLIST ? { id } : null),
+		},
+		isAvailable: () => true,
+		getCurrentContent: () => colist,
+	}
+	const reads = []
+	const readGrant = async (id) => {
+		reads.push(id)
+		return grants[id] ? { id, ...grants[id] } : null
+	}
+	const lookup = (sub, cmd) =>
+		lookupCapabilityGrants(peer, COLIST, sub, cmd, readGrant).then((r) => r.map((g) => g.id))
+	return { peer, colist, grants, reads, lookup }
+}
+
+describe('capability grant index', () => {
+	it('files grants by sub and cmd, matching parent commands and /admin', async () => {
+		const { lookup } = setup({
+			co_zg1: { sub: 'co_zA', cmd: '/llm/chat' },
+			co_zg2: { sub: 'co_zA', cmd: '/llm' },
+			co_zg3: { sub: 'co_zA', cmd: '/sync/write' },
+			co_zg4: { sub: 'co_zB', cmd: '/admin' },
+		})
+		expect(await lookup('co_zA', '/llm/chat')).toEqual(['co_zg1', 'co_zg2'])
+		expect(await lookup('co_zA', '/llm/other')).toEqual(['co_zg2'])
+		expect(await lookup('co_zB', '/sync/write')).toEqual(['co_zg4'])
+		expect(await lookup('co_zC', '/sync/write')).toEqual([])
+	})
+
+	it('loads each grant once, then only what the storage hook reports as written', async () => {
+		const { peer, colist, grants, reads, lookup } = setup({
+			co_zg1: { sub: 'co_zA', cmd: '/llm/chat' },
+			co_zg2: { sub: 'co_zB', cmd: '/llm/chat' },
+		})
+		await lookup('co_zA', '/llm/chat')
+		await lookup('co_zA', '/llm/chat')
+		expect(reads).toEqual(['co_zg1', 'co_zg2'])
+
+		reads.length = 0
+		grants.co_zg3 = { sub: 'co_zA', cmd: '/sync/write' }
+		colist.items = [...colist.items, 'co_zg3']
+		noteCapabilityIndexWrite(peer, COLIST)
+		expect(await lookup('co_zA', '/sync/write')).toEqual(['co_zg3'])
+		expect(reads).toEqual(['co_zg3'])
+
+		reads.length = 0
+		grants.co_zg2 = { sub: 'co_zA', cmd: '/llm/chat' }
+		noteCapabilityIndexWrite(peer, 'co_zg2')
+		expect(await lookup('co_zA', '/llm/chat')).toEqual(['co_zg1', 'co_zg2'])
+		expect(await lookup('co_zB', '/llm/chat')).toEqual([])
+		expect(reads).toEqual(['co_zg2'])
+
+		colist.items = ['co_zg1']
+		noteCapabilityIndexWrite(peer, COLIST)
+		expect(await lookup('co_zA', '/llm/chat')).toEqual(['co_zg1'])
+	})
+
+	it('re-reads grants on every lookup when the peer has no storage hook', async () => {
+		const { reads, lookup } = setup({ co_zg1: { sub: 'co_zA', cmd: '/x' } }, { storage: false })
+		await lookup('co_zA', '/x')
+		await lookup('co_zA', '/x')
+		expect(reads).toEqual(['co_zg1', 'co_zg1', 'co_zg1'])
+	})
+})
@@ -0,0 +1,94 @@
+import { describe, expect, test } from 'bun:test'
+import { LocalNode } from 'cojson'
+import { WasmCrypto } from 'cojson/crypto/WasmCrypto'
+import {
+	exportAccountArchive,
+	importAccountArchive,
+} from '../../../src/cojson/archive/account-archive.js'
+
+async function newAccount(crypto, name) {
+	const { node } = await LocalNode.withNewlyCreatedAccount({ creationProps: { name }, crypto })
+	return { node, account: node.expectCurrentAccount(name) }
+}
+
+/** Account → registries → sparks → spark → todos colist, plus a binary file */
+async function seededAccount(crypto) {
+	const peer = await newAccount(crypto, 'exporter')
+	const group = peer.node.createGroup()
+	group.addMember('everyone', 'reader')
+	const todos = group.createList(['buy milk'])
+	const file = group.createBinaryStream({ type: 'binary' })
+	file.startBinaryStream({ mimeType: 'text/plain', totalSizeBytes: 3 })
+	file.pushBinaryStreamChunk(new Uint8Array([1, 2, 3]))
+	file.endBinaryStream()
+	const spark = group.createMap({ name: '°Demo', todos: todos.id, file: file.id })
+	const sparks = group.createMap({ '°Demo': spark.id })
+	const registries = group.createMap({ sparks: sparks.id })
+	peer.account.set('registries', registries.id)
+	return { peer, ids: { todos: todos.id, file: file.id, spark: spark.id, sparks: sparks.id } }
+}
+
+describe('account archive', () => {
+	test('exports the account graph and replays it into another node, deduplicating by id', async () => {
+		const crypto = await WasmCrypto.create()
+		const { peer, ids } = await seededAccount(crypto)
+		const archive = JSON.parse(JSON.stringify(await exportAccountArchive(peer)))
+
+		const exported = archive.coValues.map((c) => c.id)
+		for (const id of [peer.account.id, ids.sparks, ids.spark, ids.todos, ids.file]) {
+			expect(exported).toContain(id)
+		}
+		const todosEntry = archive.coValues.find((c) => c.id === ids.todos)
+		const ownerGroup = todosEntry.messages[0].header.ruleset.group
+		expect(exported.indexOf(ownerGroup)).toBeLessThan(exported.indexOf(ids.todos))
+		expect(Object.keys(archive.blobs).length).toBeGreaterThan(0)
+
+		const target = await newAccount(crypto, 'importer')
+		const report = await importAccountArchive(target, JSON.stringify(archive))
+		expect(report).toMatchObject({ total: exported.length, imported: exported.length, failed: [] })
+		expect(target.node.getCoValue(ids.todos).getCurrentContent().toJSON()).toEqual(['buy milk'])
+		const chunks = target.node.getCoValue(ids.file).getCurrentContent().getBinaryChunks()
+		expect([...chunks.chunks[0]]).toEqual([1, 2, 3])
+
+		expect(await importAccountArchive(target, archive)).toMatchObject({
+			skipped: exported.length,
+			imported: 0,
+		})
+	})
+
+	test('decides what the node already has from local state, never from sync peers', async () => {
+		const crypto = await WasmCrypto.create()
+		const { peer } = await seededAccount(crypto)
+		const archive = await exportAccountArchive(peer)
+
+		const target = await newAccount(crypto, 'importer')
+		target.node.loadCoValueCore = () => {
+			throw new Error('import must not load through sync peers')
+		}
+		const report = await importAccountArchive(target, archive)
+		expect(report.failed).toEqual([])
+		expect(report.imported).toBe(archive.coValues.length)
+	})
+
+	test('rejects CoValues whose signed transactions were tampered with', async () => {
+		const crypto = await WasmCrypto.create()
+		const { peer, ids } = await seededAccount(crypto)
+		const archive = await exportAccountArchive(peer)
+		const entry = archive.coValues.find((c) => c.id === ids.todos)
+		const session = Object.values(entry.messages[0].new)[0]
+		session.newTransactions[0] = { ...session.newTransactions[0], madeAt: 1 }
+
+		const target = await newAccount(crypto, 'importer')
+		const report = await importAccountArchive(target, archive)
+		expect(report.failed.map((f) => f.id)).toEqual([ids.todos])
+		expect(report.imported).toBe(archive.coValues.length - 1)
+	})
+
+	test('refuses files that are not account archives', async () => {
+		const crypto = await WasmCrypto.create()
+		const target = await newAccount(crypto, 'importer')
+		await expect(importAccountArchive(target, { format: 'other' })).rejects.toThrow(
+			'Not a MaiaOS account archive',
+		)
+	})
+})
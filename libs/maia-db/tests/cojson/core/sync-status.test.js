@@ -0,0 +1,65 @@
+import { describe, expect, it } from 'bun:test'
+import { MaiaDB } from '../../../src/cojson/core/MaiaDB.js'
+import { read, SYNC_STATUS_FACTORY } from '../../../src/cojson/crud/read.js'
+
+const CO_ID = 'co_znote'
+
+/** LocalNode with one CoValue in the unsynced tracker and no server peer; counts live listeners. */
+function makeNode() {
+	const unsynced = new Set([CO_ID])
+	const listeners = new Set()
+	const watch = (fn) => {
+		const listener = () => fn()
+		listeners.add(listener)
+		return () => listeners.delete(listener)
+	}
+	return {
+		listeners,
+		acknowledge() {
+			unsynced.delete(CO_ID)
+			for (const fn of [...listeners]) fn()
+		},
+		syncManager: {
+			getPersistentServerPeers: () => [],
+			unsyncedTracker: { has: (id) => unsynced.has(id), subscribe: (_id, fn) => watch(fn) },
+			syncState: { subscribeToCoValueUpdates: (_id, fn) => watch(fn) },
+		},
+		hasCoValue: () => false,
+		getCoValue: () => ({ subscribe: (fn) => watch(fn) }),
+	}
+}
+
+function makePeer(node) {
+	return { node, syncStatus: MaiaDB.prototype.syncStatus }
+}
+
+describe('MaiaDB.syncStatus', () => {
+	it('watches the node only while the store has subscribers', () => {
+		const node = makeNode()
+		const store = makePeer(node).syncStatus(CO_ID)
+		expect(node.listeners.size).toBe(0)
+		expect(store.value).toEqual({ id: CO_ID, status: 'local-only' })
+
+		const seen = []
+		const unsubscribeA = store.subscribe((v) => seen.push(v.status))
+		const unsubscribeB = store.subscribe(() => {})
+		expect(node.listeners.size).toBe(3)
+		node.acknowledge()
+		expect(seen).toEqual(['local-only', 'synced'])
+
+		unsubscribeA()
+		expect(node.listeners.size).toBe(3)
+		unsubscribeB()
+		expect(node.listeners.size).toBe(0)
+
+		store.subscribe(() => {})
+		expect(node.listeners.size).toBe(3)
+	})
+
+	it('is what a @syncStatus read resolves to', async () => {
+		const peer = makePeer(makeNode())
+		const store = await read(peer, null, SYNC_STATUS_FACTORY, { id: CO_ID })
+		expect(store.value).toEqual({ id: CO_ID, status: 'local-only' })
+		expect((await read(peer, null, SYNC_STATUS_FACTORY, { id: null })).value).toBeNull()
+	})
+})
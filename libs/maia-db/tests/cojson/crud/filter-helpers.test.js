@@ -0,0 +1,124 @@
+import { describe, expect, test } from 'bun:test'
+import {
+	applyQueryOptions,
+	assertValidFilter,
+	isOperatorObject,
+	matchesFilter,
+} from '../../../src/cojson/crud/filter-helpers.js'
+
+const todo = {
+	id: 'co_z1',
+	text: 'Call Joanna',
+	done: false,
+	createdAt: 200,
+	tags: ['home', 'phone'],
+	author: { name: 'ann', age: 30 },
+}
+
+describe('matchesFilter', () => {
+	test('plain keys keep strict equality semantics', () => {
+		expect(matchesFilter(todo, { done: false })).toBe(true)
+		expect(matchesFilter(todo, { done: null })).toBe(false)
+		expect(matchesFilter({ done: undefined }, { done: false })).toBe(false)
+	})
+
+	test('comparison operators', () => {
+		expect(matchesFilter(todo, { createdAt: { $gt: 100 } })).toBe(true)
+		expect(matchesFilter(todo, { createdAt: { $gte: 200, $lt: 201 } })).toBe(true)
+		expect(matchesFilter(todo, { createdAt: { $lte: 199 } })).toBe(false)
+		expect(matchesFilter(todo, { createdAt: { $gt: '100' } })).toBe(false)
+		expect(matchesFilter(todo, { missing: { $lt: 5 } })).toBe(false)
+		expect(matchesFilter(todo, { done: { $ne: true } })).toBe(true)
+	})
+
+	test('$in / $nin / $contains / $regex / $exists', () => {
+		expect(matchesFilter(todo, { text: { $in: ['a', 'Call Joanna'] } })).toBe(true)
+		expect(matchesFilter(todo, { text: { $nin: ['Call Joanna'] } })).toBe(false)
+		expect(matchesFilter(todo, { text: { $contains: 'ann' } })).toBe(true)
+		expect(matchesFilter(todo, { tags: { $contains: 'phone' } })).toBe(true)
+		expect(matchesFilter(todo, { text: { $regex: '^call', $options: 'i' } })).toBe(true)
+		expect(matchesFilter(todo, { text: { $regex: '^call' } })).toBe(false)
+		expect(matchesFilter(todo, { author: { $exists: true }, dueAt: { $exists: false } })).toBe(true)
+	})
+
+	test('nested path keys', () => {
+		expect(matchesFilter(todo, { 'author.name': 'ann' })).toBe(true)
+		expect(matchesFilter(todo, { 'author.age': { $gte: 31 } })).toBe(false)
+		expect(matchesFilter(todo, { 'author.missing.deep': { $exists: false } })).toBe(true)
+	})
+
+	test('logical $and / $or / $not', () => {
+		expect(
+			matchesFilter(todo, { $or: [{ done: true }, { 'author.name': { $in: ['ann', 'bob'] } }] }),
+		).toBe(true)
+		expect(matchesFilter(todo, { $and: [{ done: false }, { createdAt: { $gt: 500 } }] })).toBe(false)
+		expect(matchesFilter(todo, { $not: { done: true } })).toBe(true)
+		expect(matchesFilter(todo, { text: { $not: { $contains: 'Joanna' } } })).toBe(false)
+	})
+
+	test('arrays (CoList data) match when any item matches', () => {
+		expect(matchesFilter([{ n: 1 }, { n: 5 }], { n: { $gt: 3 } })).toBe(true)
+		expect(matchesFilter([{ n: 1 }, null], { n: { $gt: 3 } })).toBe(false)
+	})
+})
+
+describe('isOperatorObject', () => {
+	test('only supported field operators count; other $ objects are expressions or literals', () => {
+		expect(isOperatorObject({ $gt: 1, $lte: 5 })).toBe(true)
+		expect(isOperatorObject({ $regex: 'x', $options: 'i' })).toBe(true)
+		expect(isOperatorObject({ $context: 'selectedTag' })).toBe(false)
+		expect(isOperatorObject({ $gt: 1, $context: 'x' })).toBe(false)
+		expect(isOperatorObject({})).toBe(false)
+	})
+})
+
+describe('assertValidFilter', () => {
+	test('accepts null and valid filters', () => {
+		expect(() => assertValidFilter(null)).not.toThrow()
+		expect(() =>
+			assertValidFilter({ $or: [{ a: { $in: [1] } }, { b: { $not: { $regex: 'x' } } }] }),
+		).not.toThrow()
+	})
+
+	test('rejects unknown operators and bad operands', () => {
+		expect(() => assertValidFilter({ a: { $gtx: 1 } })).toThrow('Unknown operator $gtx')
+		expect(() => assertValidFilter({ $nor: [] })).toThrow('Unknown logical operator')
+		expect(() => assertValidFilter({ a: { $in: 'x' } })).toThrow('requires an array')
+		expect(() => assertValidFilter({ $or: {} })).toThrow('requires an array of filters')
+		expect(() => assertValidFilter({ a: { $regex: '(' } })).toThrow()
+	})
+})
+
+describe('applyQueryOptions', () => {
+	const items = [
+		{ id: 'a', n: 2, name: 'b' },
+		{ id: 'b', n: 1, name: 'c' },
+		{ id: 'c', name: 'a' },
+		{ id: 'd', n: 3, name: 'a' },
+	]
+
+	test('sorts with missing values last in either direction', () => {
+		expect(applyQueryOptions(items, { sort: { n: 1 } }).map((i) => i.id)).toEqual([
+			'b',
+			'a',
+			'd',
+			'c',
+		])
+		expect(applyQueryOptions(items, { sort: { n: 'desc' } }).map((i) => i.id)).toEqual([
+			'd',
+			'a',
+			'b',
+			'c',
+		])
+	})
+
+	test('multi-key sort, offset and limit', () => {
+		const out = applyQueryOptions(items, { sort: { name: 1, n: -1 }, offset: 1, limit: 2 })
+		expect(out.map((i) => i.id)).toEqual(['c', 'a'])
+	})
+
+	test('returns input untouched without options', () => {
+		expect(applyQueryOptions(items)).toBe(items)
+		expect(applyQueryOptions(items, { limit: 0 })).toEqual([])
+	})
+})
@@ -21,15 +21,8 @@ function makeCoMap(entries) {
 	}
 }
 
-function makeCapabilityGrant(sub, cmd, exp) {
-	return {
-		get(k) {
-			if (k === 'sub') return sub
-			if (k === 'cmd') return cmd
-			if (k === 'exp') return exp
-			return undefined
-		},
-	}
+function makeCapabilityGrant(sub, cmd, exp, extra = {}) {
+	return makeCoMap({ sub, cmd, exp, ...extra })
 }
 
 function futureExp() {
@@ -37,7 +30,7 @@ function futureExp() {
 }
 
 /** Minimal peer graph for one account + one capability grant (colist id comes from mocked getFactoryIndexColistId). */
-function makePeer({ grantSub, grantCmd, grantExp }) {
+function makePeer({ grantSub, grantCmd, grantExp, grantExtra }) {
 	const colistId = 'co_zcolist'
 	const grantId = 'co_zgrant'
 	const contents = {
@@ -47,7 +40,7 @@ function makePeer({ grantSub, grantCmd, grantExp }) {
 		co_zos: makeCoMap({ indexes: 'co_zindexes' }),
 		co_zindexes: makeCoMap({ [CAP_SCHEMA]: colistId }),
 		[colistId]: { type: 'colist', items: [grantId] },
-		[grantId]: makeCapabilityGrant(grantSub, grantCmd, grantExp),
+		[grantId]: makeCapabilityGrant(grantSub, grantCmd, grantExp, grantExtra),
 	}
 
 	return {
@@ -70,9 +63,11 @@ function makePeer({ grantSub, grantCmd, grantExp }) {
 
 spyOn(collectionHelpers, 'getFactoryIndexColistId').mockImplementation(async () => 'co_zcolist')
 
-const { accountHasCapabilityOnPeer, getCapabilityGrantIndexColistCoIdFromPeer } = await import(
-	'../../../src/cojson/helpers/capability-grants-resolve.js'
-)
+const {
+	accountHasCapabilityOnPeer,
+	findCapabilityGrantsOnPeer,
+	getCapabilityGrantIndexColistCoIdFromPeer,
+} = await import('../../../src/cojson/helpers/capability-grants-resolve.js')
 
 describe('getCapabilityGrantIndexColistCoIdFromPeer', () => {
 	it('delegates to getFactoryIndexColistId (mocked colist co-id)', async () => {
@@ -154,3 +149,67 @@ describe('accountHasCapabilityOnPeer', () => {
 		expect(ok).toBe(false)
 	})
 })
+
+describe('findCapabilityGrantsOnPeer', () => {
+	const account = makeCoMap({ registries: 'co_zreg' })
+
+	it('matches sub-commands of the granted cmd', async () => {
+		const peer = makePeer({ grantSub: ACCOUNT_ID, grantCmd: '/llm', grantExp: futureExp() })
+		expect(await accountHasCapabilityOnPeer(peer, account, ACCOUNT_ID, '/llm/chat')).toBe(true)
+		expect(await accountHasCapabilityOnPeer(peer, account, ACCOUNT_ID, '/llmx')).toBe(false)
+	})
+
+	it('skips grants that are not valid yet (nbf)', async () => {
+		const rejected = []
+		const peer = makePeer({
+			grantSub: ACCOUNT_ID,
+			grantCmd: '/x',
+			grantExp: futureExp(),
+			grantExtra: { nbf: futureExp() - 60 },
+		})
+		expect(await findCapabilityGrantsOnPeer(peer, account, ACCOUNT_ID, '/x', { rejected })).toEqual(
+			[],
+		)
+		expect(rejected[0].reason).toStartWith('not valid before')
+	})
+
+	it('applies the grant policy to the invocation args', async () => {
+		const pol = [
+			['==', '.model', 'small'],
+			['<=', '.temperature', 1],
+		]
+		const peer = makePeer({
+			grantSub: ACCOUNT_ID,
+			grantCmd: '/llm/chat',
+			grantExp: futureExp(),
+			grantExtra: { pol, quota: { daily: 10 } },
+		})
+		const ok = await findCapabilityGrantsOnPeer(peer, account, ACCOUNT_ID, '/llm/chat', {
+			args: { model: 'small', temperature: 0.5 },
+		})
+		expect(ok).toEqual([
+			{
+				id: 'co_zgrant',
+				cmd: '/llm/chat',
+				exp: expect.any(Number),
+				nbf: null,
+				pol,
+				quota: { daily: 10 },
+			},
+		])
+		const rejected = []
+		const hot = await findCapabilityGrantsOnPeer(peer, account, ACCOUNT_ID, '/llm/chat', {
+			args: { model: 'small', temperature: 1.5 },
+			rejected,
+		})
+		expect(hot).toEqual([])
+		expect(rejected).toEqual([
+			{ id: 'co_zgrant', reason: 'policy: ["<=",".temperature",1] not satisfied' },
+		])
+		expect(
+			await accountHasCapabilityOnPeer(peer, account, ACCOUNT_ID, '/llm/chat', {
+				ignorePolicy: true,
+			}),
+		).toBe(true)
+	})
+})
@@ -0,0 +1,54 @@
+import { describe, expect, it } from 'bun:test'
+import { loadLlmUsageRows } from '../../../src/cojson/helpers/llm-usage-resolve.js'
+
+const ACCOUNT = 'co_zaccount'
+
+/** Peer over usage rows keyed by co-id; records the order and overlap of reads. */
+function makePeer(days) {
+	const contents = {}
+	for (const [coId, day] of Object.entries(days)) {
+		contents[coId] = { get: (k) => ({ account: ACCOUNT, day, requests: 1 })[k] }
+	}
+	const reads = []
+	let inFlight = 0
+	let maxInFlight = 0
+	const peer = {
+		reads,
+		get maxInFlight() {
+			return maxInFlight
+		},
+		async read(_schema, coId) {
+			reads.push(coId)
+			inFlight++
+			maxInFlight = Math.max(maxInFlight, inFlight)
+			await Promise.resolve()
+			inFlight--
+			return { value: { id: coId, loading: false }, subscribe: () => () => {} }
+		},
+		node: { getCoValue: (coId) => (contents[coId] ? { id: coId } : null) },
+		isAvailable: () => true,
+		getCurrentContent: (core) => contents[core.id],
+	}
+	return peer
+}
+
+describe('loadLlmUsageRows', () => {
+	it('loads only the requested month and stops scanning at older rows', async () => {
+		const days = {}
+		for (let i = 1; i <= 20; i++) days[`co_zold${i}`] = `2026-02-${String(i).padStart(2, '0')}`
+		days.co_zmar1 = '2026-03-01'
+		days.co_zmar2 = '2026-03-15'
+		days.co_zmar3 = '2026-03-31'
+		const peer = makePeer(days)
+		const rows = await loadLlmUsageRows(peer, Object.keys(days), { month: '2026-03', concurrency: 4 })
+		expect(rows.map((r) => r.id)).toEqual(['co_zmar1', 'co_zmar2', 'co_zmar3'])
+		expect(rows[0]).toMatchObject({ account: ACCOUNT, month: '2026-03', requests: 1, totalTokens: 0 })
+		expect(peer.reads).toHaveLength(4)
+		expect(peer.maxInFlight).toBe(4)
+	})
+
+	it('returns nothing when the index has no rows for the month', async () => {
+		const peer = makePeer({ co_zold: '2026-02-28' })
+		expect(await loadLlmUsageRows(peer, ['co_zold'], { month: '2026-03' })).toEqual([])
+	})
+})
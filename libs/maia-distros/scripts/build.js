@@ -15,6 +15,7 @@ const outputDir = join(__dirname, '../output')
 const storageIndexBrowser = join(repoRoot, 'libs/maia-storage/src/index.browser.js')
 const storagePostgresStub = join(repoRoot, 'libs/maia-storage/src/adapters/postgres-stub.js')
 const storagePgliteStub = join(repoRoot, 'libs/maia-storage/src/adapters/pglite-stub.js')
+const storageSqliteStub = join(repoRoot, 'libs/maia-storage/src/adapters/sqlite-stub.js')
 const storageClearBrowser = join(repoRoot, 'libs/maia-storage/src/clearStorageForReseed.browser.js')
 
 /**
@@ -36,6 +37,9 @@ function browserMaiaStorageExportsPlugin() {
 				if (spec === '@MaiaOS/storage/adapters/pglite.js') {
 					return { path: storagePgliteStub }
 				}
+				if (spec === '@MaiaOS/storage/adapters/sqlite.js') {
+					return { path: storageSqliteStub }
+				}
 				if (spec === '@MaiaOS/storage/clearStorageForReseed') {
 					return { path: storageClearBrowser }
 				}
@@ -49,6 +53,9 @@ function browserMaiaStorageExportsPlugin() {
 				if (p.endsWith('/libs/maia-storage/src/adapters/pglite.js') && !p.includes('pglite-stub')) {
 					return { path: storagePgliteStub }
 				}
+				if (p.endsWith('/libs/maia-storage/src/adapters/sqlite.js') && !p.includes('sqlite-stub')) {
+					return { path: storageSqliteStub }
+				}
 				if (p.endsWith('/libs/maia-storage/src/clearStorageForReseed.js') && !p.includes('browser')) {
 					return { path: storageClearBrowser }
 				}
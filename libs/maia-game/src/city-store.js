@@ -0,0 +1,150 @@
+/**
+ * City state persisted in CoValues (city, building, resource-ledger, resource-tick factories) via
+ * DataEngine ops, so progress survives reloads and syncs across devices. Tick rules come from
+ * ./game-tick.js.
+ *
+ * Ticks are appended as resource-tick entries and folded onto the ledger's base totals instead of
+ * rewriting the totals: two devices ticking at once would otherwise overwrite each other's tick.
+ *
+ * `execute` is `maia.do` / `dataEngine.execute`; the host resolves CITY_FACTORY_REFS to co-ids.
+ */
+import { foldTicks, STARTER_BUILDINGS, yieldPerTick } from './game-tick.js'
+
+/** Factory refs the host resolves to co-ids for {@link createCityStore}. */
+export const CITY_FACTORY_REFS = Object.freeze({
+	city: '°maia/factory/city.factory.maia',
+	building: '°maia/factory/building.factory.maia',
+	ledger: '°maia/factory/resource-ledger.factory.maia',
+	tick: '°maia/factory/resource-tick.factory.maia',
+})
+
+/** Links stay co-id strings (city.ledger, building.city). */
+const READ_OPTIONS = { deepResolve: false }
+
+const byId = (a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0)
+
+/** Resolve a read result: ReactiveStore → value once loaded; plain values pass through. */
+function settle(store, timeoutMs = 5000) {
+	if (!store || typeof store.subscribe !== 'function') return Promise.resolve(store)
+	if (!store.value?.loading) return Promise.resolve(store.value)
+	return new Promise((resolve, reject) => {
+		let unsubscribe = null
+		const timer = setTimeout(() => {
+			unsubscribe?.()
+			reject(new Error('[city-store] read timed out'))
+		}, timeoutMs)
+		unsubscribe = store.subscribe((value) => {
+			if (value?.loading) return
+			clearTimeout(timer)
+			queueMicrotask(() => unsubscribe?.())
+			resolve(value)
+		})
+	})
+}
+
+function unwrap(result, what) {
+	if (result?.ok === false) {
+		const message = result.errors?.map((e) => e.message).join('; ') || 'failed'
+		throw new Error(`[city-store] ${what}: ${message}`)
+	}
+	return result?.data ?? result
+}
+
+const coId = (ref) => (typeof ref === 'string' ? ref : ref?.id)
+
+/**
+ * @param {{ execute: (payload: Object) => Promise<any>, factories: { city: string, building: string, ledger: string, tick: string } }} options
+ */
+export function createCityStore({ execute, factories }) {
+	if (typeof execute !== 'function') {
+		throw new Error('[city-store] execute must be a function')
+	}
+	for (const key of Object.keys(CITY_FACTORY_REFS)) {
+		if (!factories?.[key]?.startsWith?.('co_z')) {
+			throw new Error(`[city-store] factories.${key} must be a co-id`)
+		}
+	}
+	let cityId = null
+	let ledgerId = null
+
+	async function readList(factory, filter) {
+		const value = await settle(await execute({ op: 'read', factory, filter, options: READ_OPTIONS }))
+		return Array.isArray(value) ? value.filter((item) => item?.id) : []
+	}
+
+	async function create(factory, data, what) {
+		return unwrap(await execute({ op: 'create', factory, data }), what)
+	}
+
+	function requireLoaded() {
+		if (!cityId || !ledgerId) throw new Error('[city-store] call load() first')
+	}
+
+	/** Fresh read of ledger, tick entries and buildings (another device may have ticked or moved a dome). */
+	async function read() {
+		const [ledger, entries, buildings] = await Promise.all([
+			settle(await execute({ op: 'read', key: ledgerId, options: READ_OPTIONS })),
+			readList(factories.tick, { ledger: ledgerId }),
+			readList(factories.building, { city: cityId }),
+		])
+		if (!ledger || ledger.error) throw new Error(`[city-store] ledger not found: ${ledgerId}`)
+		return {
+			base: { tick: ledger.tick ?? 0, wood: ledger.wood ?? 0, ore: ledger.ore ?? 0 },
+			entries,
+			buildings: buildings.map(({ id, kind, x, z }) => ({ id, kind, x, z })).sort(byId),
+		}
+	}
+
+	function toState({ base, entries, buildings }) {
+		return { cityId, ledger: { id: ledgerId, ...foldTicks(base, entries) }, buildings }
+	}
+
+	async function snapshot() {
+		return toState(await read())
+	}
+
+	return {
+		/**
+		 * Load the account's city, creating it (ledger at tick 0 + starter domes) on first run.
+		 * With several cities (e.g. first run on two devices at once) the lowest co-id wins on all of them.
+		 */
+		async load({ name = 'Maia City' } = {}) {
+			const [existing] = (await readList(factories.city)).sort(byId)
+			if (existing) {
+				cityId = existing.id
+				ledgerId = coId(existing.ledger)
+			} else {
+				const ledger = await create(factories.ledger, { tick: 0, wood: 0, ore: 0 }, 'create ledger')
+				const city = await create(factories.city, { name, ledger: ledger.id }, 'create city')
+				cityId = city.id
+				ledgerId = ledger.id
+				for (const kind of STARTER_BUILDINGS) {
+					await create(factories.building, { city: cityId, kind }, 'create building')
+				}
+			}
+			return snapshot()
+		},
+
+		/**
+		 * Append the next tick. A device that ticks the same tick number concurrently appends a
+		 * duplicate that the fold ignores, so the tick counts once on every device.
+		 */
+		async tick() {
+			requireLoaded()
+			const current = await read()
+			const entry = {
+				ledger: ledgerId,
+				tick: foldTicks(current.base, current.entries).tick + 1,
+				...yieldPerTick(current.buildings),
+			}
+			const created = await create(factories.tick, entry, 'record tick')
+			return toState({ ...current, entries: [...current.entries, { ...entry, ...created }] })
+		},
+
+		/** Persist a dome's placed position. */
+		async placeBuilding(id, { x, z }) {
+			requireLoaded()
+			unwrap(await execute({ op: 'update', id, data: { x, z } }), 'place building')
+		},
+	}
+}
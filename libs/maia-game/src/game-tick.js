@@ -1,32 +1,97 @@
 /**
- * In-memory manual simulation tick (Phase 1): wood dome + ore dome add to city totals.
+ * City simulation tick — deterministic rules over city state (ledger + buildings).
+ * Pure: no Three.js, no DataEngine; persistence is ./city-store.js.
+ */
+
+/** Resources tracked in the city's resource ledger. */
+export const RESOURCES = Object.freeze(['wood', 'ore'])
+
+/** Per-tick yield of each building kind (building.factory.maia `kind`). */
+export const BUILDING_YIELD = Object.freeze({
+	'wood-dome': Object.freeze({ wood: 2 }),
+	'ore-dome': Object.freeze({ ore: 1 }),
+})
+
+/** Buildings a new city starts with (one dome per resource). */
+export const STARTER_BUILDINGS = Object.freeze(['wood-dome', 'ore-dome'])
+
+/**
+ * @typedef {{ tick: number, wood: number, ore: number }} ResourceLedger
+ * @typedef {{ id?: string, kind: string, x?: number, z?: number }} CityBuilding
+ * @typedef {{ ledger: ResourceLedger, buildings: CityBuilding[] }} CityState
  */
 
 /**
- * @returns {{
- *   tick: number,
- *   wood: number,
- *   ore: number,
- *   woodPerTick: number,
- *   orePerTick: number,
- * }}
+ * In-memory city at tick 0 with the starter buildings (used when no DataEngine is available).
+ * @returns {CityState}
  */
-export function createTickState() {
+export function createCityState() {
 	return {
-		tick: 0,
-		wood: 0,
-		ore: 0,
-		woodPerTick: 2,
-		orePerTick: 1,
+		ledger: { tick: 0, wood: 0, ore: 0 },
+		buildings: STARTER_BUILDINGS.map((kind) => ({ kind })),
+	}
+}
+
+/**
+ * Total yield per tick of a set of buildings. Unknown kinds yield nothing.
+ * @param {CityBuilding[]} buildings
+ * @returns {Record<string, number>}
+ */
+export function yieldPerTick(buildings) {
+	const total = Object.fromEntries(RESOURCES.map((r) => [r, 0]))
+	for (const building of buildings) {
+		const rule = BUILDING_YIELD[building.kind]
+		if (!rule) continue
+		for (const [resource, amount] of Object.entries(rule)) {
+			total[resource] += amount
+		}
 	}
+	return total
 }
 
 /**
- * @param {ReturnType<typeof createTickState>} state
+ * Ledger after `ticks` more ticks. Does not mutate its input; same input → same output.
+ * @param {ResourceLedger} ledger
+ * @param {CityBuilding[]} buildings
+ * @param {number} [ticks=1]
+ * @returns {ResourceLedger}
  */
-export function advanceTick(state) {
-	state.tick += 1
-	state.wood += state.woodPerTick
-	state.ore += state.orePerTick
-	return state
+export function advanceTick(ledger, buildings, ticks = 1) {
+	if (!Number.isInteger(ticks) || ticks < 0) {
+		throw new Error('[game-tick] ticks must be a non-negative integer')
+	}
+	const perTick = yieldPerTick(buildings)
+	const next = { tick: (ledger.tick ?? 0) + ticks }
+	for (const resource of RESOURCES) {
+		next[resource] = (ledger[resource] ?? 0) + perTick[resource] * ticks
+	}
+	return next
+}
+
+/**
+ * @typedef {{ id?: string, tick: number, wood?: number, ore?: number }} TickEntry
+ */
+
+/**
+ * Ledger after applying appended tick entries on top of its base totals. Entries at or below the
+ * base tick are already included; of several entries for the same tick number (two devices ticked
+ * at once) only the lowest id counts, so every device folds the same entries to the same totals.
+ * @param {ResourceLedger} ledger - base totals
+ * @param {TickEntry[]} entries
+ * @returns {ResourceLedger}
+ */
+export function foldTicks(ledger, entries) {
+	const byTick = new Map()
+	for (const entry of entries) {
+		if (!Number.isInteger(entry?.tick) || entry.tick <= (ledger.tick ?? 0)) continue
+		const seen = byTick.get(entry.tick)
+		if (!seen || (entry.id ?? '') < (seen.id ?? '')) byTick.set(entry.tick, entry)
+	}
+	const next = { tick: ledger.tick ?? 0 }
+	for (const resource of RESOURCES) next[resource] = ledger[resource] ?? 0
+	for (const entry of byTick.values()) {
+		next.tick = Math.max(next.tick, entry.tick)
+		for (const resource of RESOURCES) next[resource] += entry[resource] ?? 0
+	}
+	return next
 }
@@ -1,7 +1,7 @@
 /**
  * maia-game — procedural heightfield terrain, carved river, height-based vertex biomes, pointer-lock WASD, wheel zoom.
  */
-import { perfGameInit } from '@MaiaOS/logs'
+import { createOpsLogger, perfGameInit } from '@MaiaOS/logs'
 import * as THREE from 'three'
 import { PointerLockControls } from 'three/addons/controls/PointerLockControls.js'
 import {
@@ -37,7 +37,7 @@ import {
 	ZOOM_SMOOTH_TAU,
 	ZOOM_WHEEL_SCALE,
 } from './game-constants.js'
-import { advanceTick, createTickState } from './game-tick.js'
+import { advanceTick, createCityState, yieldPerTick } from './game-tick.js'
 import { DOME_BAKED_ENTRANCE_ATAN2, loadGeodesicDome } from './geodesic-dome.js'
 import { fbm2, noise2 } from './noise.js'
 import { oppositeBankPlaneXY, oreDomePlaneXYDry } from './river-bank.js'
@@ -56,6 +56,19 @@ import { createForestInstancedMeshes, disposeForestResources } from './trees.js'
 import { createRiverWaterMesh, createRiverWaterVolumeMesh } from './water-meshes.js'
 import { seaLevel } from './water-surface.js'
 
+export { CITY_FACTORY_REFS, createCityStore } from './city-store.js'
+export {
+	advanceTick,
+	BUILDING_YIELD,
+	createCityState,
+	foldTicks,
+	RESOURCES,
+	STARTER_BUILDINGS,
+	yieldPerTick,
+} from './game-tick.js'
+
+const opsGame = createOpsLogger('game')
+
 const seg = 768
 
 /** Yield so the event loop can run (navigation, input) while terrain builds. */
@@ -70,10 +83,11 @@ const TERRAIN_YIELD_EVERY_MAIN_THREAD_BATCHES = 2
 
 /**
  * @param {HTMLElement} container
- * @param {{ isCancelled?: () => boolean }} [options]
+ * @param {{ isCancelled?: () => boolean, cityStore?: ReturnType<typeof import('./city-store.js').createCityStore> | null }} [options]
+ *   cityStore: persisted city (tick + dome placement); without one the city lives in memory only.
  * @returns {Promise<{ dispose: () => void }>}
  */
-export async function mountGame(container, { isCancelled = () => false } = {}) {
+export async function mountGame(container, { isCancelled = () => false, cityStore = null } = {}) {
 	perfGameInit.start('mountGame')
 	const scene = new THREE.Scene()
 	/** Movable wood dome (player placement). */
@@ -639,7 +653,18 @@ export async function mountGame(container, { isCancelled = () => false } = {}) {
 	}
 	perfGameInit.step('dome_ore')
 
-	const tickState = createTickState()
+	let persistedCity = cityStore
+	let city = createCityState()
+	if (persistedCity) {
+		try {
+			city = await persistedCity.load()
+		} catch (err) {
+			opsGame.warn('city load failed, playing without persistence', err)
+			persistedCity = null
+		}
+	}
+	perfGameInit.step('city')
+
 	const tickHud = document.createElement('div')
 	Object.assign(tickHud.style, {
 		position: 'absolute',
@@ -672,7 +697,7 @@ export async function mountGame(container, { isCancelled = () => false } = {}) {
 		color: '#e8f4e0',
 	})
 	function refreshTickHud() {
-		tickLabelEl.textContent = `Tick ${tickState.tick}`
+		tickLabelEl.textContent = `Tick ${city.ledger.tick}`
 	}
 	/** @type {{ el: HTMLDivElement, getCount: () => number }[]} */
 	const resourceSlotCountEls = []
@@ -681,8 +706,18 @@ export async function mountGame(container, { isCancelled = () => false } = {}) {
 			el.textContent = String(getCount())
 		}
 	}
-	function onNextTickClick() {
-		advanceTick(tickState)
+	async function onNextTickClick() {
+		if (nextTickBtn.disabled) return
+		nextTickBtn.disabled = true
+		try {
+			city = persistedCity
+				? await persistedCity.tick()
+				: { ...city, ledger: advanceTick(city.ledger, city.buildings) }
+		} catch (err) {
+			opsGame.warn('tick failed', err)
+		} finally {
+			nextTickBtn.disabled = false
+		}
 		refreshTickHud()
 		refreshInventoryHud()
 	}
@@ -717,14 +752,14 @@ export async function mountGame(container, { isCancelled = () => false } = {}) {
 		{
 			id: 'wood',
 			title: 'Wood',
-			getCount: () => tickState.wood,
+			getCount: () => city.ledger.wood,
 			iconSvg:
 				'<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="28" height="28" aria-hidden="true"><path fill="#5c4030" d="M5 6h14v12H5z"/><path fill="#8b6914" d="M7 8h10v8H7z"/><path fill="#4a3528" d="M8 9h1v6H8zm3 0h1v6h-1zm3 0h1v6h-1zm3 0h1v6h-1z"/></svg>',
 		},
 		{
 			id: 'ore',
 			title: 'Ore',
-			getCount: () => tickState.ore,
+			getCount: () => city.ledger.ore,
 			iconSvg:
 				'<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="28" height="28" aria-hidden="true"><path fill="#6b7380" d="M12 3l7 4v10l-7 4-7-4V7z"/><path fill="#9aa3b8" d="M12 6.2L7.5 8.8v6.4L12 18l4.5-2.8V8.8z"/><path fill="#c8d0e0" d="M10 9h2v2h-2zm2 3h2v2h-2z"/></svg>',
 		},
@@ -791,8 +826,8 @@ export async function mountGame(container, { isCancelled = () => false } = {}) {
 			display: 'block',
 		})
 	}
-	labelWood.textContent = `+${tickState.woodPerTick} wood/tick`
-	labelOre.textContent = `+${tickState.orePerTick} ore/tick`
+	labelWood.textContent = `+${yieldPerTick([{ kind: 'wood-dome' }]).wood} wood/tick`
+	labelOre.textContent = `+${yieldPerTick([{ kind: 'ore-dome' }]).ore} ore/tick`
 	document.body.appendChild(labelWood)
 	document.body.appendChild(labelOre)
 
@@ -927,6 +962,24 @@ export async function mountGame(container, { isCancelled = () => false } = {}) {
 		updateDomeCoordLabel()
 	}
 
+	/** Scene dome ('wood' | 'ore') → its building in the city state. */
+	function buildingForDome(kind) {
+		return city.buildings.find((b) => b.kind === `${kind}-dome`)
+	}
+
+	async function persistDomePlacement(kind) {
+		const building = buildingForDome(kind)
+		if (!building) return
+		building.x = kind === 'wood' ? domeCx : oreCx
+		building.z = kind === 'wood' ? domeCz : oreCz
+		if (!persistedCity || !building.id) return
+		try {
+			await persistedCity.placeBuilding(building.id, { x: building.x, z: building.z })
+		} catch (err) {
+			opsGame.warn('dome placement not saved', err)
+		}
+	}
+
 	function applyDomePreview(newX, newZ) {
 		const lim = CORE_PRESERVE_HALF - EDGE_MARGIN
 		const nx = THREE.MathUtils.clamp(newX, -lim, lim)
@@ -967,6 +1020,7 @@ export async function mountGame(container, { isCancelled = () => false } = {}) {
 			oreLegitInterior = false
 		}
 		const placedKind = placementDomeKind
+		void persistDomePlacement(placedKind)
 		domeMovePending = false
 		domePlacementSnapshot = null
 		placementDomeKind = null
@@ -1290,6 +1344,15 @@ export async function mountGame(container, { isCancelled = () => false } = {}) {
 
 		renderer.render(scene, camera)
 	}
+	for (const kind of ['wood', 'ore']) {
+		const saved = buildingForDome(kind)
+		if (Number.isFinite(saved?.x) && Number.isFinite(saved?.z)) {
+			placementDomeKind = kind
+			applyDomePreview(saved.x, saved.z)
+		}
+	}
+	placementDomeKind = null
+
 	updateChaseCamera()
 	animate()
 	perfGameInit.end('ready')
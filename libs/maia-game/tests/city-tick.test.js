@@ -0,0 +1,150 @@
+import { describe, expect, test } from 'bun:test'
+import { createCityStore } from '../src/city-store.js'
+import { advanceTick, createCityState, foldTicks, yieldPerTick } from '../src/game-tick.js'
+
+const FACTORIES = {
+	city: 'co_zCity',
+	building: 'co_zBuilding',
+	ledger: 'co_zLedger',
+	tick: 'co_zTick',
+}
+
+/** In-memory DataEngine stand-in: create / read (by key or factory + filter) / update */
+function makeDataEngine() {
+	const records = new Map()
+	let n = 0
+	const calls = []
+	const store = (value) => ({ value, subscribe: () => () => {} })
+	const execute = async (payload) => {
+		const { op, factory, key, filter, id, data } = payload
+		calls.push(op)
+		if (op === 'create') {
+			const record = { id: `co_z${String(++n).padStart(3, '0')}`, ...data }
+			records.set(record.id, { factory, record })
+			return { ok: true, data: record }
+		}
+		if (op === 'read' && key) return store(records.get(key)?.record ?? null)
+		if (op === 'read') {
+			return store(
+				[...records.values()]
+					.filter((r) => r.factory === factory)
+					.map((r) => r.record)
+					.filter((r) => Object.entries(filter ?? {}).every(([k, v]) => r[k] === v)),
+			)
+		}
+		if (op === 'update') {
+			const entry = records.get(id)
+			if (!entry) return { ok: false, errors: [{ type: 'schema', message: `not found: ${id}` }] }
+			Object.assign(entry.record, data)
+			return { ok: true, data: entry.record }
+		}
+		throw new Error(`unexpected op ${op}`)
+	}
+	return { execute, records, calls }
+}
+
+describe('tick rules', () => {
+	test('yield comes from building kinds and ticks are deterministic', () => {
+		const { ledger, buildings } = createCityState()
+		expect(yieldPerTick(buildings)).toEqual({ wood: 2, ore: 1 })
+		expect(yieldPerTick([...buildings, { kind: 'wood-dome' }, { kind: 'unknown' }])).toEqual({
+			wood: 4,
+			ore: 1,
+		})
+
+		const once = advanceTick(ledger, buildings)
+		expect(once).toEqual({ tick: 1, wood: 2, ore: 1 })
+		expect(ledger).toEqual({ tick: 0, wood: 0, ore: 0 })
+		expect(advanceTick(advanceTick(once, buildings), buildings)).toEqual(
+			advanceTick(once, buildings, 2),
+		)
+		expect(() => advanceTick(ledger, buildings, -1)).toThrow('non-negative integer')
+	})
+
+	test('fold counts one entry per tick number above the base', () => {
+		const base = { tick: 1, wood: 2, ore: 1 }
+		const entries = [
+			{ id: 'co_z2', tick: 2, wood: 2, ore: 1 },
+			{ id: 'co_z1', tick: 2, wood: 4, ore: 1 },
+			{ id: 'co_z3', tick: 1, wood: 9, ore: 9 },
+			{ id: 'co_z4', tick: 3, wood: 2, ore: 1 },
+		]
+		expect(foldTicks(base, entries)).toEqual({ tick: 3, wood: 8, ore: 3 })
+		expect(foldTicks(base, [...entries].reverse())).toEqual(foldTicks(base, entries))
+		expect(foldTicks(base, [])).toEqual(base)
+	})
+})
+
+describe('city store', () => {
+	test('first load creates city, ledger and starter domes; later loads reuse them', async () => {
+		const db = makeDataEngine()
+		const first = await createCityStore({ execute: db.execute, factories: FACTORIES }).load()
+		expect(first.ledger).toMatchObject({ tick: 0, wood: 0, ore: 0 })
+		expect(first.buildings.map((b) => b.kind)).toEqual(['wood-dome', 'ore-dome'])
+		expect(db.records.size).toBe(4)
+
+		const again = await createCityStore({ execute: db.execute, factories: FACTORIES }).load()
+		expect(again.cityId).toBe(first.cityId)
+		expect(db.records.size).toBe(4)
+	})
+
+	test('ticks and dome placement persist through DataEngine ops', async () => {
+		const db = makeDataEngine()
+		const device = createCityStore({ execute: db.execute, factories: FACTORIES })
+		const { buildings } = await device.load()
+		await device.tick()
+		await device.placeBuilding(buildings[0].id, { x: 12, z: -4 })
+
+		// A second device (same CoValues) continues from the persisted state
+		const other = createCityStore({ execute: db.execute, factories: FACTORIES })
+		const loaded = await other.load()
+		expect(loaded.ledger).toMatchObject({ tick: 1, wood: 2, ore: 1 })
+		expect(loaded.buildings[0]).toMatchObject({ kind: 'wood-dome', x: 12, z: -4 })
+		const next = await other.tick()
+		expect(next.ledger).toMatchObject({ tick: 2, wood: 4, ore: 2 })
+		expect(db.calls.filter((op) => op === 'update')).toHaveLength(1)
+	})
+
+	test('concurrent ticks on two devices are not lost', async () => {
+		const db = makeDataEngine()
+		await createCityStore({ execute: db.execute, factories: FACTORIES }).load()
+
+		// Device B reads tick 0, then its write lands only after device A has ticked twice
+		let releaseB
+		const gate = new Promise((resolve) => {
+			releaseB = resolve
+		})
+		const slowExecute = async (payload) => {
+			if (payload.op === 'create') await gate
+			return db.execute(payload)
+		}
+		const a = createCityStore({ execute: db.execute, factories: FACTORIES })
+		const b = createCityStore({ execute: slowExecute, factories: FACTORIES })
+		await Promise.all([a.load(), b.load()])
+
+		const bTick = b.tick()
+		await a.tick()
+		await a.tick()
+		releaseB()
+		// B appended tick 1 too; once it sees A's entries its tick counts once instead of rewinding A's totals
+		expect((await bTick).ledger).toMatchObject({ tick: 1, wood: 2, ore: 1 })
+
+		const merged = await createCityStore({ execute: db.execute, factories: FACTORIES }).load()
+		expect(merged.ledger).toMatchObject({ tick: 2, wood: 4, ore: 2 })
+		const next = await a.tick()
+		expect(next.ledger).toMatchObject({ tick: 3, wood: 6, ore: 3 })
+	})
+
+	test('rejects missing factory co-ids and failed writes', async () => {
+		const db = makeDataEngine()
+		expect(() =>
+			createCityStore({ execute: db.execute, factories: { ...FACTORIES, ledger: null } }),
+		).toThrow('factories.ledger must be a co-id')
+		const store = createCityStore({ execute: db.execute, factories: FACTORIES })
+		await expect(store.tick()).rejects.toThrow('call load() first')
+		await store.load()
+		await expect(store.placeBuilding('co_zMissing', { x: 0, z: 0 })).rejects.toThrow(
+			'place building: not found',
+		)
+	})
+})
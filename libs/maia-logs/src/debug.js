@@ -1,8 +1,22 @@
 /**
- * DEBUG — gated by `LOG_MODE` (`debug.all` or `debug.scope.name`); in-memory only.
+ * DEBUG — gated by `LOG_MODE` (`debug.all` or `debug.scope.name`); also emitted as `debug` records.
  */
 
 import { isDebugChannelEnabled } from './log-config.js'
+import { emitLogRecord } from './records.js'
+
+function _record(level, id, args) {
+	const [first, ...rest] = args
+	const message = typeof first === 'string' ? first : ''
+	const data = typeof first === 'string' ? rest : args
+	emitLogRecord({
+		channel: 'debug',
+		level,
+		scope: id,
+		message: `[Debug:${id}] ${message}`.trim(),
+		data: data.length ? { args: data } : undefined,
+	})
+}
 
 /**
  * @param {string} scope
@@ -13,6 +27,7 @@ export function debugLog(scope, name, ...args) {
 	if (!isDebugChannelEnabled(scope, name)) return
 	const id = `${scope}:${name}`
 	console.log(`[Debug:${id}]`, ...args)
+	_record('log', id, args)
 }
 
 /**
@@ -24,4 +39,5 @@ export function debugWarn(scope, name, ...args) {
 	if (!isDebugChannelEnabled(scope, name)) return
 	const id = `${scope}:${name}`
 	console.warn(`[Debug:${id}]`, ...args)
+	_record('warn', id, args)
 }
@@ -1,11 +1,13 @@
 export { debugLog, debugWarn } from './debug.js'
 export {
+	getOtlpEndpoint,
 	isDebugChannelEnabled,
+	isLogPersistenceEnabled,
 	isPerfChannelEnabled,
 	isTraceEnabledFromConfig,
 	setLogModeState,
 } from './log-config.js'
-export { applyLogModeFromEnv } from './log-mode.js'
+export { applyLogModeFromEnv, DEFAULT_OTLP_ENDPOINT } from './log-mode.js'
 export { createOpsLogger, OPS_PREFIX } from './ops.js'
 export {
 	createPerfTracer,
@@ -21,6 +23,35 @@ export {
 	perfLabel,
 	perfStorageKey,
 } from './perf.js'
+export {
+	addLogSink,
+	createLogRecord,
+	emitLogRecord,
+	hasLogSinks,
+	matchesLogFilter,
+	queryLogRecords,
+} from './records.js'
+export { sessionLogBuffer } from './session-log.js'
+export {
+	createCoStreamSink,
+	isPersistedLogRecord,
+	readCoStreamLogRecords,
+} from './sinks/costream.js'
+export { createRingBufferSink } from './sinks/ring-buffer.js'
+export {
+	addSpanExporter,
+	buildTraceWaterfall,
+	createOtlpHttpExporter,
+	formatTraceparent,
+	isSpanTracingEnabled,
+	parseTraceparent,
+	SPAN_KIND,
+	SPAN_STATUS,
+	sessionSpanBuffer,
+	startSpan,
+	toOtlpJson,
+	withSpan,
+} from './spans.js'
 export {
 	isTraceEnabled,
 	TRACE_STORAGE_KEY,
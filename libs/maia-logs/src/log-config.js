@@ -8,6 +8,9 @@ let _perfChannels = new Set()
 /** @type {Set<string>} */
 let _debugChannels = new Set()
 let _traceEnabled = false
+let _persistEnabled = false
+/** @type {string|null} */
+let _otlpEndpoint = null
 
 /**
  * @param {string} scope
@@ -35,10 +38,28 @@ export function isTraceEnabledFromConfig() {
 }
 
 /**
- * @param {{ perfKeys: string[], debugKeys?: string[], trace: boolean }} opts - keys are `scope:name` (lowercased in set)
+ * Persist log records to the account's log CoStream (runtime attaches the sink).
+ * @returns {boolean}
+ */
+export function isLogPersistenceEnabled() {
+	return _persistEnabled
+}
+
+/**
+ * OTLP/HTTP traces endpoint for span export (runtime attaches the exporter), or null.
+ * @returns {string|null}
+ */
+export function getOtlpEndpoint() {
+	return _otlpEndpoint
+}
+
+/**
+ * @param {{ perfKeys: string[], debugKeys?: string[], trace: boolean, persist?: boolean, otlpEndpoint?: string|null }} opts - keys are `scope:name` (lowercased in set)
  */
 export function setLogModeState(opts) {
 	_perfChannels = new Set(opts.perfKeys.map((k) => k.toLowerCase()))
 	_debugChannels = new Set((opts.debugKeys ?? []).map((k) => k.toLowerCase()))
 	_traceEnabled = opts.trace
+	_persistEnabled = opts.persist ?? false
+	_otlpEndpoint = opts.otlpEndpoint ?? null
 }
@@ -8,6 +8,9 @@
  * - **`debug.all`** — all DEBUG channels (`engines:loadBinary`, `app:cobinary`, …)
  * - **`debug.scope.name`** — e.g. `debug.engines.loadBinary`, `debug.app.cobinary`
  * - **`trace.all`** / **`trace.scope`** — TRACE on
+ * - **`persist`** — also keep ops lines, warnings and errors in log CoStreams (past sessions in the logs vibe)
+ * - **`otlp`** / **`otlp=<url>`** — record spans and export them as OTLP/JSON to a collector
+ *   (default `http://localhost:4318/v1/traces`)
  *
  * Empty / `off` / `none` / `0` / `false` → PERF, DEBUG, and TRACE off (does not read localStorage).
  */
@@ -16,6 +19,8 @@ import { setLogModeState } from './log-config.js'
 
 const TOKEN_SPLIT = /[,;\s]+/
 
+export const DEFAULT_OTLP_ENDPOINT = 'http://localhost:4318/v1/traces'
+
 /** `perf.scope.subscope` → `scope:subscope` */
 const PERF_DOT = /^perf\.([^.]+)\.(.+)$/i
 
@@ -63,6 +68,9 @@ export function applyLogModeFromEnv(value) {
 	let perfAll = false
 	let debugAll = false
 	let traceAll = false
+	let persist = false
+	/** @type {string|null} */
+	let otlpEndpoint = null
 	/** @type {string[]} */
 	const perfGranular = []
 	/** @type {string[]} */
@@ -84,6 +92,14 @@ export function applyLogModeFromEnv(value) {
 			traceAll = true
 			continue
 		}
+		if (low === 'persist') {
+			persist = true
+			continue
+		}
+		if (low === 'otlp' || low.startsWith('otlp=')) {
+			otlpEndpoint = t.slice('otlp='.length) || DEFAULT_OTLP_ENDPOINT
+			continue
+		}
 		const mPerf = PERF_DOT.exec(t)
 		if (mPerf) {
 			perfGranular.push(`${mPerf[1].toLowerCase()}:${mPerf[2].toLowerCase()}`)
@@ -109,5 +125,5 @@ export function applyLogModeFromEnv(value) {
 	if (debugAll) debugKeys = [...DEBUG_ALL_KEYS]
 	else debugKeys = [...debugGranular]
 
-	setLogModeState({ perfKeys, debugKeys, trace: traceAll })
+	setLogModeState({ perfKeys, debugKeys, trace: traceAll, persist, otlpEndpoint })
 }
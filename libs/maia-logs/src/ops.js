@@ -1,15 +1,53 @@
 /**
  * OPS channel: server lifecycle, storage backends, CORS, hooks, engine warnings.
  * Subsystem name appears in brackets; stable prefixes for grep and scripts/dev.js.
+ * Always on; every line is also emitted as an `ops` record to registered sinks.
  */
 
+import { emitLogRecord, hasLogSinks } from './records.js'
+
+const FORMAT_SPEC = /%[sdifoOj]/g
+
+/** printf-style %s / %d / %o substitution (like console); leftover args go to record data */
+function formatOps(fmt, args) {
+	let used = 0
+	const message = String(fmt).replace(FORMAT_SPEC, (spec) => {
+		if (used >= args.length) return spec
+		const arg = args[used++]
+		if (typeof arg !== 'object' || arg === null) return String(arg)
+		try {
+			return JSON.stringify(arg)
+		} catch {
+			return String(arg)
+		}
+	})
+	const rest = args
+		.slice(used)
+		.map((a) => (a instanceof Error ? { name: a.name, message: a.message } : a))
+	return { message, data: rest.length ? { args: rest } : undefined }
+}
+
 /** @param {string} subsystem Label inside brackets (e.g. sync, Storage, llm) */
 export function createOpsLogger(subsystem) {
 	const tag = `[${subsystem}]`
+	const record = (level, fmt, args) => {
+		if (!hasLogSinks()) return
+		const { message, data } = formatOps(`${tag} ${fmt}`, args)
+		emitLogRecord({ channel: 'ops', level, scope: subsystem, message, data })
+	}
 	return {
-		log: (fmt, ...args) => console.log(`${tag} ${fmt}`, ...args),
-		warn: (fmt, ...args) => console.warn(`${tag} ${fmt}`, ...args),
-		error: (fmt, ...args) => console.error(`${tag} ${fmt}`, ...args),
+		log: (fmt, ...args) => {
+			console.log(`${tag} ${fmt}`, ...args)
+			record('log', fmt, args)
+		},
+		warn: (fmt, ...args) => {
+			console.warn(`${tag} ${fmt}`, ...args)
+			record('warn', fmt, args)
+		},
+		error: (fmt, ...args) => {
+			console.error(`${tag} ${fmt}`, ...args)
+			record('error', fmt, args)
+		},
 	}
 }
 
@@ -1,9 +1,21 @@
 /**
- * PERF — gated by `LOG_MODE` in dev (`applyLogModeFromEnv`); in-memory only.
- * Console: `[Perf:scope:name] ...`
+ * PERF — gated by `LOG_MODE` in dev (`applyLogModeFromEnv`).
+ * Console: `[Perf:scope:name] ...`; also emitted as `perf` records to registered sinks.
  */
 
 import { isPerfChannelEnabled } from './log-config.js'
+import { emitLogRecord } from './records.js'
+
+/**
+ * @param {string} id - `scope:name`
+ * @param {string} msg - full console line
+ * @param {Record<string, unknown>} [data]
+ */
+function _out(id, msg, data) {
+	const hasData = data && Object.keys(data).length > 0
+	console.log(msg, hasData ? data : '')
+	emitLogRecord({ channel: 'perf', scope: id, message: msg, data: hasData ? data : undefined })
+}
 
 /**
  * @param {string} scope
@@ -42,25 +54,24 @@ export function createPerfTracer(scope, name) {
 		start(label = id) {
 			if (!isEnabled()) return
 			_start = performance.now()
-			console.log(`[Perf:${id}] START ${label}`)
+			_out(id, `[Perf:${id}] START ${label}`)
 		},
 		step(label, extra = {}) {
 			if (!isEnabled()) return
 			const elapsed = _start != null ? (performance.now() - _start).toFixed(1) : null
 			const msg = elapsed != null ? `[Perf:${id}] +${elapsed}ms ${label}` : `[Perf:${id}] ${label}`
-			console.log(msg, Object.keys(extra).length ? extra : '')
+			_out(id, msg, extra)
 		},
 		end(label) {
 			if (!isEnabled()) return
 			const elapsed = _start != null ? (performance.now() - _start).toFixed(1) : null
-			console.log(`[Perf:${id}] END ${label} total=${elapsed}ms`)
+			_out(id, `[Perf:${id}] END ${label} total=${elapsed}ms`, { totalMs: Number(elapsed) })
 			_start = null
 		},
 		/** @param {string} label @param {number} ms @param {Record<string, unknown>} [extra] */
 		timing(label, ms, extra = {}) {
 			if (!isEnabled()) return
-			const suffix = Object.keys(extra).length ? ` ${JSON.stringify(extra)}` : ''
-			console.log(`[Perf:${id}] ${label}: ${ms}ms${suffix}`)
+			_out(id, `[Perf:${id}] ${label}: ${ms}ms`, { ms, ...extra })
 		},
 		async measure(label, fn) {
 			if (!isEnabled()) return fn()
@@ -73,7 +84,7 @@ export function createPerfTracer(scope, name) {
 				elapsed != null
 					? `[Perf:${id}] +${elapsed}ms ${label}: ${ms}ms`
 					: `[Perf:${id}] ${label}: ${ms}ms`
-			console.log(msg, '')
+			_out(id, msg, { ms: Number(ms) })
 			return result
 		},
 	}
@@ -102,6 +113,5 @@ export function isStorageOpfsPerfEnabled() {
  */
 export function logStorageOpfsStep(step, ms, extra = {}) {
 	if (!isStorageOpfsPerfEnabled()) return
-	const suffix = Object.keys(extra).length ? ` ${JSON.stringify(extra)}` : ''
-	console.log(`[Perf:storage:opfs] OPFS.${step}: ${ms}ms${suffix}`)
+	_out('storage:opfs', `[Perf:storage:opfs] OPFS.${step}: ${ms}ms`, { ms, ...extra })
 }
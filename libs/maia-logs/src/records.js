@@ -0,0 +1,150 @@
+/**
+ * Structured log records + pluggable sinks.
+ *
+ * Every PERF / TRACE / DEBUG / OPS line that reaches the console is also emitted as a record to
+ * the registered sinks (same gating - nothing is recorded that is not printed). Records carry
+ * correlation ids so one actor, process or inbox event can be followed across channels.
+ *
+ * A sink is `{ write(record) }`; see ./sinks for ring buffer, CoStream and NDJSON file sinks.
+ */
+
+/**
+ * @typedef {Object} LogRecord
+ * @property {string} id - unique per record (session prefix + sequence), used to merge sources
+ * @property {number} ts - epoch ms
+ * @property {'log'|'warn'|'error'} level
+ * @property {'perf'|'trace'|'debug'|'ops'} channel
+ * @property {string} scope - e.g. `view`, `inbox`, `engines:pipeline`, `peer`
+ * @property {string} message
+ * @property {Object} [data] - JSON-safe detail
+ * @property {string} [actorId]
+ * @property {string} [processId]
+ * @property {string} [eventId] - inbox message co-id
+ */
+
+/**
+ * @typedef {Object} LogFilter
+ * @property {string|string[]} [channel]
+ * @property {string|string[]} [level]
+ * @property {string} [scope] - prefix match
+ * @property {string} [actorId]
+ * @property {string} [processId]
+ * @property {string} [eventId]
+ * @property {number} [since] - epoch ms, inclusive
+ * @property {number} [until] - epoch ms, exclusive
+ * @property {string} [text] - case-insensitive substring of message + data
+ * @property {number} [limit] - newest N after filtering
+ */
+
+const _sinks = new Set()
+const _sessionPrefix = Math.random().toString(36).slice(2, 10)
+let _seq = 0
+
+/**
+ * Register a sink. Returns a remove function.
+ * @param {{ write: (record: LogRecord) => void }} sink
+ * @returns {() => void}
+ */
+export function addLogSink(sink) {
+	if (!sink || typeof sink.write !== 'function') {
+		throw new Error('[logs] addLogSink: sink must have write(record)')
+	}
+	_sinks.add(sink)
+	return () => _sinks.delete(sink)
+}
+
+/** @returns {boolean} */
+export function hasLogSinks() {
+	return _sinks.size > 0
+}
+
+function toJsonSafe(value) {
+	if (value == null) return undefined
+	try {
+		return JSON.parse(JSON.stringify(value))
+	} catch {
+		return { unserializable: String(value) }
+	}
+}
+
+/**
+ * Build a record (id + timestamp assigned here).
+ * @param {Omit<LogRecord, 'id'|'ts'> & { ts?: number }} fields
+ * @returns {LogRecord}
+ */
+export function createLogRecord({ channel, level = 'log', scope, message, data, ...ids }) {
+	const record = {
+		id: `${_sessionPrefix}-${++_seq}`,
+		ts: ids.ts ?? Date.now(),
+		level,
+		channel,
+		scope: String(scope ?? ''),
+		message: String(message ?? ''),
+	}
+	const safe = toJsonSafe(data)
+	if (safe !== undefined && !(typeof safe === 'object' && Object.keys(safe).length === 0)) {
+		record.data = safe
+	}
+	for (const key of ['actorId', 'processId', 'eventId']) {
+		if (typeof ids[key] === 'string' && ids[key]) record[key] = ids[key]
+	}
+	return record
+}
+
+/**
+ * Create a record and hand it to every sink. A failing sink never breaks the caller.
+ * @param {Parameters<typeof createLogRecord>[0]} fields
+ */
+export function emitLogRecord(fields) {
+	if (_sinks.size === 0) return
+	const record = createLogRecord(fields)
+	for (const sink of _sinks) {
+		try {
+			sink.write(record)
+		} catch {}
+	}
+}
+
+// Empty values mean "no constraint", so view filters can bind straight to blank inputs
+const asList = (v) => (v == null || v === '' ? null : Array.isArray(v) ? v : [v])
+
+/**
+ * @param {LogRecord} record
+ * @param {LogFilter} [filter]
+ * @returns {boolean}
+ */
+export function matchesLogFilter(record, filter = {}) {
+	const channels = asList(filter.channel)
+	if (channels && !channels.includes(record.channel)) return false
+	const levels = asList(filter.level)
+	if (levels && !levels.includes(record.level)) return false
+	if (filter.scope && !record.scope?.startsWith(filter.scope)) return false
+	for (const key of ['actorId', 'processId', 'eventId']) {
+		if (filter[key] && record[key] !== filter[key]) return false
+	}
+	if (typeof filter.since === 'number' && record.ts < filter.since) return false
+	if (typeof filter.until === 'number' && record.ts >= filter.until) return false
+	if (filter.text) {
+		const haystack = `${record.message} ${record.data ? JSON.stringify(record.data) : ''}`
+		if (!haystack.toLowerCase().includes(String(filter.text).toLowerCase())) return false
+	}
+	return true
+}
+
+/**
+ * Filter, de-duplicate (by id), sort by time and keep the newest `limit`.
+ * @param {Iterable<LogRecord>} records
+ * @param {LogFilter} [filter]
+ * @returns {LogRecord[]}
+ */
+export function queryLogRecords(records, filter = {}) {
+	const byId = new Map()
+	for (const record of records) {
+		if (record?.id && !byId.has(record.id) && matchesLogFilter(record, filter)) {
+			byId.set(record.id, record)
+		}
+	}
+	const sorted = [...byId.values()].sort((a, b) => a.ts - b.ts)
+	const limit = Number(filter.limit)
+	return limit > 0 && sorted.length > limit ? sorted.slice(-limit) : sorted
+}
@@ -0,0 +1,11 @@
+/**
+ * Session log — ring buffer sink registered on import, so the current session's records can be
+ * queried (logs vibe, bug reports) without any setup.
+ */
+
+import { addLogSink } from './records.js'
+import { createRingBufferSink } from './sinks/ring-buffer.js'
+
+export const sessionLogBuffer = createRingBufferSink({ capacity: 2000 })
+
+addLogSink(sessionLogBuffer)
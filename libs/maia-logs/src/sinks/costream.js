@@ -0,0 +1,64 @@
+/**
+ * CoStream sink — appends records to a CoStream so they sync with the account and survive the
+ * session (the runtime creates one per session in the account's own °maia spark and keeps the
+ * newest few, see `LOG_MODE=persist`).
+ *
+ * Takes the raw CoStream content (anything with `push(item)`); pushing raw keeps logging
+ * synchronous and out of the DataEngine, which would otherwise log its own writes.
+ */
+
+/**
+ * Default filter for persisted records: OPS lines plus warnings and errors from any channel.
+ * PERF timings and TRACE/DEBUG detail stay in the session buffer. Storage records never persist:
+ * every push is a storage write, and its record would be pushed again.
+ * @param {import('../records.js').LogRecord} record
+ * @returns {boolean}
+ */
+export function isPersistedLogRecord(record) {
+	if (/^storage\b/i.test(record?.scope ?? '')) return false
+	return record.channel === 'ops' || record.level === 'warn' || record.level === 'error'
+}
+
+/**
+ * @param {{ push: (item: Object) => void }} stream
+ * @param {{ filter?: (record: import('../records.js').LogRecord) => boolean }} [options] - defaults
+ *   to {@link isPersistedLogRecord}; storage records are dropped whatever the filter says
+ */
+export function createCoStreamSink(stream, { filter = isPersistedLogRecord } = {}) {
+	if (typeof stream?.push !== 'function') {
+		throw new Error('[logs] createCoStreamSink: stream must have push(item)')
+	}
+	let pushing = false
+	return {
+		write(record) {
+			// Records emitted while pushing come from the push itself
+			if (pushing || /^storage\b/i.test(record?.scope ?? '')) return
+			if (!filter(record)) return
+			pushing = true
+			try {
+				stream.push(record)
+			} finally {
+				pushing = false
+			}
+		},
+	}
+}
+
+/**
+ * All records in a CoStream (every session), oldest first.
+ * @param {{ toJSON: () => Object }} stream - CoStream content
+ * @returns {import('../records.js').LogRecord[]}
+ */
+export function readCoStreamLogRecords(stream) {
+	const bySession = stream?.toJSON?.() ?? {}
+	const records = []
+	for (const items of Object.values(bySession)) {
+		if (!Array.isArray(items)) continue
+		for (const item of items) {
+			if (item && typeof item === 'object' && item.id && typeof item.ts === 'number') {
+				records.push(item)
+			}
+		}
+	}
+	return records.sort((a, b) => a.ts - b.ts)
+}
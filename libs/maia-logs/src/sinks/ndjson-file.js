@@ -0,0 +1,45 @@
+/**
+ * NDJSON file sink (Node / Bun only) — one JSON record per line, appended synchronously so the
+ * tail of the file survives a crash. Rotates to `<file>.1` once the file passes `maxBytes`.
+ *
+ * Import from `@MaiaOS/logs/ndjson-file-sink` (kept off the main entry so browsers never load node:fs).
+ */
+
+import { appendFileSync, existsSync, readFileSync, renameSync, statSync } from 'node:fs'
+
+/**
+ * @param {string} filePath
+ * @param {{ maxBytes?: number }} [options]
+ */
+export function createNdjsonFileSink(filePath, { maxBytes = 10 * 1024 * 1024 } = {}) {
+	let size = existsSync(filePath) ? statSync(filePath).size : 0
+	return {
+		write(record) {
+			const line = `${JSON.stringify(record)}\n`
+			const bytes = Buffer.byteLength(line)
+			if (maxBytes > 0 && size > 0 && size + bytes > maxBytes) {
+				renameSync(filePath, `${filePath}.1`)
+				size = 0
+			}
+			appendFileSync(filePath, line)
+			size += bytes
+		},
+	}
+}
+
+/**
+ * Read records back (skips lines that are not valid JSON, e.g. a torn last line).
+ * @param {string} filePath
+ * @returns {import('../records.js').LogRecord[]}
+ */
+export function readNdjsonLogRecords(filePath) {
+	if (!existsSync(filePath)) return []
+	const records = []
+	for (const line of readFileSync(filePath, 'utf8').split('\n')) {
+		if (!line.trim()) continue
+		try {
+			records.push(JSON.parse(line))
+		} catch {}
+	}
+	return records
+}
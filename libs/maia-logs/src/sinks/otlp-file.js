@@ -0,0 +1,32 @@
+/**
+ * OTLP/JSON file exporter (Node / Bun only) — one ExportTraceServiceRequest per line, the format
+ * the OpenTelemetry Collector `otlpjsonfile` receiver reads. Rotates to `<file>.1` past `maxBytes`.
+ *
+ * Import from `@MaiaOS/logs/otlp-file-exporter` (kept off the main entry so browsers never load node:fs).
+ */
+
+import { appendFileSync, existsSync, renameSync, statSync } from 'node:fs'
+import { toOtlpJson } from '../spans.js'
+
+/**
+ * @param {string} filePath
+ * @param {{ serviceName?: string, maxBytes?: number }} [options]
+ */
+export function createOtlpFileExporter(
+	filePath,
+	{ serviceName = 'maia', maxBytes = 10 * 1024 * 1024 } = {},
+) {
+	let size = existsSync(filePath) ? statSync(filePath).size : 0
+	return {
+		export(spans) {
+			const line = `${JSON.stringify(toOtlpJson(spans, { serviceName }))}\n`
+			const bytes = Buffer.byteLength(line)
+			if (maxBytes > 0 && size > 0 && size + bytes > maxBytes) {
+				renameSync(filePath, `${filePath}.1`)
+				size = 0
+			}
+			appendFileSync(filePath, line)
+			size += bytes
+		},
+	}
+}
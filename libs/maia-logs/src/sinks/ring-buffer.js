@@ -0,0 +1,29 @@
+/**
+ * Ring buffer sink — keeps the newest `capacity` records of this session in memory.
+ */
+
+import { queryLogRecords } from '../records.js'
+
+/**
+ * @param {{ capacity?: number }} [options]
+ */
+export function createRingBufferSink({ capacity = 2000 } = {}) {
+	const buffer = []
+	return {
+		write(record) {
+			buffer.push(record)
+			if (buffer.length > capacity) buffer.splice(0, buffer.length - capacity)
+		},
+		/** @returns {import('../records.js').LogRecord[]} oldest first */
+		records() {
+			return [...buffer]
+		},
+		/** @param {import('../records.js').LogFilter} [filter] */
+		query(filter) {
+			return queryLogRecords(buffer, filter)
+		},
+		clear() {
+			buffer.length = 0
+		},
+	}
+}
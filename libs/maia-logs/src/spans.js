@@ -0,0 +1,305 @@
+/**
+ * Spans — OpenTelemetry-compatible tracing of actor message flows.
+ *
+ * A span covers one step (deliver an event, process it, run a DataEngine op). Its context travels
+ * as a W3C `traceparent` string: on the inbox message CoMap between actors (so it crosses peers
+ * with the message), and explicitly between engines within one actor. Finished spans go to
+ * `sessionSpanBuffer` (logs vibe waterfall) and to registered exporters as OTLP/JSON.
+ *
+ * Spans are recorded while TRACE is on, an OTLP endpoint is configured (`LOG_MODE=otlp`) or an
+ * exporter is registered; otherwise startSpan returns a no-op span.
+ */
+
+import { getOtlpEndpoint, isTraceEnabledFromConfig } from './log-config.js'
+
+/** OTLP span kinds */
+export const SPAN_KIND = Object.freeze({
+	INTERNAL: 1,
+	SERVER: 2,
+	CLIENT: 3,
+	PRODUCER: 4,
+	CONSUMER: 5,
+})
+
+/** OTLP status codes */
+export const SPAN_STATUS = Object.freeze({ UNSET: 0, OK: 1, ERROR: 2 })
+
+const TRACEPARENT = /^00-([0-9a-f]{32})-([0-9a-f]{16})-[0-9a-f]{2}$/
+const BUFFER_CAPACITY = 2000
+
+const _exporters = new Set()
+const _buffer = []
+
+function randomHex(bytes) {
+	const buf = crypto.getRandomValues(new Uint8Array(bytes))
+	return Array.from(buf, (b) => b.toString(16).padStart(2, '0')).join('')
+}
+
+function nowMs() {
+	return typeof performance !== 'undefined' && performance.timeOrigin
+		? performance.timeOrigin + performance.now()
+		: Date.now()
+}
+
+/**
+ * @param {{ traceId: string, spanId: string }} context
+ * @returns {string} W3C traceparent (sampled)
+ */
+export function formatTraceparent({ traceId, spanId }) {
+	return `00-${traceId}-${spanId}-01`
+}
+
+/**
+ * @param {string|undefined|null} traceparent
+ * @returns {{ traceId: string, spanId: string }|null}
+ */
+export function parseTraceparent(traceparent) {
+	const m = typeof traceparent === 'string' ? TRACEPARENT.exec(traceparent) : null
+	return m ? { traceId: m[1], spanId: m[2] } : null
+}
+
+/** @returns {boolean} */
+export function isSpanTracingEnabled() {
+	return isTraceEnabledFromConfig() || getOtlpEndpoint() != null || _exporters.size > 0
+}
+
+/**
+ * Register an exporter `{ export(spans) }`; it receives each finished span (in a one-element array).
+ * @returns {() => void} remove function
+ */
+export function addSpanExporter(exporter) {
+	if (!exporter || typeof exporter.export !== 'function') {
+		throw new Error('[logs] addSpanExporter: exporter must have export(spans)')
+	}
+	_exporters.add(exporter)
+	return () => _exporters.delete(exporter)
+}
+
+const NOOP_SPAN = Object.freeze({
+	traceparent: undefined,
+	traceId: undefined,
+	setAttribute() {},
+	end() {},
+})
+
+function finish(span) {
+	_buffer.push(span)
+	if (_buffer.length > BUFFER_CAPACITY) _buffer.splice(0, _buffer.length - BUFFER_CAPACITY)
+	for (const exporter of _exporters) {
+		try {
+			exporter.export([span])
+		} catch {}
+	}
+}
+
+/**
+ * Start a span. `parent` is a traceparent string (or a span); without one a new trace starts.
+ * @param {string} name - e.g. `deliver CREATE_TODO`, `process CREATE_TODO`, `op update`
+ * @param {{ parent?: string|Object, kind?: number, attributes?: Object }} [options]
+ * @returns {{ traceparent: string|undefined, traceId: string|undefined, setAttribute: Function, end: (opts?: { error?: unknown }) => void }}
+ */
+export function startSpan(name, { parent, kind = SPAN_KIND.INTERNAL, attributes = {} } = {}) {
+	if (!isSpanTracingEnabled()) return NOOP_SPAN
+	const parentContext = parseTraceparent(typeof parent === 'string' ? parent : parent?.traceparent)
+	const traceId = parentContext?.traceId ?? randomHex(16)
+	const spanId = randomHex(8)
+	let ended = false
+	const span = {
+		traceId,
+		spanId,
+		parentSpanId: parentContext?.spanId,
+		name,
+		kind,
+		startMs: nowMs(),
+		endMs: null,
+		attributes: { ...attributes },
+		status: { code: SPAN_STATUS.UNSET },
+		traceparent: formatTraceparent({ traceId, spanId }),
+		setAttribute(key, value) {
+			if (value !== undefined) span.attributes[key] = value
+		},
+		end({ error } = {}) {
+			if (ended) return
+			ended = true
+			span.endMs = nowMs()
+			if (error) {
+				span.status = { code: SPAN_STATUS.ERROR, message: String(error?.message ?? error) }
+			}
+			finish(span)
+		},
+	}
+	return span
+}
+
+/**
+ * Run fn inside a span that ends when fn settles (error status when it throws).
+ * @template T
+ * @param {string} name
+ * @param {Parameters<typeof startSpan>[1]} options
+ * @param {(span: ReturnType<typeof startSpan>) => Promise<T>} fn
+ * @returns {Promise<T>}
+ */
+export async function withSpan(name, options, fn) {
+	const span = startSpan(name, options)
+	try {
+		const result = await fn(span)
+		span.end()
+		return result
+	} catch (error) {
+		span.end({ error })
+		throw error
+	}
+}
+
+/** Finished spans of this session, oldest first. */
+export const sessionSpanBuffer = {
+	spans: () => [..._buffer],
+	clear: () => {
+		_buffer.length = 0
+	},
+}
+
+function otlpValue(value) {
+	if (typeof value === 'boolean') return { boolValue: value }
+	if (typeof value === 'number') {
+		return Number.isInteger(value) ? { intValue: String(value) } : { doubleValue: value }
+	}
+	return { stringValue: String(value) }
+}
+
+function otlpAttributes(attributes) {
+	return Object.entries(attributes ?? {})
+		.filter(([, v]) => v != null)
+		.map(([key, value]) => ({ key, value: otlpValue(value) }))
+}
+
+function unixNano(ms) {
+	return (BigInt(Math.round(ms * 1000)) * 1000n).toString()
+}
+
+/**
+ * OTLP/JSON ExportTraceServiceRequest for finished spans.
+ * @param {Object[]} spans
+ * @param {{ serviceName?: string }} [options]
+ */
+export function toOtlpJson(spans, { serviceName = 'maia' } = {}) {
+	return {
+		resourceSpans: [
+			{
+				resource: { attributes: otlpAttributes({ 'service.name': serviceName }) },
+				scopeSpans: [
+					{
+						scope: { name: '@MaiaOS/logs' },
+						spans: spans.map((span) => ({
+							traceId: span.traceId,
+							spanId: span.spanId,
+							...(span.parentSpanId ? { parentSpanId: span.parentSpanId } : {}),
+							name: span.name,
+							kind: span.kind,
+							startTimeUnixNano: unixNano(span.startMs),
+							endTimeUnixNano: unixNano(span.endMs ?? span.startMs),
+							attributes: otlpAttributes(span.attributes),
+							status: span.status,
+						})),
+					},
+				],
+			},
+		],
+	}
+}
+
+/**
+ * Batching OTLP/HTTP (JSON) exporter, e.g. to an OpenTelemetry Collector or Jaeger on :4318.
+ * @param {string} url - traces endpoint (`…/v1/traces`)
+ * @param {{ serviceName?: string, batchMs?: number, fetchImpl?: typeof fetch }} [options]
+ */
+export function createOtlpHttpExporter(
+	url,
+	{ serviceName = 'maia', batchMs = 1000, fetchImpl = globalThis.fetch } = {},
+) {
+	let pending = []
+	let timer = null
+	const flush = async () => {
+		clearTimeout(timer)
+		timer = null
+		if (pending.length === 0) return
+		const batch = pending
+		pending = []
+		try {
+			await fetchImpl(url, {
+				method: 'POST',
+				headers: { 'Content-Type': 'application/json' },
+				body: JSON.stringify(toOtlpJson(batch, { serviceName })),
+			})
+		} catch {}
+	}
+	return {
+		export(spans) {
+			pending.push(...spans)
+			timer ??= setTimeout(flush, batchMs)
+		},
+		flush,
+	}
+}
+
+/**
+ * Traces of this session for a waterfall: newest first, each with its spans laid out relative to
+ * the trace start (`offsetPct` / `widthPct` of the trace duration, `depth` in the span tree).
+ * `barStyle` / `indentStyle` carry the same layout as inline styles, for views to bind directly.
+ * @param {Object[]} spans - finished spans (sessionSpanBuffer.spans())
+ * @param {{ traceId?: string, limit?: number }} [filter]
+ */
+export function buildTraceWaterfall(spans, { traceId, limit = 50 } = {}) {
+	const byTrace = new Map()
+	for (const span of spans) {
+		if (traceId && span.traceId !== traceId) continue
+		if (!byTrace.has(span.traceId)) byTrace.set(span.traceId, [])
+		byTrace.get(span.traceId).push(span)
+	}
+	const traces = []
+	for (const [id, list] of byTrace) {
+		list.sort((a, b) => a.startMs - b.startMs)
+		const start = list[0].startMs
+		const end = Math.max(...list.map((s) => s.endMs ?? s.startMs))
+		const duration = Math.max(end - start, 0.001)
+		const ids = new Set(list.map((s) => s.spanId))
+		const depthOf = new Map()
+		const depth = (span) => {
+			if (depthOf.has(span.spanId)) return depthOf.get(span.spanId)
+			const parent = ids.has(span.parentSpanId)
+				? list.find((s) => s.spanId === span.parentSpanId)
+				: null
+			const d = parent ? depth(parent) + 1 : 0
+			depthOf.set(span.spanId, d)
+			return d
+		}
+		const root = list.find((s) => !ids.has(s.parentSpanId)) ?? list[0]
+		traces.push({
+			traceId: id,
+			name: root.name,
+			startMs: start,
+			durationMs: Number((end - start).toFixed(2)),
+			spanCount: list.length,
+			hasError: list.some((s) => s.status?.code === SPAN_STATUS.ERROR),
+			spans: list.map((span) => {
+				const offsetPct = ((span.startMs - start) / duration) * 100
+				const widthPct = Math.max((((span.endMs ?? span.startMs) - span.startMs) / duration) * 100, 0.5)
+				const d = depth(span)
+				return {
+					spanId: span.spanId,
+					name: span.name,
+					depth: d,
+					durationMs: Number(((span.endMs ?? span.startMs) - span.startMs).toFixed(2)),
+					offsetPct: Number(offsetPct.toFixed(2)),
+					widthPct: Number(widthPct.toFixed(2)),
+					barStyle: `margin-left: ${offsetPct.toFixed(2)}%; width: ${widthPct.toFixed(2)}%`,
+					indentStyle: `padding-left: ${d * 0.75}rem`,
+					status: span.status?.code === SPAN_STATUS.ERROR ? 'error' : 'ok',
+					attributes: span.attributes,
+				}
+			}),
+		})
+	}
+	traces.sort((a, b) => b.startMs - a.startMs)
+	return limit > 0 ? traces.slice(0, limit) : traces
+}
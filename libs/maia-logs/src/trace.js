@@ -1,8 +1,10 @@
 /**
- * TRACE — gated by `LOG_MODE` (`trace.all` / `trace.scope`); in-memory only.
+ * TRACE — gated by `LOG_MODE` (`trace.all` / `trace.scope`). Printed to the console and emitted
+ * as records (full actor / process / event ids) to any registered sink (./records.js).
  */
 
 import { isTraceEnabledFromConfig } from './log-config.js'
+import { emitLogRecord } from './records.js'
 
 /** @deprecated Gating uses `LOG_MODE` only; kept for doc / search. */
 export const TRACE_STORAGE_KEY = 'maia:debug:trace'
@@ -23,7 +25,52 @@ function _short(id) {
 	return id ? `${id.slice(0, 12)}...` : '-'
 }
 
-function _detectLoop(from, to, type) {
+/**
+ * @param {string} scope
+ * @param {string} message - console tag, e.g. `[Trace:View]`
+ * @param {Object} data - what the console line shows
+ * @param {{ actorId?: string, processId?: string, eventId?: string, level?: string }} [ids]
+ */
+function _emit(scope, message, data, ids = {}) {
+	const { level = 'log', ...correlation } = ids
+	if (level === 'warn') console.warn(message, data)
+	else console.log(message, data)
+	emitLogRecord({ channel: 'trace', level, scope, message, data, ...correlation })
+}
+
+/** traceId → (edge → hops); bounded, oldest trace dropped first */
+const _traceEdges = new Map()
+const MAX_TRACKED_TRACES = 200
+
+function _warnLoop(from, to, type, count) {
+	_emit(
+		'loop',
+		'[Trace] possible message loop',
+		{ type, from: _short(from), to: _short(to), count },
+		{ actorId: from, level: 'warn' },
+	)
+}
+
+/**
+ * Same edge + type repeated within one trace (span context on the message) is a loop for sure;
+ * messages without a trace fall back to the time-window heuristic over recent deliveries.
+ */
+function _detectLoop(from, to, type, traceId) {
+	if (traceId) {
+		let edges = _traceEdges.get(traceId)
+		if (!edges) {
+			edges = new Map()
+			_traceEdges.set(traceId, edges)
+			if (_traceEdges.size > MAX_TRACKED_TRACES) {
+				_traceEdges.delete(_traceEdges.keys().next().value)
+			}
+		}
+		const edge = `${[from, to].sort().join('|')}:${type}`
+		const count = (edges.get(edge) ?? 0) + 1
+		edges.set(edge, count)
+		if (count === LOOP_THRESHOLD) _warnLoop(from, to, type, count)
+		return
+	}
 	const now = Date.now()
 	_recent.push({ from, to, type, ts: now })
 	while (_recent.length > 20) _recent.shift()
@@ -33,31 +80,45 @@ function _detectLoop(from, to, type) {
 			((d.from === from && d.to === to) || (d.from === to && d.to === from)) &&
 			now - d.ts < LOOP_WINDOW_MS,
 	).length
-	if (count >= LOOP_THRESHOLD) {
-		console.warn('[Trace] possible message loop', { type, from: _short(from), to: _short(to), count })
-	}
+	if (count >= LOOP_THRESHOLD) _warnLoop(from, to, type, count)
 }
 
 export function traceView(eventName, actorId) {
 	if (!isTraceEnabled()) return
-	console.log('[Trace:View]', { event: eventName, actor: _short(actorId) })
+	_emit('view', '[Trace:View]', { event: eventName, actor: _short(actorId) }, { actorId })
 }
 
-export function traceInbox(senderId, targetId, type) {
+/**
+ * @param {string} senderId
+ * @param {string} targetId
+ * @param {string} type
+ * @param {string} [traceId] - span trace id of the delivery (precise loop detection)
+ */
+export function traceInbox(senderId, targetId, type, traceId) {
 	if (!isTraceEnabled()) return
-	_detectLoop(senderId, targetId, type)
-	console.log('[Trace:Inbox]', { type, from: _short(senderId), to: _short(targetId) })
+	_detectLoop(senderId, targetId, type, traceId)
+	_emit(
+		'inbox',
+		'[Trace:Inbox]',
+		{ type, from: _short(senderId), to: _short(targetId), ...(traceId ? { traceId } : {}) },
+		{ actorId: targetId },
+	)
 }
 
 export function traceProcess(processId, event, source, guardPassed) {
 	if (!isTraceEnabled()) return
 	const actorId = processId?.replace(/_process$/, '')
-	console.log('[Trace:Process]', {
-		event,
-		actor: _short(actorId),
-		source: _short(source),
-		guardPassed: guardPassed ?? '-',
-	})
+	_emit(
+		'process',
+		'[Trace:Process]',
+		{
+			event,
+			actor: _short(actorId),
+			source: _short(source),
+			guardPassed: guardPassed ?? '-',
+		},
+		{ actorId, processId },
+	)
 }
 
 export function traceContextOnError(actorId, context) {
@@ -69,7 +130,12 @@ export function traceContextOnError(actorId, context) {
 		for (const k of ['phase', 'hasError', 'error', 'inputValue', 'isLoading', 'pendingInputText']) {
 			if (k in val) snapshot[k] = val[k]
 		}
-		console.log('[Trace:Context] ERROR state', { actor: _short(actorId), ...snapshot })
+		_emit(
+			'context',
+			'[Trace:Context] ERROR state',
+			{ actor: _short(actorId), ...snapshot },
+			{ actorId },
+		)
 	} catch {}
 }
 
@@ -81,15 +147,20 @@ export function traceInboxFilter(detail) {
 	if (!isTraceEnabled()) return
 	const { decision, messageType, messageCoId, messageSessionId, currentSessionId, actorId, reason } =
 		detail
-	console.log('[Trace:Inbox:Filter]', {
-		decision,
-		messageType,
-		messageCoId: _short(messageCoId),
-		messageSessionId: messageSessionId != null ? _short(String(messageSessionId)) : null,
-		currentSessionId: currentSessionId != null ? _short(String(currentSessionId)) : null,
-		actorId: actorId != null ? _short(actorId) : null,
-		reason: reason ?? '-',
-	})
+	_emit(
+		'inbox:filter',
+		'[Trace:Inbox:Filter]',
+		{
+			decision,
+			messageType,
+			messageCoId: _short(messageCoId),
+			messageSessionId: messageSessionId != null ? _short(String(messageSessionId)) : null,
+			currentSessionId: currentSessionId != null ? _short(String(currentSessionId)) : null,
+			actorId: actorId != null ? _short(actorId) : null,
+			reason: reason ?? '-',
+		},
+		{ actorId, eventId: messageCoId },
+	)
 }
 
 /**
@@ -98,12 +169,17 @@ export function traceInboxFilter(detail) {
 export function traceProcessOp(detail) {
 	if (!isTraceEnabled()) return
 	const { opKey, factory, hasIdempotencyKey, processId } = detail
-	console.log('[Trace:Process:Op]', {
-		opKey,
-		factory: typeof factory === 'string' ? factory.slice(0, 40) : factory,
-		hasIdempotencyKey: hasIdempotencyKey ?? false,
-		processId: processId != null ? String(processId).slice(0, 36) : '-',
-	})
+	_emit(
+		'process:op',
+		'[Trace:Process:Op]',
+		{
+			opKey,
+			factory: typeof factory === 'string' ? factory.slice(0, 40) : factory,
+			hasIdempotencyKey: hasIdempotencyKey ?? false,
+			processId: processId != null ? String(processId).slice(0, 36) : '-',
+		},
+		{ processId: processId != null ? String(processId) : undefined },
+	)
 }
 
 /**
@@ -112,7 +188,7 @@ export function traceProcessOp(detail) {
 export function traceDataCreate(detail) {
 	if (!isTraceEnabled()) return
 	const { factory, idempotencyKey, deduplicated } = detail
-	console.log('[Trace:Data:Create]', {
+	_emit('data:create', '[Trace:Data:Create]', {
 		factory: typeof factory === 'string' ? factory.slice(0, 40) : factory,
 		idempotencyKey: idempotencyKey != null ? _short(String(idempotencyKey)) : null,
 		deduplicated: deduplicated ?? false,
@@ -125,12 +201,17 @@ export function traceDataCreate(detail) {
 export function traceRuntimeProcess(detail) {
 	if (!isTraceEnabled()) return
 	const { inboxCoId, actorId, messageCount, runtimeType } = detail
-	console.log('[Trace:Runtime:Process]', {
-		inboxCoId: _short(inboxCoId),
-		actorId: _short(actorId),
-		messageCount,
-		runtimeType: runtimeType ?? '-',
-	})
+	_emit(
+		'runtime:process',
+		'[Trace:Runtime:Process]',
+		{
+			inboxCoId: _short(inboxCoId),
+			actorId: _short(actorId),
+			messageCount,
+			runtimeType: runtimeType ?? '-',
+		},
+		{ actorId },
+	)
 }
 
 /**
@@ -139,7 +220,12 @@ export function traceRuntimeProcess(detail) {
 export function traceViewDeliver(detail) {
 	if (!isTraceEnabled()) return
 	const { actorId, eventName } = detail
-	console.log('[Trace:View:Deliver]', { event: eventName, actor: _short(actorId) })
+	_emit(
+		'view:deliver',
+		'[Trace:View:Deliver]',
+		{ event: eventName, actor: _short(actorId) },
+		{ actorId },
+	)
 }
 
 /**
@@ -148,11 +234,16 @@ export function traceViewDeliver(detail) {
 export function traceActorProcessEvents(detail) {
 	if (!isTraceEnabled()) return
 	const { actorId, messageType, source, messageCoId, outcome } = detail
-	console.log('[Trace:Actor:ProcessEvents]', {
-		actor: _short(actorId),
-		messageType,
-		source: source != null ? _short(source) : null,
-		messageCoId: _short(messageCoId),
-		outcome,
-	})
+	_emit(
+		'actor:process-events',
+		'[Trace:Actor:ProcessEvents]',
+		{
+			actor: _short(actorId),
+			messageType,
+			source: source != null ? _short(source) : null,
+			messageCoId: _short(messageCoId),
+			outcome,
+		},
+		{ actorId, eventId: messageCoId },
+	)
 }
@@ -0,0 +1,141 @@
+import { afterEach, describe, expect, spyOn, test } from 'bun:test'
+import { mkdtempSync, rmSync } from 'node:fs'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import {
+	addLogSink,
+	applyLogModeFromEnv,
+	createCoStreamSink,
+	createOpsLogger,
+	createRingBufferSink,
+	isLogPersistenceEnabled,
+	isPersistedLogRecord,
+	queryLogRecords,
+	readCoStreamLogRecords,
+	sessionLogBuffer,
+	traceProcess,
+} from '../src/index.js'
+import { createNdjsonFileSink, readNdjsonLogRecords } from '../src/sinks/ndjson-file.js'
+
+/** CoStream content stand-in: push appends to this session, toJSON groups by session */
+function fakeStream(sessions = {}) {
+	const mine = []
+	return {
+		push: (item) => mine.push(item),
+		toJSON: () => ({ ...sessions, me_session: mine }),
+	}
+}
+
+const cleanups = []
+afterEach(() => {
+	for (const cleanup of cleanups.splice(0)) cleanup()
+	applyLogModeFromEnv('')
+})
+
+describe('log records', () => {
+	test('trace records carry actor and process ids and can be filtered by them', () => {
+		spyOn(console, 'log').mockImplementation(() => {})
+		const ring = createRingBufferSink()
+		cleanups.push(addLogSink(ring), () => console.log.mockRestore())
+		applyLogModeFromEnv('trace.all')
+
+		traceProcess('co_zActorA_process', 'CREATE_TODO', 'co_zSender', true)
+		traceProcess('co_zActorB_process', 'TOGGLE', 'co_zSender', true)
+
+		const [record] = ring.query({ actorId: 'co_zActorA' })
+		expect(record).toMatchObject({
+			channel: 'trace',
+			scope: 'process',
+			actorId: 'co_zActorA',
+			processId: 'co_zActorA_process',
+		})
+		expect(record.data.event).toBe('CREATE_TODO')
+		expect(ring.query({ text: 'toggle' })).toHaveLength(1)
+		expect(sessionLogBuffer.query({ actorId: 'co_zActorB' }).length).toBeGreaterThan(0)
+	})
+
+	test('ops lines become records with printf args substituted', () => {
+		spyOn(console, 'warn').mockImplementation(() => {})
+		const ring = createRingBufferSink({ capacity: 2 })
+		cleanups.push(addLogSink(ring), () => console.warn.mockRestore())
+		const ops = createOpsLogger('sync')
+
+		ops.warn('peer %s dropped', 'p1', { code: 1006 })
+		ops.warn('second')
+		ops.warn('third')
+
+		const records = ring.records()
+		expect(records.map((r) => r.message)).toEqual(['[sync] second', '[sync] third'])
+		expect(ring.query({ level: 'warn', scope: 'sync', limit: 1 })[0].message).toBe('[sync] third')
+		const first = sessionLogBuffer.query({ text: 'dropped' }).at(-1)
+		expect(first).toMatchObject({
+			message: '[sync] peer p1 dropped',
+			data: { args: [{ code: 1006 }] },
+		})
+	})
+
+	test('queryLogRecords merges sources by id and keeps the newest limit', () => {
+		const a = { id: 'a', ts: 1, channel: 'ops', level: 'log', scope: 's', message: 'one' }
+		const b = { id: 'b', ts: 3, channel: 'perf', level: 'log', scope: 's', message: 'two' }
+		const c = { id: 'c', ts: 2, channel: 'ops', level: 'error', scope: 's', message: 'three' }
+		expect(queryLogRecords([b, a, c, a], {}).map((r) => r.id)).toEqual(['a', 'c', 'b'])
+		expect(queryLogRecords([a, b, c], { channel: '', limit: 2 }).map((r) => r.id)).toEqual(['c', 'b'])
+		expect(queryLogRecords([a, b, c], { channel: ['ops'], since: 2 }).map((r) => r.id)).toEqual(['c'])
+	})
+})
+
+describe('log sinks', () => {
+	test('CoStream sink appends records readable across sessions', () => {
+		const older = { id: 'x-1', ts: 5, channel: 'ops', level: 'log', scope: 'sync', message: 'old' }
+		const stream = fakeStream({ other_session: [older, { not: 'a record' }] })
+		const sink = createCoStreamSink(stream, { filter: (r) => r.level !== 'log' })
+		sink.write({ id: 'y-1', ts: 9, channel: 'ops', level: 'error', scope: 'sync', message: 'new' })
+		sink.write({ id: 'y-2', ts: 10, channel: 'ops', level: 'log', scope: 'sync', message: 'skip' })
+
+		expect(readCoStreamLogRecords(stream).map((r) => r.message)).toEqual(['old', 'new'])
+		expect(() => createCoStreamSink({})).toThrow('stream must have push')
+	})
+
+	test('CoStream sink persists ops, warnings and errors but never storage records', () => {
+		const pushed = []
+		const stream = {
+			push: (item) => {
+				pushed.push(item)
+				// A storage write logging synchronously while the record is pushed
+				sink.write({ id: 'z-9', ts: 2, channel: 'ops', level: 'warn', scope: 'sync', message: 'echo' })
+			},
+		}
+		const sink = createCoStreamSink(stream)
+		const record = (id, channel, level, scope) => ({ id, ts: 1, channel, level, scope, message: id })
+		sink.write(record('ops', 'ops', 'log', 'sync'))
+		sink.write(record('perf', 'perf', 'log', 'engines:pipeline'))
+		sink.write(record('trace-warn', 'trace', 'warn', 'inbox'))
+		sink.write(record('opfs', 'perf', 'log', 'storage:opfs'))
+		sink.write(record('storage-error', 'ops', 'error', 'STORAGE'))
+		expect(pushed.map((r) => r.id)).toEqual(['ops', 'trace-warn'])
+		expect(isPersistedLogRecord(record('debug', 'debug', 'log', 'view'))).toBe(false)
+	})
+
+	test('NDJSON file sink appends one record per line and rotates at maxBytes', () => {
+		const dir = mkdtempSync(join(tmpdir(), 'maia-logs-'))
+		cleanups.push(() => rmSync(dir, { recursive: true, force: true }))
+		const file = join(dir, 'maia.ndjson')
+		const sink = createNdjsonFileSink(file, { maxBytes: 300 })
+		for (let i = 0; i < 5; i++) {
+			sink.write({ id: `r-${i}`, ts: i, channel: 'ops', level: 'log', scope: 'x', message: `m${i}` })
+		}
+
+		const current = readNdjsonLogRecords(file)
+		const rotated = readNdjsonLogRecords(`${file}.1`)
+		expect(current.length).toBeGreaterThan(0)
+		expect([...rotated, ...current].map((r) => r.id)).toEqual(['r-0', 'r-1', 'r-2', 'r-3', 'r-4'])
+		expect(readNdjsonLogRecords(join(dir, 'missing.ndjson'))).toEqual([])
+	})
+
+	test('LOG_MODE persist token turns on persistence', () => {
+		applyLogModeFromEnv('trace.all persist')
+		expect(isLogPersistenceEnabled()).toBe(true)
+		applyLogModeFromEnv('trace.all')
+		expect(isLogPersistenceEnabled()).toBe(false)
+	})
+})
@@ -0,0 +1,149 @@
+import { afterEach, describe, expect, spyOn, test } from 'bun:test'
+import { mkdtempSync, readFileSync, rmSync } from 'node:fs'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import {
+	addLogSink,
+	addSpanExporter,
+	applyLogModeFromEnv,
+	buildTraceWaterfall,
+	createOtlpHttpExporter,
+	createRingBufferSink,
+	DEFAULT_OTLP_ENDPOINT,
+	getOtlpEndpoint,
+	isSpanTracingEnabled,
+	parseTraceparent,
+	SPAN_KIND,
+	startSpan,
+	toOtlpJson,
+	traceInbox,
+	withSpan,
+} from '../src/index.js'
+import { createOtlpFileExporter } from '../src/sinks/otlp-file.js'
+
+const cleanups = []
+afterEach(() => {
+	for (const cleanup of cleanups.splice(0)) cleanup()
+	applyLogModeFromEnv('')
+})
+
+function collect() {
+	const spans = []
+	cleanups.push(addSpanExporter({ export: (batch) => spans.push(...batch) }))
+	return spans
+}
+
+describe('spans', () => {
+	test('no-op until tracing is on or an exporter is registered', () => {
+		expect(isSpanTracingEnabled()).toBe(false)
+		const span = startSpan('idle')
+		expect(span.traceparent).toBeUndefined()
+		span.end()
+
+		applyLogModeFromEnv('otlp')
+		expect(getOtlpEndpoint()).toBe(DEFAULT_OTLP_ENDPOINT)
+		expect(startSpan('on').traceparent).toMatch(/^00-[0-9a-f]{32}-[0-9a-f]{16}-01$/)
+		applyLogModeFromEnv('otlp=http://collector:4318/v1/traces')
+		expect(getOtlpEndpoint()).toBe('http://collector:4318/v1/traces')
+	})
+
+	test('children share the trace and export as OTLP/JSON', async () => {
+		const spans = collect()
+		const root = startSpan('view CLICK', {
+			kind: SPAN_KIND.SERVER,
+			attributes: { 'maia.actor.id': 'co_zA' },
+		})
+		const child = startSpan('deliver CLICK', { parent: root.traceparent, kind: SPAN_KIND.PRODUCER })
+		child.end()
+		await expect(
+			withSpan('op update', { parent: root }, async () => {
+				throw new Error('denied')
+			}),
+		).rejects.toThrow('denied')
+		root.end()
+
+		expect(spans.map((s) => s.name)).toEqual(['deliver CLICK', 'op update', 'view CLICK'])
+		expect(parseTraceparent(child.traceparent)).toEqual({
+			traceId: root.traceId,
+			spanId: child.spanId,
+		})
+		const [otlpChild, otlpOp, otlpRoot] = toOtlpJson(spans, { serviceName: 'maia-test' })
+			.resourceSpans[0].scopeSpans[0].spans
+		expect(otlpChild).toMatchObject({ traceId: root.traceId, parentSpanId: root.spanId, kind: 4 })
+		expect(otlpOp.status).toEqual({ code: 2, message: 'denied' })
+		expect(otlpRoot.parentSpanId).toBeUndefined()
+		expect(otlpRoot.attributes).toEqual([{ key: 'maia.actor.id', value: { stringValue: 'co_zA' } }])
+		expect(BigInt(otlpRoot.endTimeUnixNano) >= BigInt(otlpRoot.startTimeUnixNano)).toBe(true)
+	})
+
+	test('HTTP exporter batches spans into one POST per interval', async () => {
+		const posts = []
+		const exporter = createOtlpHttpExporter('http://collector/v1/traces', {
+			batchMs: 5,
+			fetchImpl: async (url, init) => posts.push({ url, body: JSON.parse(init.body) }),
+		})
+		cleanups.push(addSpanExporter(exporter))
+		startSpan('a').end()
+		startSpan('b').end()
+		await new Promise((r) => setTimeout(r, 20))
+
+		expect(posts).toHaveLength(1)
+		expect(posts[0].url).toBe('http://collector/v1/traces')
+		expect(posts[0].body.resourceSpans[0].scopeSpans[0].spans.map((s) => s.name)).toEqual(['a', 'b'])
+	})
+
+	test('file exporter writes one OTLP request per line', () => {
+		const dir = mkdtempSync(join(tmpdir(), 'maia-spans-'))
+		cleanups.push(() => rmSync(dir, { recursive: true, force: true }))
+		const file = join(dir, 'traces.jsonl')
+		cleanups.push(addSpanExporter(createOtlpFileExporter(file)))
+		startSpan('one').end()
+		startSpan('two').end()
+
+		const lines = readFileSync(file, 'utf8').trim().split('\n').map(JSON.parse)
+		expect(lines.map((l) => l.resourceSpans[0].scopeSpans[0].spans[0].name)).toEqual(['one', 'two'])
+	})
+
+	test('waterfall lays spans out by depth and offset within their trace', () => {
+		const t = (name, startMs, endMs, parentSpanId, spanId) => ({
+			traceId: 'a'.repeat(32),
+			spanId,
+			parentSpanId,
+			name,
+			startMs,
+			endMs,
+			attributes: {},
+			status: { code: 0 },
+		})
+		const [trace] = buildTraceWaterfall([
+			t('process X', 110, 150, '1', '2'),
+			t('view X', 100, 200, undefined, '1'),
+			t('op update', 120, 140, '2', '3'),
+		])
+		expect(trace).toMatchObject({ name: 'view X', durationMs: 100, spanCount: 3, hasError: false })
+		expect(trace.spans.map((s) => [s.name, s.depth, s.offsetPct, s.widthPct])).toEqual([
+			['view X', 0, 0, 100],
+			['process X', 1, 10, 40],
+			['op update', 2, 20, 20],
+		])
+		expect(trace.spans[2].barStyle).toBe('margin-left: 20.00%; width: 20.00%')
+	})
+
+	test('a message bouncing within one trace is reported as a loop', () => {
+		spyOn(console, 'log').mockImplementation(() => {})
+		spyOn(console, 'warn').mockImplementation(() => {})
+		const ring = createRingBufferSink()
+		cleanups.push(addLogSink(ring), () => {
+			console.log.mockRestore()
+			console.warn.mockRestore()
+		})
+		applyLogModeFromEnv('trace.all')
+
+		for (let i = 0; i < 4; i++) traceInbox('co_zA', 'co_zB', 'PING', 'b'.repeat(32))
+		traceInbox('co_zA', 'co_zB', 'PING', 'c'.repeat(32))
+
+		const loops = ring.query({ scope: 'loop' })
+		expect(loops).toHaveLength(1)
+		expect(loops[0]).toMatchObject({ level: 'warn', actorId: 'co_zA' })
+	})
+})
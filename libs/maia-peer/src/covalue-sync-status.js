@@ -0,0 +1,71 @@
+/**
+ * Per-CoValue sync status - derived from cojson's unsynced tracking (the in-memory side of the
+ * unsynced_covalues table that storage persists across reloads).
+ *
+ * - local-only: has changes no sync server has acknowledged, and no server peer is connected
+ * - uploading: has unacknowledged changes and a server peer is connected
+ * - synced: every persistent server peer has all of it
+ * - conflict: a server peer rejected its content (invalid signature / permission), it will not sync
+ *
+ * Local edits are queued for sync on a microtask, so a CoValue changed in the current tick still
+ * reads as its previous status until then.
+ *
+ * In a follower tab the "server" is the leader tab (see tab-leader.js), which relays to the sync server.
+ */
+
+import { subscribeSyncState } from './sync-peers.js'
+
+export const COVALUE_SYNC_STATUS = Object.freeze({
+	LOCAL_ONLY: 'local-only',
+	UPLOADING: 'uploading',
+	SYNCED: 'synced',
+	CONFLICT: 'conflict',
+})
+
+function serverPeers(syncManager, coId) {
+	return syncManager.getPersistentServerPeers(coId).filter((peer) => !peer.closed)
+}
+
+/**
+ * Current sync status of one CoValue.
+ * @param {Object} node - LocalNode
+ * @param {string} coId
+ * @returns {'local-only'|'uploading'|'synced'|'conflict'}
+ */
+export function getCoValueSyncStatus(node, coId) {
+	const syncManager = node.syncManager
+	const peers = serverPeers(syncManager, coId)
+	if (node.hasCoValue(coId)) {
+		const core = node.getCoValue(coId)
+		if (peers.some((peer) => core.isErroredInPeer(peer.id))) return COVALUE_SYNC_STATUS.CONFLICT
+	}
+	if (!syncManager.unsyncedTracker.has(coId)) return COVALUE_SYNC_STATUS.SYNCED
+	return peers.length > 0 ? COVALUE_SYNC_STATUS.UPLOADING : COVALUE_SYNC_STATUS.LOCAL_ONLY
+}
+
+/**
+ * Subscribe to a CoValue's sync status. The listener runs immediately and then on every change
+ * (unsynced tracking, server connection, peer rejection).
+ * @param {Object} node - LocalNode
+ * @param {string} coId
+ * @param {Function} listener - (status) => void
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeCoValueSyncStatus(node, coId, listener) {
+	let last = null
+	const emit = () => {
+		const status = getCoValueSyncStatus(node, coId)
+		if (status === last) return
+		last = status
+		listener(status)
+	}
+	const unsubscribers = [
+		node.syncManager.unsyncedTracker.subscribe(coId, emit),
+		node.syncManager.syncState.subscribeToCoValueUpdates(coId, emit),
+		node.getCoValue(coId).subscribe(emit, false),
+		subscribeSyncState(emit),
+	]
+	return () => {
+		for (const unsubscribe of unsubscribers) unsubscribe()
+	}
+}
@@ -3,10 +3,16 @@
  *
  * P2P layer: node + account + sync.
  * setupSyncPeers, subscribeSyncState - client-side sync peer configuration.
+ * subscribeCoValueSyncStatus - per-CoValue sync status (local-only / uploading / synced / conflict).
  * createAccountWithSecret, loadAccount - account primitives (migration/seed injectable).
  */
 
 export { createAccountWithSecret, loadAccount } from './coID.js'
+export {
+	COVALUE_SYNC_STATUS,
+	getCoValueSyncStatus,
+	subscribeCoValueSyncStatus,
+} from './covalue-sync-status.js'
 export {
 	setupJazzCloudPeer,
 	setupSyncPeers,
@@ -3,12 +3,14 @@
  *
  * MaiaPeer: P2P layer. Configures LocalNode to connect as a peer to sync servers.
  * Only supports our own sync service - no Jazz sync fallback.
+ * With several tabs open, only the leader tab opens the WebSocket; the others sync through it.
  */
 
 import { createOpsLogger } from '@MaiaOS/logs'
 import { WebSocketPeerWithReconnection } from 'cojson-transport-ws'
 
 import { getSyncWebSocketUrl } from './sync-urls.js'
+import { canCoordinateTabs, coordinateTabs } from './tab-leader.js'
 
 const opsPeer = createOpsLogger('peer')
 
@@ -34,6 +36,7 @@ let syncState = {
 	error: null,
 	status: null, // 'authenticating' | 'loading-account' | 'syncing' | 'connected' | 'error'
 	writeEnabled: true, // true = read+write, false = read-only. Set by app after register.
+	tabRole: null, // 'leader' | 'follower' when tabs coordinate one sync socket, null otherwise
 }
 const syncStateListeners = new Set()
 
@@ -66,7 +69,8 @@ function notifySyncStateChange() {
 
 /**
  * Create sync peer array
- * Creates WebSocketPeer that connects to the sync server
+ * Creates WebSocketPeer that connects to the sync server. In a browser with Web Locks and
+ * BroadcastChannel, only the leader tab connects; follower tabs get a peer to the leader instead.
  *
  * @param {string} [syncDomain] - Sync domain from loader (single source of truth, overrides env vars)
  * @returns {{peers: Array, setNode: Function, wsPeer: Object}} Peers array and node setter
@@ -111,6 +115,8 @@ export function setupSyncPeers(syncDomain = null) {
 
 	let node
 	const peers = []
+	let wsPeer = null
+	let tabs = null
 	let connectionTimeout = null
 	let websocketConnected = false
 	let websocketConnectedResolve = null
@@ -120,81 +126,131 @@ export function setupSyncPeers(syncDomain = null) {
 		websocketConnectedResolve = resolve
 	})
 
-	const wsPeer = new WebSocketPeerWithReconnection({
-		peer: syncServerUrl,
-		reconnectionTimeout: 1500,
-		addPeer: (peer) => {
-			if (connectionTimeout) {
-				clearTimeout(connectionTimeout)
-				connectionTimeout = null
-			}
-			peers.push(peer)
-			if (node) {
-				registerPeersIfMissing(node.syncManager, [peer])
-			}
-		},
-		removePeer: (peer) => {
-			const index = peers.indexOf(peer)
-			if (index > -1) {
-				peers.splice(index, 1)
-			}
-			const now = Date.now()
-			if (syncState.connected && now - connectionLostLoggedAt > CONNECTION_LOST_LOG_COOLDOWN_MS) {
-				connectionLostLoggedAt = now
-			}
-			websocketConnected = false
-			syncState = {
-				...syncState,
-				connected: false,
-				syncing: false,
-				error: 'Disconnected',
-				status: 'error',
-			}
-			notifySyncStateChange()
-		},
-	})
+	const addPeer = (peer) => {
+		peers.push(peer)
+		if (node) {
+			registerPeersIfMissing(node.syncManager, [peer])
+		}
+	}
 
-	wsPeer.subscribe((connected) => {
-		if (connected && !websocketConnected) {
-			websocketConnected = true
-			connectionLostLoggedAt = 0
-			syncState = { ...syncState, connected: true, syncing: true, error: null, status: 'syncing' }
-			notifySyncStateChange()
-			if (websocketConnectedResolve) {
-				websocketConnectedResolve()
-				websocketConnectedResolve = null
-			}
-		} else if (!connected && websocketConnected) {
-			websocketConnected = false
-			const now = Date.now()
-			if (now - connectionLostLoggedAt > CONNECTION_LOST_LOG_COOLDOWN_MS) {
-				connectionLostLoggedAt = now
-			}
-			syncState = { ...syncState, connected: false, syncing: false, error: 'Offline', status: 'error' }
-			notifySyncStateChange()
+	const dropPeer = (peer) => {
+		const index = peers.indexOf(peer)
+		if (index > -1) {
+			peers.splice(index, 1)
 		}
-	})
+	}
+
+	const setConnectionState = (partial) => {
+		syncState = { ...syncState, ...partial }
+		notifySyncStateChange()
+		const { connected, syncing, error, status } = syncState
+		tabs?.broadcastState({ connected, syncing, error, status })
+	}
+
+	const markConnected = () => {
+		if (connectionTimeout) {
+			clearTimeout(connectionTimeout)
+			connectionTimeout = null
+		}
+		if (websocketConnectedResolve) {
+			websocketConnectedResolve()
+			websocketConnectedResolve = null
+		}
+	}
+
+	const connectWebSocket = () => {
+		wsPeer = new WebSocketPeerWithReconnection({
+			peer: syncServerUrl,
+			reconnectionTimeout: 1500,
+			addPeer: (peer) => {
+				if (connectionTimeout) {
+					clearTimeout(connectionTimeout)
+					connectionTimeout = null
+				}
+				addPeer(peer)
+			},
+			removePeer: (peer) => {
+				dropPeer(peer)
+				const now = Date.now()
+				if (syncState.connected && now - connectionLostLoggedAt > CONNECTION_LOST_LOG_COOLDOWN_MS) {
+					connectionLostLoggedAt = now
+				}
+				websocketConnected = false
+				setConnectionState({
+					connected: false,
+					syncing: false,
+					error: 'Disconnected',
+					status: 'error',
+				})
+			},
+		})
+
+		wsPeer.subscribe((connected) => {
+			if (connected && !websocketConnected) {
+				websocketConnected = true
+				connectionLostLoggedAt = 0
+				setConnectionState({ connected: true, syncing: true, error: null, status: 'syncing' })
+				markConnected()
+			} else if (!connected && websocketConnected) {
+				websocketConnected = false
+				const now = Date.now()
+				if (now - connectionLostLoggedAt > CONNECTION_LOST_LOG_COOLDOWN_MS) {
+					connectionLostLoggedAt = now
+				}
+				setConnectionState({ connected: false, syncing: false, error: 'Offline', status: 'error' })
+			}
+		})
+
+		wsPeer.enable()
+	}
 
 	if (typeof window !== 'undefined') {
 		connectionTimeout = setTimeout(() => {
 			if (!syncState.connected) {
-				syncState = {
-					...syncState,
+				setConnectionState({
 					connected: false,
 					syncing: false,
 					error: 'Connection timeout',
 					status: 'error',
-				}
-				notifySyncStateChange()
+				})
 			}
 		}, 10000)
 	}
 
-	wsPeer.enable()
+	// Several tabs of the app: one leader holds the socket, followers sync through it (tab-leader.js)
+	if (hasWindow && canCoordinateTabs()) {
+		tabs = coordinateTabs({
+			addPeer: (peer) => {
+				addPeer(peer)
+				if (peer.role === 'server') {
+					websocketConnected = true
+					markConnected()
+				}
+			},
+			removePeer: (peer) => {
+				dropPeer(peer)
+				if (peer.role === 'server') websocketConnected = false
+			},
+			onLeader: () => {
+				updateSyncState({ tabRole: 'leader' })
+				connectWebSocket()
+			},
+			onLeaderState: (state) => updateSyncState(state),
+		})
+		updateSyncState({ tabRole: 'follower' })
+		// A page kept in the back/forward cache comes back with pageshow: stay in the tab group then
+		window.addEventListener('pagehide', (event) => {
+			if (!event.persisted) tabs.close()
+		})
+	} else {
+		connectWebSocket()
+	}
 
 	return {
 		peers,
-		wsPeer,
+		get wsPeer() {
+			return wsPeer
+		},
 		waitForPeer: () => {
 			return new Promise((resolve) => {
 				if (websocketConnected && peers.length > 0) {
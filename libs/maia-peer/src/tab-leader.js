@@ -0,0 +1,190 @@
+/**
+ * Multi-tab sync coordination - only one tab per origin (the leader) holds the sync WebSocket;
+ * the other tabs (followers) sync through it over a BroadcastChannel.
+ *
+ * Election uses the Web Locks API: the tab holding the lock leads until it closes, then the lock
+ * passes to a waiting tab, which opens the socket and announces itself. Followers see the leader as
+ * a persistent server peer, so cojson's unsynced tracking keeps working per tab; the leader sees
+ * each follower as a client peer and relays its content to the sync server like any other client.
+ */
+
+import { createOpsLogger } from '@MaiaOS/logs'
+import { cojsonInternals } from 'cojson'
+
+const opsPeer = createOpsLogger('peer')
+
+export const TAB_SYNC_CHANNEL = 'maia:sync-tabs'
+export const TAB_LEADER_LOCK = 'maia:sync-leader'
+
+/** @returns {boolean} True when BroadcastChannel and Web Locks are available */
+export function canCoordinateTabs() {
+	return (
+		typeof BroadcastChannel !== 'undefined' &&
+		typeof navigator !== 'undefined' &&
+		typeof navigator.locks?.request === 'function'
+	)
+}
+
+/**
+ * cojson Peer whose messages travel over the shared BroadcastChannel, addressed tab to tab.
+ * @returns {{ peer: Object, deliver: (msg: Object) => void }}
+ */
+function createTabPeer(channel, { selfId, remoteId, role }) {
+	const incoming = new cojsonInternals.ConnectedPeerChannel()
+	const outgoing = new cojsonInternals.ConnectedPeerChannel()
+	outgoing.onMessage((msg) => {
+		if (msg === 'Disconnected') {
+			outgoing.close()
+			return
+		}
+		channel.postMessage({ type: 'sync', from: selfId, to: remoteId, msg })
+	})
+	outgoing.onClose(() => {
+		if (!incoming.closed) {
+			incoming.push('Disconnected')
+			incoming.close()
+		}
+	})
+	incoming.onClose(() => {
+		if (!outgoing.closed) outgoing.close()
+	})
+	const peer = {
+		id: `tab:${remoteId}`,
+		role,
+		persistent: role === 'server',
+		incoming,
+		outgoing,
+	}
+	return { peer, deliver: (msg) => incoming.push(msg) }
+}
+
+/**
+ * Join the tab group. Exactly one tab runs onLeader (open the sync socket there); every follower
+ * gets a peer to the leader via addPeer, replaced when leadership moves.
+ *
+ * @param {Object} options
+ * @param {(peer: Object) => void} options.addPeer - register a tab peer with the LocalNode
+ * @param {(peer: Object) => void} options.removePeer - a tab peer closed
+ * @param {() => void} options.onLeader - this tab became leader
+ * @param {(state: Object) => void} [options.onLeaderState] - follower: leader's connection state
+ * @param {string} [options.channelName]
+ * @param {string} [options.lockName]
+ * @param {Object} [options.locks] - LockManager (default navigator.locks)
+ * @param {(name: string) => BroadcastChannel} [options.createChannel]
+ * @returns {{ tabId: string, isLeader: () => boolean, broadcastState: (state: Object) => void, close: () => void }}
+ */
+export function coordinateTabs({
+	addPeer,
+	removePeer,
+	onLeader,
+	onLeaderState,
+	channelName = TAB_SYNC_CHANNEL,
+	lockName = TAB_LEADER_LOCK,
+	locks = globalThis.navigator?.locks,
+	createChannel = (name) => new BroadcastChannel(name),
+}) {
+	const tabId = crypto.randomUUID()
+	const channel = createChannel(channelName)
+	/** remote tab id → { peer, deliver } */
+	const links = new Map()
+	let leader = false
+	let leaderId = null
+	let closed = false
+	let releaseLock = null
+	let leaderState = null
+
+	const link = (remoteId, role) => {
+		const existing = links.get(remoteId)
+		if (existing) return existing
+		const created = createTabPeer(channel, { selfId: tabId, remoteId, role })
+		links.set(remoteId, created)
+		created.peer.incoming.onClose(() => {
+			if (links.get(remoteId) !== created) return
+			links.delete(remoteId)
+			removePeer(created.peer)
+		})
+		addPeer(created.peer)
+		return created
+	}
+
+	const unlink = (remoteId) => {
+		const existing = links.get(remoteId)
+		if (!existing) return
+		existing.peer.incoming.push('Disconnected')
+		existing.peer.incoming.close()
+	}
+
+	const followLeader = (id) => {
+		if (leaderId && leaderId !== id) unlink(leaderId)
+		leaderId = id
+		channel.postMessage({ type: 'hello', from: tabId, to: id })
+	}
+
+	channel.onmessage = ({ data }) => {
+		if (closed || !data || data.from === tabId) return
+		if (data.to && data.to !== tabId) return
+		switch (data.type) {
+			case 'sync':
+				links.get(data.from)?.deliver(data.msg)
+				break
+			case 'hello':
+				if (leader) {
+					link(data.from, 'client')
+					channel.postMessage({ type: 'welcome', from: tabId, to: data.from })
+					if (leaderState) {
+						channel.postMessage({ type: 'state', from: tabId, to: data.from, state: leaderState })
+					}
+				}
+				break
+			case 'welcome':
+				if (!leader && data.from === leaderId) link(data.from, 'server')
+				break
+			case 'leader':
+				if (!leader) followLeader(data.from)
+				break
+			case 'who-leads':
+				if (leader) channel.postMessage({ type: 'leader', from: tabId, to: data.from })
+				break
+			case 'state':
+				if (!leader && data.from === leaderId) onLeaderState?.(data.state)
+				break
+			case 'bye':
+				unlink(data.from)
+				break
+		}
+	}
+
+	locks
+		.request(lockName, () => {
+			if (closed) return
+			leader = true
+			if (leaderId) unlink(leaderId)
+			leaderId = tabId
+			opsPeer.log('Tab %s is the sync leader', tabId)
+			channel.postMessage({ type: 'leader', from: tabId })
+			onLeader()
+			return new Promise((resolve) => {
+				releaseLock = resolve
+			})
+		})
+		.catch((error) => opsPeer.error('Tab leader election failed:', error))
+	channel.postMessage({ type: 'who-leads', from: tabId })
+
+	return {
+		tabId,
+		isLeader: () => leader,
+		broadcastState: (state) => {
+			if (!leader || closed) return
+			leaderState = state
+			channel.postMessage({ type: 'state', from: tabId, state })
+		},
+		close: () => {
+			if (closed) return
+			channel.postMessage({ type: 'bye', from: tabId })
+			for (const remoteId of [...links.keys()]) unlink(remoteId)
+			closed = true
+			channel.close()
+			releaseLock?.()
+		},
+	}
+}
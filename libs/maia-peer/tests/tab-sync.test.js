@@ -0,0 +1,150 @@
+import { describe, expect, test } from 'bun:test'
+import { cojsonInternals, LocalNode } from 'cojson'
+import { WasmCrypto } from 'cojson/crypto/WasmCrypto'
+import { getCoValueSyncStatus, subscribeCoValueSyncStatus } from '../src/covalue-sync-status.js'
+import { coordinateTabs } from '../src/tab-leader.js'
+
+/** Exclusive Web Locks stand-in shared by the "tabs" of one test */
+function createLocks() {
+	const queues = new Map()
+	return {
+		request(name, callback) {
+			return new Promise((resolve, reject) => {
+				const queue = queues.get(name) ?? []
+				queues.set(name, queue)
+				const run = async () => {
+					try {
+						resolve(await callback())
+					} catch (error) {
+						reject(error)
+					} finally {
+						queue.shift()
+						queue[0]?.()
+					}
+				}
+				queue.push(run)
+				if (queue.length === 1) run()
+			})
+		},
+	}
+}
+
+async function waitFor(check, timeoutMs = 3000) {
+	const start = Date.now()
+	while (!check()) {
+		if (Date.now() - start > timeoutMs) throw new Error('waitFor timed out')
+		await new Promise((r) => setTimeout(r, 10))
+	}
+}
+
+async function newNode(crypto, name) {
+	const { node } = await LocalNode.withNewlyCreatedAccount({ creationProps: { name }, crypto })
+	return node
+}
+
+function connectToServer(node, server) {
+	const [serverPeer, clientPeer] = cojsonInternals.connectedPeers(
+		'server',
+		`client-${Math.random()}`,
+		{
+			peer1role: 'server',
+			peer2role: 'client',
+			persistent: true,
+		},
+	)
+	node.syncManager.addPeer(serverPeer)
+	server.syncManager.addPeer(clientPeer)
+	return serverPeer
+}
+
+function joinTabs(channelName, locks, extra = {}) {
+	const peers = []
+	const tab = coordinateTabs({
+		channelName,
+		locks,
+		addPeer: (peer) => peers.push(peer),
+		removePeer: (peer) => peers.splice(peers.indexOf(peer), 1),
+		onLeader: () => {},
+		...extra,
+	})
+	return { tab, peers }
+}
+
+describe('tab sync coordination', () => {
+	test('a follower tab syncs through the leader and sees its CoValue reach synced', async () => {
+		const crypto = await WasmCrypto.create()
+		const server = await newNode(crypto, 'server')
+		const leaderNode = await newNode(crypto, 'leader')
+		const followerNode = await newNode(crypto, 'follower')
+		const locks = createLocks()
+		const channelName = `tabs-${Math.random()}`
+
+		const leader = coordinateTabs({
+			channelName,
+			locks,
+			addPeer: (peer) => leaderNode.syncManager.addPeer(peer),
+			removePeer: () => {},
+			onLeader: () => connectToServer(leaderNode, server),
+		})
+		await waitFor(() => leader.isLeader())
+		const follower = coordinateTabs({
+			channelName,
+			locks,
+			addPeer: (peer) => followerNode.syncManager.addPeer(peer),
+			removePeer: () => {},
+			onLeader: () => {},
+		})
+		await waitFor(() => Object.keys(followerNode.syncManager.peers).length === 1)
+		expect(follower.isLeader()).toBe(false)
+
+		const group = followerNode.createGroup()
+		group.addMember('everyone', 'reader')
+		const note = group.createMap({ text: 'from the background tab' })
+		await Promise.resolve()
+		const statuses = []
+		const unsubscribe = subscribeCoValueSyncStatus(followerNode, note.id, (s) => statuses.push(s))
+		await waitFor(() => statuses.at(-1) === 'synced')
+		unsubscribe()
+		expect(statuses[0]).toBe('uploading')
+
+		const onServer = await server.load(note.id)
+		expect(onServer.get('text')).toBe('from the background tab')
+		follower.close()
+		leader.close()
+	})
+
+	test('leadership moves to a waiting tab when the leader closes', async () => {
+		const locks = createLocks()
+		const channelName = `tabs-${Math.random()}`
+		const led = []
+		const a = joinTabs(channelName, locks, { onLeader: () => led.push('a') })
+		await waitFor(() => a.tab.isLeader())
+		const b = joinTabs(channelName, locks, { onLeader: () => led.push('b') })
+		const c = joinTabs(channelName, locks, { onLeader: () => led.push('c') })
+		await waitFor(() => b.peers.length === 1 && c.peers.length === 1)
+		expect(a.peers.map((p) => p.role)).toEqual(['client', 'client'])
+		expect(c.peers[0]).toMatchObject({ id: `tab:${a.tab.tabId}`, role: 'server', persistent: true })
+
+		a.tab.close()
+		await waitFor(() => b.tab.isLeader() && c.peers[0]?.id === `tab:${b.tab.tabId}`)
+		expect(led).toEqual(['a', 'b'])
+		expect(b.peers.map((p) => p.role)).toEqual(['client'])
+		b.tab.close()
+		c.tab.close()
+	})
+
+	test('reports local-only without a server and conflict when the server rejects content', async () => {
+		const crypto = await WasmCrypto.create()
+		const node = await newNode(crypto, 'offline')
+		const note = node.createGroup().createMap({ text: 'draft' })
+		await Promise.resolve()
+		expect(getCoValueSyncStatus(node, note.id)).toBe('local-only')
+
+		const server = await newNode(crypto, 'server')
+		const serverPeer = connectToServer(node, server)
+		await waitFor(() => getCoValueSyncStatus(node, note.id) === 'synced')
+
+		node.getCoValue(note.id).markErrored(serverPeer.id, { type: 'InvalidSignature' })
+		expect(getCoValueSyncStatus(node, note.id)).toBe('conflict')
+	})
+})
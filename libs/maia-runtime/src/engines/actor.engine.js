@@ -15,10 +15,13 @@ import { normalizeCoValueData } from '@MaiaOS/db'
 import { createOpsLogger } from '@MaiaOS/logs'
 import { ACTOR_NANOID_TO_EXECUTABLE_KEY } from '@MaiaOS/universe'
 import { containsExpressions } from '@MaiaOS/validation/expression-resolver'
+import { isStateProcess } from '@MaiaOS/validation/process-validator'
 import { validateAgainstFactory } from '@MaiaOS/validation/validation.helper'
 import {
 	perfEnginesChat,
 	perfEnginesPipeline,
+	SPAN_KIND,
+	startSpan,
 	traceActorProcessEvents,
 	traceInbox,
 } from '../utils/debug.js'
@@ -175,7 +178,7 @@ export class ActorEngine {
 				)
 			}
 			const processDef = processStore.value
-			if (!processDef?.handlers) {
+			if (!processDef?.handlers && !isStateProcess(processDef)) {
 				throw new Error(
 					`[ActorEngine] Process for actor ${actor.id} has no handlers. Process co-id: ${actorConfig.process}`,
 				)
@@ -317,10 +320,6 @@ export class ActorEngine {
 			actor._renderState = RENDER_STATES.READY
 			return
 		}
-		if (this._hasContentEditableFocusInTree(actor)) {
-			actor._renderState = RENDER_STATES.READY
-			return
-		}
 		actor._renderState = RENDER_STATES.RENDERING
 		const styleSheets = await this.styleEngine.getStyleSheets(actor.config, actorId)
 		await this.viewEngine.render(
@@ -340,13 +339,6 @@ export class ActorEngine {
 		}
 	}
 
-	_hasContentEditableFocusInTree(actor) {
-		if (!actor?.shadowRoot) return false
-		let el = actor.shadowRoot.activeElement
-		while (el?.shadowRoot?.activeElement) el = el.shadowRoot.activeElement
-		return !!el?.isContentEditable
-	}
-
 	/**
 	 * Get actor by ID
 	 * @param {string} actorId - The actor ID
@@ -547,6 +539,7 @@ export class ActorEngine {
 			target: targetCoId,
 			processed: false,
 		}
+		if (typeof message.traceparent === 'string') messageData.traceparent = message.traceparent
 		await this.dataEngine.peer.createAndPushMessage(inboxCoId, messageData)
 	}
 
@@ -691,6 +684,25 @@ export class ActorEngine {
 	}
 
 	async deliver(targetId, message) {
+		const span = startSpan(`deliver ${message?.type}`, {
+			parent: message?.traceparent,
+			kind: SPAN_KIND.PRODUCER,
+			attributes: {
+				'maia.event.type': message?.type,
+				'maia.actor.source': message?.source,
+				'maia.actor.target': targetId,
+			},
+		})
+		try {
+			await this._deliver(targetId, { ...message, traceparent: span.traceparent }, span)
+			span.end()
+		} catch (error) {
+			span.end({ error })
+			throw error
+		}
+	}
+
+	async _deliver(targetId, message, span) {
 		const isChatSend =
 			message?.type === 'SEND_MESSAGE' && message?.payload != null && 'inputText' in message.payload
 		if (isChatSend)
@@ -699,7 +711,7 @@ export class ActorEngine {
 			type: message?.type,
 			targetId: targetId?.slice(0, 20),
 		})
-		traceInbox(message?.source, targetId, message?.type)
+		traceInbox(message?.source, targetId, message?.type, span.traceId)
 		if (!this.dataEngine?.peer) {
 			throw new Error(
 				'[ActorEngine] Cannot push to inbox: dataEngine or peer not set. Ensure MaiaOS is booted before deliverEvent.',
@@ -763,7 +775,7 @@ export class ActorEngine {
 		if (!configStore) return null
 
 		const configDef = configStore.value
-		const hasProcess = processRef && configDef?.handlers
+		const hasProcess = processRef && (configDef?.handlers || isStateProcess(configDef))
 		if (!hasProcess) return null
 
 		// Resolve interface factory (co-id ref) for validation
@@ -949,8 +961,9 @@ export class ActorEngine {
 	 * @param {string} targetId - Target actor co-id (or human-readable; resolved via CoJSON)
 	 * @param {string} type - Message type
 	 * @param {Object} payload - Resolved payload (no expressions)
+	 * @param {{ traceparent?: string }} [options] - Span context of the sender (continues its trace)
 	 */
-	async deliverEvent(senderId, targetId, type, payload = {}) {
+	async deliverEvent(senderId, targetId, type, payload = {}, { traceparent } = {}) {
 		if (containsExpressions(payload)) {
 			throw new Error(
 				`[ActorEngine] Payload contains unresolved expressions. Payload: ${JSON.stringify(payload).substring(0, 200)}`,
@@ -964,6 +977,7 @@ export class ActorEngine {
 			source: senderId,
 			target: targetId,
 			processed: false,
+			traceparent,
 		}
 		await this.deliver(targetId, message)
 	}
@@ -1035,11 +1049,27 @@ export class ActorEngine {
 							...validated.payloadPlain,
 							...(message.source ? { source: message.source } : {}),
 						}
-						const handled = await this.processEngine.send(
-							actor.process.id,
-							message.type,
-							payloadWithSource,
-						)
+						const span = startSpan(`process ${message.type}`, {
+							parent: message.traceparent,
+							kind: SPAN_KIND.CONSUMER,
+							attributes: {
+								'maia.event.type': message.type,
+								'maia.actor.id': actorId,
+								'maia.actor.source': message.source,
+								'maia.message.id': message._coId,
+							},
+						})
+						let handled
+						try {
+							handled = await this.processEngine.send(actor.process.id, message.type, payloadWithSource, {
+								traceparent: span.traceparent,
+							})
+						} catch (error) {
+							span.end({ error })
+							throw error
+						}
+						span.setAttribute('maia.handled', handled)
+						span.end()
 						traceActorProcessEvents({
 							actorId,
 							messageType: message.type,
@@ -9,13 +9,25 @@
 import {
 	ensureCoValueAvailable,
 	fillRuntimeRefsFromSystemFactories,
+	getLogStreamCoIdsFromPeer,
 	getRuntimeRef,
 	getSparkOsId,
+	LOG_STREAM_RETENTION,
 	normalizeCoValueData,
 	RUNTIME_REF,
+	SYNC_STATUS_FACTORY,
 } from '@MaiaOS/db'
 import { buildSystemFactoryCoIdsFromSparkOs } from '@MaiaOS/db/factory/system-factories-from-os'
-import { debugLog, debugWarn, traceDataCreate } from '@MaiaOS/logs'
+import {
+	buildTraceWaterfall,
+	debugLog,
+	debugWarn,
+	queryLogRecords,
+	readCoStreamLogRecords,
+	sessionLogBuffer,
+	sessionSpanBuffer,
+	traceDataCreate,
+} from '@MaiaOS/logs'
 import { resolveExpressions } from '@MaiaOS/validation/expression-resolver'
 import {
 	createErrorEntry,
@@ -383,6 +395,11 @@ async function readFactoryOp(peer, params) {
 
 async function readOp(peer, params) {
 	let { factory, key, keys, filter, options } = params
+	if (factory === SYNC_STATUS_FACTORY) {
+		requireParam(key, 'key', 'ReadOperation')
+		validateCoId(key, 'ReadOperation')
+		return await peer.read(factory, key)
+	}
 	if (factory) {
 		factory = await resolveDataFactoryToCoId(peer, factory, 'ReadOperation')
 	}
@@ -439,7 +456,7 @@ async function createOp(peer, dataEngine, params) {
 }
 
 async function updateOp(peer, dataEngine, evaluator, params) {
-	const { id, data } = params
+	const { id, data, unset } = params
 	requireParam(id, 'id', 'UpdateOperation')
 	validateCoId(id, 'UpdateOperation')
 	requireParam(data, 'data', 'UpdateOperation')
@@ -450,7 +467,8 @@ async function updateOp(peer, dataEngine, evaluator, params) {
 	const updateFactory = factoryCoId || rawExistingData.$factory || null
 	const { $factory: _factory, ...existingDataWithoutMetadata } = rawExistingData
 	const evaluatedData = await evaluateDataWithExisting(data, existingDataWithoutMetadata, evaluator)
-	const result = await peer.update(updateFactory, id, evaluatedData)
+	const options = Array.isArray(unset) && unset.length > 0 ? { unset } : {}
+	const result = await peer.update(updateFactory, id, evaluatedData, options)
 	return createSuccessResult(result, { op: 'update' })
 }
 
@@ -808,6 +826,33 @@ async function processInboxOp(peer, _dataEngine, params) {
 	return await peer.processInbox(actorId, inboxCoId)
 }
 
+/**
+ * Query structured log records: this session's ring buffer plus, unless persisted is false, the
+ * log CoStreams of the newest LOG_STREAM_RETENTION sessions (LOG_MODE=persist). Duplicates are
+ * merged by record id.
+ */
+async function logsOp(peer, params) {
+	const { filter = {}, persisted = true } = params
+	const records = sessionLogBuffer.records()
+	if (persisted) {
+		const streamIds = (await getLogStreamCoIdsFromPeer(peer)).slice(-LOG_STREAM_RETENTION)
+		const cores = await Promise.all(
+			streamIds.map((id) => ensureCoValueAvailable(peer, id, 'LogsOperation').catch(() => null)),
+		)
+		for (const core of cores) {
+			if (core) records.push(...readCoStreamLogRecords(peer.getCurrentContent(core)))
+		}
+	}
+	return createSuccessResult({ records: queryLogRecords(records, filter) }, { op: 'logs' })
+}
+
+/** This session's traces laid out as waterfalls (newest first); traceId narrows to one trace */
+async function tracesOp(params) {
+	const { traceId, limit = 50 } = params
+	const traces = buildTraceWaterfall(sessionSpanBuffer.spans(), { traceId, limit })
+	return createSuccessResult({ traces }, { op: 'traces' })
+}
+
 async function getSparkGroup(peer, sparkId) {
 	validateCoId(sparkId, 'GetSparkGroup')
 	const groupId = await peer.getSparkCapabilityGroupIdFromSparkCoId(sparkId, 'guardian')
@@ -1019,6 +1064,8 @@ export class DataEngine {
 					colistApplyDiff: (p) => colistApplyDiffOp(peer, this, p),
 					push: (p) => appendOp(peer, this, { ...p, cotype: 'costream' }),
 					processInbox: (p) => processInboxOp(peer, this, p),
+					logs: (p) => logsOp(peer, p),
+					traces: (p) => tracesOp(p),
 					uploadBinary: (p) => uploadBinaryOp(peer, this, p),
 					loadBinaryAsBlob: (p) => loadBinaryAsBlobOp(peer, p),
 					uploadToCoBinary: (p) => uploadToCoBinaryOp(this, p),
@@ -1,25 +1,44 @@
 /**
- * ProcessEngine - GenServer-style flat event handlers
- * Replaces FSM with handlers keyed by message type. Actions: ctx, op, tell, ask.
+ * ProcessEngine - GenServer-style event handlers
+ * Handlers keyed by message type. Actions: ctx, op, tell, ask, schedule, unschedule.
  *
  * Flow: inbox → processEvents() → ProcessEngine.send() → handlers[event] → actions
- * No states/transitions; phase lives in context when needed.
+ * `{ atomic: true, actions }` handlers run as one transaction (compensated on failure).
+ * Opt-in finite-state mode (`initial` + `states`): the current state's handlers run first,
+ * transitions run actions → exit → entry (only if the actions succeeded), and the state is persisted
+ * as context `_currentState`.
  */
 
+import { waitForReactiveResolution } from '@MaiaOS/db'
 import { resolveExpressions } from '@MaiaOS/validation/expression-resolver'
 import {
 	createErrorEntry,
 	isPermissionError,
 	isSuccessResult,
 } from '@MaiaOS/validation/operation-result'
+import {
+	isStateProcess,
+	normalizeHandler,
+	validateProcessDef,
+} from '@MaiaOS/validation/process-validator'
 import {
 	perfEnginesChat,
 	perfEnginesPipeline,
+	startSpan,
 	traceContextOnError,
 	traceProcess,
 	traceProcessOp,
 } from '../utils/debug.js'
 import { readStore, resolveSchemaFromCoValue, resolveToCoId } from '../utils/resolve-helpers.js'
+import { processUsesSchedule } from './timer.engine.js'
+
+/** Failed step of an atomic handler: carries the step index and structured errors. */
+function atomicStepError(step, message, errors = null) {
+	const error = new Error(`[ProcessEngine] atomic step ${step}: ${message}`)
+	error.step = step
+	error.errors = errors?.length ? errors : [createErrorEntry('structural', error.message)]
+	return error
+}
 
 export class ProcessEngine {
 	constructor(evaluator, actorOps = null) {
@@ -27,22 +46,37 @@ export class ProcessEngine {
 		this.actorOps = actorOps
 		this.processes = new Map() // processId → process instance
 		this.dataEngine = null
+		this.timerEngine = null
 	}
 
 	async createProcess(processDef, actor) {
+		if (isStateProcess(processDef)) {
+			validateProcessDef(processDef, { events: Object.keys(actor.interfaceFactory?.properties ?? {}) })
+		}
 		const processId = `${actor.id}_process`
 		const process = {
 			id: processId,
 			definition: processDef,
 			actor,
+			state: null, // finite-state mode: current state, set below
 			eventPayload: {},
 			lastToolResult: null,
 		}
 		this.processes.set(processId, process)
+		if (this.timerEngine && processUsesSchedule(processDef)) this.timerEngine.restore(actor.id)
+		if (isStateProcess(processDef)) await this._ensureState(process)
 		return process
 	}
 
-	async send(processId, event, payload = {}) {
+	/**
+	 * Run the handlers for one event.
+	 * @param {string} processId
+	 * @param {string} event - Message type
+	 * @param {Object} [payload]
+	 * @param {{ traceparent?: string }} [options] - Span context of the processing; ops and tells are children of it
+	 * @returns {Promise<boolean>} Whether a handler ran
+	 */
+	async send(processId, event, payload = {}, { traceparent } = {}) {
 		perfEnginesPipeline.step('process:send:start', { event, processId: processId?.slice(0, 30) })
 		const process = this.processes.get(processId)
 		if (!process) {
@@ -57,28 +91,82 @@ export class ProcessEngine {
 			traceContextOnError(process.actor.id, process.actor.context)
 		}
 
-		const handlers = process.definition?.handlers
+		const definition = process.definition
+		if (isStateProcess(definition)) {
+			const handler = definition.states[process.state]?.handlers?.[event]
+			if (handler !== undefined) {
+				perfEnginesPipeline.step('process:send', { event, state: process.state })
+				await this._runStateHandler(process, normalizeHandler(handler), traceparent)
+				return true
+			}
+		}
+
+		const handlers = definition?.handlers
 		if (!handlers || typeof handlers !== 'object') {
-			console.warn('[ProcessEngine] send: no handlers', { processId, event })
+			if (!isStateProcess(definition)) {
+				console.warn('[ProcessEngine] send: no handlers', { processId, event })
+			}
 			return false
 		}
 
-		const actions = handlers[event]
-		if (!Array.isArray(actions) || actions.length === 0) return false
+		if (handlers[event] === undefined) return false
+		const { actions, atomic } = normalizeHandler(handlers[event])
+		if (actions.length === 0) return false
 
 		perfEnginesPipeline.step('process:send', { event })
-		await this._executeActions(process, actions)
+		if (atomic) await this._executeAtomic(process, actions, traceparent)
+		else await this._executeActions(process, actions, traceparent)
 		return true
 	}
 
-	async _executeActions(process, actions) {
-		if (!process?.actor?.actorOps) return
+	/** Restore the persisted `_currentState`, or enter `initial` (running its entry actions) on first run. */
+	async _ensureState(process, traceparent) {
+		const persisted = process.actor?.context?.value?._currentState
+		if (typeof persisted === 'string' && persisted in process.definition.states) {
+			process.state = persisted
+			return
+		}
+		await this._enterState(process, process.definition.initial, traceparent)
+	}
+
+	async _enterState(process, name, traceparent) {
+		process.state = name
+		await process.actor?.actorOps?.updateContextCoValue(process.actor, { _currentState: name })
+		const entry = process.definition.states[name]?.entry
+		if (Array.isArray(entry) && entry.length > 0)
+			await this._executeActions(process, entry, traceparent)
+	}
+
+	/**
+	 * Actions only: stay in the state. With a target: handler actions, then exit actions and entry
+	 * into the target — only when the actions succeeded (no failed op, no missed guards).
+	 */
+	async _runStateHandler(process, { actions, target, atomic }, traceparent) {
+		const outcome = atomic
+			? await this._executeAtomic(process, actions, traceparent)
+			: await this._executeActions(process, actions, traceparent)
+		if (target === null || outcome !== 'success') return
+		const exit = process.definition.states[process.state]?.exit
+		if (Array.isArray(exit) && exit.length > 0) await this._executeActions(process, exit, traceparent)
+		await this._enterState(process, target, traceparent)
+	}
+
+	/**
+	 * Run a handler's actions in order. A passing guard runs its block and ends the handler;
+	 * ask, function and a failed op end it early.
+	 * @param {string} [traceparent] - Span context of the event; ops, tells and asks are its children
+	 * @returns {Promise<'success'|'failure'|'guard-miss'>} 'failure' when an op failed (ERROR was
+	 *   delivered to the event source), 'guard-miss' when the actions had guards and none passed
+	 */
+	async _executeActions(process, actions, traceparent) {
+		if (!process?.actor?.actorOps) return 'failure'
 
 		const DEBUG =
 			typeof window !== 'undefined' &&
 			(window.location?.hostname === 'localhost' || import.meta?.env?.DEV)
 		const payload = process.eventPayload || {}
 		const contextUpdates = {}
+		let guarded = false
 		let i = 0
 
 		while (i < actions.length) {
@@ -88,8 +176,9 @@ export class ProcessEngine {
 				continue
 			}
 
+			// Returns the handler's outcome when the action ends it, null to continue
 			const runAction = async (act) => {
-				if (!act || typeof act !== 'object') return false
+				if (!act || typeof act !== 'object') return null
 				if (act.ctx) {
 					const updates = await this._evaluatePayload(
 						act.ctx,
@@ -102,11 +191,11 @@ export class ProcessEngine {
 					if (updates && typeof updates === 'object' && !Array.isArray(updates)) {
 						Object.assign(contextUpdates, this._sanitizeUpdates(updates, process.lastToolResult || {}))
 					}
-					return false
+					return null
 				}
 				if (act.op) {
 					const opKey = Object.keys(act.op)[0]
-					if (!opKey) return false
+					if (!opKey) return null
 					const opConfig = act.op[opKey]
 					const evaluated = await this._evaluatePayload(
 						opConfig,
@@ -119,26 +208,29 @@ export class ProcessEngine {
 						opKey === 'create' &&
 						typeof evaluated?.factory === 'string' &&
 						evaluated.factory.includes('chat')
-					const runOp = () => this._executeOp(opKey, evaluated, process, payload)
+					const runOp = () => this._executeOp(opKey, evaluated, process, payload, traceparent)
 					const result = await (isChatCreate
 						? perfEnginesChat.measure('op.create (chat)', runOp)
 						: opKey === 'read'
 							? perfEnginesPipeline.measure(`op.${opKey}`, runOp)
 							: runOp())
 					if (result?.ok && result?.data) process.lastToolResult = result.data
-					if (!isSuccessResult(result) && process.actor._lastEventSource) {
+					if (!isSuccessResult(result)) {
 						const errors = result?.errors ?? [
 							createErrorEntry('structural', result?.message || 'Operation failed'),
 						]
-						await process.actor.actorOps.deliverEvent(
-							process.actor.id,
-							process.actor._lastEventSource,
-							'ERROR',
-							{ errors },
-						)
-						return true
+						if (process.actor._lastEventSource) {
+							await process.actor.actorOps.deliverEvent(
+								process.actor.id,
+								process.actor._lastEventSource,
+								'ERROR',
+								{ errors },
+								{ traceparent },
+							)
+						}
+						return 'failure'
 					}
-					return false
+					return null
 				}
 				if (act.tell) {
 					// Flush pending ctx before inter-actor communication so rerenders see up-to-date context
@@ -146,27 +238,32 @@ export class ProcessEngine {
 						await process.actor.actorOps.updateContextCoValue(process.actor, contextUpdates)
 						for (const k of Object.keys(contextUpdates)) delete contextUpdates[k]
 					}
-					await this._executeTell(process, act.tell, payload, contextUpdates)
-					return false
+					await this._executeTell(process, act.tell, payload, contextUpdates, traceparent)
+					return null
 				}
 				if (act.ask) {
 					// Chat flow: user msg in costream; ask delivers CHAT (LLM runs async on AI actor)
 					const isChatAsk = act.ask?.type === 'CHAT'
 					if (isChatAsk) perfEnginesChat.step('ask CHAT delivered (user msg path complete)')
-					await this._executeAsk(process, act.ask, payload, contextUpdates)
+					await this._executeAsk(process, act.ask, payload, contextUpdates, traceparent)
 					if (isChatAsk) perfEnginesChat.end('user message → costream')
-					return true // ask = stop processing (request-response)
+					return 'success' // ask = stop processing (request-response)
+				}
+				if (act.schedule || act.unschedule) {
+					await this._executeSchedule(process, act, payload, contextUpdates)
+					return null
 				}
 				if (act.function === true) {
 					if (DEBUG) console.log('[ProcessEngine] calling _executeFunction')
-					await this._executeFunction(process, payload)
+					await this._executeFunction(process, payload, traceparent)
 					if (DEBUG) console.log('[ProcessEngine] _executeFunction completed')
-					return true // function delivers SUCCESS/ERROR to caller; stop
+					return 'success' // function delivers SUCCESS/ERROR to caller; stop
 				}
-				return false
+				return null
 			}
 
 			if (action.guard) {
+				guarded = true
 				const guardResult = await this._evaluateGuard(
 					action.guard,
 					process.actor.context,
@@ -183,25 +280,27 @@ export class ProcessEngine {
 					const act = actions[i]
 					if (!act || typeof act !== 'object') continue
 					if (act.guard) break
-					if (await runAction(act)) {
+					const outcome = await runAction(act)
+					if (outcome) {
 						// ask/function returns early — flush context so SUCCESS guard sees phase
 						if (Object.keys(contextUpdates).length > 0 && process.actor?.actorOps) {
 							await process.actor.actorOps.updateContextCoValue(process.actor, contextUpdates)
 						}
-						return
+						return outcome
 					}
 				}
 				if (Object.keys(contextUpdates).length > 0 && process.actor?.actorOps) {
 					await process.actor.actorOps.updateContextCoValue(process.actor, contextUpdates)
 				}
-				return
+				return 'success'
 			}
-			if (await runAction(action)) {
+			const outcome = await runAction(action)
+			if (outcome) {
 				// ask/function returns early — flush context so SUCCESS guard sees phase
 				if (Object.keys(contextUpdates).length > 0 && process.actor?.actorOps) {
 					await process.actor.actorOps.updateContextCoValue(process.actor, contextUpdates)
 				}
-				return
+				return outcome
 			}
 			i++
 		}
@@ -209,6 +308,186 @@ export class ProcessEngine {
 		if (Object.keys(contextUpdates).length > 0 && process.actor?.actorOps) {
 			await process.actor.actorOps.updateContextCoValue(process.actor, contextUpdates)
 		}
+		return guarded ? 'guard-miss' : 'success'
+	}
+
+	/**
+	 * Atomic handler. create/update ops run in order (later steps may use `$$result`) and record a
+	 * compensation: create → delete, update → restore the previous values. A deleted record cannot be
+	 * restored, so at most one delete is allowed and it runs after every other step succeeded; ctx,
+	 * tell and schedule are applied only once the handler commits.
+	 * On failure the compensations run in reverse and ERROR { errors, step } goes to the event source.
+	 * @returns {Promise<'success'|'failure'|'guard-miss'>} As _executeActions; 'failure' means rolled back
+	 */
+	async _executeAtomic(process, actions, traceparent) {
+		const actor = process?.actor
+		if (!actor?.actorOps) return 'failure'
+		const payload = process.eventPayload || {}
+		const contextUpdates = {}
+		const deletes = [] // { step, config }, at most one
+		const effects = [] // run after commit, in order
+		const compensations = [] // { step, opKey, config }
+
+		const stage = async (act, step) => {
+			if (!act || typeof act !== 'object') return
+			if (act.ctx) {
+				const updates = await this._evaluatePayload(
+					act.ctx,
+					actor.context,
+					payload,
+					process.lastToolResult,
+					actor,
+					contextUpdates,
+				)
+				if (updates && typeof updates === 'object' && !Array.isArray(updates)) {
+					Object.assign(contextUpdates, this._sanitizeUpdates(updates, process.lastToolResult || {}))
+				}
+				return
+			}
+			if (act.op) {
+				const opKey = Object.keys(act.op)[0]
+				if (!opKey) return
+				const config = await this._evaluatePayload(
+					act.op[opKey],
+					actor.context,
+					payload,
+					process.lastToolResult,
+					actor,
+				)
+				if (opKey === 'delete') {
+					// A delete has no compensation: the single one runs last, so nothing after it can fail
+					if (deletes.length > 0) {
+						throw atomicStepError(step, 'only one delete can run in an atomic handler')
+					}
+					deletes.push({ step, config })
+					return
+				}
+				if (opKey !== 'create' && opKey !== 'update') {
+					throw atomicStepError(step, `op ${opKey} cannot run in an atomic handler`)
+				}
+				const previous = opKey === 'update' ? await this._readPreviousValues(config) : null
+				const result = await this._executeOp(opKey, config, process, payload, traceparent)
+				if (!isSuccessResult(result)) {
+					throw atomicStepError(step, result?.message || `${opKey} failed`, result?.errors)
+				}
+				process.lastToolResult = result.data
+				if (opKey === 'create' && result.data?.id) {
+					compensations.push({ step, opKey: 'delete', config: { id: result.data.id } })
+				} else if (opKey === 'update' && (Object.keys(previous.data).length || previous.unset.length)) {
+					compensations.push({ step, opKey: 'update', config: { id: config.id, ...previous } })
+				}
+				return
+			}
+			if (act.tell || act.schedule || act.unschedule) {
+				const pending = { ...contextUpdates }
+				effects.push(
+					act.tell
+						? () => this._executeTell(process, act.tell, payload, pending, traceparent)
+						: () => this._executeSchedule(process, act, payload, pending),
+				)
+				return
+			}
+			if (act.ask || act.function === true) {
+				throw atomicStepError(step, `${act.ask ? 'ask' : 'function'} cannot run in an atomic handler`)
+			}
+		}
+
+		let step = 0
+		let outcome = 'success'
+		try {
+			// Guards behave as in _executeActions: a passing guard runs its block and ends the handler
+			let i = 0
+			while (i < actions.length) {
+				step = i
+				if (actions[i]?.guard) {
+					const passed = await this._evaluateGuard(actions[i].guard, actor.context, payload, actor)
+					i++
+					if (!passed) {
+						outcome = 'guard-miss'
+						while (i < actions.length && !actions[i]?.guard) i++
+						continue
+					}
+					outcome = 'success'
+					for (; i < actions.length && !actions[i]?.guard; i++) {
+						step = i
+						await stage(actions[i], i)
+					}
+					break
+				}
+				await stage(actions[i], i)
+				i++
+			}
+			for (const { step: deleteStep, config } of deletes) {
+				step = deleteStep
+				const result = await this._executeOp('delete', config, process, payload, traceparent)
+				if (!isSuccessResult(result)) {
+					throw atomicStepError(step, result?.message || 'delete failed', result?.errors)
+				}
+			}
+		} catch (error) {
+			await this._rollback(
+				process,
+				compensations,
+				error.step ?? step,
+				error.errors ?? [
+					createErrorEntry(isPermissionError(error) ? 'permission' : 'structural', error?.message),
+				],
+				traceparent,
+			)
+			return 'failure'
+		}
+
+		if (Object.keys(contextUpdates).length > 0) {
+			await actor.actorOps.updateContextCoValue(actor, contextUpdates)
+		}
+		for (const effect of effects) await effect()
+		return outcome
+	}
+
+	/**
+	 * What restores the keys an update is about to write: `data` holds their current values,
+	 * `unset` the keys the record does not have yet (removed again on rollback).
+	 */
+	async _readPreviousValues({ id, data } = {}) {
+		const previous = { data: {}, unset: [] }
+		if (!this.dataEngine || typeof id !== 'string') return previous
+		const store = await this.dataEngine.execute({
+			op: 'read',
+			key: id,
+			options: { deepResolve: false },
+		})
+		const record = await waitForReactiveResolution(store)
+		for (const key of Object.keys(data ?? {})) {
+			if (record && Object.hasOwn(record, key)) previous.data[key] = record[key]
+			else previous.unset.push(key)
+		}
+		return previous
+	}
+
+	/** Undo applied ops (newest first), then deliver ERROR with the failing step to the event source. */
+	async _rollback(process, compensations, step, errors, traceparent) {
+		const actor = process.actor
+		const allErrors = [...errors]
+		for (const { step: applied, opKey, config } of compensations.reverse()) {
+			const result = await this._executeOp(opKey, config, process, {}, traceparent).catch((error) => ({
+				ok: false,
+				errors: [createErrorEntry('structural', error?.message)],
+			}))
+			if (!isSuccessResult(result)) {
+				const message = result?.errors?.[0]?.message ?? 'failed'
+				allErrors.push(createErrorEntry('structural', `rollback of step ${applied} failed: ${message}`))
+			}
+		}
+		console.warn('[ProcessEngine] atomic handler rolled back', { actorId: actor?.id, step })
+		if (actor?._lastEventSource) {
+			await actor.actorOps.deliverEvent(
+				actor.id,
+				actor._lastEventSource,
+				'ERROR',
+				{ errors: allErrors, step },
+				{ traceparent },
+			)
+		}
 	}
 
 	async _evaluateGuard(guard, context, eventPayload, actor) {
@@ -231,10 +510,24 @@ export class ProcessEngine {
 		return false
 	}
 
-	async _executeOp(opKey, config, _process, eventPayload = {}) {
+	async _executeOp(opKey, config, _process, eventPayload = {}, traceparent = undefined) {
 		if (!this.dataEngine) return null
 		if (!config || (opKey === 'create' && (!config.factory || !config.data))) return null
+		const span = startSpan(`op ${opKey}`, {
+			parent: traceparent,
+			attributes: { 'maia.op': opKey, 'maia.actor.id': _process?.actor?.id },
+		})
+		try {
+			const result = await this._runOp(opKey, config, _process, eventPayload)
+			span.end(isSuccessResult(result) ? {} : { error: result?.errors?.[0]?.message ?? 'failed' })
+			return result
+		} catch (error) {
+			span.end({ error })
+			throw error
+		}
+	}
 
+	async _runOp(opKey, config, _process, eventPayload) {
 		let result
 		if (opKey === 'create') {
 			const idempotencyKey = config.idempotencyKey ?? eventPayload.idempotencyKey
@@ -261,6 +554,7 @@ export class ProcessEngine {
 				op: 'update',
 				id: config.id,
 				data: config.data,
+				...(config.unset?.length ? { unset: config.unset } : {}),
 			})
 		} else if (opKey === 'delete') {
 			traceProcessOp({
@@ -279,7 +573,13 @@ export class ProcessEngine {
 		return result
 	}
 
-	async _executeTell(process, config, payload, pendingContextUpdates = null) {
+	async _executeTell(
+		process,
+		config,
+		payload,
+		pendingContextUpdates = null,
+		traceparent = undefined,
+	) {
 		if (!process?.actor?.actorOps) return
 		const evaluated = await this._evaluatePayload(
 			config,
@@ -300,10 +600,36 @@ export class ProcessEngine {
 			target,
 			type,
 			eventPayload && typeof eventPayload === 'object' ? eventPayload : {},
+			{ traceparent },
+		)
+	}
+
+	/** schedule / unschedule: timers that deliver into this actor's own inbox (TimerEngine). */
+	async _executeSchedule(process, act, payload, pendingContextUpdates = null) {
+		if (!this.timerEngine) throw new Error('[ProcessEngine] schedule requires a TimerEngine')
+		const evaluated = await this._evaluatePayload(
+			act.schedule ?? act.unschedule,
+			process.actor.context,
+			payload,
+			process.lastToolResult,
+			process.actor,
+			pendingContextUpdates,
 		)
+		if (act.schedule) {
+			perfEnginesPipeline.step('process:schedule', { key: evaluated?.key, type: evaluated?.type })
+			await this.timerEngine.schedule(process.actor, evaluated)
+		} else {
+			await this.timerEngine.unschedule(process.actor.id, evaluated?.key)
+		}
 	}
 
-	async _executeAsk(process, config, payload, pendingContextUpdates = null) {
+	async _executeAsk(
+		process,
+		config,
+		payload,
+		pendingContextUpdates = null,
+		traceparent = undefined,
+	) {
 		if (!process?.actor?.actorOps) return
 		const evaluated = await this._evaluatePayload(
 			config,
@@ -326,22 +652,28 @@ export class ProcessEngine {
 			...(eventPayload && typeof eventPayload === 'object' ? eventPayload : {}),
 			replyTo: eventPayload?.replyTo ?? process.actor.id,
 		}
-		await process.actor.actorOps.deliverEvent(process.actor.id, target, eventType, payloadWithReplyTo)
+		await process.actor.actorOps.deliverEvent(
+			process.actor.id,
+			target,
+			eventType,
+			payloadWithReplyTo,
+			{ traceparent },
+		)
 	}
 
 	/** Deliver SUCCESS/ERROR from function action to caller and self. */
-	async _deliverResult(actor, targetId, type, payload) {
+	async _deliverResult(actor, targetId, type, payload, traceparent) {
 		if (targetId) {
-			await actor.actorOps.deliverEvent(actor.id, targetId, type, payload)
+			await actor.actorOps.deliverEvent(actor.id, targetId, type, payload, { traceparent })
 		}
-		await actor.actorOps.deliverEvent(actor.id, actor.id, type, payload)
+		await actor.actorOps.deliverEvent(actor.id, actor.id, type, payload, { traceparent })
 	}
 
 	/**
 	 * Execute function action: run actor's executableFunction, deliver SUCCESS/ERROR to caller.
 	 * Runs the actor executable and delivers SUCCESS/ERROR to the process graph.
 	 */
-	async _executeFunction(process, payload) {
+	async _executeFunction(process, payload, traceparent) {
 		const actor = process?.actor
 		const DEBUG =
 			typeof window !== 'undefined' &&
@@ -362,7 +694,21 @@ export class ProcessEngine {
 		const eventPayload = process.eventPayload || payload || {}
 		const callerId = eventPayload.replyTo ?? actor._lastEventSource
 		try {
-			const rawResult = await actor.executableFunction.execute(actor, eventPayload)
+			const span = startSpan('function', {
+				parent: traceparent,
+				attributes: { 'maia.actor.id': actor.id },
+			})
+			let rawResult
+			try {
+				// Tool calls made by the function are children of its span
+				rawResult = await actor.executableFunction.execute(actor, eventPayload, {
+					traceparent: span.traceparent,
+				})
+			} catch (error) {
+				span.end({ error })
+				throw error
+			}
+			span.end(isSuccessResult(rawResult) ? {} : { error: 'function returned errors' })
 			if (DEBUG)
 				console.log('[ProcessEngine] _executeFunction: result', {
 					ok: rawResult?.ok,
@@ -370,21 +716,33 @@ export class ProcessEngine {
 				})
 			if (!isSuccessResult(rawResult)) {
 				const errPayload = { errors: rawResult.errors }
-				await this._deliverResult(actor, callerId ?? actor._lastEventSource, 'ERROR', errPayload)
+				await this._deliverResult(
+					actor,
+					callerId ?? actor._lastEventSource,
+					'ERROR',
+					errPayload,
+					traceparent,
+				)
 				return
 			}
 			const data = rawResult.data
 			process.lastToolResult = data
 			const cleanedResult = data != null ? this._cleanToolResult(data) : null
 			const successPayload = { ...eventPayload, result: cleanedResult }
-			await this._deliverResult(actor, callerId, 'SUCCESS', successPayload)
+			await this._deliverResult(actor, callerId, 'SUCCESS', successPayload, traceparent)
 			if (DEBUG) console.log('[ProcessEngine] _executeFunction: delivered SUCCESS')
 		} catch (error) {
 			if (DEBUG) console.error('[ProcessEngine] _executeFunction: error', error?.message ?? error)
 			const errors = error?.errors ?? [
 				createErrorEntry(isPermissionError(error) ? 'permission' : 'structural', error?.message),
 			]
-			await this._deliverResult(actor, callerId ?? actor._lastEventSource, 'ERROR', { errors })
+			await this._deliverResult(
+				actor,
+				callerId ?? actor._lastEventSource,
+				'ERROR',
+				{ errors },
+				traceparent,
+			)
 		}
 	}
 
@@ -473,6 +831,8 @@ export class ProcessEngine {
 	}
 
 	destroyProcess(processId) {
+		const actorId = this.processes.get(processId)?.actor?.id
+		if (actorId) this.timerEngine?.release(actorId)
 		this.processes.delete(processId)
 	}
 }
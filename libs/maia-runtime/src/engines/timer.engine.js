@@ -0,0 +1,305 @@
+/**
+ * TimerEngine - delayed, repeating and cron events for processes
+ *
+ * The process `schedule` action lands here: { key, type, payload, after | every | cron }.
+ * When due, `type` is delivered into the actor's own inbox like any other message.
+ * Re-scheduling a key replaces the previous timer (debounce); `unschedule` cancels by key.
+ *
+ * Timers are Timer CoMaps (timer.factory.maia) when the factory is seeded, so they survive reloads
+ * and are re-armed by whichever runtime next creates the actor's process. Without a DataEngine
+ * they live in memory only. Time comes from an injectable clock (utils/clock.js createFakeClock in tests).
+ *
+ * Several runtimes may host the same actor (devices, tabs) and CoValues are local-first, so a
+ * write-then-read claim cannot elect a firer. Instead each timer has one `host` runtime (the one
+ * that scheduled it); the others follow its progress as it syncs and only take over (becoming the
+ * host) when an occurrence is still unfired HOST_GRACE_MS after it was due (the host was closed).
+ * A device that is offline while taking over may still fire an occurrence the host also fired.
+ */
+
+import { getRuntimeRef, RUNTIME_REF, waitForReactiveResolution } from '@MaiaOS/db'
+import { createOpsLogger } from '@MaiaOS/logs'
+import { isSuccessResult } from '@MaiaOS/validation/operation-result'
+import { normalizeHandler } from '@MaiaOS/validation/process-validator'
+import { systemClock } from '../utils/clock.js'
+import { nextCronTime, parseCron } from '../utils/cron.js'
+
+const timerOps = createOpsLogger('TimerEngine')
+
+/** setTimeout's ceiling (~24.8 days); longer timers re-arm in chunks */
+const MAX_DELAY_MS = 2_147_483_647
+
+/** How long past dueAt other runtimes wait for the host to fire before taking the timer over */
+const HOST_GRACE_MS = 60_000
+
+/** Per-tab id that survives reloads (sessionStorage), so a reloaded tab stays the host of its timers */
+function defaultRuntimeId() {
+	try {
+		const storage = globalThis.sessionStorage
+		const existing = storage?.getItem('maia.timerHost')
+		if (existing) return existing
+		const id = crypto.randomUUID()
+		storage?.setItem('maia.timerHost', id)
+		return id
+	} catch (_e) {
+		return crypto.randomUUID()
+	}
+}
+
+const slotOf = (actorId, key) => `${actorId}\u0000${key}`
+
+/** True when a process definition has at least one `schedule` action (only those are restored). */
+export function processUsesSchedule(processDef) {
+	const handlers = Object.values(processDef?.handlers ?? {})
+	const lists = []
+	for (const state of Object.values(processDef?.states ?? {})) {
+		lists.push(state?.entry, state?.exit)
+		handlers.push(...Object.values(state?.handlers ?? {}))
+	}
+	for (const handler of handlers) lists.push(normalizeHandler(handler).actions)
+	return lists.some(
+		(actions) =>
+			Array.isArray(actions) && actions.some((a) => a && typeof a === 'object' && a.schedule),
+	)
+}
+
+export class TimerEngine {
+	/**
+	 * @param {{ clock?: { now: () => number, setTimeout: Function, clearTimeout: Function }, runtimeId?: string }} [options]
+	 *   runtimeId names this runtime as a timer `host` (per tab, kept across reloads, by default)
+	 */
+	constructor({ clock = systemClock, runtimeId = defaultRuntimeId() } = {}) {
+		this.clock = clock
+		this.runtimeId = runtimeId
+		this.dataEngine = null
+		this.actorOps = null
+		this.timers = new Map() // slot → { record, handle }
+		this._restoring = new Map() // actorId → Promise (persisted timers re-armed)
+	}
+
+	_factory() {
+		const peer = this.dataEngine?.peer
+		return peer ? getRuntimeRef(peer, RUNTIME_REF.OS_TIMER) : null
+	}
+
+	/**
+	 * Schedule `type` into the actor's inbox. Exactly one of after (ms), every (ms) or cron.
+	 * @param {{ id: string }} actor
+	 * @param {{ key: string, type: string, payload?: Object, after?: number, every?: number, cron?: string }} config
+	 * @returns {Promise<Object>} the timer record
+	 */
+	async schedule(actor, { key, type, payload = {}, after, every, cron } = {}) {
+		if (!actor?.id) throw new Error('[TimerEngine] schedule: actor required')
+		if (typeof key !== 'string' || !key) throw new Error('[TimerEngine] schedule: key required')
+		if (typeof type !== 'string' || !type) throw new Error('[TimerEngine] schedule: type required')
+		const modes = [after, every, cron].filter((v) => v != null)
+		if (modes.length !== 1) {
+			throw new Error(`[TimerEngine] schedule ${key}: exactly one of after, every or cron`)
+		}
+		if (after != null && !(Number.isFinite(after) && after >= 0)) {
+			throw new Error(`[TimerEngine] schedule ${key}: after must be ms >= 0`)
+		}
+		if (every != null && !(Number.isFinite(every) && every > 0)) {
+			throw new Error(`[TimerEngine] schedule ${key}: every must be ms > 0`)
+		}
+		if (cron != null) parseCron(cron)
+
+		await this._restoring.get(actor.id)
+		await this.unschedule(actor.id, key)
+
+		const now = this.clock.now()
+		const record = {
+			actor: actor.id,
+			key,
+			type,
+			payload: payload && typeof payload === 'object' ? payload : {},
+			dueAt: cron != null ? nextCronTime(cron, now) : now + (after ?? every),
+			status: 'scheduled',
+			host: this.runtimeId,
+			...(every != null && { every }),
+			...(cron != null && { cron }),
+		}
+		const factory = this._factory()
+		if (factory) {
+			const created = await this.dataEngine.execute({ op: 'create', factory, data: record })
+			if (!isSuccessResult(created) || !created.data?.id) {
+				throw new Error(
+					`[TimerEngine] schedule ${key}: ${created?.errors?.[0]?.message ?? 'create failed'}`,
+				)
+			}
+			record.id = created.data.id
+		}
+		this._arm(record)
+		return record
+	}
+
+	/**
+	 * Cancel the actor's timer with this key (no-op when there is none).
+	 * @returns {Promise<boolean>} whether a timer was cancelled
+	 */
+	async unschedule(actorId, key) {
+		await this._restoring.get(actorId)
+		const slot = slotOf(actorId, key)
+		const entry = this.timers.get(slot)
+		if (!entry) return false
+		this.clock.clearTimeout(entry.handle)
+		this.timers.delete(slot)
+		if (entry.record.id) await this._update(entry.record.id, { status: 'cancelled' })
+		return true
+	}
+
+	/**
+	 * Re-arm the actor's persisted timers (overdue ones fire right away). Called when its process is created.
+	 * @returns {Promise<void>}
+	 */
+	restore(actorId) {
+		if (!this._restoring.has(actorId)) {
+			this._restoring.set(
+				actorId,
+				this._restore(actorId).catch((error) =>
+					timerOps.warn('restore failed for %s: %s', actorId, error?.message ?? error),
+				),
+			)
+		}
+		return this._restoring.get(actorId)
+	}
+
+	async _restore(actorId) {
+		const factory = this._factory()
+		if (!factory) return
+		const store = await this.dataEngine.execute({
+			op: 'read',
+			factory,
+			filter: { actor: actorId, status: 'scheduled' },
+			options: { deepResolve: false },
+		})
+		const value = await waitForReactiveResolution(store)
+		const records = (Array.isArray(value) ? value : []).filter((r) => r?.id && r.key)
+		for (const stored of records) {
+			const slot = slotOf(actorId, stored.key)
+			const current = this.timers.get(slot)
+			if (current?.record.id === stored.id) continue
+			if (current) {
+				// Two persisted timers for one key (e.g. scheduled on two devices): keep one
+				await this._update(stored.id, { status: 'cancelled' })
+				continue
+			}
+			const { id, actor, key, type, payload, dueAt, every, cron } = stored
+			this._arm({
+				id,
+				actor,
+				key,
+				type,
+				payload: payload ?? {},
+				dueAt,
+				status: 'scheduled',
+				every,
+				cron,
+			})
+		}
+	}
+
+	/** Stop the actor's local timeouts (persisted timers stay scheduled). Called when its process is destroyed. */
+	release(actorId) {
+		for (const [slot, entry] of this.timers) {
+			if (entry.record.actor !== actorId) continue
+			this.clock.clearTimeout(entry.handle)
+			this.timers.delete(slot)
+		}
+		this._restoring.delete(actorId)
+	}
+
+	/** Stop every local timeout. */
+	dispose() {
+		for (const entry of this.timers.values()) this.clock.clearTimeout(entry.handle)
+		this.timers.clear()
+		this._restoring.clear()
+	}
+
+	/** Arm the local timeout for record.dueAt (or `at`: a follower checking on the host). */
+	_arm(record, at = record.dueAt) {
+		const slot = slotOf(record.actor, record.key)
+		const previous = this.timers.get(slot)
+		if (previous) this.clock.clearTimeout(previous.handle)
+		const delay = Math.min(Math.max(at - this.clock.now(), 0), MAX_DELAY_MS)
+		const handle = this.clock.setTimeout(() => this._fire(slot, record), delay)
+		this.timers.set(slot, { record, handle })
+	}
+
+	async _fire(slot, record) {
+		if (this.timers.get(slot)?.record !== record) return
+		const now = this.clock.now()
+		if (record.dueAt > now) {
+			this._arm(record)
+			return
+		}
+		try {
+			if (record.id && !(await this._isHost(slot, record, now))) return
+			const next = this._next(record, now)
+			if (next != null) {
+				record.dueAt = next
+				if (record.id) await this._update(record.id, { dueAt: next })
+				this._arm(record)
+			} else {
+				record.status = 'fired'
+				this.timers.delete(slot)
+				if (record.id) await this._update(record.id, { status: 'fired', firedAt: now })
+			}
+			await this.actorOps?.deliverEvent(record.actor, record.actor, record.type, record.payload ?? {})
+		} catch (error) {
+			timerOps.warn('timer %s for %s failed: %s', record.key, record.actor, error?.message ?? error)
+		}
+	}
+
+	/**
+	 * Whether this runtime should deliver the due occurrence of a persisted timer. Followers re-arm
+	 * on the host's progress, or take the timer over once the occurrence is HOST_GRACE_MS overdue.
+	 */
+	async _isHost(slot, record, now) {
+		const stored = await this._read(record.id)
+		if (this.timers.get(slot)?.record !== record) return false
+		if (stored?.status !== 'scheduled') {
+			this.timers.delete(slot)
+			return false
+		}
+		if (stored.dueAt > record.dueAt) {
+			// The host fired this occurrence and moved the timer on
+			record.dueAt = stored.dueAt
+			this._arm(record)
+			return false
+		}
+		if (!stored.host || stored.host === this.runtimeId) return true
+		if (now < stored.dueAt + HOST_GRACE_MS) {
+			this._arm(record, stored.dueAt + HOST_GRACE_MS)
+			return false
+		}
+		timerOps.log('taking over timer %s for %s from %s', record.key, record.actor, stored.host)
+		await this._update(record.id, { host: this.runtimeId })
+		return true
+	}
+
+	/** Next occurrence after `now` (missed repeats collapse into one firing), null for one-shots */
+	_next(record, now) {
+		if (record.every) {
+			return record.dueAt + record.every * (Math.floor((now - record.dueAt) / record.every) + 1)
+		}
+		return record.cron ? nextCronTime(record.cron, now) : null
+	}
+
+	async _read(id) {
+		const store = await this.dataEngine.execute({
+			op: 'read',
+			factory: this._factory(),
+			key: id,
+			options: { deepResolve: false },
+		})
+		const value = await waitForReactiveResolution(store)
+		return value && !value.error ? value : null
+	}
+
+	async _update(id, data) {
+		const result = await this.dataEngine.execute({ op: 'update', id, data })
+		if (!isSuccessResult(result)) {
+			timerOps.warn('timer %s update failed: %s', id, result?.errors?.[0]?.message ?? 'failed')
+		}
+	}
+}
@@ -5,7 +5,13 @@ import { containsExpressions, resolveExpressions } from '@MaiaOS/validation/expr
 import { extractDOMValuesAsync } from '@MaiaOS/validation/payload-resolver'
 import DOMPurify from 'dompurify'
 import { marked } from 'marked'
-import { perfEnginesPipeline, traceView, traceViewDeliver } from '../utils/debug.js'
+import {
+	perfEnginesPipeline,
+	SPAN_KIND,
+	startSpan,
+	traceView,
+	traceViewDeliver,
+} from '../utils/debug.js'
 import { loadContextStore, readStore } from '../utils/resolve-helpers.js'
 import {
 	BOOLEAN_ATTRS,
@@ -14,6 +20,7 @@ import {
 	URL_ATTRS,
 } from '../utils/security.js'
 import { isContentEditableUpdateEvent, toKebabCase } from '../utils/utils.js'
+import { patchRoot } from '../utils/vdom.js'
 import { RENDER_STATES } from './actor.engine.js'
 
 const viewOps = createOpsLogger('ViewEngine')
@@ -148,16 +155,6 @@ async function renderMarkdown(rawText) {
 	return DOMPurify.sanitize(String(html))
 }
 
-function _hasContentEditableFocusIn(shadowRoot) {
-	if (!shadowRoot) return false
-	const active = shadowRoot.activeElement
-	if (!active) return false
-	if (active.shadowRoot?.activeElement) {
-		return _hasContentEditableFocusIn(active.shadowRoot)
-	}
-	return !!active.isContentEditable
-}
-
 const UPDATE_INPUT_TYPES = [
 	'UPDATE_INPUT',
 	'UPDATE_INPUT_A',
@@ -180,7 +177,8 @@ function toCoIdString(value) {
 	return null
 }
 
-function setAttr(element, name, value) {
+/** Resolve an attribute into the VNode's final attrs/props (sanitized here, applied by the vdom patch) */
+function setAttr(vnode, name, value) {
 	if (name === 'data-co-id') {
 		const coId = value != null ? toCoIdString(value) : null
 		value = coId ?? ''
@@ -191,18 +189,17 @@ function setAttr(element, name, value) {
 	if (URL_ATTRS.has(name.toLowerCase())) {
 		const urlStr = String(value)
 		if (/^(https?:|blob:|data:image\/|mailto:|tel:|\/|#)/.test(urlStr) || !urlStr.includes(':')) {
-			element.setAttribute(name, sanitizeAttributeWhitelist(urlStr))
+			vnode.attrs[name] = sanitizeAttributeWhitelist(urlStr)
 		}
 		return
 	}
 	if (BOOLEAN_ATTRS.has(name.toLowerCase())) {
 		const bool = Boolean(value)
-		element[name] = bool
-		if (bool) element.setAttribute(name, '')
-		else element.removeAttribute(name)
+		vnode.props[name] = bool
+		if (bool) vnode.attrs[name] = ''
 	} else {
 		const s = typeof value === 'boolean' ? String(value) : sanitizeAttributeWhitelist(value)
-		element.setAttribute(name, s)
+		vnode.attrs[name] = s
 	}
 }
 
@@ -214,6 +211,8 @@ export class ViewEngine {
 		this.dataEngine = null
 		this.styleEngine = null
 		this.actorInputCounters = new Map()
+		/** actorId -> { shadowRoot, vnode } last mounted virtual tree (diffed on rerender) */
+		this._mountedVNodes = new Map()
 		this._scrollToBottomPrev = new Map()
 		this._scrollMutationObservers = new Map()
 		/** Debounce: eventDef.$debounce ms (schema-driven), key -> lastFireTime */
@@ -374,7 +373,6 @@ export class ViewEngine {
 			actor._contextUnsubscribe = actor.context.subscribe(
 				(_newValue) => {
 					if (actor._renderState === RENDER_STATES.READY) {
-						if (_hasContentEditableFocusIn(actor.shadowRoot)) return
 						actor._renderState = RENDER_STATES.UPDATING
 						this.actorOps?._scheduleRerender?.(actorId)
 					} else {
@@ -402,15 +400,8 @@ export class ViewEngine {
 	}
 
 	async render(viewDef, context, shadowRoot, styleSheets, actorId, options = {}) {
-		if (_hasContentEditableFocusIn(shadowRoot)) return
-
 		this.actorInputCounters.set(actorId, 0)
 		this._pendingScrollToBottom = []
-		const prevObservers = this._scrollMutationObservers.get(actorId)
-		if (prevObservers) {
-			for (const { observer } of prevObservers) observer.disconnect()
-			this._scrollMutationObservers.delete(actorId)
-		}
 
 		shadowRoot.adoptedStyleSheets = styleSheets
 		this.currentActorId = actorId
@@ -424,17 +415,35 @@ export class ViewEngine {
 			this.actorOps?.dataEngine ??
 			this.actorOps?.os?.dataEngine
 
-		shadowRoot.innerHTML = ''
-		const element = await this.renderNode(viewNode, { context: contextForRender }, actorId)
-		if (element) {
-			element.dataset.actorId = actorId
-			shadowRoot.appendChild(element)
-			this._processScrollToBottom(actorId)
-			hydrateCobinaryPreviews(shadowRoot, dataEngine)
+		const vnode = await this.renderNode(viewNode, { context: contextForRender }, actorId)
+		const prev = this._mountedVNodes.get(actorId)
+		if (!vnode) {
+			shadowRoot.innerHTML = ''
+			this._mountedVNodes.delete(actorId)
+			return
 		}
+		vnode.attrs['data-actor-id'] = actorId
+		// Patch in place when the previous tree is still mounted in this shadow root (destroy/reuse clears it)
+		patchRoot(shadowRoot, prev?.shadowRoot === shadowRoot ? prev.vnode : null, vnode, {
+			bind: (el, node, isNew) => this._bindElement(el, node, isNew),
+		})
+		this._mountedVNodes.set(actorId, { shadowRoot, vnode })
+		this._processScrollToBottom(actorId)
+		hydrateCobinaryPreviews(shadowRoot, dataEngine)
 	}
 
 	_processScrollToBottom(actorId) {
+		const existing = this._scrollMutationObservers.get(actorId)
+		if (existing) {
+			// Elements dropped by a patch no longer need their observer
+			const live = existing.filter(({ observer, element }) => {
+				if (element.isConnected) return true
+				observer.disconnect()
+				return false
+			})
+			if (live.length > 0) this._scrollMutationObservers.set(actorId, live)
+			else this._scrollMutationObservers.delete(actorId)
+		}
 		if (!this._pendingScrollToBottom?.length) return
 		const scrollToEl = (el) => {
 			if (el.isConnected) el.scrollTop = el.scrollHeight
@@ -446,7 +455,7 @@ export class ViewEngine {
 			// IMMEDIATE scroll: DOM is complete; reading scrollHeight forces layout. Prevents split-second "flash at top" before paint.
 			scrollToEl(element)
 
-			// MutationObserver: scroll when children are added (new messages via incremental updates)
+			// MutationObserver: scroll when children are added (new messages via incremental patches)
 			const observer = new MutationObserver(() => {
 				scrollToEl(element)
 			})
@@ -461,37 +470,42 @@ export class ViewEngine {
 		this._pendingScrollToBottom = []
 	}
 
-	async renderNode(node, data, actorId) {
+	/**
+	 * Evaluate a view node into a VNode (see utils/vdom.js). No DOM is touched here; render() patches.
+	 * @param {Object} node - View definition node
+	 * @param {Object} data - Render data { context, item, index }
+	 * @param {string} actorId - Actor ID
+	 * @param {string|null} [key] - Identity among $each siblings
+	 * @returns {Promise<Object|null>} VNode
+	 */
+	async renderNode(node, data, actorId, key = null) {
 		if (!node) return null
 
 		const rawTag = (node.tag || 'div').toLowerCase()
 		const tag = SAFE_TAGS.has(rawTag) ? rawTag : 'div'
-		const element = document.createElement(tag)
-		await this._applyNodeAttributes(element, node, data, actorId)
+		const vnode = { tag, key, attrs: {}, props: {}, children: [] }
+		await this._applyNodeAttributes(vnode, node, data, actorId)
 
 		if (node.$each) {
-			element.innerHTML = ''
-			const fragment = await this.renderEach(node.$each, data, actorId)
-			element.appendChild(fragment)
+			vnode.children = await this.renderEach(node.$each, data, actorId)
 		}
 
 		if (node.$on) {
-			this.attachEvents(element, node.$on, data, actorId)
+			vnode.on = node.$on
+			vnode.data = data
+			vnode.actorId = actorId
 		}
 
 		// Markdown + contenteditable: on focus, restore raw text for editing
 		const formatMd = node.format === 'md' || node.format === 'markdown'
 		const isContentEditable = node.attrs?.contenteditable === true
 		if (node.text !== undefined && formatMd && isContentEditable) {
-			element.addEventListener('focus', () => {
-				const raw = element.dataset.rawMarkdown
-				if (raw !== undefined) element.textContent = raw
-			})
+			vnode.mdEditable = true
 		}
 
 		if (node.$slot) {
-			await this._renderSlot(node, data, element, actorId)
-			return element
+			await this._renderSlot(node, data, vnode, actorId)
+			return vnode
 		}
 
 		if (node.slot) {
@@ -500,7 +514,7 @@ export class ViewEngine {
 
 		// Don't render children if $each is present (children would overwrite $each content)
 		if (!node.$each) {
-			await this._renderNodeChildren(element, node, data, actorId)
+			await this._renderNodeChildren(vnode, node, data, actorId)
 		}
 
 		if (node.scrollToBottomOn && typeof node.scrollToBottomOn === 'string') {
@@ -510,100 +524,110 @@ export class ViewEngine {
 				const val = await this.evaluator.evaluate(node.scrollToBottomOn, data)
 				currentLen = Array.isArray(val) ? val.length : val != null ? 1 : 0
 			} catch (_e) {}
-			this._pendingScrollToBottom.push({ element, exprKey, currentLen })
+			vnode.scrollToBottom = { exprKey, currentLen }
 		}
 
-		return element
+		return vnode
+	}
+
+	/**
+	 * Element lifecycle hook for vdom create/patch: wires listeners once per element and per event name.
+	 * Listeners read handler + item data from el._maiaVNode, so a patched element always acts on the latest render.
+	 * @private
+	 */
+	_bindElement(el, vnode, isNew) {
+		if (isNew) {
+			if (vnode.mdEditable) {
+				el.addEventListener('focus', () => {
+					const raw = el.dataset.rawMarkdown
+					if (raw !== undefined) el.textContent = raw
+				})
+			}
+			if (vnode.scrollToBottom) {
+				this._pendingScrollToBottom.push({ element: el, ...vnode.scrollToBottom })
+			}
+		}
+		if (vnode.on) this.attachEvents(el, vnode.on)
 	}
 
-	async _applyNodeAttributes(element, node, data, actorId) {
+	async _applyNodeAttributes(vnode, node, data, actorId) {
 		if (node.class) {
 			const classValue = await this.evaluator.evaluate(node.class, data)
 			if (classValue) {
-				element.className = sanitizeAttributeWhitelist(classValue)
+				vnode.attrs.class = sanitizeAttributeWhitelist(classValue)
 			}
 		}
 
 		if (node.attrs) {
 			for (const [attrName, attrValue] of Object.entries(node.attrs)) {
 				if (attrName === 'data') {
-					await this._resolveDataAttributes(attrValue, data, element)
+					await this._resolveDataAttributes(attrValue, data, vnode)
 				} else {
 					const resolved = await this.evaluator.evaluate(attrValue, data)
-					setAttr(element, attrName, resolved)
+					setAttr(vnode, attrName, resolved)
 				}
 			}
 		}
 
 		if (node.value !== undefined) {
 			const resolvedValue = await this.evaluator.evaluate(node.value, data)
-			if (element.tagName === 'INPUT' || element.tagName === 'TEXTAREA') {
-				const newValue = resolvedValue || ''
-				// Context is single source of truth. Always apply when clear (empty) or when input loses focus.
-				const isFocused = document.activeElement === element
-				if (newValue === '' || !isFocused) {
-					element.value = newValue
-				}
+			if (vnode.tag === 'input' || vnode.tag === 'textarea') {
+				// Context is single source of truth; vdom skips the write while the input is focused (unless cleared)
+				vnode.value = resolvedValue || ''
 				if (!this.actorInputCounters.has(actorId)) this.actorInputCounters.set(actorId, 0)
 				const inputIndex = this.actorInputCounters.get(actorId)
 				this.actorInputCounters.set(actorId, inputIndex + 1)
-				element.setAttribute('data-actor-input', `${actorId}_input_${inputIndex}`)
+				vnode.attrs['data-actor-input'] = `${actorId}_input_${inputIndex}`
 			}
 		}
 
 		if (node.text !== undefined) {
-			// Don't overwrite contenteditable when user is typing (avoids cursor jump)
-			const isContentEditable = element.isContentEditable || node.attrs?.contenteditable === true
-			const isFocused = document.activeElement === element
-			if (isContentEditable && isFocused) {
-				// Skip — user is typing; remote sync will apply on blur
-			} else {
-				let textValue = await this.evaluator.evaluate(node.text, data)
-				// Colist resolution may return { id, items } - join items for display
-				if (
-					textValue &&
-					typeof textValue === 'object' &&
-					!Array.isArray(textValue) &&
-					'items' in textValue
-				) {
-					const items = textValue.items
-					textValue = Array.isArray(items) ? items.join('') : ''
-				}
-				const formatMd = node.format === 'md' || node.format === 'markdown'
-				if (formatMd && (typeof textValue === 'string' || textValue == null)) {
-					const rawText = String(textValue || '')
-					element.dataset.rawMarkdown = rawText
-					element.innerHTML = await renderMarkdown(rawText)
-				} else if (textValue && typeof textValue === 'object') {
-					// Format objects/arrays as JSON strings for display
-					if (textValue.$label && textValue.id?.startsWith('co_z')) {
-						const truncatedId = `${textValue.id.substring(0, 15)}...`
-						element.textContent = `${textValue.$label} (${truncatedId})`
-					} else {
-						try {
-							element.textContent = JSON.stringify(textValue, null, 2)
-						} catch (_e) {
-							element.textContent = String(textValue)
-						}
-					}
+			// Contenteditable being typed into is left alone by the vdom patch (avoids cursor jump)
+			let textValue = await this.evaluator.evaluate(node.text, data)
+			// Colist resolution may return { id, items } - join items for display
+			if (
+				textValue &&
+				typeof textValue === 'object' &&
+				!Array.isArray(textValue) &&
+				'items' in textValue
+			) {
+				const items = textValue.items
+				textValue = Array.isArray(items) ? items.join('') : ''
+			}
+			const formatMd = node.format === 'md' || node.format === 'markdown'
+			if (formatMd && (typeof textValue === 'string' || textValue == null)) {
+				const rawText = String(textValue || '')
+				vnode.attrs['data-raw-markdown'] = rawText
+				vnode.html = await renderMarkdown(rawText)
+			} else if (textValue && typeof textValue === 'object') {
+				// Format objects/arrays as JSON strings for display
+				if (textValue.$label && textValue.id?.startsWith('co_z')) {
+					const truncatedId = `${textValue.id.substring(0, 15)}...`
+					vnode.text = `${textValue.$label} (${truncatedId})`
 				} else {
-					let displayText = String(textValue || '')
-					// Format co-ids: truncate to first 15 characters
-					if (displayText.startsWith('co_z') && displayText.length > 15) {
-						displayText = `${displayText.substring(0, 15)}...`
+					try {
+						vnode.text = JSON.stringify(textValue, null, 2)
+					} catch (_e) {
+						vnode.text = String(textValue)
 					}
-					element.textContent = displayText
 				}
+			} else {
+				let displayText = String(textValue || '')
+				// Format co-ids: truncate to first 15 characters
+				if (displayText.startsWith('co_z') && displayText.length > 15) {
+					displayText = `${displayText.substring(0, 15)}...`
+				}
+				vnode.text = displayText
 			}
 		}
 	}
 
-	async _renderNodeChildren(element, node, data, actorId) {
+	async _renderNodeChildren(vnode, node, data, actorId) {
 		if (node.children && Array.isArray(node.children)) {
 			for (const child of node.children) {
-				const childElement = await this.renderNode(child, data, actorId)
-				if (childElement) {
-					element.appendChild(childElement)
+				const childVNode = await this.renderNode(child, data, actorId)
+				if (childVNode) {
+					vnode.children.push(childVNode)
 				}
 			}
 		}
@@ -622,7 +646,7 @@ export class ViewEngine {
 		return this.evaluator.evaluate(spec, data)
 	}
 
-	async _resolveDataAttributes(dataSpec, data, element) {
+	async _resolveDataAttributes(dataSpec, data, vnode) {
 		const entries =
 			typeof dataSpec === 'string'
 				? [
@@ -640,12 +664,12 @@ export class ViewEngine {
 		for (const [key, spec] of entries) {
 			const value = await this._resolveDataAttrValue(spec, data)
 			if (value !== null && value !== undefined) {
-				element.setAttribute(`data-${toKebabCase(key)}`, sanitizeAttributeWhitelist(String(value)))
+				vnode.attrs[`data-${toKebabCase(key)}`] = sanitizeAttributeWhitelist(String(value))
 			}
 		}
 	}
 
-	async _renderSlot(node, data, wrapperElement, actorId) {
+	async _renderSlot(node, data, vnode, actorId) {
 		const slotKey = node.$slot
 		if (!slotKey?.startsWith('$')) {
 			return
@@ -660,7 +684,7 @@ export class ViewEngine {
 		}
 
 		if (typeof slotValue !== 'string' || !slotValue.startsWith('co_z')) {
-			wrapperElement.textContent = String(slotValue)
+			vnode.text = String(slotValue)
 			return
 		}
 
@@ -682,39 +706,38 @@ export class ViewEngine {
 		}
 
 		if (childActor.containerElement) {
-			if (actor?.children) {
+			// Swapped slot: destroy the actor that held it before (subscriptions + actor.children entry)
+			if (actor.children) {
 				for (const [key, child] of Object.entries(actor.children)) {
-					if (child === childActor) continue
-					if (child.viewDef && child.containerElement?.parentNode === wrapperElement) {
-						this.runtime?.destroyActor?.(child.id) ?? this.actorOps?.destroyActor?.(child.id)
-						delete actor.children[key]
-					}
+					if (child === childActor || child._slotKey !== slotKey) continue
+					if (this.runtime?.destroyActor) this.runtime.destroyActor(child.id)
+					else this.actorOps?.destroyActor?.(child.id)
+					delete actor.children[key]
 				}
 			}
+			childActor._slotKey = slotKey
 
 			if (childActor._renderState === RENDER_STATES.READY && this.actorOps) {
 				childActor._renderState = RENDER_STATES.UPDATING
 				this.actorOps._scheduleRerender?.(childActor.id)
 			}
-
-			if (childActor.containerElement.parentNode !== wrapperElement) {
-				if (childActor.containerElement.parentNode) {
-					childActor.containerElement.parentNode.removeChild(childActor.containerElement)
-				}
-				wrapperElement.innerHTML = ''
-				wrapperElement.appendChild(childActor.containerElement)
-			}
+			// Adopt the child's container as-is; the patch moves it into this slot if it lives elsewhere
+			vnode.children = [{ host: childActor.containerElement }]
 		}
 	}
 
+	/**
+	 * Evaluate $each into keyed VNodes. Key: declared $key expression, else the item's co-id, else index.
+	 * @returns {Promise<Object[]>} Item VNodes
+	 */
 	async renderEach(eachDef, data, actorId) {
-		const fragment = document.createDocumentFragment()
+		const vnodes = []
 		const items = await this.evaluator.evaluate(eachDef.items, data)
 
 		// $stores Architecture: Progressive loading - render immediately with current data (even if empty/undefined)
 		// ReactiveStore updates will trigger rerenders automatically as data loads
 		if (!items || !Array.isArray(items) || items.length === 0) {
-			return fragment // Return empty fragment - will update reactively when data loads
+			return vnodes // Empty - will update reactively when data loads
 		}
 
 		for (let i = 0; i < items.length; i++) {
@@ -725,20 +748,43 @@ export class ViewEngine {
 				index: i,
 			}
 
-			const itemElement = await this.renderNode(eachDef.template, itemData, actorId)
-			if (itemElement) {
-				fragment.appendChild(itemElement)
+			let key = null
+			if (eachDef.$key !== undefined) {
+				const declared = await this.evaluator.evaluate(eachDef.$key, itemData)
+				if (declared !== undefined && declared !== null) key = `k:${String(declared)}`
+			} else {
+				const coId = toCoIdString(item)
+				if (coId) key = `co:${coId}`
+			}
+
+			const itemVNode = await this.renderNode(eachDef.template, itemData, actorId, key ?? `i:${i}`)
+			if (itemVNode) {
+				vnodes.push(itemVNode)
 			}
 		}
 
-		return fragment
+		return vnodes
 	}
 
-	attachEvents(element, events, data, actorId) {
-		for (const [eventName, eventDef] of Object.entries(events)) {
+	/**
+	 * Register DOM listeners for event names not yet wired on this element.
+	 * Handlers resolve eventDef + render data from el._maiaVNode at dispatch time.
+	 * @param {HTMLElement} element - Mounted element
+	 * @param {Object} events - $on map (eventName -> eventDef)
+	 */
+	attachEvents(element, events) {
+		if (!element._maiaListening) element._maiaListening = new Set()
+		const listening = element._maiaListening
+		const isNew = listening.size === 0
+		for (const eventName of Object.keys(events)) {
+			if (listening.has(eventName)) continue
+			listening.add(eventName)
 			element.addEventListener(eventName, async (e) => {
+				const current = element._maiaVNode
+				const eventDef = current?.on?.[eventName]
+				if (!eventDef) return
 				try {
-					await this._handleEvent(e, eventDef, data, element, actorId)
+					await this._handleEvent(e, eventDef, current.data, element, current.actorId)
 				} catch (error) {
 					if (
 						typeof window !== 'undefined' &&
@@ -750,7 +796,7 @@ export class ViewEngine {
 			})
 		}
 		// Contenteditable: paste as plain text only (no HTML/styles from source)
-		if (element.isContentEditable) {
+		if (isNew && (element.isContentEditable || element.getAttribute('contenteditable') === 'true')) {
 			element.addEventListener(
 				'paste',
 				(e) => {
@@ -1007,7 +1053,20 @@ export class ViewEngine {
 
 		perfEnginesPipeline.step('view:deliver', { event: eventName })
 		traceViewDeliver({ actorId, eventName })
-		await this.actorOps?.deliverEvent?.(actorId, actorId, eventName, payloadToValidate)
+		// Root span of the user interaction; everything it triggers joins this trace
+		const span = startSpan(`view ${eventName}`, {
+			kind: SPAN_KIND.SERVER,
+			attributes: { 'maia.event.type': eventName, 'maia.actor.id': actorId },
+		})
+		try {
+			await this.actorOps?.deliverEvent?.(actorId, actorId, eventName, payloadToValidate, {
+				traceparent: span.traceparent,
+			})
+			span.end()
+		} catch (error) {
+			span.end({ error })
+			throw error
+		}
 
 		if (!isUpdateInputType) {
 			await this._clearInputFields(element, actorId)
@@ -1068,6 +1127,7 @@ export class ViewEngine {
 	}
 
 	cleanupActor(actorId) {
+		this._mountedVNodes.delete(actorId)
 		const observers = this._scrollMutationObservers.get(actorId)
 		if (observers) {
 			for (const { observer } of observers) observer.disconnect()
@@ -19,9 +19,11 @@ export {
 	removeGroupMember,
 	resolve,
 	resolveAccountCoIdsToProfiles,
+	resolveFactoryRefToCoId,
 	resolveGroupCoIdsToCapabilityNames,
 	SYSTEM_SPARK_REGISTRY_KEY,
 	setupSyncPeers,
+	subscribeCoValueSyncStatus,
 	subscribeSyncState,
 	updateSyncState,
 	waitForStoreReady,
@@ -48,6 +50,7 @@ export { ActorEngine } from './engines/actor.engine.js'
 export { DataEngine } from './engines/data.engine.js'
 export { ProcessEngine } from './engines/process.engine.js'
 export { StyleEngine } from './engines/style.engine.js'
+export { TimerEngine } from './engines/timer.engine.js'
 export { ViewEngine } from './engines/view.engine.js'
 export { MaiaOS } from './loader.js'
 export {
@@ -55,6 +58,9 @@ export {
 	registerBuiltinModules,
 } from './modules/registry.js'
 export { Runtime } from './runtimes/browser.js'
+export { NodeRuntime } from './runtimes/node.js'
+export { createFakeClock, systemClock } from './utils/clock.js'
+export { nextCronTime, parseCron } from './utils/cron.js'
 export { Evaluator as MaiaScriptEvaluator } from './utils/evaluator.js'
 export {
 	isQueryLoadingFieldKey,
@@ -9,17 +9,26 @@
  *   maia.do({ op: 'read', schema, key, filter, ... });
  */
 
-import { resolve, resolveReactive } from '@MaiaOS/db'
+import { resolve, resolveReactive, waitForStoreReady } from '@MaiaOS/db'
+import { createOpsLogger } from '@MaiaOS/logs'
 import { validateAgainstFactoryOrThrow } from '@MaiaOS/validation/validation.helper'
 import { ActorEngine } from './engines/actor.engine.js'
 import { DataEngine } from './engines/data.engine.js'
 import { ProcessEngine } from './engines/process.engine.js'
 import { StyleEngine } from './engines/style.engine.js'
+import { TimerEngine } from './engines/timer.engine.js'
 import { ViewEngine } from './engines/view.engine.js'
-import { Registry as ModuleRegistry, registerBuiltinModules } from './modules/registry.js'
+import {
+	Registry as ModuleRegistry,
+	registerBuiltinModules,
+	registerSparkOperator,
+} from './modules/registry.js'
 import { Runtime } from './runtimes/browser.js'
+import { NodeRuntime } from './runtimes/node.js'
 import { Evaluator as MaiaScriptEvaluator } from './utils/evaluator.js'
 
+const loaderOps = createOpsLogger('MaiaOS')
+
 /**
  * MaiaOS - Operating System for Actor-based Applications
  */
@@ -28,6 +37,7 @@ export class MaiaOS {
 		this.moduleRegistry = null
 		this.evaluator = null
 		this.processEngine = null
+		this.timerEngine = null // Process timers (schedule action)
 		this.styleEngine = null
 		this.viewEngine = null
 		this.actorEngine = null
@@ -61,19 +71,47 @@ export class MaiaOS {
 	 * @param {Object} opts
 	 * @param {string} opts.cmd - e.g. "/test-ucan"
 	 * @param {Object} [opts.args={}]
+	 * @param {string[]} [opts.prf] - Delegation chain (root → leaf) when acting on a delegated capability
 	 * @returns {Promise<string>} JWT-style token (Bearer)
 	 * @throws {Error} If not signed in or agentSecret not available
 	 */
 	async getCapabilityToken(opts = {}) {
-		const { cmd, args = {} } = opts
+		const { cmd, args = {}, prf = [] } = opts
 		if (!cmd || typeof cmd !== 'string') throw new Error('cmd required')
 		if (!this._agentSecret) throw new Error('Agent secret not available (sign in required)')
-		const accountID = this._account?.id ?? this._account?.$jazz?.id
-		if (!accountID?.startsWith('co_z')) throw new Error('Account not ready')
 		const { createInvocationToken } = await import('@MaiaOS/maia-ucan')
+		if (prf.length > 0) {
+			// Delegated: maia/accountID comes from the root delegation
+			return createInvocationToken(this._agentSecret, null, { cmd, args, prf })
+		}
+		const accountID = this._accountIdForToken()
 		return createInvocationToken(this._agentSecret, accountID, { cmd, args })
 	}
 
+	/**
+	 * Delegate a narrowed capability to another agent or device (e.g. "/llm/chat until Friday")
+	 * @param {Object} opts
+	 * @param {string} opts.aud - did:key of the receiving agent
+	 * @param {string} opts.cmd - Command prefix granted
+	 * @param {Object} [opts.args] - Exact-value constraints on invocation args
+	 * @param {number|null} [opts.exp] - Unix seconds (default: now+24h)
+	 * @param {number} [opts.nbf] - Not valid before (unix seconds)
+	 * @returns {Promise<string>} Delegation token to hand to aud (they invoke with prf: [token])
+	 * @throws {Error} If not signed in or agentSecret not available
+	 */
+	async delegateCapability(opts = {}) {
+		if (!this._agentSecret) throw new Error('Agent secret not available (sign in required)')
+		const accountID = this._accountIdForToken()
+		const { createDelegationToken } = await import('@MaiaOS/maia-ucan')
+		return createDelegationToken(this._agentSecret, accountID, opts)
+	}
+
+	_accountIdForToken() {
+		const accountID = this._account?.id ?? this._account?.$jazz?.id
+		if (!accountID?.startsWith('co_z')) throw new Error('Account not ready')
+		return accountID
+	}
+
 	/**
 	 * MaiaPeer - P2P layer (node + account) for tools that need direct peer access
 	 * @returns {{ node: LocalNode, account: RawAccount }|null}
@@ -198,6 +236,13 @@ export class MaiaOS {
 	 * @param {Object} [config.peer] - Pre-initialized peer/MaiaDB (alternative to node+account)
 	 * @param {string} [config.syncDomain] - Sync service domain (overrides env vars, single source of truth)
 	 * @param {'human' | 'agent'} [config.mode] - Operational mode (default: detect from env vars)
+	 * @param {string} [config.runtimeType='browser'] - 'browser', or 'node' for the headless NodeRuntime
+	 * @param {string[]} [config.actors] - Headless runtime only: extra actors to watch (co-ids or °maia/... labels)
+	 * @param {Function} [config.confirmToolCall] - Decides requiresConfirmation tool calls instead of the chat view: (request) => 'approved' | 'denied'
+	 * @param {string} [config.logFile] - Headless runtime only: append structured log records to this NDJSON file
+	 * @param {string} [config.traceFile] - Headless runtime only: append spans to this file as OTLP/JSON lines
+	 * @param {Object} [config.clock] - Clock for process timers (default: system clock; createFakeClock() in tests)
+	 * @param {string} [config.dbPath] - Agent mode: PGlite path (default: PEER_DB_PATH)
 	 * @returns {Promise<MaiaOS>} Booted OS instance
 	 * @throws {Error} If neither peer nor node+account is provided (or agent mode credentials missing)
 	 */
@@ -245,6 +290,7 @@ export class MaiaOS {
 				accountID,
 				agentSecret,
 				syncDomain: config.syncDomain || null,
+				dbPath: config.dbPath || null,
 				createName: 'Maia Agent',
 			})
 
@@ -277,10 +323,15 @@ export class MaiaOS {
 		// Load modules
 		await MaiaOS._loadModules(os, config)
 
-		// Start Runtime (inbox watching for browser agents)
+		// Start Runtime (inbox watching; 'node' = headless, no Shadow DOM)
 		const runtimeType = config.runtimeType || 'browser'
-		const runtime = new Runtime(os.dataEngine, os.actorEngine, runtimeType, {
+		const RuntimeClass = runtimeType === 'node' ? NodeRuntime : Runtime
+		const runtime = new RuntimeClass(os.dataEngine, os.actorEngine, runtimeType, {
 			getCapabilityToken: (opts) => os.getCapabilityToken(opts),
+			actors: config.actors,
+			confirmToolCall: config.confirmToolCall,
+			logFile: config.logFile,
+			traceFile: config.traceFile,
 		})
 		os.actorEngine.runtime = runtime
 		os.viewEngine.runtime = runtime
@@ -304,8 +355,10 @@ export class MaiaOS {
 	 * @throws {Error} If neither peer nor node+account is provided
 	 */
 	static async _initializeDatabase(os, config = {}) {
-		// Create minimal evaluator for DataEngine (expression evaluation in updates)
-		const evaluator = new MaiaScriptEvaluator()
+		// DataEngine evaluator (expressions in op data) shares the module registry, so module and
+		// spark operators work there too
+		os.moduleRegistry ??= new ModuleRegistry()
+		const evaluator = new MaiaScriptEvaluator(os.moduleRegistry)
 		const dbOptions = {
 			evaluator,
 			getSyncBaseUrl: config.getSyncBaseUrl ?? null,
@@ -345,8 +398,8 @@ export class MaiaOS {
 	 * @param {Object} config - Boot configuration
 	 */
 	static _initializeEngines(os, config) {
-		// Initialize module registry
-		os.moduleRegistry = new ModuleRegistry()
+		// Initialize module registry (already created with the DataEngine)
+		os.moduleRegistry ??= new ModuleRegistry()
 
 		// Initialize engines
 		// CRITICAL: Pass dataEngine to evaluator for runtime schema validation (no fallbacks)
@@ -355,6 +408,7 @@ export class MaiaOS {
 		// Store engines in registry for module access
 		os.moduleRegistry._dataEngine = os.dataEngine
 		os.processEngine = new ProcessEngine(os.evaluator)
+		os.timerEngine = new TimerEngine(config.clock ? { clock: config.clock } : {})
 		os.styleEngine = new StyleEngine()
 		// Clear cache on boot in development only
 		if (config.isDevelopment || import.meta.env?.DEV) {
@@ -371,6 +425,9 @@ export class MaiaOS {
 		os.styleEngine.dataEngine = os.dataEngine
 		os.processEngine.dataEngine = os.dataEngine
 		os.processEngine.actorOps = os.actorEngine
+		os.processEngine.timerEngine = os.timerEngine
+		os.timerEngine.dataEngine = os.dataEngine
+		os.timerEngine.actorOps = os.actorEngine
 
 		// Store reference to MaiaOS in actorEngine (for @db tool access)
 		os.actorEngine.os = os
@@ -387,6 +444,54 @@ export class MaiaOS {
 	static async _loadModules(os, config) {
 		const modules = config.modules || ['db', 'core']
 		await registerBuiltinModules(os.moduleRegistry, modules)
+		await MaiaOS._loadSparkOperators(os)
+	}
+
+	/**
+	 * Register the operators each of the account's sparks ships (spark.os.operators: name → operator
+	 * co-id). An operator that fails to load or to register is skipped with a warning.
+	 * @param {MaiaOS} os - OS instance
+	 */
+	static async _loadSparkOperators(os) {
+		const accountId = os.dataEngine?.peer?.account?.id
+		if (!accountId) return
+		const readValue = async (key, factory = null) => {
+			if (typeof key !== 'string' || !key.startsWith('co_z')) return null
+			const store = await os.dataEngine.execute({ op: 'read', factory, key })
+			await waitForStoreReady(store, key, 5000)
+			return store.value
+		}
+		let sparks = {}
+		try {
+			const account = await readValue(accountId, '@account')
+			const registries = await readValue(account?.registries)
+			sparks = (await readValue(registries?.sparks)) ?? {}
+		} catch (err) {
+			loaderOps.warn('spark operators: sparks registry unavailable', err?.message ?? err)
+			return
+		}
+		for (const [sparkName, sparkCoId] of Object.entries(sparks)) {
+			if (typeof sparkCoId !== 'string' || !sparkCoId.startsWith('co_z')) continue
+			let operators
+			try {
+				const spark = await readValue(sparkCoId)
+				operators = (await readValue(spark?.os))?.operators
+			} catch (err) {
+				loaderOps.warn(`spark operators: ${sparkName} unavailable`, err?.message ?? err)
+				continue
+			}
+			for (const [name, operatorCoId] of Object.entries(operators ?? {})) {
+				try {
+					const operator = await readValue(operatorCoId)
+					if (operator?.name !== name) {
+						throw new Error(`[MaiaOS] ${operatorCoId} is not operator ${name}`)
+					}
+					registerSparkOperator(os.moduleRegistry, sparkName, operator)
+				} catch (err) {
+					loaderOps.warn(`spark operators: ${sparkName} ${name} skipped`, err?.message ?? err)
+				}
+			}
+		}
 	}
 
 	/**
@@ -584,9 +689,10 @@ export class MaiaOS {
 	 * @param {string} targetId - Target actor co-id (or human-readable; resolved via CoJSON)
 	 * @param {string} type - Message type
 	 * @param {Object} payload - Resolved payload (no expressions)
+	 * @param {{ traceparent?: string }} [options] - Continue an existing trace
 	 */
-	deliverEvent(senderId, targetId, type, payload) {
-		return this.actorEngine.deliverEvent(senderId, targetId, type, payload)
+	deliverEvent(senderId, targetId, type, payload, options) {
+		return this.actorEngine.deliverEvent(senderId, targetId, type, payload, options)
 	}
 
 	/**
@@ -636,6 +742,7 @@ export class MaiaOS {
 			viewEngine: this.viewEngine,
 			styleEngine: this.styleEngine,
 			processEngine: this.processEngine,
+			timerEngine: this.timerEngine,
 			dataEngine: this.dataEngine,
 			evaluator: this.evaluator,
 			moduleRegistry: this.moduleRegistry,
@@ -2,6 +2,10 @@
  * Registry - Central plugin system for MaiaScript module extensions
  */
 
+import { CORE_OPERATIONS, STANDARD_OPERATORS } from '../utils/expression-library.js'
+
+const OPERATOR_NAME = /^\$[A-Za-z][A-Za-z0-9_]*$/
+
 const BUILTIN_MODULES = {
 	db: {
 		config: {
@@ -42,13 +46,36 @@ export async function registerBuiltinModules(registry, moduleNames) {
 	}
 }
 
+/**
+ * Register an operator a spark ships as data (operator.factory.maia). Only its QuickJS `code`,
+ * operand `schema` and `description` are used, so spark data never runs in the host. The
+ * operator belongs to module `spark:<sparkName>`.
+ * @param {Registry} registry
+ * @param {string} sparkName
+ * @param {{ name: string, code: string, schema?: Object, description?: string }} operator
+ */
+export function registerSparkOperator(registry, sparkName, operator) {
+	const { name, code, schema, description } = operator ?? {}
+	if (typeof code !== 'string' || code.length === 0) {
+		throw new Error(`[Registry] Spark operator ${name} needs QuickJS code`)
+	}
+	registry.registerOperator(name, { code, schema, description }, `spark:${sparkName}`)
+}
+
 export class Registry {
 	constructor() {
 		this.modules = new Map()
 		this.moduleConfigs = new Map()
+		this.operators = new Map()
+		/** Bumped on every operator change so the Evaluator can rebuild its expression schema */
+		this.operatorsVersion = 0
 	}
 
+	/** Operators are validated before anything is registered: a rejected module leaves no trace. */
 	registerModule(name, module, config = {}) {
+		const operators = Object.entries(module?.operators ?? {}).map(([operator, definition]) =>
+			this._operatorEntry(operator, definition, name),
+		)
 		this.modules.set(name, module)
 		this.moduleConfigs.set(name, {
 			name,
@@ -56,6 +83,66 @@ export class Registry {
 			description: config.description || '',
 			...config,
 		})
+		for (const entry of operators) this.operators.set(entry.name, entry)
+		if (operators.length > 0) this.operatorsVersion++
+	}
+
+	/**
+	 * Add a MaiaScript expression operator.
+	 * @param {string} name - Operator key, e.g. '$distance'
+	 * @param {Function|Object} definition - `async (operand, scope) => value`, or
+	 *   { evaluate?, code?, schema?, description? }: `evaluate` runs in the host with the Evaluator's
+	 *   scope (see expression-library.js); `code` is QuickJS source evaluating to { evaluate(operand) },
+	 *   called with the already-evaluated operand. `schema` is the JSON Schema for the operand, merged
+	 *   into maia-script-expression validation (`#/$defs/expression` refers to any nested expression).
+	 * @param {string|null} [moduleName] - Owning module (re-registering its own operator replaces it)
+	 */
+	registerOperator(name, definition, moduleName = null) {
+		this.operators.set(name, this._operatorEntry(name, definition, moduleName))
+		this.operatorsVersion++
+	}
+
+	/** Validated operator entry; throws without touching the registry. */
+	_operatorEntry(name, definition, moduleName) {
+		if (typeof name !== 'string' || !OPERATOR_NAME.test(name)) {
+			throw new Error(
+				`[Registry] Invalid operator name: ${name} (expected $ followed by letters/digits)`,
+			)
+		}
+		if (CORE_OPERATIONS.has(name) || name in STANDARD_OPERATORS) {
+			throw new Error(`[Registry] Operator ${name} is built in and cannot be replaced`)
+		}
+		const existing = this.operators.get(name)
+		if (existing && existing.module !== moduleName) {
+			throw new Error(`[Registry] Operator ${name} is already registered by module ${existing.module}`)
+		}
+		const spec = typeof definition === 'function' ? { evaluate: definition } : (definition ?? {})
+		const hasEvaluate = typeof spec.evaluate === 'function'
+		const hasCode = typeof spec.code === 'string' && spec.code.length > 0
+		if (hasEvaluate === hasCode) {
+			throw new Error(
+				`[Registry] Operator ${name} needs exactly one of evaluate (function) or code (QuickJS)`,
+			)
+		}
+		if (spec.schema !== undefined && (spec.schema === null || typeof spec.schema !== 'object')) {
+			throw new Error(`[Registry] Operator ${name} schema must be a JSON Schema object`)
+		}
+		return {
+			name,
+			module: moduleName,
+			description: spec.description || '',
+			schema: spec.schema ?? { $ref: '#/$defs/expression' },
+			evaluate: hasEvaluate ? spec.evaluate : null,
+			code: hasCode ? spec.code : null,
+		}
+	}
+
+	getOperator(name) {
+		return this.operators.get(name) || null
+	}
+
+	listOperators() {
+		return Array.from(this.operators.keys())
 	}
 
 	getModule(name) {
@@ -9,11 +9,30 @@
 import {
 	collectInboxMessageCoIds,
 	findNewSuccessFromTarget,
+	getLogStreamCoIdsFromPeer,
 	getRuntimeRef,
 	getSystemFactoryCoId,
+	getToolAuditStreamCoIdFromPeer,
+	LOG_STREAM_RETENTION,
 	RUNTIME_REF,
 } from '@MaiaOS/db'
-import { debugLog, isDebugChannelEnabled, traceRuntimeProcess } from '@MaiaOS/logs'
+import {
+	addLogSink,
+	addSpanExporter,
+	createCoStreamSink,
+	createOpsLogger,
+	createOtlpHttpExporter,
+	debugLog,
+	getOtlpEndpoint,
+	isDebugChannelEnabled,
+	isLogPersistenceEnabled,
+	traceRuntimeProcess,
+} from '@MaiaOS/logs'
+
+const runtimeOps = createOpsLogger('Runtime')
+
+/** How long a tool confirmation waits for the user before it expires (= denied) */
+const TOOL_CONFIRMATION_TIMEOUT_MS = 5 * 60 * 1000
 
 export class Runtime {
 	constructor(dataEngine, actorEngine, runtimeType, opts = {}) {
@@ -21,6 +40,11 @@ export class Runtime {
 		this.actorEngine = actorEngine
 		this.runtimeType = runtimeType
 		this._getCapabilityToken = opts.getCapabilityToken ?? null
+		this._confirmToolCall = opts.confirmToolCall ?? null
+		this._confirmationTimeoutMs = opts.confirmationTimeoutMs ?? TOOL_CONFIRMATION_TIMEOUT_MS
+		this._toolAuditStreamId = null
+		this._removeLogSink = null
+		this._removeSpanExporter = null
 		this._processingByInbox = new Map()
 		this._started = false
 		this._listeners = new Map() // event -> Set<callback>
@@ -161,23 +185,11 @@ export class Runtime {
 
 		for (const actorCoId of actorRefs) {
 			if (typeof actorCoId !== 'string' || !actorCoId.startsWith('co_z')) continue
-			const actorConfig = await this.getActorConfig(actorCoId)
-			const interfaceRef = actorConfig?.interface
-			if (!interfaceRef || typeof interfaceRef !== 'string') continue
-			const interfaceCoId = interfaceRef.startsWith('co_z')
-				? interfaceRef
-				: (getSystemFactoryCoId(peer, interfaceRef) ?? null)
-			if (!interfaceCoId?.startsWith?.('co_z')) continue
-			const ifaceStore = await this.dataEngine.execute({
-				op: 'read',
-				factory: metaSchemaCoId,
-				key: interfaceCoId,
-			})
-			const schema = ifaceStore?.value
+			const schema = await this._loadInterfaceSchema(actorCoId)
 			if (!schema?.properties || typeof schema.properties !== 'object') continue
 			for (const [eventType, eventFactory] of Object.entries(schema.properties)) {
 				if (eventType.startsWith('@') || eventType.startsWith('$')) continue
-				const { properties = {}, required = [], ...rest } = eventFactory
+				const { properties = {}, required = [], requiresConfirmation, ...rest } = eventFactory
 				const parameters = {
 					...rest,
 					properties: {
@@ -194,7 +206,7 @@ export class Runtime {
 					type: 'function',
 					function: {
 						name: `${actorCoId}/${eventType}`,
-						description: eventFactory.description ?? schema.description ?? '',
+						description: `${eventFactory.description ?? schema.description ?? ''}${requiresConfirmation === true ? ' (asks the user to confirm first)' : ''}`,
 						parameters,
 					},
 				})
@@ -203,14 +215,166 @@ export class Runtime {
 		return tools
 	}
 
+	/**
+	 * Interface schema of an actor (its events), or null
+	 * @param {string} actorCoId - Actor co-id
+	 * @returns {Promise<Object|null>}
+	 */
+	async _loadInterfaceSchema(actorCoId) {
+		const peer = this.dataEngine?.peer
+		const metaSchemaCoId = getRuntimeRef(peer, RUNTIME_REF.META)
+		if (!metaSchemaCoId) return null
+		const actorConfig = await this.getActorConfig(actorCoId)
+		const interfaceRef = actorConfig?.interface
+		if (!interfaceRef || typeof interfaceRef !== 'string') return null
+		const interfaceCoId = interfaceRef.startsWith('co_z')
+			? interfaceRef
+			: (getSystemFactoryCoId(peer, interfaceRef) ?? null)
+		if (!interfaceCoId?.startsWith?.('co_z')) return null
+		const ifaceStore = await this.dataEngine.execute({
+			op: 'read',
+			factory: metaSchemaCoId,
+			key: interfaceCoId,
+		})
+		const schema = ifaceStore?.value
+		return schema && !schema.error ? schema : null
+	}
+
+	/**
+	 * Ask the user to approve a tool call. Creates a pending ToolConfirmation CoMap (the chat
+	 * view's tool-confirmations actor renders it with Approve / Deny) and waits for its status;
+	 * opts.confirmToolCall decides instead when given (headless runtimes). Every settled request
+	 * is pushed to the tool audit CoStream. Fails closed: no factory or no audit means denied.
+	 * @param {{ tool: string, target: string, event: string, args: Object, actionSummary?: string }} request
+	 * @returns {Promise<'approved'|'denied'|'expired'>}
+	 */
+	async confirmToolCall(request) {
+		const peer = this.dataEngine?.peer
+		const factory = getRuntimeRef(peer, RUNTIME_REF.OS_TOOL_CONFIRMATION)
+		if (!factory) return 'denied'
+		const account = peer?.account?.id
+		const now = () => Math.floor(Date.now() / 1000)
+		const created = await this.dataEngine.execute({
+			op: 'create',
+			factory,
+			data: {
+				tool: request.tool,
+				target: request.target,
+				event: request.event,
+				args: request.args ?? {},
+				...(typeof request.actionSummary === 'string' && { actionSummary: request.actionSummary }),
+				status: 'pending',
+				...(account && { requestedBy: account }),
+				requestedAt: now(),
+			},
+		})
+		const id = created?.data?.id
+		if (!id?.startsWith?.('co_z')) return 'denied'
+		this._emit('toolConfirmationRequested', { id, ...request })
+
+		let decision =
+			typeof this._confirmToolCall === 'function'
+				? await this._confirmToolCall({ id, ...request })
+				: await this._awaitConfirmationDecision(factory, id)
+		if (decision !== 'approved' && decision !== 'expired') decision = 'denied'
+
+		// Audit before the final status: the view may already have written 'approved', so a failed
+		// audit writes 'denied' back and the stored status always matches the returned decision.
+		try {
+			await this._appendToolAudit(id)
+		} catch (_e) {
+			decision = 'denied'
+		}
+		try {
+			await this.dataEngine.execute({
+				op: 'update',
+				id,
+				data: { status: decision, ...(account && { decidedBy: account }), decidedAt: now() },
+			})
+		} catch (_e) {
+			decision = 'denied'
+		}
+		this._emit('toolConfirmationSettled', { id, decision, ...request })
+		return decision
+	}
+
+	/** Resolves with the ToolConfirmation's status once approved / denied, or 'expired' on timeout */
+	async _awaitConfirmationDecision(factory, id) {
+		const store = await this.dataEngine.execute({ op: 'read', factory, key: id })
+		return new Promise((resolve) => {
+			let done = false
+			let unsubscribe = null
+			const settle = (decision) => {
+				if (done) return
+				done = true
+				clearTimeout(timer)
+				unsubscribe?.()
+				resolve(decision)
+			}
+			const timer = setTimeout(() => settle('expired'), this._confirmationTimeoutMs)
+			unsubscribe = store.subscribe((value) => {
+				if (value?.status === 'approved' || value?.status === 'denied') settle(value.status)
+			})
+			if (done) unsubscribe()
+		})
+	}
+
+	/** Push a settled ToolConfirmation into the tool audit CoStream (created on first use) */
+	async _appendToolAudit(confirmationId) {
+		const peer = this.dataEngine.peer
+		this._toolAuditStreamId ??= await getToolAuditStreamCoIdFromPeer(peer)
+		if (!this._toolAuditStreamId) {
+			const factory = getRuntimeRef(peer, RUNTIME_REF.OS_TOOL_AUDIT)
+			if (!factory) throw new Error('[Runtime] Tool audit factory not seeded')
+			const created = await this.dataEngine.execute({ op: 'create', factory, data: {} })
+			this._toolAuditStreamId = created?.data?.id ?? null
+		}
+		if (!this._toolAuditStreamId) throw new Error('[Runtime] Could not create tool audit stream')
+		const pushed = await this.dataEngine.execute({
+			op: 'push',
+			coId: this._toolAuditStreamId,
+			item: confirmationId,
+		})
+		if (pushed?.ok === false) throw new Error('[Runtime] Tool audit push failed')
+	}
+
+	/**
+	 * LOG_MODE=persist: append this session's ops lines, warnings and errors to a log CoStream of its
+	 * own, where the logs vibe reads them back across sessions and devices. Streams of all but the
+	 * newest LOG_STREAM_RETENTION sessions are removed from the index.
+	 */
+	async _attachLogStream() {
+		const peer = this.dataEngine.peer
+		const factory = getRuntimeRef(peer, RUNTIME_REF.OS_LOG_STREAM)
+		if (!factory) throw new Error('[Runtime] Log stream factory not seeded')
+		const created = await this.dataEngine.execute({ op: 'create', factory, data: {} })
+		const streamId = created?.data?.id ?? null
+		if (!streamId) throw new Error('[Runtime] Could not create log stream')
+		const core = peer.node.getCoValue(streamId)
+		const stream = peer.isAvailable(core) ? peer.getCurrentContent(core) : null
+		if (typeof stream?.push !== 'function') throw new Error('[Runtime] Log stream not available')
+		this._removeLogSink = addLogSink(createCoStreamSink(stream))
+
+		const others = (await getLogStreamCoIdsFromPeer(peer)).filter((id) => id !== streamId)
+		const expired = others.slice(0, Math.max(0, others.length - (LOG_STREAM_RETENTION - 1)))
+		for (const id of expired) {
+			await this.dataEngine
+				.execute({ op: 'delete', id })
+				.catch((error) => runtimeOps.warn('Log stream prune failed:', error?.message ?? error))
+		}
+	}
+
 	/**
 	 * Execute a tool call: deliver event to actor, run process, capture SUCCESS response.
+	 * Events marked requiresConfirmation in the target's interface wait for confirmToolCall first;
+	 * anything but approval returns { ok: false, denied: true, decision } for the model to read.
 	 * @param {Object} callerActor - Actor making the call (has .id, .config.inbox)
 	 * @param {string} toolName - Format "actorCoId/eventType" (e.g. co_z.../CREATE_TODO)
 	 * @param {Object} payload - Event payload
+	 * @param {{ traceparent?: string }} [options] - Span context of the caller; the delivered event is its child
 	 * @returns {Promise<Object>} Result from SUCCESS reply or { ok: false, error }
 	 */
-	async executeToolCall(callerActor, toolName, payload = {}) {
+	async executeToolCall(callerActor, toolName, payload = {}, { traceparent } = {}) {
 		const slash = toolName.lastIndexOf('/')
 		if (slash < 0) {
 			return { ok: false, error: `Invalid tool name: ${toolName}` }
@@ -239,6 +403,25 @@ export class Runtime {
 			return { ok: false, error: 'Target actor inbox must be co-id (co_z...)' }
 		}
 
+		const targetInterface = await this._loadInterfaceSchema(targetActorCoId)
+		if (targetInterface?.properties?.[eventType]?.requiresConfirmation === true) {
+			const decision = await this.confirmToolCall({
+				tool: toolName,
+				target: targetActorCoId,
+				event: eventType,
+				args: actorPayload,
+				actionSummary,
+			})
+			if (decision !== 'approved') {
+				const error =
+					decision === 'expired'
+						? `User did not confirm ${eventType} in time; not executed`
+						: `User denied ${eventType}; not executed`
+				this._emit('toolExecuted', { toolName: eventType, fullName: toolName, ok: false, error })
+				return { ok: false, denied: true, decision, error }
+			}
+		}
+
 		const callerInboxCoId = callerActor?.config?.inbox
 
 		const peer = this.dataEngine?.peer
@@ -247,7 +430,9 @@ export class Runtime {
 				? collectInboxMessageCoIds(peer, callerInboxCoId)
 				: null
 
-		await this.actorEngine.deliverEvent(callerId, targetActorCoId, eventType, actorPayload || {})
+		await this.actorEngine.deliverEvent(callerId, targetActorCoId, eventType, actorPayload || {}, {
+			traceparent,
+		})
 		await this.ensureActorSpawned(targetConfig, inboxCoId)
 		await this.actorEngine.processEvents(targetActorCoId)
 
@@ -430,6 +615,18 @@ export class Runtime {
 		if (!this.dataEngine || this._started) return
 		this._started = true
 
+		const otlpEndpoint = getOtlpEndpoint()
+		if (otlpEndpoint && !this._removeSpanExporter) {
+			this._removeSpanExporter = addSpanExporter(
+				createOtlpHttpExporter(otlpEndpoint, { serviceName: `maia-${this.runtimeType}` }),
+			)
+		}
+		if (isLogPersistenceEnabled() && !this._removeLogSink) {
+			await this._attachLogStream().catch((error) =>
+				runtimeOps.warn('Log persistence unavailable:', error?.message ?? error),
+			)
+		}
+
 		const { actorRefs } = await this._getVibesAndDependenciesFromDb()
 		if (!actorRefs?.length) return
 
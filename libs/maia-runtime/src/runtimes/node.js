@@ -0,0 +1,145 @@
+/**
+ * Runtime (node) - Headless runtime for Node/Bun servers, scripts and tests
+ *
+ * Same API and events as the browser Runtime (inbox watching, collectTools, executeToolCall,
+ * getActorConfig, actorSpawned / actorDestroyed / toolExecuted). No Shadow DOM: actors are only
+ * spawned headless (state + inbox + process), never attached to a view.
+ *
+ * Watches the dependencies of vibes whose manifest lists runtime "node", plus any actors passed
+ * explicitly (opts.actors) - so a script can run service actors without touching vibe manifests.
+ * Storage comes from MaiaOS.boot agent mode (@MaiaOS/storage node adapters: PGlite / Postgres).
+ */
+
+import { getSystemFactoryCoId } from '@MaiaOS/db'
+import { addLogSink, addSpanExporter } from '@MaiaOS/logs'
+import { Runtime } from './browser.js'
+
+export class NodeRuntime extends Runtime {
+	/**
+	 * @param {Object} dataEngine - DataEngine
+	 * @param {Object} actorEngine - ActorEngine
+	 * @param {string} [runtimeType='node'] - Matched against vibe manifest `runtime` arrays
+	 * @param {Object} [opts]
+	 * @param {Function} [opts.getCapabilityToken] - Delegate for getCapabilityToken (Loader wires)
+	 * @param {string[]} [opts.actors] - Extra actors to watch: co-ids or °maia/... labels
+	 * @param {Function} [opts.confirmToolCall] - Decides requiresConfirmation tool calls (no view to ask);
+	 *   without it they wait for a chat view elsewhere to decide, then expire
+	 * @param {string} [opts.logFile] - Append structured log records to this NDJSON file (rotated at 10 MB)
+	 * @param {string} [opts.traceFile] - Append finished spans to this file as OTLP/JSON lines (rotated at 10 MB)
+	 */
+	constructor(dataEngine, actorEngine, runtimeType = 'node', opts = {}) {
+		super(dataEngine, actorEngine, runtimeType, opts)
+		this._extraActorRefs = Array.isArray(opts.actors) ? opts.actors : []
+		this._inboxUnsubscribes = new Map() // inboxCoId -> unsubscribe
+		this._logFile = opts.logFile ?? null
+		this._removeFileSink = null
+		this._traceFile = opts.traceFile ?? null
+		this._removeTraceExporter = null
+	}
+
+	/** Attach opts.logFile / opts.traceFile (if any), then start inbox watchers */
+	async start() {
+		// Lazy imports: this module is also reachable from browser bundles, which have no node:fs
+		if (this._logFile && !this._removeFileSink) {
+			const { createNdjsonFileSink } = await import('@MaiaOS/logs/ndjson-file-sink')
+			this._removeFileSink = addLogSink(createNdjsonFileSink(this._logFile))
+		}
+		if (this._traceFile && !this._removeTraceExporter) {
+			const { createOtlpFileExporter } = await import('@MaiaOS/logs/otlp-file-exporter')
+			this._removeTraceExporter = addSpanExporter(
+				createOtlpFileExporter(this._traceFile, { serviceName: `maia-${this.runtimeType}` }),
+			)
+		}
+		await super.start()
+	}
+
+	/**
+	 * Views need a DOM; use spawnActor (or let the inbox watcher spawn) instead.
+	 * @throws {Error} Always
+	 */
+	async createActorForView() {
+		throw new Error('[NodeRuntime] createActorForView: no DOM in headless runtime, use spawnActor')
+	}
+
+	/**
+	 * Views need a DOM; headless actors have no container.
+	 * @throws {Error} Always
+	 */
+	destroyActorsForContainer() {
+		throw new Error('[NodeRuntime] destroyActorsForContainer: no DOM in headless runtime')
+	}
+
+	/**
+	 * Resolve an actor ref to a co-id. Accepts co-ids and seeded °maia/... labels.
+	 * @param {string} actorRef
+	 * @returns {string} Actor co-id
+	 * @throws {Error} If the ref cannot be resolved
+	 */
+	resolveActorRef(actorRef) {
+		if (typeof actorRef === 'string' && actorRef.startsWith('co_z')) return actorRef
+		const coId = getSystemFactoryCoId(this.dataEngine?.peer, actorRef)
+		if (!coId) {
+			throw new Error(`[NodeRuntime] Cannot resolve actor ref: ${actorRef}`)
+		}
+		return coId
+	}
+
+	/**
+	 * Spawn a headless actor by ref (e.g. a service actor in a script or test).
+	 * Returns the running actor if already spawned.
+	 * @param {string} actorRef - Actor co-id or °maia/... label
+	 * @returns {Promise<Object|null>} Actor, or null if the config has no process
+	 * @throws {Error} If the actor config cannot be loaded
+	 */
+	async spawnActor(actorRef) {
+		const actorCoId = this.resolveActorRef(actorRef)
+		const actorConfig = await this.getActorConfig(actorCoId)
+		if (!actorConfig) {
+			throw new Error(`[NodeRuntime] spawnActor: actor config not found: ${actorCoId}`)
+		}
+		const actorId = actorConfig.$id
+		if (this.actorEngine.actors.has(actorId)) return this.actorEngine.actors.get(actorId)
+		const actor = await this.actorEngine.spawnActor(actorConfig)
+		if (actor) this._emit('actorSpawned', { actorId, config: actorConfig, source: 'spawn' })
+		return actor
+	}
+
+	/** Same as browser, but keeps the unsubscribe so stop() can release every watcher. */
+	watchInbox(inboxCoId, actorId, actorConfig) {
+		this._inboxUnsubscribes.get(inboxCoId)?.()
+		const unsub = super.watchInbox(inboxCoId, actorId, actorConfig)
+		this._inboxUnsubscribes.set(inboxCoId, unsub)
+		return () => {
+			unsub()
+			if (this._inboxUnsubscribes.get(inboxCoId) === unsub) this._inboxUnsubscribes.delete(inboxCoId)
+		}
+	}
+
+	/** Vibe dependencies for this runtime type, plus explicit opts.actors. */
+	async _getVibesAndDependenciesFromDb() {
+		const { actorRefs } = await super._getVibesAndDependenciesFromDb()
+		const refs = new Set(actorRefs)
+		for (const ref of this._extraActorRefs) refs.add(this.resolveActorRef(ref))
+		return { actorRefs: [...refs] }
+	}
+
+	/**
+	 * Stop watching inboxes and destroy all actors, so a script or test can exit cleanly.
+	 * start() may be called again afterwards.
+	 */
+	stop() {
+		for (const unsub of this._inboxUnsubscribes.values()) unsub()
+		this._inboxUnsubscribes.clear()
+		for (const actorId of [...(this.actorEngine?.actors?.keys() ?? [])]) {
+			// Destroying a parent also destroys its children
+			if (this.actorEngine.actors.has(actorId)) this.destroyActor(actorId)
+		}
+		// Persisted timers stay scheduled; the next runtime to host the actor re-arms them
+		this.actorEngine?.processEngine?.timerEngine?.dispose()
+		this._removeFileSink?.()
+		this._removeFileSink = null
+		this._removeTraceExporter?.()
+		this._removeTraceExporter = null
+		this._started = false
+	}
+}
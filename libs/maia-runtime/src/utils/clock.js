@@ -0,0 +1,56 @@
+/**
+ * Clocks for TimerEngine: the system clock, and a fake clock that only moves when a test says so.
+ * A clock is `{ now(), setTimeout(fn, ms), clearTimeout(handle) }`.
+ */
+
+export const systemClock = Object.freeze({
+	now: () => Date.now(),
+	setTimeout: (fn, ms) => setTimeout(fn, ms),
+	clearTimeout: (handle) => clearTimeout(handle),
+})
+
+/**
+ * @param {number} [startMs=0] - initial `now()` (epoch ms)
+ */
+export function createFakeClock(startMs = 0) {
+	let now = startMs
+	let seq = 0
+	const pending = new Map()
+
+	const nextDue = (untilMs) => {
+		let next = null
+		for (const [handle, timer] of pending) {
+			if (timer.at <= untilMs && (!next || timer.at < next.at)) next = { handle, ...timer }
+		}
+		return next
+	}
+
+	return {
+		now: () => now,
+		setTimeout(fn, ms = 0) {
+			const handle = ++seq
+			pending.set(handle, { at: now + Math.max(0, Number(ms) || 0), fn })
+			return handle
+		},
+		clearTimeout(handle) {
+			pending.delete(handle)
+		},
+		/** Number of armed timeouts */
+		get pending() {
+			return pending.size
+		},
+		/**
+		 * Move time forward by `ms`, running due callbacks in time order. Async callbacks are awaited,
+		 * so timeouts they arm within the window run too.
+		 */
+		async advance(ms) {
+			const until = now + ms
+			for (let next = nextDue(until); next; next = nextDue(until)) {
+				pending.delete(next.handle)
+				now = next.at
+				await next.fn()
+			}
+			now = until
+		},
+	}
+}
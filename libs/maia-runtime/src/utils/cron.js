@@ -0,0 +1,115 @@
+/**
+ * Minimal 5-field cron (minute hour day-of-month month day-of-week), evaluated in UTC so every
+ * runtime hosting an actor computes the same fire times. Supports `*`, lists, ranges, steps and
+ * the @hourly / @daily / @weekly / @monthly / @yearly shorthands.
+ */
+
+const MACROS = {
+	'@hourly': '0 * * * *',
+	'@daily': '0 0 * * *',
+	'@midnight': '0 0 * * *',
+	'@weekly': '0 0 * * 0',
+	'@monthly': '0 0 1 * *',
+	'@yearly': '0 0 1 1 *',
+	'@annually': '0 0 1 1 *',
+}
+
+const FIELDS = [
+	{ name: 'minute', min: 0, max: 59 },
+	{ name: 'hour', min: 0, max: 23 },
+	{ name: 'day of month', min: 1, max: 31 },
+	{ name: 'month', min: 1, max: 12 },
+	{ name: 'day of week', min: 0, max: 7 },
+]
+
+const MINUTE_MS = 60_000
+/** Give up after this many field jumps (an impossible date such as 31 February). */
+const MAX_STEPS = 10_000
+
+function parseField(source, { name, min, max }) {
+	const values = new Set()
+	for (const part of source.split(',')) {
+		const [range, stepText] = part.split('/')
+		const step = stepText === undefined ? 1 : Number(stepText)
+		if (!Number.isInteger(step) || step < 1) {
+			throw new Error(`[cron] invalid step in ${name}: ${part}`)
+		}
+		let from = min
+		let to = max
+		if (range !== '*') {
+			const [a, b] = range.split('-')
+			from = Number(a)
+			to = b === undefined ? (stepText === undefined ? from : max) : Number(b)
+		}
+		if (!Number.isInteger(from) || !Number.isInteger(to) || from < min || to > max || from > to) {
+			throw new Error(`[cron] invalid ${name}: ${part}`)
+		}
+		for (let v = from; v <= to; v += step) values.add(v)
+	}
+	return values
+}
+
+/**
+ * @param {string} expression - e.g. `0 3 * * *` (03:00 UTC daily) or `@hourly`
+ */
+export function parseCron(expression) {
+	if (typeof expression !== 'string') throw new Error('[cron] expression must be a string')
+	const source = MACROS[expression.trim()] ?? expression.trim()
+	const parts = source.split(/\s+/)
+	if (parts.length !== 5) {
+		throw new Error(`[cron] expected 5 fields (minute hour day month weekday), got: ${expression}`)
+	}
+	const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((p, i) => parseField(p, FIELDS[i]))
+	if (dayOfWeek.delete(7)) dayOfWeek.add(0)
+	return {
+		minute,
+		hour,
+		dayOfMonth,
+		month,
+		dayOfWeek,
+		// Classic cron: when both day fields are restricted, either may match
+		anyDayOfMonth: parts[2] === '*',
+		anyDayOfWeek: parts[4] === '*',
+	}
+}
+
+function dayMatches(cron, date) {
+	const dom = cron.dayOfMonth.has(date.getUTCDate())
+	const dow = cron.dayOfWeek.has(date.getUTCDay())
+	if (cron.anyDayOfMonth) return dow
+	if (cron.anyDayOfWeek) return dom
+	return dom || dow
+}
+
+/**
+ * First fire time strictly after `afterMs`.
+ * @param {string|ReturnType<typeof parseCron>} expression
+ * @param {number} afterMs - epoch ms
+ * @returns {number} epoch ms
+ */
+export function nextCronTime(expression, afterMs) {
+	const cron = typeof expression === 'string' ? parseCron(expression) : expression
+	const date = new Date(Math.floor(afterMs / MINUTE_MS) * MINUTE_MS + MINUTE_MS)
+	for (let steps = 0; steps < MAX_STEPS; steps++) {
+		if (!cron.month.has(date.getUTCMonth() + 1)) {
+			date.setUTCMonth(date.getUTCMonth() + 1, 1)
+			date.setUTCHours(0, 0, 0, 0)
+			continue
+		}
+		if (!dayMatches(cron, date)) {
+			date.setUTCDate(date.getUTCDate() + 1)
+			date.setUTCHours(0, 0, 0, 0)
+			continue
+		}
+		if (!cron.hour.has(date.getUTCHours())) {
+			date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0)
+			continue
+		}
+		if (!cron.minute.has(date.getUTCMinutes())) {
+			date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0)
+			continue
+		}
+		return date.getTime()
+	}
+	throw new Error('[cron] no matching time found (impossible date?)')
+}
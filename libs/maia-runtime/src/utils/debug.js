@@ -3,11 +3,14 @@
  *
  * PERF: `maia:perf:engines:*` (see @MaiaOS/logs perf.js)
  * TRACE: `maia:debug:trace` or `?maia_trace=1`
+ * Spans: deliver → process → op across actors (traceparent on inbox messages)
  */
 export {
 	isTraceEnabled,
 	perfEnginesChat,
 	perfEnginesPipeline,
+	SPAN_KIND,
+	startSpan,
 	TRACE_STORAGE_KEY,
 	traceActorProcessEvents,
 	traceContextOnError,
@@ -1,5 +1,7 @@
 import { withCanonicalFactorySchema } from '@MaiaOS/validation/identity-from-maia-path.js'
 import { validateAgainstFactoryOrThrow } from '@MaiaOS/validation/validation.helper'
+import { systemClock } from './clock.js'
+import { CORE_OPERATIONS, STANDARD_OPERATORS } from './expression-library.js'
 import { FORBIDDEN_PATH_KEYS } from './security.js'
 
 // getContextValue removed - Backend unified store provides merged value directly via context.value
@@ -29,8 +31,9 @@ function resolvePath(obj, path) {
 /**
  * Evaluator - Minimal DSL evaluator for MaiaScript expressions
  * Syntax: $key (context), $$key (item)
- * Supports: $context, $item, $if, $$shorthand
- * Registry-aware for extensible DSL operations
+ * Supports: $context, $item, $if, $$shorthand, plus the standard library (STANDARD_OPERATORS)
+ * Registry-aware: operators registered by modules (Registry.registerOperator) dispatch and validate
+ * like built-ins
  *
  * Security: Validates expressions before evaluation and enforces depth limits
  */
@@ -40,6 +43,8 @@ export class Evaluator {
 		this.maxDepth = options.maxDepth || 50 // Maximum recursion depth to prevent DoS
 		this.validateExpressions = options.validateExpressions !== false // Enable validation by default
 		this.dataEngine = options.dataEngine ?? null
+		this.clock = options.clock ?? systemClock // $now / $formatRelative
+		this.operators = new Map(Object.entries(STANDARD_OPERATORS))
 	}
 
 	/**
@@ -65,18 +70,7 @@ export class Evaluator {
 			!Array.isArray(expression)
 		) {
 			try {
-				const { default: raw } = await import(
-					'@MaiaOS/universe/factories/maia-script-expression.factory.maia'
-				)
-				if (!raw || typeof raw !== 'object') {
-					throw new Error('[Evaluator] maia-script-expression.factory.maia did not load as an object')
-				}
-				const cloned =
-					typeof structuredClone === 'function' ? structuredClone(raw) : JSON.parse(JSON.stringify(raw))
-				const expressionFactory = withCanonicalFactorySchema(
-					cloned,
-					'maia-script-expression.factory.maia',
-				)
+				const expressionFactory = await this._expressionFactory()
 				await validateAgainstFactoryOrThrow(expressionFactory, expression, 'maia-script-expression')
 			} catch (error) {
 				throw new Error(`[Evaluator] Invalid MaiaScript expression: ${error.message}`)
@@ -269,6 +263,13 @@ export class Evaluator {
 				: await this.evaluate(expression.$if.else, data, depth + 1)
 		}
 
+		for (const key of Object.keys(expression)) {
+			const operator = this.operators.get(key)
+			if (operator) return operator(expression[key], this._operatorScope(data, depth))
+			const custom = this.registry?.getOperator?.(key)
+			if (custom) return this._evaluateCustomOperator(custom, expression[key], data, depth)
+		}
+
 		if (typeof expression === 'string' && expression.includes('?') && expression.includes(':')) {
 			const [conditionStr, rest] = expression.split('?').map((s) => s.trim())
 			if (rest) {
@@ -300,6 +301,74 @@ export class Evaluator {
 		return expression
 	}
 
+	/**
+	 * maia-script-expression factory with the registry's operator schemas merged into
+	 * $defs.operation.properties. Rebuilt only when the registry's operators change.
+	 * @returns {Promise<Object>} Factory schema for validateAgainstFactoryOrThrow
+	 */
+	async _expressionFactory() {
+		const version = this.registry?.operatorsVersion ?? 0
+		if (this._expressionSchema?.version === version) return this._expressionSchema.factory
+		const { default: raw } = await import(
+			'@MaiaOS/universe/factories/maia-script-expression.factory.maia'
+		)
+		if (!raw || typeof raw !== 'object') {
+			throw new Error('[Evaluator] maia-script-expression.factory.maia did not load as an object')
+		}
+		const cloned =
+			typeof structuredClone === 'function' ? structuredClone(raw) : JSON.parse(JSON.stringify(raw))
+		for (const name of this.registry?.listOperators?.() ?? []) {
+			const { schema, description } = this.registry.getOperator(name)
+			cloned.$defs.operation.properties[name] = description ? { description, ...schema } : schema
+		}
+		const factory = withCanonicalFactorySchema(cloned, 'maia-script-expression.factory.maia')
+		this._expressionSchema = { version, factory }
+		return factory
+	}
+
+	/**
+	 * Run a module-registered operator: host `evaluate` gets the operator scope; sandboxed `code`
+	 * gets the evaluated operand inside QuickJS.
+	 * @param {Object} operator - Registry operator { name, evaluate, code }
+	 * @param {any} operand - Unevaluated operand
+	 * @param {Object} data - The data context { context, item, result }
+	 * @param {number} depth - Depth of the operator expression
+	 * @returns {Promise<any>} The operator's result
+	 */
+	async _evaluateCustomOperator(operator, operand, data, depth) {
+		const scope = this._operatorScope(data, depth)
+		if (operator.evaluate) return operator.evaluate(operand, scope)
+		const { evaluateInSandbox } = await import('./quickjs-executor.js')
+		const result = await evaluateInSandbox(operator.code, await scope.evaluate(operand))
+		if (!result.ok) {
+			throw new Error(
+				`[Evaluator] ${operator.name} failed: ${result.errors.map((e) => e.message).join('; ')}`,
+			)
+		}
+		return result.data
+	}
+
+	/**
+	 * Helpers handed to library operators (see expression-library.js)
+	 * @param {Object} data - The data context { context, item, result }
+	 * @param {number} depth - Depth of the operator expression
+	 * @returns {Object} { data, evaluate, get, assertSafeKey, now }
+	 */
+	_operatorScope(data, depth) {
+		return {
+			data,
+			evaluate: (expr, scopeData = data) => this.evaluate(expr, scopeData, depth + 1),
+			get: resolvePath,
+			assertSafeKey: (key, what) => {
+				if (typeof key !== 'string' || key === '' || key.includes('.')) {
+					throw new Error(`[Evaluator] Invalid ${what}: ${key}`)
+				}
+				assertSafePath(key, what)
+			},
+			now: () => this.clock.now(),
+		}
+	}
+
 	/**
 	 * Evaluate return expression in $map context with custom item key
 	 * Handles shortcuts like $$msg.role when as="msg" by treating $$itemKey.path as item.path
@@ -376,22 +445,11 @@ export class Evaluator {
 			return true
 		}
 		if (typeof expression !== 'object' || expression === null) return false
-		return (
-			'$context' in expression ||
-			'$item' in expression ||
-			'$if' in expression ||
-			'$eq' in expression ||
-			'$ne' in expression ||
-			'$not' in expression ||
-			'$and' in expression ||
-			'$or' in expression ||
-			'$trim' in expression ||
-			'$gt' in expression ||
-			'$length' in expression ||
-			'$concat' in expression ||
-			'$join' in expression ||
-			'$map' in expression ||
-			'$find' in expression
+		return Object.keys(expression).some(
+			(key) =>
+				CORE_OPERATIONS.has(key) ||
+				this.operators.has(key) ||
+				Boolean(this.registry?.getOperator?.(key)),
 		)
 	}
 }
@@ -0,0 +1,346 @@
+/**
+ * MaiaScript standard library - operators the Evaluator dispatches by key after its core ops
+ * ($context, $item, $eq, $if, $map, ...). Each operator is `async (operand, scope) => value`:
+ * - scope.evaluate(expr, data?) evaluates a sub-expression one level deeper (depth limit applies)
+ * - scope.data is the current { context, item, result }
+ * - scope.get(obj, path) resolves a dot path with forbidden-key checks
+ * - scope.assertSafeKey(key, what) rejects __proto__ / constructor / prototype
+ * - scope.now() is the evaluator's clock (epoch ms)
+ *
+ * Operators never throw on bad data: math on non-numbers and invalid dates yield null.
+ * Malformed operands (wrong shape) are rejected by maia-script-expression.factory.maia.
+ * Modules contribute further operators (same signature) through Registry.registerOperator.
+ */
+
+import { FORBIDDEN_PATH_KEYS } from './security.js'
+
+/** Operations handled inline by Evaluator.evaluate (not in STANDARD_OPERATORS) */
+export const CORE_OPERATIONS = new Set([
+	'$context',
+	'$item',
+	'$if',
+	'$eq',
+	'$ne',
+	'$not',
+	'$and',
+	'$or',
+	'$trim',
+	'$gt',
+	'$length',
+	'$concat',
+	'$join',
+	'$map',
+	'$find',
+])
+
+const UNIT_MS = {
+	millisecond: 1,
+	second: 1000,
+	minute: 60_000,
+	hour: 3_600_000,
+	day: 86_400_000,
+	week: 604_800_000,
+}
+const CALENDAR_UNITS = new Set(['month', 'year'])
+const UNITS = [...Object.keys(UNIT_MS), ...CALENDAR_UNITS]
+/** Intl.RelativeTimeFormat has no millisecond unit */
+const RELATIVE_UNITS = UNITS.filter((unit) => unit !== 'millisecond')
+
+/** $round digits beyond this lose the factor to Infinity / 0 (and doubles carry ~15 decimals anyway) */
+const MAX_ROUND_DIGITS = 15
+
+/** Relative-time thresholds: use the first unit whose next step is not yet reached */
+const RELATIVE_STEPS = [
+	['second', 60],
+	['minute', 60],
+	['hour', 24],
+	['day', 7],
+	['week', 4.345],
+	['month', 12],
+	['year', Number.POSITIVE_INFINITY],
+]
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value)
+
+/** Operand → argument list: a literal array is the argument list, anything else one argument */
+async function args(operand, scope) {
+	const value = await scope.evaluate(operand)
+	return Array.isArray(operand) ? value : [value]
+}
+
+/** Numeric list operator: null unless every argument is a finite number (array arguments are spread) */
+function numeric(fn) {
+	return async (operand, scope) => {
+		const values = (await args(operand, scope)).flat()
+		return values.length > 0 && values.every(isNumber) ? fn(values) : null
+	}
+}
+
+/** Single-value operator on the evaluated operand */
+function unary(fn) {
+	return async (operand, scope) => fn(await scope.evaluate(operand))
+}
+
+/** Two-argument operator: [left, right] */
+function binary(fn) {
+	return async (operand, scope) => {
+		const [left, right] = await args(operand, scope)
+		return fn(left, right)
+	}
+}
+
+function mathUnary(fn) {
+	return unary((value) => (isNumber(value) ? fn(value) : null))
+}
+
+function toDate(value) {
+	if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value
+	if (isNumber(value) || typeof value === 'string') {
+		const date = new Date(value)
+		return Number.isNaN(date.getTime()) ? null : date
+	}
+	return null
+}
+
+function assertUnit(unit, op, units = UNITS) {
+	if (!units.includes(unit)) {
+		throw new Error(`[Evaluator] ${op}: unknown unit "${unit}" (use ${units.join(', ')})`)
+	}
+}
+
+/** Whole calendar months from `from` to `to` (UTC), truncated toward zero */
+function monthsBetween(from, to) {
+	const months =
+		(to.getUTCFullYear() - from.getUTCFullYear()) * 12 + (to.getUTCMonth() - from.getUTCMonth())
+	const shifted = new Date(from.getTime())
+	shifted.setUTCMonth(from.getUTCMonth() + months)
+	if (months > 0 && shifted > to) return months - 1
+	if (months < 0 && shifted < to) return months + 1
+	return months
+}
+
+/** Intl formatters throw RangeError on bad locales / options; surface them as evaluator errors */
+function intl(op, create) {
+	try {
+		return create()
+	} catch (error) {
+		throw new Error(`[Evaluator] ${op}: ${error.message}`)
+	}
+}
+
+/** Null and undefined sort last; numbers numerically; everything else as locale-aware strings */
+function compareValues(a, b) {
+	if (a == null || b == null) return a == null ? (b == null ? 0 : 1) : -1
+	if (isNumber(a) && isNumber(b)) return a - b
+	return String(a).localeCompare(String(b))
+}
+
+/** Resolve { array | items } of an iteration config; non-arrays become [] */
+async function iterationSource(config, scope) {
+	const array = await scope.evaluate(config?.array ?? config?.items)
+	return Array.isArray(array) ? array : []
+}
+
+function toObject(value) {
+	return value && typeof value === 'object' && !Array.isArray(value) ? value : {}
+}
+
+/** Copy own keys of `source` into `target`, skipping prototype-polluting keys */
+function assignSafe(target, source, keep = () => true) {
+	for (const [key, value] of Object.entries(toObject(source))) {
+		if (!FORBIDDEN_PATH_KEYS.includes(key) && keep(key)) target[key] = value
+	}
+	return target
+}
+
+export const STANDARD_OPERATORS = {
+	// Comparison ($eq, $ne, $gt are core operations)
+	$lt: binary((left, right) => left < right),
+	$lte: binary((left, right) => left <= right),
+	$gte: binary((left, right) => left >= right),
+
+	// Math
+	$add: numeric((values) => values.reduce((sum, value) => sum + value, 0)),
+	$subtract: numeric(([left, right = 0]) => left - right),
+	$multiply: numeric((values) => values.reduce((product, value) => product * value, 1)),
+	$divide: numeric(([left, right]) => (right === 0 || right === undefined ? null : left / right)),
+	$mod: numeric(([left, right]) => (right === 0 || right === undefined ? null : left % right)),
+	$min: numeric((values) => Math.min(...values)),
+	$max: numeric((values) => Math.max(...values)),
+	$abs: mathUnary(Math.abs),
+	$floor: mathUnary(Math.floor),
+	$ceil: mathUnary(Math.ceil),
+	$round: async (operand, scope) => {
+		const [value, digits = 0] = await args(operand, scope)
+		if (!isNumber(value) || !Number.isInteger(digits)) return null
+		const factor = 10 ** Math.max(-MAX_ROUND_DIGITS, Math.min(MAX_ROUND_DIGITS, digits))
+		const rounded = Math.round(value * factor) / factor
+		return Number.isFinite(rounded) ? rounded : value
+	},
+
+	// String
+	$upper: unary((value) => (typeof value === 'string' ? value.toUpperCase() : value)),
+	$lower: unary((value) => (typeof value === 'string' ? value.toLowerCase() : value)),
+	$slice: async (operand, scope) => {
+		const [value, start = 0, end] = await args(operand, scope)
+		return typeof value === 'string' || Array.isArray(value) ? value.slice(start, end) : value
+	},
+	$split: binary((value, separator = '') =>
+		typeof value === 'string' ? value.split(separator ?? '') : [],
+	),
+	$replace: async (operand, scope) => {
+		const [value, search, replacement = ''] = await args(operand, scope)
+		if (typeof value !== 'string' || typeof search !== 'string' || search === '') return value
+		return value.split(search).join(String(replacement))
+	},
+	$startsWith: binary(
+		(value, search) => typeof value === 'string' && value.startsWith(String(search)),
+	),
+	$endsWith: binary((value, search) => typeof value === 'string' && value.endsWith(String(search))),
+	$includes: binary((collection, value) =>
+		typeof collection === 'string'
+			? collection.includes(String(value))
+			: Array.isArray(collection) && collection.includes(value),
+	),
+	$string: unary((value) => (value == null ? '' : String(value))),
+	$number: unary((value) => {
+		if (typeof value === 'string' && value.trim() === '') return null
+		const number = Number(value)
+		return value == null || Number.isNaN(number) ? null : number
+	}),
+
+	// Date / time (dates are epoch ms, ISO strings or Date; results are epoch ms)
+	$now: async (_operand, scope) => scope.now(),
+	$formatDate: async (operand, scope) => {
+		const config = await scope.evaluate(operand)
+		const { date, locale, timeZone, dateStyle, timeStyle, options } =
+			config && typeof config === 'object' && !Array.isArray(config) ? config : { date: config }
+		const value = toDate(date)
+		if (!value) return null
+		const formatOptions = { ...toObject(options) }
+		if (timeZone) formatOptions.timeZone = timeZone
+		if (dateStyle) formatOptions.dateStyle = dateStyle
+		if (timeStyle) formatOptions.timeStyle = timeStyle
+		return intl('$formatDate', () =>
+			new Intl.DateTimeFormat(locale || undefined, formatOptions).format(value),
+		)
+	},
+	$formatRelative: async (operand, scope) => {
+		const config = await scope.evaluate(operand)
+		const { date, base, locale, numeric: numericStyle = 'auto', unit } = toObject(config)
+		const value = toDate(date)
+		const from = base === undefined ? new Date(scope.now()) : toDate(base)
+		if (!value || !from) return null
+		const formatter = intl(
+			'$formatRelative',
+			() => new Intl.RelativeTimeFormat(locale || undefined, { numeric: numericStyle }),
+		)
+		const seconds = (value.getTime() - from.getTime()) / 1000
+		if (unit) {
+			assertUnit(unit, '$formatRelative', RELATIVE_UNITS)
+			const amount = CALENDAR_UNITS.has(unit)
+				? monthsBetween(from, value) / (unit === 'year' ? 12 : 1)
+				: (seconds * 1000) / UNIT_MS[unit]
+			return formatter.format(Math.round(amount), unit)
+		}
+		let amount = seconds
+		for (const [step, size] of RELATIVE_STEPS) {
+			if (Math.abs(amount) < size) return formatter.format(Math.round(amount), step)
+			amount /= size
+		}
+		return null
+	},
+	$dateAdd: async (operand, scope) => {
+		const { date, amount, unit = 'millisecond' } = toObject(await scope.evaluate(operand))
+		assertUnit(unit, '$dateAdd')
+		const value = toDate(date)
+		if (!value || !isNumber(amount)) return null
+		if (!CALENDAR_UNITS.has(unit)) return value.getTime() + amount * UNIT_MS[unit]
+		const shifted = new Date(value.getTime())
+		shifted.setUTCMonth(shifted.getUTCMonth() + Math.trunc(amount) * (unit === 'year' ? 12 : 1))
+		return shifted.getTime()
+	},
+	$dateDiff: async (operand, scope) => {
+		const { from, to, unit = 'millisecond' } = toObject(await scope.evaluate(operand))
+		assertUnit(unit, '$dateDiff')
+		const start = toDate(from)
+		const end = toDate(to)
+		if (!start || !end) return null
+		if (CALENDAR_UNITS.has(unit)) {
+			const months = monthsBetween(start, end)
+			return unit === 'year' ? Math.trunc(months / 12) : months
+		}
+		return Math.trunc((end.getTime() - start.getTime()) / UNIT_MS[unit])
+	},
+
+	// Array (`$$` refers to the current item inside where / by / do)
+	$filter: async (config, scope) => {
+		const result = []
+		for (const item of await iterationSource(config, scope)) {
+			if (await scope.evaluate(config.where, { ...scope.data, item })) result.push(item)
+		}
+		return result
+	},
+	$sort: async (config, scope) => {
+		const array = await iterationSource(config, scope)
+		const keyed = []
+		for (const item of array) {
+			const key =
+				config.by === undefined ? item : await scope.evaluate(config.by, { ...scope.data, item })
+			keyed.push({ item, key })
+		}
+		const direction = config.order === 'desc' ? -1 : 1
+		keyed.sort((a, b) => compareValues(a.key, b.key) * direction)
+		return keyed.map(({ item }) => item)
+	},
+	$reduce: async (config, scope) => {
+		const accName = config.acc || 'acc'
+		scope.assertSafeKey(accName, '$reduce accumulator')
+		let acc = await scope.evaluate(config.initial ?? null)
+		for (const item of await iterationSource(config, scope)) {
+			const context = { ...scope.data.context, [accName]: acc }
+			acc = await scope.evaluate(config.do, { ...scope.data, context, item })
+		}
+		return acc
+	},
+	$first: unary((value) => (Array.isArray(value) ? value[0] : undefined)),
+	$last: unary((value) => (Array.isArray(value) ? value[value.length - 1] : undefined)),
+	$reverse: unary((value) => (Array.isArray(value) ? [...value].reverse() : [])),
+	$unique: unary((value) => (Array.isArray(value) ? [...new Set(value)] : [])),
+
+	// Object
+	$get: async (operand, scope) => {
+		const [object, path] = await args(operand, scope)
+		return typeof path === 'string' ? scope.get(object, path) : undefined
+	},
+	$keys: unary((value) => Object.keys(toObject(value))),
+	$values: unary((value) => Object.values(toObject(value))),
+	$entries: unary((value) =>
+		Object.entries(toObject(value)).map(([key, entry]) => ({ key, value: entry })),
+	),
+	$merge: async (operand, scope) => {
+		const merged = {}
+		for (const source of (await args(operand, scope)).flat()) assignSafe(merged, source)
+		return merged
+	},
+	$pick: async (operand, scope) => {
+		const [object, keys] = await args(operand, scope)
+		const wanted = new Set(Array.isArray(keys) ? keys : [keys])
+		return assignSafe({}, object, (key) => wanted.has(key))
+	},
+	$omit: async (operand, scope) => {
+		const [object, keys] = await args(operand, scope)
+		const dropped = new Set(Array.isArray(keys) ? keys : [keys])
+		return assignSafe({}, object, (key) => !dropped.has(key))
+	},
+
+	// Bindings: vars evaluate in order (each sees the previous) and read as $name inside `in`
+	$let: async (config, scope) => {
+		const context = { ...scope.data.context }
+		for (const [name, expr] of Object.entries(config.vars ?? {})) {
+			scope.assertSafeKey(name, '$let variable')
+			context[name] = await scope.evaluate(expr, { ...scope.data, context })
+		}
+		return scope.evaluate(config.in, { ...scope.data, context })
+	},
+}
@@ -1,6 +1,7 @@
 /**
  * QuickJS sandbox executor for actor.wasm { lang: "js", code }.
  * Runs untrusted JS in QuickJS WASM. Phase 1: no maia capability.
+ * Also hosts custom MaiaScript expression operators shipped as code (see Registry.registerOperator).
  * Uses singlefile variant (WASM embedded in JS) so it works in browser without fetch.
  */
 
@@ -11,6 +12,8 @@ let quickJSPromise = null
 
 /** Wall-clock budget for one guest execution (interrupt callback). */
 const EXECUTION_BUDGET_MS = 15_000
+/** Wall-clock budget for one sandboxed expression operator (runs during render / handlers). */
+const EXPRESSION_BUDGET_MS = 1_000
 /** Hard cap on runtime heap for one guest execution (bytes). */
 const MEMORY_LIMIT_BYTES = 32 * 1024 * 1024
 /** Max stack for one guest execution (bytes). 0 = unlimited after reset. */
@@ -22,6 +25,39 @@ async function getVM() {
 	return QuickJS.newContext()
 }
 
+/**
+ * Run `fn(vm)` in a fresh QuickJS context with the wall-clock, memory and stack limits applied.
+ * @param {number} budgetMs - Wall-clock budget for this execution
+ */
+async function withGuest(budgetMs, fn) {
+	const vm = await getVM()
+	const deadline = Date.now() + budgetMs
+	try {
+		vm.runtime.setInterruptHandler(() => Date.now() > deadline)
+		vm.runtime.setMemoryLimit(MEMORY_LIMIT_BYTES)
+		vm.runtime.setMaxStackSize(MAX_STACK_BYTES)
+		return fn(vm)
+	} finally {
+		vm.runtime.removeInterruptHandler()
+		vm.runtime.setMemoryLimit(-1)
+		vm.runtime.setMaxStackSize(0)
+		vm.dispose()
+	}
+}
+
+/** Evaluate `source` in the guest: { ok: true, value } (dumped to JSON) or { ok: false, message } */
+function evalGuest(vm, source) {
+	const result = vm.evalCode(source)
+	if (result.error) {
+		const message = vm.dump(result.error)
+		result.error.dispose()
+		return { ok: false, message: String(message) }
+	}
+	const value = vm.dump(result.value)
+	result.value?.dispose()
+	return { ok: true, value }
+}
+
 /**
  * Execute sandboxed JS code. Code must eval to { execute: function(actor, payload) }.
  * @param {string} code - JS that evaluates to object with execute(actor, payload)
@@ -30,8 +66,6 @@ async function getVM() {
  * @returns {Promise<{ ok: boolean, data?: any, errors?: Array }>} OperationResult
  */
 export async function executeInSandbox(code, actorView, payload) {
-	const vm = await getVM()
-	const deadline = Date.now() + EXECUTION_BUDGET_MS
 	let actorJson
 	let payloadJson
 	try {
@@ -43,20 +77,11 @@ export async function executeInSandbox(code, actorView, payload) {
 			errors: [{ type: 'structural', message: 'Actor or payload is not JSON-serializable' }],
 		}
 	}
-	try {
-		vm.runtime.setInterruptHandler(() => Date.now() > deadline)
-		vm.runtime.setMemoryLimit(MEMORY_LIMIT_BYTES)
-		vm.runtime.setMaxStackSize(MAX_STACK_BYTES)
-
-		vm.evalCode(`var __actor = ${actorJson}; var __payload = ${payloadJson}`)
-		const modResult = vm.evalCode(`var __mod = (${code}); __mod.execute(__actor, __payload)`)
-		if (modResult.error) {
-			const errMsg = vm.dump(modResult.error)
-			modResult.error.dispose()
-			return { ok: false, errors: [{ type: 'structural', message: String(errMsg) }] }
-		}
-		const result = vm.dump(modResult.value)
-		modResult.value?.dispose()
+	return withGuest(EXECUTION_BUDGET_MS, (vm) => {
+		evalGuest(vm, `var __actor = ${actorJson}; var __payload = ${payloadJson}`)
+		const guest = evalGuest(vm, `var __mod = (${code}); __mod.execute(__actor, __payload)`)
+		if (!guest.ok) return { ok: false, errors: [{ type: 'structural', message: guest.message }] }
+		const result = guest.value
 		if (result && typeof result === 'object' && result.ok === true) {
 			return result
 		}
@@ -67,10 +92,30 @@ export async function executeInSandbox(code, actorView, payload) {
 			ok: false,
 			errors: [{ type: 'structural', message: 'Sandbox did not return OperationResult' }],
 		}
-	} finally {
-		vm.runtime.removeInterruptHandler()
-		vm.runtime.setMemoryLimit(-1)
-		vm.runtime.setMaxStackSize(0)
-		vm.dispose()
+	})
+}
+
+/**
+ * Evaluate a custom MaiaScript operator in the sandbox. Code must eval to { evaluate: function(operand) }.
+ * The operand is already evaluated by the host; the return value must be JSON-serializable.
+ * @param {string} code - JS that evaluates to object with evaluate(operand)
+ * @param {any} operand - Evaluated operand
+ * @returns {Promise<{ ok: boolean, data?: any, errors?: Array }>} OperationResult
+ */
+export async function evaluateInSandbox(code, operand) {
+	let operandJson
+	try {
+		operandJson = JSON.stringify(operand ?? null)
+	} catch {
+		return {
+			ok: false,
+			errors: [{ type: 'structural', message: 'Operand is not JSON-serializable' }],
+		}
 	}
+	return withGuest(EXPRESSION_BUDGET_MS, (vm) => {
+		const guest = evalGuest(vm, `(${code}).evaluate(${operandJson})`)
+		return guest.ok
+			? { ok: true, data: guest.value }
+			: { ok: false, errors: [{ type: 'structural', message: guest.message }] }
+	})
 }
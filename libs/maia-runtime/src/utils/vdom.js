@@ -0,0 +1,271 @@
+/**
+ * Virtual tree diff/patch for ViewEngine.
+ *
+ * ViewEngine evaluates a view definition into plain VNodes; this module mounts them and patches
+ * the live DOM in place on rerender, so scroll position, selection, focus and CSS transitions
+ * survive context updates. $each children are keyed (co-id or declared $key) and reordered by move.
+ *
+ * VNode shape (all fields optional except tag or host):
+ * - tag: lowercase tag name
+ * - key: stable identity among siblings ($each items)
+ * - attrs: { name: string } final attribute values (already sanitized); absent = removed
+ * - props: { name: boolean } boolean DOM properties (checked, disabled, ...)
+ * - value: string for input/textarea (not applied while the user has focus, except when cleared)
+ * - text | html: element content (html is pre-sanitized markdown)
+ * - children: VNode[]
+ * - host: existing Element adopted as-is (child actor container in a $slot)
+ * - on, data, ...: opaque to this module, read by hooks through el._maiaVNode
+ *
+ * Each mounted VNode keeps its element in vnode.el so the next patch diffs against the previous tree.
+ */
+
+/**
+ * @typedef {Object} PatchHooks
+ * @property {(el: Element, vnode: Object, isNew: boolean) => void} [bind] - Called after an element is created or patched
+ */
+
+function getActiveElement(el) {
+	const root = el.getRootNode?.()
+	return root?.activeElement ?? null
+}
+
+function isFocused(el) {
+	return getActiveElement(el) === el
+}
+
+function isEditable(el, vnode) {
+	return el.isContentEditable === true || vnode.attrs?.contenteditable === 'true'
+}
+
+/**
+ * True if newVNode can be patched onto the element mounted for oldVNode
+ * @param {Object} a - Old VNode
+ * @param {Object} b - New VNode
+ * @returns {boolean}
+ */
+export function isSameVNode(a, b) {
+	if (!a || !b) return false
+	if (a.host || b.host) return a.host === b.host
+	return a.tag === b.tag && (a.key ?? null) === (b.key ?? null)
+}
+
+function applyContent(el, vnode) {
+	if (vnode.html !== undefined) el.innerHTML = vnode.html
+	else if (vnode.text !== undefined) el.textContent = vnode.text
+}
+
+/**
+ * Create a DOM element (and subtree) for a VNode
+ * @param {Object} vnode
+ * @param {PatchHooks} [hooks]
+ * @returns {Node}
+ */
+export function createElement(vnode, hooks = {}) {
+	if (vnode.host) {
+		vnode.el = vnode.host
+		return vnode.host
+	}
+	const el = document.createElement(vnode.tag)
+	for (const [name, value] of Object.entries(vnode.attrs ?? {})) el.setAttribute(name, value)
+	for (const [name, value] of Object.entries(vnode.props ?? {})) el[name] = value
+	if (vnode.value !== undefined) el.value = vnode.value
+	applyContent(el, vnode)
+	for (const child of vnode.children ?? []) el.appendChild(createElement(child, hooks))
+	vnode.el = el
+	el._maiaVNode = vnode
+	hooks.bind?.(el, vnode, true)
+	return el
+}
+
+function patchAttrs(el, oldAttrs = {}, newAttrs = {}) {
+	for (const name of Object.keys(oldAttrs)) {
+		if (!(name in newAttrs)) el.removeAttribute(name)
+	}
+	for (const [name, value] of Object.entries(newAttrs)) {
+		if (oldAttrs[name] !== value) el.setAttribute(name, value)
+	}
+}
+
+function patchProps(el, oldProps = {}, newProps = {}) {
+	for (const name of Object.keys(oldProps)) {
+		if (!(name in newProps)) el[name] = false
+	}
+	for (const [name, value] of Object.entries(newProps)) {
+		// Compare against the live property: user interaction (checkbox click) changes it outside the tree
+		if (el[name] !== value) el[name] = value
+	}
+}
+
+function patchValue(el, newVNode) {
+	if (newVNode.value === undefined) return
+	// Context is single source of truth, but never overwrite what the user is typing - except a clear
+	if (isFocused(el) && newVNode.value !== '') return
+	if (el.value !== newVNode.value) el.value = newVNode.value
+}
+
+/** Carry the mounted content over to newVNode, so the next patch still sees the change */
+function keepContent(oldVNode, newVNode) {
+	newVNode.text = oldVNode.text
+	newVNode.html = oldVNode.html
+}
+
+/** @returns {boolean} True if the element content was rewritten */
+function patchContent(el, oldVNode, newVNode) {
+	if (isEditable(el, newVNode) && isFocused(el)) {
+		// User is typing: keep the DOM, and remember the old content so the change applies after blur
+		keepContent(oldVNode, newVNode)
+		return false
+	}
+	if (newVNode.html !== oldVNode.html || newVNode.text !== oldVNode.text) {
+		applyContent(el, newVNode)
+		return true
+	}
+	return false
+}
+
+function isKeyedList(children) {
+	if (children.length === 0) return false
+	const seen = new Set()
+	for (const child of children) {
+		if (child.key === undefined || child.key === null || seen.has(child.key)) return false
+		seen.add(child.key)
+	}
+	return true
+}
+
+/** Pair new children with old ones: by key for keyed lists ($each), by position otherwise */
+function pairChildren(oldChildren, newChildren) {
+	if (isKeyedList(newChildren) && (oldChildren.length === 0 || isKeyedList(oldChildren))) {
+		const oldByKey = new Map(oldChildren.map((child) => [child.key, child]))
+		return newChildren.map((child) => oldByKey.get(child.key) ?? null)
+	}
+	return newChildren.map((_child, i) => oldChildren[i] ?? null)
+}
+
+/**
+ * @param {boolean} [afterContent=false] - el also holds text/html before its children: leave those nodes in place
+ */
+function patchChildren(el, oldChildren, newChildren, hooks, afterContent = false) {
+	if (oldChildren.length === 0 && newChildren.length === 0) return
+	const paired = pairChildren(oldChildren, newChildren)
+	const reused = new Set()
+	const nextEls = newChildren.map((child, i) => {
+		const oldChild = paired[i]
+		if (oldChild?.el && isSameVNode(oldChild, child) && !reused.has(oldChild)) {
+			reused.add(oldChild)
+			return patchElement(oldChild.el, oldChild, child, hooks, false)
+		}
+		return createElement(child, hooks)
+	})
+
+	for (const oldChild of oldChildren) {
+		if (!reused.has(oldChild) && oldChild.el?.parentNode === el) el.removeChild(oldChild.el)
+	}
+
+	// Move only out-of-place nodes: an append or a single insert leaves every other node (and focus) alone
+	let cursor = afterContent
+		? (oldChildren.find((child) => reused.has(child))?.el ?? null)
+		: el.firstChild
+	for (const child of nextEls) {
+		if (child === cursor) {
+			cursor = cursor.nextSibling
+		} else {
+			el.insertBefore(child, cursor)
+		}
+	}
+	while (cursor) {
+		const next = cursor.nextSibling
+		el.removeChild(cursor)
+		cursor = next
+	}
+}
+
+/**
+ * Patch a mounted element from oldVNode to newVNode in place
+ * @param {Element} el - Element mounted for oldVNode
+ * @param {Object} oldVNode
+ * @param {Object} newVNode
+ * @param {PatchHooks} [hooks]
+ * @param {boolean} [replaceInParent=true] - Swap a non-patchable element in its parent (children diff places nodes itself)
+ * @returns {Node} The element now backing newVNode (el, or a replacement if not patchable)
+ */
+export function patchElement(el, oldVNode, newVNode, hooks = {}, replaceInParent = true) {
+	if (!isSameVNode(oldVNode, newVNode) || !el) {
+		const created = createElement(newVNode, hooks)
+		if (replaceInParent && el?.parentNode) el.parentNode.replaceChild(created, el)
+		return created
+	}
+	newVNode.el = el
+	if (newVNode.host) return el
+
+	patchAttrs(el, oldVNode.attrs, newVNode.attrs)
+	patchProps(el, oldVNode.props, newVNode.props)
+	patchValue(el, newVNode)
+
+	const hadContent = oldVNode.text !== undefined || oldVNode.html !== undefined
+	const hasContent = newVNode.text !== undefined || newVNode.html !== undefined
+	const oldChildren = oldVNode.children ?? []
+	const newChildren = newVNode.children ?? []
+	if (hasContent && (newChildren.length > 0 || oldChildren.length > 0)) {
+		// Text + children on one node is rare; content writes wipe children
+		if (isEditable(el, newVNode) && isFocused(el)) {
+			// User is typing: leave content and children alone; the change applies after blur
+			keepContent(oldVNode, newVNode)
+			newVNode.children = oldChildren
+		} else if (patchContent(el, oldVNode, newVNode)) {
+			for (const child of newChildren) el.appendChild(createElement(child, hooks))
+		} else {
+			patchChildren(el, oldChildren, newChildren, hooks, true)
+		}
+	} else if (hasContent) {
+		patchContent(el, oldVNode, newVNode)
+	} else if (hadContent) {
+		el.textContent = ''
+		for (const child of newChildren) el.appendChild(createElement(child, hooks))
+	} else {
+		patchChildren(el, oldChildren, newChildren, hooks)
+	}
+
+	el._maiaVNode = newVNode
+	hooks.bind?.(el, newVNode, false)
+	return el
+}
+
+/**
+ * Mount or patch a root VNode into a container (shadow root), keeping focus and text selection
+ * @param {ShadowRoot|Element} container
+ * @param {Object|null} oldVNode - Previously mounted root (null on first render)
+ * @param {Object} newVNode
+ * @param {PatchHooks} [hooks]
+ * @returns {Node} Root element
+ */
+export function patchRoot(container, oldVNode, newVNode, hooks = {}) {
+	const mounted = oldVNode?.el
+	if (!mounted || mounted.parentNode !== container) {
+		container.innerHTML = ''
+		const el = createElement(newVNode, hooks)
+		container.appendChild(el)
+		return el
+	}
+
+	const active = container.activeElement ?? null
+	const selection =
+		active && typeof active.selectionStart === 'number'
+			? [active.selectionStart, active.selectionEnd, active.selectionDirection]
+			: null
+
+	const el = patchElement(mounted, oldVNode, newVNode, hooks)
+
+	// Keyed moves can drop focus in some engines; restore it if the element survived the patch
+	if (active?.isConnected && container.activeElement !== active) {
+		active.focus?.({ preventScroll: true })
+		if (selection) {
+			try {
+				active.setSelectionRange(...selection)
+			} catch (_e) {
+				/* input type without selection API */
+			}
+		}
+	}
+	return el
+}
@@ -0,0 +1,218 @@
+import { describe, expect, test } from 'bun:test'
+import { Registry } from '../src/modules/registry.js'
+import { createFakeClock } from '../src/utils/clock.js'
+import { Evaluator } from '../src/utils/evaluator.js'
+
+const DAY = 86_400_000
+const clock = createFakeClock(Date.UTC(2026, 9, 19, 12, 0))
+const evaluator = new Evaluator(null, { clock })
+
+const data = {
+	context: {
+		title: 'Hello World',
+		count: 7,
+		todos: [
+			{ text: 'milk', done: true, price: 2 },
+			{ text: 'bread', done: false, price: 3.5 },
+			{ text: 'eggs', done: false, price: 1 },
+		],
+		user: { name: 'Ada', role: 'admin' },
+	},
+	item: {},
+}
+const run = (expression) => evaluator.evaluate(expression, data)
+
+describe('standard library', () => {
+	test('comparison and math', async () => {
+		expect(await run({ $lt: ['$count', 10] })).toBe(true)
+		expect(await run({ $gte: ['$count', 8] })).toBe(false)
+		expect(await run({ $add: ['$count', 3, 0.5] })).toBe(10.5)
+		expect(await run({ $subtract: ['$count', 2] })).toBe(5)
+		expect(await run({ $divide: ['$count', 0] })).toBeNull()
+		expect(await run({ $round: [{ $divide: [10, 3] }, 2] })).toBe(3.33)
+		expect(await run({ $max: { $map: { array: '$todos', do: '$$price' } } })).toBe(3.5)
+		expect(await run({ $add: ['$count', '$title'] })).toBeNull()
+		expect(await run({ $round: [1.5, 400] })).toBe(1.5)
+		expect(await run({ $round: [1234.5, -400] })).toBe(0)
+		expect(await run({ $round: [1e300, 2] })).toBe(1e300)
+	})
+
+	test('strings', async () => {
+		expect(await run({ $upper: '$title' })).toBe('HELLO WORLD')
+		expect(await run({ $slice: ['$title', 0, 5] })).toBe('Hello')
+		expect(await run({ $split: ['$title', ' '] })).toEqual(['Hello', 'World'])
+		expect(await run({ $replace: ['$title', 'o', '0'] })).toBe('Hell0 W0rld')
+		expect(await run({ $startsWith: [{ $lower: '$title' }, 'hello'] })).toBe(true)
+		expect(await run({ $number: '42' })).toBe(42)
+		expect(await run({ $number: 'abc' })).toBeNull()
+	})
+
+	test('dates with locale and time zone', async () => {
+		const ts = Date.UTC(2026, 0, 31, 23, 30)
+		expect(
+			await run({ $formatDate: { date: ts, locale: 'de-DE', timeZone: 'UTC', dateStyle: 'long' } }),
+		).toBe('31. Januar 2026')
+		expect(
+			await run({
+				$formatDate: { date: ts, locale: 'en-US', timeZone: 'Asia/Tokyo', dateStyle: 'short' },
+			}),
+		).toBe('2/1/26')
+		expect(await run({ $dateAdd: { date: ts, amount: 1, unit: 'month' } })).toBe(
+			Date.UTC(2026, 2, 3, 23, 30),
+		)
+		expect(await run({ $dateDiff: { from: ts, to: { $now: true }, unit: 'day' } })).toBe(260)
+		expect(
+			await run({ $formatRelative: { date: { $subtract: [{ $now: true }, 3 * DAY] }, locale: 'en' } }),
+		).toBe('3 days ago')
+		await expect(
+			run({ $formatDate: { date: ts, locale: 'en', timeZone: 'Nowhere/City' } }),
+		).rejects.toThrow('[Evaluator] $formatDate')
+	})
+
+	test('arrays and objects', async () => {
+		const open = { $filter: { array: '$todos', where: { $not: '$$done' } } }
+		expect((await run(open)).map((t) => t.text)).toEqual(['bread', 'eggs'])
+		const byPrice = await run({ $sort: { items: '$todos', by: '$$price', order: 'desc' } })
+		expect(byPrice.map((t) => t.text)).toEqual(['bread', 'milk', 'eggs'])
+		expect(
+			await run({
+				$reduce: { array: '$todos', initial: 0, acc: 'sum', do: { $add: ['$sum', '$$price'] } },
+			}),
+		).toBe(6.5)
+		expect(await run({ $unique: [1, 2, 2, 3] })).toEqual([1, 2, 3])
+		expect(await run({ $pick: ['$user', ['name']] })).toEqual({ name: 'Ada' })
+		expect(await run({ $merge: ['$user', { role: 'guest' }] })).toEqual({
+			name: 'Ada',
+			role: 'guest',
+		})
+		expect(await run({ $get: ['$user', 'name'] })).toBe('Ada')
+	})
+
+	test('$let binds in order and shadows context', async () => {
+		const expression = {
+			$let: {
+				vars: { count: { $length: '$todos' }, label: { $concat: ['$count', ' todos'] } },
+				in: { $join: ['$label', ''] },
+			},
+		}
+		expect(await run(expression)).toBe('3 todos')
+	})
+})
+
+describe('limits', () => {
+	test('operands are schema-validated', async () => {
+		await expect(run({ $divide: [1] })).rejects.toThrow('Invalid MaiaScript expression')
+		await expect(run({ $dateAdd: { date: 0, amount: 1, unit: 'fortnight' } })).rejects.toThrow(
+			'Invalid MaiaScript expression',
+		)
+		await expect(
+			run({ $formatRelative: { date: 0, unit: 'millisecond', locale: 'en' } }),
+		).rejects.toThrow('Invalid MaiaScript expression')
+		const unvalidated = new Evaluator(null, { validateExpressions: false })
+		await expect(
+			unvalidated.evaluate({ $formatRelative: { date: 0, unit: 'millisecond' } }, data),
+		).rejects.toThrow('[Evaluator] $formatRelative: unknown unit "millisecond"')
+		await expect(run({ $let: { vars: { 'user.name': 1 }, in: 1 } })).rejects.toThrow(
+			'Invalid MaiaScript expression',
+		)
+	})
+
+	test('forbidden paths and depth still apply inside library operators', async () => {
+		await expect(run({ $get: ['$user', 'constructor.name'] })).rejects.toThrow('Forbidden')
+		await expect(run({ $let: { vars: { __proto__x: 1 }, in: 1 } })).rejects.toThrow(
+			'Forbidden $let variable',
+		)
+		expect(await run({ $merge: [JSON.parse('{"__proto__": {"polluted": true}}'), {}] })).toEqual({})
+		expect({}.polluted).toBeUndefined()
+
+		let nested = 1
+		for (let i = 0; i < 10; i++) nested = { $abs: nested }
+		const shallow = new Evaluator(null, { maxDepth: 5, validateExpressions: false })
+		await expect(shallow.evaluate(nested, data)).rejects.toThrow('Maximum recursion depth (5)')
+	})
+
+	test('library operators count as DSL operations', () => {
+		expect(evaluator.isDSLOperation({ $filter: {} })).toBe(true)
+		expect(evaluator.isDSLOperation({ $eq: [1, 1] })).toBe(true)
+		expect(evaluator.isDSLOperation({ text: 'plain' })).toBe(false)
+	})
+})
+
+/** A spark's module: one host operator, one sandboxed operator, both with operand schemas */
+const geoModule = {
+	config: { description: 'Geo expressions' },
+	operators: {
+		$distanceKm: {
+			description: '[from, to] points { lat, lng } → great-circle distance in km',
+			schema: { type: 'array', items: { $ref: '#/$defs/expression' }, minItems: 2, maxItems: 2 },
+			evaluate: async (operand, scope) => {
+				const [from, to] = await scope.evaluate(operand)
+				const rad = (deg) => (deg * Math.PI) / 180
+				const a =
+					Math.sin(rad(to.lat - from.lat) / 2) ** 2 +
+					Math.cos(rad(from.lat)) * Math.cos(rad(to.lat)) * Math.sin(rad(to.lng - from.lng) / 2) ** 2
+				return Math.round(12742 * Math.asin(Math.sqrt(a)))
+			},
+		},
+		$initials: {
+			schema: { $ref: '#/$defs/expression' },
+			code: `({ evaluate: (name) => String(name).split(' ').map((part) => part[0]).join('') })`,
+		},
+	},
+}
+
+describe('registry operators', () => {
+	const registry = new Registry()
+	registry.registerModule('geo', geoModule, geoModule.config)
+	const custom = new Evaluator(registry)
+	const places = {
+		context: {
+			vienna: { lat: 48.21, lng: 16.37 },
+			berlin: { lat: 52.52, lng: 13.4 },
+			name: 'Ada Lovelace',
+		},
+	}
+
+	test('host operators evaluate with the scope and count as DSL operations', async () => {
+		expect(await custom.evaluate({ $distanceKm: ['$vienna', '$berlin'] }, places)).toBe(523)
+		expect(
+			await custom.evaluate({ $lt: [{ $distanceKm: ['$vienna', '$berlin'] }, 1000] }, places),
+		).toBe(true)
+		expect(custom.isDSLOperation({ $distanceKm: [] })).toBe(true)
+		expect(evaluator.isDSLOperation({ $distanceKm: [] })).toBe(false)
+	})
+
+	test('operand schemas are merged into expression validation', async () => {
+		await expect(custom.evaluate({ $distanceKm: ['$vienna'] }, places)).rejects.toThrow(
+			'Invalid MaiaScript expression',
+		)
+		registry.registerOperator('$twice', {
+			evaluate: async (operand, scope) => 2 * (await scope.evaluate(operand)),
+			schema: { type: 'number' },
+		})
+		expect(await custom.evaluate({ $twice: 21 }, places)).toBe(42)
+		await expect(custom.evaluate({ $twice: '$name' }, places)).rejects.toThrow(
+			'Invalid MaiaScript expression',
+		)
+	})
+
+	test('code operators run in the QuickJS sandbox on the evaluated operand', async () => {
+		expect(await custom.evaluate({ $initials: '$name' }, places)).toBe('AL')
+		registry.registerOperator('$boom', { code: `({ evaluate: () => { throw new Error('nope') } })` })
+		await expect(custom.evaluate({ $boom: 1 }, places)).rejects.toThrow('[Evaluator] $boom failed')
+	})
+
+	test('built-in and foreign operator names cannot be taken', () => {
+		expect(() => registry.registerOperator('$filter', () => 1)).toThrow('is built in')
+		expect(() => registry.registerOperator('$eq', () => 1)).toThrow('is built in')
+		const version = registry.operatorsVersion
+		expect(() =>
+			registry.registerModule('other', { operators: { $fine: () => 1, $initials: () => '' } }),
+		).toThrow('already registered by module geo')
+		expect(registry.hasModule('other')).toBe(false)
+		expect(registry.getModuleConfig('other')).toBeNull()
+		expect(registry.getOperator('$fine')).toBeNull()
+		expect(registry.operatorsVersion).toBe(version)
+		expect(() => registry.registerOperator('$x', { schema: {} })).toThrow('exactly one of evaluate')
+	})
+})
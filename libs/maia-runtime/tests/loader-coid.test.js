@@ -7,3 +7,58 @@ describe('MaiaOS.loadVibe', () => {
 		await expect(os.loadVibe('todos', null)).rejects.toThrow(/co-id \(co_z\.\.\.\)/)
 	})
 })
+
+/** Loaded read stores over plain records (what waitForStoreReady accepts) */
+function makeDataEngine(records, accountId = 'co_zAccount') {
+	return {
+		peer: { account: { id: accountId } },
+		execute: async ({ op, key }) => {
+			if (op !== 'read') throw new Error(`unexpected op ${op}`)
+			const value = records[key] ? { id: key, ...records[key] } : { error: 'not found' }
+			return { value, subscribe: () => () => {} }
+		},
+	}
+}
+
+describe('MaiaOS spark operators', () => {
+	test('the DataEngine evaluator shares the module registry', async () => {
+		const { MaiaOS } = await import('../src/loader.js')
+		const os = new MaiaOS()
+		const peer = {}
+		await MaiaOS._initializeDatabase(os, { peer })
+		expect(peer.evaluator.registry).toBe(os.moduleRegistry)
+		MaiaOS._initializeEngines(os, {})
+		expect(os.evaluator.registry).toBe(peer.evaluator.registry)
+	})
+
+	test('registers code operators from each spark os, skipping bad entries', async () => {
+		const { MaiaOS } = await import('../src/loader.js')
+		const { Registry } = await import('../src/modules/registry.js')
+		const { Evaluator } = await import('../src/utils/evaluator.js')
+		const os = new MaiaOS()
+		os.moduleRegistry = new Registry()
+		os.dataEngine = makeDataEngine({
+			co_zAccount: { registries: 'co_zRegistries' },
+			co_zRegistries: { sparks: 'co_zSparks' },
+			co_zSparks: { '°geo': 'co_zGeo', '°broken': 'co_zMissing' },
+			co_zGeo: { name: '°geo', os: 'co_zGeoOs' },
+			co_zGeoOs: {
+				operators: { $initials: 'co_zInitials', $host: 'co_zHost', $other: 'co_zInitials' },
+			},
+			co_zInitials: {
+				name: '$initials',
+				code: `({ evaluate: (name) => String(name).split(' ').map((part) => part[0]).join('') })`,
+				schema: { type: 'string' },
+			},
+			co_zHost: { name: '$host', evaluate: 'not a function' },
+		})
+		await MaiaOS._loadSparkOperators(os)
+		expect(os.moduleRegistry.listOperators()).toEqual(['$initials'])
+		expect(os.moduleRegistry.getOperator('$initials')).toMatchObject({
+			module: 'spark:°geo',
+			evaluate: null,
+		})
+		const evaluator = new Evaluator(os.moduleRegistry)
+		expect(await evaluator.evaluate({ $initials: 'Ada Lovelace' }, { context: {} })).toBe('AL')
+	})
+})
@@ -0,0 +1,79 @@
+import { describe, expect, test } from 'bun:test'
+import { NodeRuntime } from '../src/runtimes/node.js'
+
+const ACTOR = 'co_zTodosService'
+const INBOX = 'co_zTodosInbox'
+
+/** DataEngine stand-in: one actor config, no vibes (account has no registries) */
+function makeDataEngine() {
+	const peer = {
+		account: { id: 'co_zAccount' },
+		systemFactoryCoIds: new Map(),
+		resolve: async () => 'co_zActorFactory',
+	}
+	return {
+		peer,
+		execute: async ({ key }) =>
+			key === ACTOR ? { value: { $id: ACTOR, inbox: INBOX, process: 'co_zProcess' } } : { value: {} },
+	}
+}
+
+function makeActorEngine() {
+	const watched = new Map()
+	return {
+		actors: new Map(),
+		watched,
+		spawnActor: async function (config) {
+			const actor = { id: config.$id, config }
+			this.actors.set(config.$id, actor)
+			return actor
+		},
+		destroyActor: function (id) {
+			this.actors.delete(id)
+		},
+		watchInbox: (inboxCoId, actorId) => {
+			watched.set(inboxCoId, actorId)
+			return () => watched.delete(inboxCoId)
+		},
+	}
+}
+
+describe('NodeRuntime', () => {
+	test('spawns actors headless and emits actorSpawned', async () => {
+		const actorEngine = makeActorEngine()
+		const runtime = new NodeRuntime(makeDataEngine(), actorEngine)
+		const events = []
+		runtime.on('actorSpawned', (e) => events.push(e))
+
+		const actor = await runtime.spawnActor(ACTOR)
+		expect(actor.id).toBe(ACTOR)
+		expect(await runtime.spawnActor(ACTOR)).toBe(actor)
+		expect(events).toEqual([
+			{ actorId: ACTOR, config: expect.objectContaining({ inbox: INBOX }), source: 'spawn' },
+		])
+		expect(runtime.runtimeType).toBe('node')
+	})
+
+	test('start watches explicit actors and stop releases everything', async () => {
+		const actorEngine = makeActorEngine()
+		const runtime = new NodeRuntime(makeDataEngine(), actorEngine, 'node', { actors: [ACTOR] })
+		await runtime.start()
+		expect(actorEngine.watched.get(INBOX)).toBe(ACTOR)
+
+		await runtime.spawnActor(ACTOR)
+		const destroyed = []
+		runtime.on('actorDestroyed', (e) => destroyed.push(e.actorId))
+		runtime.stop()
+		expect(actorEngine.watched.size).toBe(0)
+		expect(actorEngine.actors.size).toBe(0)
+		expect(destroyed).toEqual([ACTOR])
+	})
+
+	test('rejects view APIs and unresolvable refs', async () => {
+		const runtime = new NodeRuntime(makeDataEngine(), makeActorEngine())
+		await expect(runtime.createActorForView({}, null)).rejects.toThrow('no DOM')
+		expect(() => runtime.resolveActorRef('°maia/services/missing/actor.maia')).toThrow(
+			'Cannot resolve actor ref',
+		)
+	})
+})
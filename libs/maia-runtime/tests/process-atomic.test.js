@@ -0,0 +1,188 @@
+import { describe, expect, test } from 'bun:test'
+import { ProcessEngine } from '../src/engines/process.engine.js'
+import { Evaluator } from '../src/utils/evaluator.js'
+
+/** CoValues in a Map behind create / read / update / delete; factory co_zBroken rejects creates */
+function makeDataEngine(records = new Map()) {
+	let n = 0
+	const ops = []
+	const execute = async ({ op, factory, id, key, data, unset = [] }) => {
+		ops.push(op)
+		if (op === 'create') {
+			if (factory === 'co_zBroken') {
+				return { ok: false, errors: [{ type: 'schema', message: 'text is required' }] }
+			}
+			const record = { ...data, id: `co_zRecord${++n}` }
+			records.set(record.id, record)
+			return { ok: true, data: record }
+		}
+		if (op === 'read') return { value: { ...records.get(key) }, subscribe: () => () => {} }
+		if (op === 'update') {
+			if (!records.has(id))
+				return { ok: false, errors: [{ type: 'schema', message: `not found: ${id}` }] }
+			Object.assign(records.get(id), data)
+			for (const field of unset) delete records.get(id)[field]
+			return { ok: true, data: records.get(id) }
+		}
+		if (op === 'delete') {
+			records.delete(id)
+			return { ok: true, data: { id } }
+		}
+		return { ok: true, data: {} }
+	}
+	return { execute, records, ops }
+}
+
+function makeActor() {
+	const actor = {
+		id: 'co_zActor',
+		context: { value: {} },
+		_lastEventSource: 'co_zView',
+		delivered: [],
+	}
+	actor.actorOps = {
+		updateContextCoValue: async (target, updates) => {
+			target.context.value = { ...target.context.value, ...updates }
+		},
+		deliverEvent: async (_from, to, type, payload) => actor.delivered.push({ to, type, payload }),
+	}
+	return actor
+}
+
+async function setup(handlers, records) {
+	const engine = new ProcessEngine(new Evaluator())
+	engine.dataEngine = makeDataEngine(records)
+	const actor = makeActor()
+	const process = await engine.createProcess({ handlers }, actor)
+	return { engine, actor, process, dataEngine: engine.dataEngine }
+}
+
+const sendMessage = (todoFactory) => ({
+	atomic: true,
+	actions: [
+		{ ctx: { draft: '' } },
+		{ op: { create: { factory: todoFactory, data: { text: '$$text' } } } },
+		{ op: { update: { id: 'co_zMessage', data: { todo: '$$result.id', status: 'linked' } } } },
+		{ tell: { target: '$$source', type: 'SUCCESS', payload: {} } },
+	],
+})
+
+describe('atomic handlers', () => {
+	test('commit: ops applied, then ctx and tell', async () => {
+		const records = new Map([['co_zMessage', { id: 'co_zMessage', status: 'new' }]])
+		const { engine, actor, process } = await setup({ SEND: sendMessage('co_zTodos') }, records)
+
+		expect(await engine.send(process.id, 'SEND', { text: 'milk', source: 'co_zView' })).toBe(true)
+		const todo = [...records.values()].find((r) => r.text === 'milk')
+		expect(records.get('co_zMessage')).toMatchObject({ todo: todo.id, status: 'linked' })
+		expect(actor.context.value.draft).toBe('')
+		expect(actor.delivered.map((d) => d.type)).toEqual(['SUCCESS'])
+	})
+
+	test('a failing later step compensates earlier ops and reports its index', async () => {
+		const records = new Map([['co_zMessage', { id: 'co_zMessage', status: 'new' }]])
+		const handler = sendMessage('co_zTodos')
+		handler.actions.push({ op: { create: { factory: 'co_zBroken', data: {} } } })
+		const { engine, actor, process } = await setup({ SEND: handler }, records)
+
+		await engine.send(process.id, 'SEND', { text: 'milk', source: 'co_zView' })
+		// The created todo is deleted; the message's previous values are restored, new keys removed
+		expect([...records.values()]).toEqual([{ id: 'co_zMessage', status: 'new' }])
+		expect(actor.context.value.draft).toBeUndefined()
+		expect(actor.delivered).toEqual([
+			{
+				to: 'co_zView',
+				type: 'ERROR',
+				payload: { errors: [{ type: 'schema', message: 'text is required' }], step: 4 },
+			},
+		])
+	})
+
+	test('rollback removes fields the update added and restores existing nulls', async () => {
+		const records = new Map([['co_zMessage', { id: 'co_zMessage', status: 'new', note: null }]])
+		const { engine, process } = await setup(
+			{
+				ARCHIVE: {
+					atomic: true,
+					actions: [
+						{ op: { update: { id: 'co_zMessage', data: { archivedAt: 1, note: 'x', status: 'old' } } } },
+						{ op: { create: { factory: 'co_zBroken', data: {} } } },
+					],
+				},
+			},
+			records,
+		)
+
+		await engine.send(process.id, 'ARCHIVE', {})
+		expect(records.get('co_zMessage')).toEqual({ id: 'co_zMessage', status: 'new', note: null })
+		expect(records.get('co_zMessage')).not.toHaveProperty('archivedAt')
+	})
+
+	test('deletes are staged until every other step succeeded', async () => {
+		const records = new Map([['co_zOld', { id: 'co_zOld' }]])
+		const { engine, dataEngine, process } = await setup(
+			{
+				ARCHIVE: {
+					atomic: true,
+					actions: [
+						{ op: { delete: { id: 'co_zOld' } } },
+						{ op: { update: { id: 'co_zMissing', data: { archived: true } } } },
+					],
+				},
+			},
+			records,
+		)
+
+		await engine.send(process.id, 'ARCHIVE', {})
+		expect(records.has('co_zOld')).toBe(true)
+		expect(dataEngine.ops).not.toContain('delete')
+	})
+
+	test('a second delete fails the handler before any delete runs', async () => {
+		const records = new Map([
+			['co_zA', { id: 'co_zA' }],
+			['co_zB', { id: 'co_zB' }],
+		])
+		const { engine, actor, dataEngine, process } = await setup(
+			{
+				CLEAR: {
+					atomic: true,
+					actions: [
+						{ op: { create: { factory: 'co_zTodos', data: { text: 'log' } } } },
+						{ op: { delete: { id: 'co_zA' } } },
+						{ op: { delete: { id: 'co_zB' } } },
+					],
+				},
+			},
+			records,
+		)
+
+		await engine.send(process.id, 'CLEAR', {})
+		expect([...records.keys()]).toEqual(['co_zA', 'co_zB'])
+		// The only delete is the create's compensation
+		expect(dataEngine.ops).toEqual(['create', 'delete'])
+		expect(actor.delivered[0].payload.step).toBe(2)
+		expect(actor.delivered[0].payload.errors[0].message).toContain(
+			'only one delete can run in an atomic handler',
+		)
+	})
+
+	test('ask inside an atomic handler is rejected before anything runs', async () => {
+		const { engine, actor, dataEngine, process } = await setup({
+			GO: {
+				atomic: true,
+				actions: [
+					{ ask: { target: 'co_zOther', type: 'PING' } },
+					{ op: { create: { factory: 'co_zTodos', data: {} } } },
+				],
+			},
+		})
+
+		await engine.send(process.id, 'GO', {})
+		expect(dataEngine.records.size).toBe(0)
+		expect(actor.delivered[0].payload.step).toBe(0)
+		expect(actor.delivered[0].payload.errors[0].message).toContain(
+			'ask cannot run in an atomic handler',
+		)
+	})
+})
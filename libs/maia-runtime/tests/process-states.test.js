@@ -0,0 +1,147 @@
+import { describe, expect, test } from 'bun:test'
+import { ProcessEngine } from '../src/engines/process.engine.js'
+import { processUsesSchedule } from '../src/engines/timer.engine.js'
+import { Evaluator } from '../src/utils/evaluator.js'
+
+/** Actor whose context updates merge in memory (stand-in for the context CoValue) */
+function makeActor(context = {}) {
+	const actor = { id: 'co_zActor', context: { value: { ...context } }, updates: [], delivered: [] }
+	actor.actorOps = {
+		updateContextCoValue: async (target, updates) => {
+			actor.updates.push(updates)
+			target.context.value = { ...target.context.value, ...updates }
+		},
+		deliverEvent: async (_from, to, type, payload) => {
+			actor.delivered.push({ to, type, payload })
+		},
+	}
+	return actor
+}
+
+const machine = {
+	initial: 'idle',
+	states: {
+		idle: {
+			entry: [{ ctx: { entered: 'idle' } }],
+			handlers: {
+				SEND: { target: 'sending', actions: [{ ctx: { draft: '$$text' } }] },
+				TYPE: [{ ctx: { draft: '$$text' } }],
+			},
+		},
+		sending: {
+			entry: [{ ctx: { entered: 'sending' } }],
+			exit: [{ ctx: { left: 'sending' } }],
+			handlers: {
+				SUCCESS: { target: 'idle', actions: [{ ctx: { draft: '' } }] },
+				SAVE: { target: 'idle', actions: [{ op: { update: { id: 'co_zDraft', data: {} } } }] },
+				CONFIRM: {
+					target: 'idle',
+					actions: [{ guard: { $eq: ['$$ok', true] } }, { ctx: { confirmed: true } }],
+				},
+			},
+		},
+	},
+	handlers: { RESET: [{ ctx: { draft: '' } }] },
+}
+
+async function setup(context) {
+	const engine = new ProcessEngine(new Evaluator())
+	const actor = makeActor(context)
+	const process = await engine.createProcess(machine, actor)
+	return { engine, actor, process }
+}
+
+describe('finite-state processes', () => {
+	test('enters initial, transitions run actions → exit → entry and persist _currentState', async () => {
+		const { engine, actor, process } = await setup()
+
+		expect(await engine.send(process.id, 'SEND', { text: 'hi' })).toBe(true)
+		expect(process.state).toBe('sending')
+		expect(actor.context.value).toMatchObject({
+			_currentState: 'sending',
+			entered: 'sending',
+			draft: 'hi',
+		})
+
+		await engine.send(process.id, 'SUCCESS', {})
+		expect(process.state).toBe('idle')
+		expect(actor.context.value).toMatchObject({ _currentState: 'idle', left: 'sending', draft: '' })
+		expect(actor.updates.filter((u) => u._currentState).map((u) => u._currentState)).toEqual([
+			'idle',
+			'sending',
+			'idle',
+		])
+	})
+
+	test('creating the process enters initial and runs its entry actions before any event', async () => {
+		const { process, actor } = await setup()
+		expect(process.state).toBe('idle')
+		expect(actor.context.value).toMatchObject({ _currentState: 'idle', entered: 'idle' })
+	})
+
+	test('events are handled only in states that declare them, flat handlers in every state', async () => {
+		const { engine, actor, process } = await setup()
+		await engine.send(process.id, 'SEND', { text: 'hi' })
+
+		expect(await engine.send(process.id, 'TYPE', { text: 'ignored' })).toBe(false)
+		expect(actor.context.value.draft).toBe('hi')
+		expect(await engine.send(process.id, 'RESET', {})).toBe(true)
+		expect(actor.context.value.draft).toBe('')
+	})
+
+	test('restores the persisted state without re-running entry actions', async () => {
+		const { engine, actor, process } = await setup({ _currentState: 'sending' })
+
+		await engine.send(process.id, 'SUCCESS', {})
+		expect(process.state).toBe('idle')
+		expect(actor.updates.slice(0, 2)).toEqual([{ draft: '' }, { left: 'sending' }])
+	})
+
+	test('a failed op keeps the current state and skips exit and entry actions', async () => {
+		const { engine, actor, process } = await setup({ _currentState: 'sending' })
+		engine.dataEngine = { execute: async () => ({ ok: false, errors: [{ message: 'denied' }] }) }
+		actor._lastEventSource = 'co_zView'
+
+		await engine.send(process.id, 'SAVE', {})
+		expect(process.state).toBe('sending')
+		expect(actor.context.value).not.toHaveProperty('left')
+		expect(actor.updates).toEqual([])
+		expect(actor.delivered).toEqual([
+			{ to: 'co_zView', type: 'ERROR', payload: { errors: [{ message: 'denied' }] } },
+		])
+	})
+
+	test('a transition whose guards all miss keeps the current state', async () => {
+		const { engine, actor, process } = await setup({ _currentState: 'sending' })
+
+		await engine.send(process.id, 'CONFIRM', { ok: false })
+		expect(process.state).toBe('sending')
+		expect(actor.updates).toEqual([])
+
+		await engine.send(process.id, 'CONFIRM', { ok: true })
+		expect(process.state).toBe('idle')
+		expect(actor.context.value).toMatchObject({
+			confirmed: true,
+			left: 'sending',
+			_currentState: 'idle',
+		})
+	})
+
+	test('invalid machines are rejected when the process is created', async () => {
+		const engine = new ProcessEngine(new Evaluator())
+		const actor = makeActor()
+		actor.interfaceFactory = { properties: { SEND: {}, CANCEL: {} } }
+		await expect(engine.createProcess(machine, actor)).rejects.toThrow(
+			'event CANCEL has no handler in any state',
+		)
+	})
+
+	test('schedule actions inside states restore timers', () => {
+		expect(processUsesSchedule(machine)).toBe(false)
+		const timed = {
+			initial: 'idle',
+			states: { idle: { entry: [{ schedule: { key: 'k', type: 'TICK', every: 1000 } }] } },
+		}
+		expect(processUsesSchedule(timed)).toBe(true)
+	})
+})
@@ -0,0 +1,220 @@
+import { describe, expect, test } from 'bun:test'
+import { ActorEngine } from '../src/engines/actor.engine.js'
+import { ProcessEngine } from '../src/engines/process.engine.js'
+import { TimerEngine } from '../src/engines/timer.engine.js'
+import { createFakeClock } from '../src/utils/clock.js'
+import { nextCronTime, parseCron } from '../src/utils/cron.js'
+import { Evaluator } from '../src/utils/evaluator.js'
+
+const TIMER_FACTORY = 'co_zTimerFactory'
+const HOUR = 3_600_000
+
+/** In-memory inboxes + Timer CoMaps behind a DataEngine stand-in (create / read / update / processInbox) */
+function makeDataEngine(records = new Map()) {
+	const inboxes = new Map()
+	const handled = []
+	let n = 0
+	const peer = {
+		runtimeRefs: new Map([['osTimer', TIMER_FACTORY]]),
+		createAndPushMessage: async (inboxCoId, data) => {
+			if (!inboxes.has(inboxCoId)) inboxes.set(inboxCoId, [])
+			inboxes.get(inboxCoId).push({ ...data, _coId: `co_zMsg${++n}` })
+		},
+	}
+	const store = (value) => ({ value, subscribe: () => () => {} })
+	const execute = async ({ op, inboxCoId, id, key, filter, data }) => {
+		if (op === 'processInbox') {
+			return { messages: (inboxes.get(inboxCoId) ?? []).filter((m) => !m.processed) }
+		}
+		if (op === 'create') {
+			const record = { ...data, id: `co_zTimer${records.size + 1}` }
+			records.set(record.id, record)
+			return { ok: true, data: record }
+		}
+		if (op === 'read' && key) return store({ ...records.get(key) })
+		if (op === 'read') {
+			const matches = [...records.values()].filter((r) =>
+				Object.entries(filter ?? {}).every(([k, v]) => r[k] === v),
+			)
+			return store(matches.map((r) => ({ ...r })))
+		}
+		if (op === 'update') {
+			if (id === 'co_zLog') handled.push(data.type)
+			if (records.has(id)) Object.assign(records.get(id), data)
+			for (const list of inboxes.values()) {
+				for (const m of list) if (m._coId === id) m.processed = true
+			}
+			return { ok: true, data: { id } }
+		}
+		return { ok: true, data: {} }
+	}
+	return { peer, execute, records, handled }
+}
+
+/** One runtime: ProcessEngine + ActorEngine + TimerEngine sharing a fake clock */
+function makeRuntime(clock, dataEngine, runtimeId = 'runtime') {
+	const processEngine = new ProcessEngine(new Evaluator())
+	processEngine.dataEngine = dataEngine
+	const actorEngine = new ActorEngine(null, null, processEngine)
+	actorEngine.dataEngine = dataEngine
+	const timerEngine = new TimerEngine({ clock, runtimeId })
+	timerEngine.dataEngine = dataEngine
+	timerEngine.actorOps = actorEngine
+	processEngine.timerEngine = timerEngine
+	return { processEngine, actorEngine, timerEngine }
+}
+
+async function spawn({ actorEngine, processEngine }, handlers, id = 'co_zActor') {
+	const actor = {
+		id,
+		inboxCoId: `${id}Inbox`,
+		context: { value: {} },
+		actorOps: actorEngine,
+		// Scheduled types are validated like any inbox message
+		interfaceFactory: {
+			properties: Object.fromEntries(Object.keys(handlers).map((type) => [type, { type: 'object' }])),
+		},
+	}
+	actorEngine.actors.set(id, actor)
+	actor.process = await processEngine.createProcess({ handlers }, actor)
+	return actor
+}
+
+/** Handler action that records the event type in dataEngine.handled */
+const logged = (type) => ({ op: { update: { id: 'co_zLog', data: { type } } } })
+
+describe('schedule action', () => {
+	test('after fires once into the actor inbox; re-scheduling the key debounces', async () => {
+		const clock = createFakeClock()
+		const dataEngine = makeDataEngine()
+		const runtime = makeRuntime(clock, dataEngine)
+		const actor = await spawn(runtime, {
+			EDIT: [{ schedule: { key: 'autosave', type: 'SAVE', after: 1000 } }],
+			SAVE: [logged('SAVE')],
+		})
+
+		await runtime.actorEngine.deliverEvent(actor.id, actor.id, 'EDIT', {})
+		await clock.advance(600)
+		await runtime.actorEngine.deliverEvent(actor.id, actor.id, 'EDIT', {})
+		await clock.advance(600)
+		expect(dataEngine.handled).toEqual([])
+		await clock.advance(400)
+		expect(dataEngine.handled).toEqual(['SAVE'])
+		await clock.advance(5000)
+		expect(dataEngine.handled).toEqual(['SAVE'])
+		expect([...dataEngine.records.values()].map((r) => r.status)).toEqual(['cancelled', 'fired'])
+	})
+
+	test('unschedule cancels by key', async () => {
+		const clock = createFakeClock()
+		const dataEngine = makeDataEngine()
+		const runtime = makeRuntime(clock, dataEngine)
+		const actor = await spawn(runtime, {
+			START: [{ schedule: { key: 'poll', type: 'TICK', every: 100 } }],
+			STOP: [{ unschedule: { key: 'poll' } }],
+			TICK: [logged('TICK')],
+		})
+
+		await runtime.actorEngine.deliverEvent(actor.id, actor.id, 'START', {})
+		await clock.advance(350)
+		expect(dataEngine.handled).toHaveLength(3)
+		await runtime.actorEngine.deliverEvent(actor.id, actor.id, 'STOP', {})
+		await clock.advance(1000)
+		expect(dataEngine.handled).toHaveLength(3)
+		expect(clock.pending).toBe(0)
+	})
+
+	test('cron fires at matching UTC minutes', async () => {
+		const clock = createFakeClock(Date.UTC(2026, 0, 1, 0, 30))
+		const dataEngine = makeDataEngine()
+		const runtime = makeRuntime(clock, dataEngine)
+		const actor = await spawn(runtime, {
+			START: [{ schedule: { key: 'hourly', type: 'TICK', cron: '0 * * * *' } }],
+			TICK: [logged('TICK')],
+		})
+
+		await runtime.actorEngine.deliverEvent(actor.id, actor.id, 'START', {})
+		await clock.advance(HOUR)
+		expect(dataEngine.handled).toHaveLength(1)
+		await clock.advance(2 * HOUR)
+		expect(dataEngine.handled).toHaveLength(3)
+	})
+
+	test('persisted timers survive a reload and overdue ones fire once', async () => {
+		const records = new Map()
+		const handlers = {
+			START: [{ schedule: { key: 'poll', type: 'TICK', every: 1000 } }],
+			TICK: [logged('TICK')],
+		}
+		const first = makeRuntime(createFakeClock(), makeDataEngine(records))
+		const before = await spawn(first, handlers)
+		await first.actorEngine.deliverEvent(before.id, before.id, 'START', {})
+		first.timerEngine.dispose()
+
+		// Another runtime hosts the actor 3.5 s later: missed repeats collapse into one firing
+		const clock = createFakeClock(3500)
+		const dataEngine = makeDataEngine(records)
+		const second = makeRuntime(clock, dataEngine)
+		const after = await spawn(second, handlers)
+		await second.timerEngine.restore(after.id)
+		await clock.advance(0)
+		expect(dataEngine.handled).toEqual(['TICK'])
+		expect([...records.values()][0].dueAt).toBe(4000)
+		await clock.advance(500)
+		expect(dataEngine.handled).toEqual(['TICK', 'TICK'])
+	})
+
+	test('with a store per runtime only the host fires; a follower takes over when it is gone', async () => {
+		const handlers = {
+			START: [{ schedule: { key: 'poll', type: 'TICK', every: 1000 } }],
+			TICK: [logged('TICK')],
+		}
+		const stores = [new Map(), new Map()]
+		// CoValue sync stand-in: the host's timer records reach the follower's store
+		const sync = () => {
+			for (const [id, record] of stores[0]) stores[1].set(id, structuredClone(record))
+		}
+		const clocks = [createFakeClock(), createFakeClock()]
+		const dataEngines = stores.map((records) => makeDataEngine(records))
+		const [host, follower] = [0, 1].map((i) => makeRuntime(clocks[i], dataEngines[i], `runtime${i}`))
+		const actor = await spawn(host, handlers)
+		await host.actorEngine.deliverEvent(actor.id, actor.id, 'START', {})
+		sync()
+		await follower.timerEngine.restore((await spawn(follower, handlers)).id)
+
+		for (let second = 0; second < 5; second++) {
+			await Promise.all(clocks.map((clock) => clock.advance(1000)))
+			sync()
+		}
+		expect(dataEngines[0].handled).toHaveLength(5)
+		expect(dataEngines[1].handled).toEqual([])
+
+		// The host is closed at 5 s: its 6 s occurrence is taken over a minute later
+		host.timerEngine.dispose()
+		await clocks[1].advance(60_999)
+		expect(dataEngines[1].handled).toEqual([])
+		await clocks[1].advance(1)
+		expect(dataEngines[1].handled).toEqual(['TICK'])
+		expect([...stores[1].values()][0]).toMatchObject({ host: 'runtime1', dueAt: 67_000 })
+		await clocks[1].advance(1000)
+		expect(dataEngines[1].handled).toEqual(['TICK', 'TICK'])
+	})
+
+	test('schedule without after, every or cron is rejected', async () => {
+		const { timerEngine } = makeRuntime(createFakeClock(), makeDataEngine())
+		await expect(timerEngine.schedule({ id: 'co_zA' }, { key: 'k', type: 'T' })).rejects.toThrow(
+			'exactly one of after, every or cron',
+		)
+	})
+})
+
+describe('cron', () => {
+	test('lists, ranges, steps and weekday', () => {
+		const monday9 = Date.UTC(2026, 9, 19, 9, 0) // Monday
+		expect(nextCronTime('*/15 9-17 * * 1-5', monday9)).toBe(Date.UTC(2026, 9, 19, 9, 15))
+		expect(nextCronTime('0 3 * * 0', monday9)).toBe(Date.UTC(2026, 9, 25, 3, 0))
+		expect(nextCronTime('@monthly', monday9)).toBe(Date.UTC(2026, 10, 1))
+		expect(parseCron('0 0 * * 7').dayOfWeek.has(0)).toBe(true)
+		expect(() => parseCron('61 * * * *')).toThrow('[cron] invalid minute')
+	})
+})
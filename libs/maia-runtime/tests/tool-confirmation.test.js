@@ -0,0 +1,150 @@
+import { ReactiveStore } from '@MaiaOS/db'
+import { describe, expect, test } from 'bun:test'
+import { Runtime } from '../src/runtimes/browser.js'
+
+const CALLER = 'co_zCaller'
+const TODOS = 'co_zTodosService'
+const CONFIRMATION_FACTORY = 'co_zToolConfirmationFactory'
+const AUDIT_FACTORY = 'co_zToolAuditFactory'
+
+/** DataEngine stand-in: todos actor whose DELETE_TODO requires confirmation, in-memory CoValues */
+function makeDataEngine() {
+	const records = new Map()
+	const stores = new Map()
+	const streams = new Map()
+	const failPush = { value: false }
+	let n = 0
+	const peer = {
+		account: { id: 'co_zAccount' },
+		systemFactoryCoIds: new Map(),
+		runtimeRefs: new Map([
+			['meta', 'co_zMeta'],
+			['osToolConfirmation', CONFIRMATION_FACTORY],
+			['osToolAudit', AUDIT_FACTORY],
+		]),
+		resolve: async () => 'co_zActorFactory',
+	}
+	const storeFor = (id) => {
+		if (!stores.has(id)) stores.set(id, new ReactiveStore(records.get(id)))
+		return stores.get(id)
+	}
+	const execute = async (params) => {
+		const { op, key, factory, id, data } = params
+		if (op === 'read') {
+			if (key === TODOS)
+				return { value: { $id: TODOS, inbox: 'co_zTodosInbox', interface: 'co_zIface' } }
+			if (key === 'co_zIface') {
+				return {
+					value: {
+						properties: {
+							CREATE_TODO: { type: 'object', properties: {} },
+							DELETE_TODO: { type: 'object', requiresConfirmation: true, properties: {} },
+						},
+					},
+				}
+			}
+			return storeFor(key)
+		}
+		if (op === 'create') {
+			const newId = `co_z${factory === AUDIT_FACTORY ? 'Audit' : 'Confirmation'}${++n}`
+			if (factory === AUDIT_FACTORY) streams.set(newId, [])
+			else records.set(newId, { id: newId, ...data })
+			return { ok: true, data: { id: newId } }
+		}
+		if (op === 'update') {
+			records.set(id, { ...records.get(id), ...data })
+			storeFor(id)._set(records.get(id))
+			return { ok: true, data: { id } }
+		}
+		if (op === 'push') {
+			if (failPush.value) throw new Error('push failed')
+			streams.get(params.coId).push(params.item)
+			return { ok: true }
+		}
+		return { value: {} }
+	}
+	return { peer, execute, records, streams, failPush }
+}
+
+function makeActorEngine() {
+	const delivered = []
+	return {
+		delivered,
+		actors: new Map(),
+		deliverEvent: async (_from, target, type, payload) => delivered.push({ target, type, payload }),
+		processEvents: async () => {},
+		spawnActor: async () => null,
+	}
+}
+
+const caller = { id: CALLER, config: {} }
+
+describe('Runtime tool confirmation', () => {
+	test('unmarked events run without asking', async () => {
+		const actorEngine = makeActorEngine()
+		const runtime = new Runtime(makeDataEngine(), actorEngine, 'browser', {
+			confirmToolCall: () => {
+				throw new Error('should not ask')
+			},
+		})
+		await runtime.executeToolCall(caller, `${TODOS}/CREATE_TODO`, { text: 'milk' })
+		expect(actorEngine.delivered.map((d) => d.type)).toEqual(['CREATE_TODO'])
+	})
+
+	test('denied calls are not delivered and the decision is audited', async () => {
+		const dataEngine = makeDataEngine()
+		const actorEngine = makeActorEngine()
+		const asked = []
+		const runtime = new Runtime(dataEngine, actorEngine, 'browser', {
+			confirmToolCall: async (request) => {
+				asked.push(request)
+				return 'denied'
+			},
+		})
+		const res = await runtime.executeToolCall(caller, `${TODOS}/DELETE_TODO`, {
+			id: 'co_zTodo',
+			actionSummary: 'Deleting milk',
+		})
+		expect(res).toMatchObject({ ok: false, denied: true, decision: 'denied' })
+		expect(actorEngine.delivered).toEqual([])
+		expect(asked[0]).toMatchObject({ event: 'DELETE_TODO', args: { id: 'co_zTodo' } })
+		const [confirmation] = [...dataEngine.records.values()]
+		expect(confirmation).toMatchObject({
+			status: 'denied',
+			actionSummary: 'Deleting milk',
+			decidedBy: 'co_zAccount',
+		})
+		expect([...dataEngine.streams.values()]).toEqual([[confirmation.id]])
+	})
+
+	test('waits for the view to approve the pending confirmation, expires otherwise', async () => {
+		const dataEngine = makeDataEngine()
+		const actorEngine = makeActorEngine()
+		const runtime = new Runtime(dataEngine, actorEngine, 'browser', { confirmationTimeoutMs: 50 })
+		runtime.on('toolConfirmationRequested', ({ id }) => {
+			// What the tool-confirmations view's APPROVE handler does
+			setTimeout(() => dataEngine.execute({ op: 'update', id, data: { status: 'approved' } }), 5)
+		})
+		await runtime.executeToolCall(caller, `${TODOS}/DELETE_TODO`, { id: 'co_zTodo' })
+		expect(actorEngine.delivered.map((d) => d.payload)).toEqual([{ id: 'co_zTodo' }])
+
+		const idle = new Runtime(dataEngine, makeActorEngine(), 'browser', { confirmationTimeoutMs: 20 })
+		const res = await idle.executeToolCall(caller, `${TODOS}/DELETE_TODO`, { id: 'co_zTodo' })
+		expect(res).toMatchObject({ ok: false, decision: 'expired' })
+		expect([...dataEngine.streams.values()].flat()).toHaveLength(2)
+	})
+	test('an approval whose audit fails is stored and returned as denied', async () => {
+		const dataEngine = makeDataEngine()
+		const actorEngine = makeActorEngine()
+		const runtime = new Runtime(dataEngine, actorEngine, 'browser', { confirmationTimeoutMs: 50 })
+		runtime.on('toolConfirmationRequested', ({ id }) => {
+			setTimeout(() => dataEngine.execute({ op: 'update', id, data: { status: 'approved' } }), 5)
+		})
+		dataEngine.failPush.value = true
+		const res = await runtime.executeToolCall(caller, `${TODOS}/DELETE_TODO`, { id: 'co_zTodo' })
+		expect(res).toMatchObject({ ok: false, decision: 'denied' })
+		expect(actorEngine.delivered).toEqual([])
+		const [confirmation] = [...dataEngine.records.values()]
+		expect(confirmation.status).toBe('denied')
+	})
+})
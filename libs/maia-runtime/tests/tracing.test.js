@@ -0,0 +1,139 @@
+import { addSpanExporter, parseTraceparent, startSpan } from '@MaiaOS/logs'
+import { afterEach, describe, expect, test } from 'bun:test'
+import { ActorEngine } from '../src/engines/actor.engine.js'
+import { ProcessEngine } from '../src/engines/process.engine.js'
+import { Evaluator } from '../src/utils/evaluator.js'
+
+/** In-memory inboxes + DataEngine stand-in (processInbox / update) */
+function makeDataEngine() {
+	const inboxes = new Map()
+	let n = 0
+	const peer = {
+		createAndPushMessage: async (inboxCoId, data) => {
+			if (!inboxes.has(inboxCoId)) inboxes.set(inboxCoId, [])
+			inboxes.get(inboxCoId).push({ ...data, _coId: `co_zMsg${++n}` })
+		},
+	}
+	const execute = async ({ op, inboxCoId, id }) => {
+		if (op === 'processInbox') {
+			return { messages: (inboxes.get(inboxCoId) ?? []).filter((m) => !m.processed) }
+		}
+		if (op === 'update') {
+			for (const list of inboxes.values()) {
+				for (const m of list) if (m._coId === id) m.processed = true
+			}
+			return { ok: true, data: { id } }
+		}
+		return { ok: true, data: {} }
+	}
+	return { peer, execute, inboxes }
+}
+
+async function spawn(actorEngine, processEngine, id, handlers) {
+	const actor = { id, inboxCoId: `${id}Inbox`, context: { value: {} }, actorOps: actorEngine }
+	actor.process = await processEngine.createProcess({ handlers }, actor)
+	actorEngine.actors.set(id, actor)
+	return actor
+}
+
+const cleanups = []
+afterEach(() => {
+	for (const cleanup of cleanups.splice(0)) cleanup()
+})
+
+describe('span propagation', () => {
+	test('one trace follows deliver → process → tell → process → op across two actors', async () => {
+		const spans = []
+		cleanups.push(addSpanExporter({ export: (batch) => spans.push(...batch) }))
+		const dataEngine = makeDataEngine()
+		const processEngine = new ProcessEngine(new Evaluator())
+		processEngine.dataEngine = dataEngine
+		const actorEngine = new ActorEngine(null, null, processEngine)
+		actorEngine.dataEngine = dataEngine
+		await spawn(actorEngine, processEngine, 'co_zA', {
+			SUCCESS: [{ tell: { target: 'co_zB', type: 'SUCCESS', payload: {} } }],
+		})
+		await spawn(actorEngine, processEngine, 'co_zB', {
+			SUCCESS: [{ op: { update: { id: 'co_zRecord', data: { seen: true } } } }],
+		})
+
+		const click = startSpan('view CLICK')
+		await actorEngine.deliverEvent(
+			'co_zA',
+			'co_zA',
+			'SUCCESS',
+			{},
+			{ traceparent: click.traceparent },
+		)
+		click.end()
+
+		const names = spans.map((s) => s.name)
+		expect(names).toContain('op update')
+		expect(new Set(spans.map((s) => s.traceId))).toEqual(new Set([click.traceId]))
+		const byId = new Map(spans.map((s) => [s.spanId, s]))
+		const chain = []
+		for (let s = spans.find((x) => x.name === 'op update'); s; s = byId.get(s.parentSpanId)) {
+			chain.unshift(s.name)
+		}
+		expect(chain).toEqual([
+			'view CLICK',
+			'deliver SUCCESS',
+			'process SUCCESS',
+			'deliver SUCCESS',
+			'process SUCCESS',
+			'op update',
+		])
+
+		const [toB] = dataEngine.inboxes.get('co_zBInbox')
+		expect(parseTraceparent(toB.traceparent)?.traceId).toBe(click.traceId)
+	})
+
+	test('concurrent events on one process keep their own trace; functions get their span', async () => {
+		const spans = []
+		cleanups.push(addSpanExporter({ export: (batch) => spans.push(...batch) }))
+		const dataEngine = makeDataEngine()
+		const processEngine = new ProcessEngine(new Evaluator())
+		processEngine.dataEngine = dataEngine
+		const actorEngine = new ActorEngine(null, null, processEngine)
+		const actor = await spawn(actorEngine, processEngine, 'co_zA', {
+			SAVE: [{ op: { update: { id: 'co_zRecord', data: { seen: true } } } }],
+			RUN: [{ function: true }],
+		})
+		const received = []
+		actor.executableFunction = {
+			execute: async (_actor, _payload, options) => {
+				received.push(options.traceparent)
+				return { ok: true, data: {} }
+			},
+		}
+		actor.actorOps = { deliverEvent: async () => {} }
+
+		const first = startSpan('first')
+		const second = startSpan('second')
+		await Promise.all([
+			processEngine.send(actor.process.id, 'SAVE', {}, { traceparent: first.traceparent }),
+			processEngine.send(actor.process.id, 'SAVE', {}, { traceparent: second.traceparent }),
+		])
+		const opParents = spans.filter((s) => s.name === 'op update').map((s) => s.traceId)
+		expect(opParents.sort()).toEqual([first.traceId, second.traceId].sort())
+		expect('traceparent' in actor.process).toBe(false)
+
+		await processEngine.send(actor.process.id, 'RUN', {}, { traceparent: first.traceparent })
+		const fn = spans.find((s) => s.name === 'function')
+		expect(parseTraceparent(received[0])?.spanId).toBe(fn.spanId)
+		expect(fn.traceId).toBe(first.traceId)
+	})
+
+	test('without tracing, messages carry no traceparent', async () => {
+		const dataEngine = makeDataEngine()
+		const processEngine = new ProcessEngine(new Evaluator())
+		processEngine.dataEngine = dataEngine
+		const actorEngine = new ActorEngine(null, null, processEngine)
+		actorEngine.dataEngine = dataEngine
+		await spawn(actorEngine, processEngine, 'co_zA', { SUCCESS: [] })
+
+		await actorEngine.deliverEvent('co_zA', 'co_zA', 'SUCCESS', {})
+		const [message] = dataEngine.inboxes.get('co_zAInbox')
+		expect('traceparent' in message).toBe(false)
+	})
+})
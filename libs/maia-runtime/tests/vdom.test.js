@@ -0,0 +1,213 @@
+import { afterAll, beforeAll, describe, expect, test } from 'bun:test'
+import { createElement, patchRoot } from '../src/utils/vdom.js'
+
+/** Minimal DOM stand-in: enough tree + attribute surface for the patcher (bun has no DOM) */
+class FakeNode {
+	constructor(tag) {
+		this.tagName = tag?.toUpperCase()
+		this.attributes = new Map()
+		this.childNodes = []
+		this.parentNode = null
+		this._text = ''
+		this.value = ''
+		this.writes = 0
+	}
+	get firstChild() {
+		return this.childNodes[0] ?? null
+	}
+	get nextSibling() {
+		const siblings = this.parentNode?.childNodes ?? []
+		return siblings[siblings.indexOf(this) + 1] ?? null
+	}
+	get isConnected() {
+		return this.getRootNode().isRoot === true
+	}
+	getRootNode() {
+		return this.parentNode ? this.parentNode.getRootNode() : this
+	}
+	_detach(child) {
+		if (child.parentNode) {
+			const list = child.parentNode.childNodes
+			list.splice(list.indexOf(child), 1)
+		}
+	}
+	appendChild(child) {
+		return this.insertBefore(child, null)
+	}
+	insertBefore(child, ref) {
+		this._detach(child)
+		child.parentNode = this
+		const i = ref ? this.childNodes.indexOf(ref) : -1
+		if (i === -1) this.childNodes.push(child)
+		else this.childNodes.splice(i, 0, child)
+		this.writes++
+		return child
+	}
+	removeChild(child) {
+		this._detach(child)
+		child.parentNode = null
+		this.writes++
+		return child
+	}
+	replaceChild(next, old) {
+		this.insertBefore(next, old)
+		return this.removeChild(old)
+	}
+	setAttribute(name, value) {
+		this.attributes.set(name, String(value))
+		this.writes++
+	}
+	removeAttribute(name) {
+		this.attributes.delete(name)
+		this.writes++
+	}
+	getAttribute(name) {
+		return this.attributes.get(name) ?? null
+	}
+	set textContent(value) {
+		for (const c of this.childNodes) c.parentNode = null
+		this.childNodes = []
+		this._text = value
+		this.writes++
+	}
+	get textContent() {
+		return this._text + this.childNodes.map((c) => c.textContent).join('')
+	}
+	set innerHTML(value) {
+		this.textContent = value
+	}
+}
+
+let previousDocument
+beforeAll(() => {
+	previousDocument = globalThis.document
+	globalThis.document = { createElement: (tag) => new FakeNode(tag) }
+})
+afterAll(() => {
+	globalThis.document = previousDocument
+})
+
+function makeRoot() {
+	const root = new FakeNode('root')
+	root.isRoot = true
+	root.activeElement = null
+	return root
+}
+
+const li = (key, text) => ({ tag: 'li', key, attrs: {}, props: {}, text, children: [] })
+const list = (items, attrs = {}) => ({ tag: 'ul', key: null, attrs, props: {}, children: items })
+
+describe('vdom patchRoot', () => {
+	test('keeps keyed elements on reorder and insert', () => {
+		const root = makeRoot()
+		const first = list([li('co:a', 'A'), li('co:b', 'B')])
+		const ul = patchRoot(root, null, first)
+		const [elA, elB] = ul.childNodes
+
+		const second = list([li('co:c', 'C'), li('co:b', 'B'), li('co:a', 'A2')])
+		expect(patchRoot(root, first, second)).toBe(ul)
+		expect(ul.childNodes[1]).toBe(elB)
+		expect(ul.childNodes[2]).toBe(elA)
+		expect(ul.childNodes.map((n) => n.textContent)).toEqual(['C', 'B', 'A2'])
+	})
+
+	test('removes dropped keys and only touches changed attributes', () => {
+		const root = makeRoot()
+		const first = list([li('co:a', 'A'), li('co:b', 'B')], { class: 'x' })
+		const ul = patchRoot(root, null, first)
+		const elB = ul.childNodes[1]
+		const writesBefore = elB.writes
+
+		const second = list([li('co:b', 'B')], { class: 'y' })
+		patchRoot(root, first, second)
+		expect(ul.childNodes).toEqual([elB])
+		expect(elB.writes).toBe(writesBefore)
+		expect(ul.getAttribute('class')).toBe('y')
+	})
+
+	test('does not overwrite a focused input unless cleared', () => {
+		const root = makeRoot()
+		const input = (value) => ({ tag: 'input', attrs: {}, props: {}, value, children: [] })
+		const form = (value) => ({ tag: 'form', attrs: {}, props: {}, children: [input(value)] })
+		const first = form('a')
+		const el = patchRoot(root, null, first)
+		const inputEl = el.childNodes[0]
+		inputEl.value = 'typing'
+		root.activeElement = inputEl
+
+		const second = form('a-remote')
+		patchRoot(root, first, second)
+		expect(inputEl.value).toBe('typing')
+
+		patchRoot(root, second, form(''))
+		expect(inputEl.value).toBe('')
+	})
+
+	test('defers text into a focused contenteditable until blur', () => {
+		const root = makeRoot()
+		const editable = (text) => ({
+			tag: 'div',
+			attrs: { contenteditable: 'true' },
+			props: {},
+			text,
+			children: [],
+		})
+		const first = editable('one')
+		const el = patchRoot(root, null, first)
+		root.activeElement = el
+
+		const second = editable('two')
+		patchRoot(root, first, second)
+		expect(el.textContent).toBe('one')
+
+		root.activeElement = null
+		patchRoot(root, second, editable('two'))
+		expect(el.textContent).toBe('two')
+	})
+
+	test('text + children: patches children in place and respects a focused contenteditable', () => {
+		const root = makeRoot()
+		const note = (text, items) => ({
+			tag: 'div',
+			attrs: { contenteditable: 'true' },
+			props: {},
+			text,
+			children: items,
+		})
+		const first = note('title', [li('co:a', 'A')])
+		const el = patchRoot(root, null, first)
+		const elA = el.childNodes[0]
+		const writesBefore = el.writes
+
+		// Same content: no rewrite, the existing child is kept and the new one appended
+		const second = note('title', [li('co:a', 'A'), li('co:b', 'B')])
+		patchRoot(root, first, second)
+		expect(el.childNodes[0]).toBe(elA)
+		expect(el.writes).toBe(writesBefore + 1)
+
+		// Focused: typing survives, children stay as they are
+		root.activeElement = el
+		const third = note('remote', [li('co:c', 'C')])
+		patchRoot(root, second, third)
+		expect(el.textContent).toBe('titleAB')
+
+		// After blur the remote content and children apply
+		root.activeElement = null
+		patchRoot(root, third, note('remote', [li('co:c', 'C')]))
+		expect(el.textContent).toBe('remoteC')
+	})
+
+	test('adopts host elements and remounts when the root was cleared', () => {
+		const root = makeRoot()
+		const host = createElement({ tag: 'section', attrs: {}, props: {}, children: [] })
+		const slot = () => ({ tag: 'div', attrs: {}, props: {}, children: [{ host }] })
+		const first = slot()
+		const el = patchRoot(root, null, first)
+		expect(el.childNodes[0]).toBe(host)
+
+		root.innerHTML = ''
+		const remounted = patchRoot(root, first, slot())
+		expect(remounted).not.toBe(el)
+		expect(remounted.childNodes[0]).toBe(host)
+	})
+})
@@ -0,0 +1,45 @@
+import { describe, expect, test } from 'bun:test'
+import { ViewEngine } from '../src/engines/view.engine.js'
+
+/** ActorOps stand-in: child actors get a container; destroyActor drops them from the registry */
+function makeActorOps() {
+	const actors = new Map()
+	const destroyed = []
+	const parent = { id: 'co_zParent', children: {} }
+	actors.set(parent.id, parent)
+	const actorOps = {
+		getActor: (id) => actors.get(id) ?? null,
+		destroyActor: (id) => {
+			destroyed.push(id)
+			actors.delete(id)
+		},
+		_createChildActorByCoId: async (actor, coId) => {
+			const child = { id: `${coId}Actor`, containerElement: { coId }, viewDef: {} }
+			actors.set(child.id, child)
+			actor.children[coId] = child
+			return child
+		},
+	}
+	return { actorOps, parent, destroyed }
+}
+
+describe('$slot', () => {
+	test('swapping a slot destroys the previous child actor', async () => {
+		const { actorOps, parent, destroyed } = makeActorOps()
+		const engine = new ViewEngine(null, actorOps, null)
+		const node = { $slot: '$currentView' }
+		const render = async (currentView) => {
+			const vnode = { tag: 'div', children: [] }
+			await engine._renderSlot(node, { context: { currentView } }, vnode, parent.id)
+			return vnode
+		}
+
+		await render('co_zList')
+		await render('co_zKanban')
+		const vnode = await render('co_zTable')
+
+		expect(Object.keys(parent.children)).toEqual(['co_zTable'])
+		expect(destroyed).toEqual(['co_zListActor', 'co_zKanbanActor'])
+		expect(vnode.children).toEqual([{ host: parent.children.co_zTable.containerElement }])
+	})
+})
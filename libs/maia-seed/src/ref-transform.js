@@ -73,6 +73,7 @@ function isActorNamekey(value) {
 		value !== '@fileFromInput' &&
 		value !== '@contentEditableValue' &&
 		value !== '@scope' &&
+		value !== '@syncStatus' &&
 		!value.startsWith('@inputByName:')
 	)
 }
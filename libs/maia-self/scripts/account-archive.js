@@ -0,0 +1,76 @@
+#!/usr/bin/env bun
+
+/**
+ * Account archive CLI - write an agent account's CoValue graph to an archive file, or replay one
+ * into local storage.
+ *
+ * The file is the archive object from exportAccountArchive as JSON (*.maia-archive.json).
+ * Storage comes from PEER_SYNC_STORAGE / PEER_DB_PATH / PEER_SYNC_DB_URL (same as the sync service).
+ *
+ * Usage:
+ *   bun account:archive export account.maia-archive.json [--root=co_z...]
+ *     Loads AVEN_MAIA_ACCOUNT with AVEN_MAIA_SECRET (and syncs first when PEER_SYNC_HOST is set).
+ *   bun account:archive import account.maia-archive.json
+ *     Offline: replays into local storage with a throwaway agent, no sync peers. Afterwards the
+ *     account loads from that storage with its own credentials.
+ */
+
+import { exportAccountArchive, importAccountArchive } from '@MaiaOS/db'
+import { getStorage } from '@MaiaOS/storage'
+import { readFile, writeFile } from 'node:fs/promises'
+import { LocalNode } from 'cojson'
+import { WasmCrypto } from 'cojson/crypto/WasmCrypto'
+import { loadAgentAccount } from '../src/self.js'
+
+const USAGE = 'Usage: bun account:archive <export|import> <file> [--root=co_z...]'
+
+async function exportToFile(file, roots) {
+	const { node, account } = await loadAgentAccount({
+		accountID: process.env.AVEN_MAIA_ACCOUNT,
+		agentSecret: process.env.AVEN_MAIA_SECRET,
+	})
+	const archive = await exportAccountArchive({ node, account }, { roots })
+	await writeFile(file, JSON.stringify(archive))
+	console.log(`Exported ${archive.coValues.length} CoValues of ${account.id} to ${file}`)
+	await node.gracefulShutdown()
+}
+
+async function importFromFile(file) {
+	const text = await readFile(file, 'utf8')
+	const crypto = await WasmCrypto.create()
+	const agentSecret = crypto.newRandomAgentSecret()
+	const node = new LocalNode(
+		agentSecret,
+		crypto.newRandomSessionID(crypto.getAgentID(agentSecret)),
+		crypto,
+	)
+	node.setStorage(await getStorage({ mode: 'agent' }))
+	const report = await importAccountArchive({ node }, text)
+	const { total, imported, merged, skipped, failed } = report
+	console.log(
+		`Imported ${file}: ${total} CoValues, ${imported} new, ${merged} merged, ${skipped} unchanged, ${failed.length} failed`,
+	)
+	for (const { id, error } of failed) console.error(`  ${id}: ${error}`)
+	await node.gracefulShutdown()
+	return failed.length === 0
+}
+
+async function main() {
+	const args = process.argv.slice(2)
+	const [command, file] = args.filter((arg) => !arg.startsWith('--'))
+	const roots = args.filter((arg) => arg.startsWith('--root=')).map((arg) => arg.slice(7))
+	if (!file || (command !== 'export' && command !== 'import')) {
+		console.error(USAGE)
+		process.exit(1)
+	}
+	try {
+		if (command === 'export') await exportToFile(file, roots)
+		else if (!(await importFromFile(file))) process.exit(1)
+		process.exit(0)
+	} catch (error) {
+		console.error(`❌ account:archive ${command} failed:`, error?.message ?? error)
+		process.exit(1)
+	}
+}
+
+main()
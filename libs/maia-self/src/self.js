@@ -9,7 +9,7 @@ import { ensureProfileForNewAccount } from '@MaiaOS/db'
 import { createAccountWithSecret, loadAccount, setupSyncPeers } from '@MaiaOS/peer'
 // Import dependencies directly (workspace imports work in dev)
 // In Docker: These will be resolved via the kernel bundle or copied files
-import { getStorage } from '@MaiaOS/storage'
+import { enableStorageEncryption, getStorage, isStorageEncryptionEnabled } from '@MaiaOS/storage'
 import { cojsonInternals } from 'cojson'
 import { WasmCrypto } from 'cojson/crypto/WasmCrypto'
 import { requirePRFSupport } from './feature-detection.js'
@@ -67,6 +67,8 @@ export async function signUpWithPasskey({ name, salt = 'maia.city' } = {}) {
 	if (!prfOutput) {
 		throw new Error('PRF evaluation failed')
 	}
+	// Encryption at rest (opt-in): key from the same PRF output, domain-separated from agentSecret
+	if (storage && isStorageEncryptionEnabled()) await enableStorageEncryption(storage, prfOutput)
 
 	const agentSecret = crypto.agentSecretFromSecretSeed(prfOutput)
 	const accountHeader = accountHeaderForInitialAgentSecret(agentSecret, crypto)
@@ -146,6 +148,8 @@ export async function signInWithPasskey({ salt = 'maia.city' } = {}) {
 	if (!prfOutput) {
 		throw new Error('PRF evaluation failed during sign-in')
 	}
+	// Encryption at rest (opt-in): migrates a plaintext OPFS / IndexedDB store on first sign-in
+	if (storage && isStorageEncryptionEnabled()) await enableStorageEncryption(storage, prfOutput)
 
 	// Derive agentSecret and compute accountID deterministically
 	const crypto = await WasmCrypto.create()
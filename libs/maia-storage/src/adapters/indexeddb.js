@@ -24,3 +24,57 @@ export async function getIndexedDBStorageAdapter() {
 		return undefined
 	}
 }
+
+/** Object store → record kind, for rewriteIndexedDBRecords */
+const RECORD_STORES = [
+	['coValues', 'header'],
+	['sessions', 'session'],
+	['transactions', 'tx'],
+	['signatureAfter', 'sig'],
+]
+
+/**
+ * Rewrite every header, session, transaction and signature record in place (encryption
+ * migration and key rotation). One readwrite cursor per object store; transform must be sync.
+ *
+ * @param {IDBDatabase} db - the cojson-storage-indexeddb client's db
+ * @param {(kind: 'header'|'session'|'tx'|'sig', record: object) => object | null} transform
+ */
+export async function rewriteIndexedDBRecords(db, transform) {
+	for (const [storeName, kind] of RECORD_STORES) {
+		await new Promise((resolve, reject) => {
+			const tx = db.transaction(storeName, 'readwrite')
+			const request = tx.objectStore(storeName).openCursor()
+			request.onsuccess = () => {
+				const cursor = request.result
+				if (!cursor) return
+				try {
+					const next = transform(kind, cursor.value)
+					if (next) cursor.update(next)
+					cursor.continue()
+				} catch (e) {
+					tx.abort()
+					reject(e)
+				}
+			}
+			tx.oncomplete = () => resolve()
+			tx.onerror = () => reject(tx.error)
+		})
+	}
+}
+
+/** localStorage key for the encryption marker of an IndexedDB database (same origin scope). */
+function encryptionMarkerKey(db) {
+	return `maia:storage-encryption:${db.name}`
+}
+
+/** @param {IDBDatabase} db */
+export function getIndexedDBEncryptionMarker(db) {
+	const raw = globalThis.localStorage?.getItem(encryptionMarkerKey(db))
+	return raw ? JSON.parse(raw) : undefined
+}
+
+/** @param {IDBDatabase} db */
+export function setIndexedDBEncryptionMarker(db, marker) {
+	globalThis.localStorage?.setItem(encryptionMarkerKey(db), JSON.stringify(marker))
+}
@@ -12,6 +12,14 @@ import { getOrCreateDir, listDir, readJSON, sanitizeForFilename, writeJSON } fro
 import { OPFSTransaction } from './opfsTransaction.js'
 
 const META_PATH = '_meta.json'
+const ENCRYPTION_MARKER_PATH = '_encryption.json'
+/** Record dirs rewritten by rewriteRecords: dir → record kind (one or two levels of json files) */
+const RECORD_DIRS = [
+	['coValues', 'header'],
+	['sessions', 'session'],
+	['transactions', 'tx'],
+	['signatureAfter', 'sig'],
+]
 const STORAGE_LOCK = 'maia-opfs-storage'
 /** Bump on breaking storage changes. Old-format: migration or abandon on open. */
 const FORMAT_VERSION = 1
@@ -224,6 +232,40 @@ export class OPFSClient {
 		await this.transaction((tx) => tx.deleteCoValueContent(coValue))
 	}
 
+	/** Encryption-at-rest marker ({ keyId }) or undefined for a plaintext store. */
+	async getEncryptionMarker() {
+		return readJSON(this.root, ENCRYPTION_MARKER_PATH)
+	}
+
+	async setEncryptionMarker(marker) {
+		await writeJSON(this.root, ENCRYPTION_MARKER_PATH, marker)
+	}
+
+	/**
+	 * Rewrite every header, session, transaction and signature record in place (encryption
+	 * migration and key rotation). transform returns the new record, or null to leave it.
+	 * @param {(kind: 'header'|'session'|'tx'|'sig', record: object) => object | null} transform
+	 */
+	async rewriteRecords(transform) {
+		await this._withLock(async () => {
+			for (const [dirName, kind] of RECORD_DIRS) {
+				const dir = await getOrCreateDir(this.root, dirName)
+				for (const name of await listDir(dir)) {
+					const paths = name.endsWith('.json')
+						? [`${dirName}/${name}`]
+						: (await listDir(await getOrCreateDir(this.root, `${dirName}/${name}`)))
+								.filter((n) => n.endsWith('.json'))
+								.map((n) => `${dirName}/${name}/${n}`)
+					for (const path of paths) {
+						const record = await readJSON(this.root, path)
+						const next = record ? transform(kind, record) : null
+						if (next) await writeJSON(this.root, path, next)
+					}
+				}
+			}
+		})
+	}
+
 	async getCoValueKnownState(coValueId) {
 		const coValueRow = await this.getCoValue(coValueId)
 		if (!coValueRow) return undefined
@@ -16,6 +16,7 @@ import { createOpsLogger, OPS_PREFIX } from '@MaiaOS/logs'
 import { emptyKnownState, logger } from 'cojson'
 import { StorageApiAsync } from 'cojson/dist/storage/storageAsync.js'
 import { DeletedCoValueDeletionStatus } from 'cojson/dist/storage/types.js'
+import { collectBlobGarbage } from '../blob/gc.js'
 import { runMigrations } from '../schema/postgres.js'
 
 const opsStor = createOpsLogger('STORAGE')
@@ -368,6 +369,16 @@ class PGliteClient {
 
 		return knownState
 	}
+
+	/**
+	 * Mark-and-sweep the blob store against this database's _blobRef rows (see ../blob/gc.js).
+	 * @param {{ graceMs?: number, dryRun?: boolean, now?: number }} [options]
+	 * @returns {Promise<import('../blob/gc.js').BlobGcReport | null>} null without a blob store
+	 */
+	async collectBlobGarbage(options = {}) {
+		if (!this._blobStore) return null
+		return collectBlobGarbage({ ...options, db: this.db, blobStore: this._blobStore })
+	}
 }
 
 /**
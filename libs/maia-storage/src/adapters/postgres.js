@@ -15,6 +15,7 @@ import { SQL } from 'bun'
 import { emptyKnownState, logger } from 'cojson'
 import { StorageApiAsync } from 'cojson/dist/storage/storageAsync.js'
 import { DeletedCoValueDeletionStatus } from 'cojson/dist/storage/types.js'
+import { collectBlobGarbage } from '../blob/gc.js'
 import { normalizePostgresConnectionString } from '../normalizePostgresUrl.js'
 import { runMigrations } from '../schema/postgres.js'
 
@@ -40,7 +41,7 @@ function createSqlDbInterface(sql) {
 /**
  * Postgres Transaction Interface
  */
-class PostgresTransaction {
+export class PostgresTransaction {
 	/** @param {object} db @param {PostgresClient} client */
 	constructor(db, client) {
 		this.db = db
@@ -152,7 +153,7 @@ class PostgresTransaction {
  * @param {object} client - pg.Client instance
  * @param {import('../blob/interface.js').BlobStore} [blobStore] - optional blob store for binary offloading
  */
-class PostgresClient {
+export class PostgresClient {
 	/**
 	 * @param {object} sql - Bun SQL connection (close())
 	 * @param {{ query: Function, exec: Function }} db
@@ -374,6 +375,16 @@ class PostgresClient {
 
 		return knownState
 	}
+
+	/**
+	 * Mark-and-sweep the blob store against this database's _blobRef rows (see ../blob/gc.js).
+	 * @param {{ graceMs?: number, dryRun?: boolean, now?: number }} [options]
+	 * @returns {Promise<import('../blob/gc.js').BlobGcReport | null>} null without a blob store
+	 */
+	async collectBlobGarbage(options = {}) {
+		if (!this._blobStore) return null
+		return collectBlobGarbage({ ...options, db: this.db, blobStore: this._blobStore })
+	}
 }
 
 /**
@@ -0,0 +1,10 @@
+/**
+ * Browser stub for SQLite adapter - never loaded in browser (getStorage returns OPFS / IndexedDB).
+ * Exported so bundlers resolve this via package.json "browser" condition instead of bun:sqlite.
+ */
+
+import { OPS_PREFIX } from '@MaiaOS/logs'
+
+export async function getSqliteStorage() {
+	throw new Error(`${OPS_PREFIX.STORAGE} SQLite is server-only - use OPFS or IndexedDB in browser`)
+}
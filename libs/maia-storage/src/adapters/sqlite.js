@@ -0,0 +1,134 @@
+/**
+ * SQLite Adapter for CoJSON Storage
+ *
+ * Implements DBClientInterfaceAsync on bun:sqlite (a single local file, no server, no WASM boot).
+ * The SQL surface is the Postgres one: this reuses the Postgres client and transaction classes over
+ * a db interface that maps $1-style placeholders to SQLite's ?1, with the schema from
+ * ../schema/sqlite.js (same tables and migration versions as ../schema/postgres.js).
+ * For Bun agents and the sync server: PEER_SYNC_STORAGE=sqlite, PEER_DB_PATH = database file.
+ *
+ * Binary CoValue offloading: when a BlobStore is provided, transaction payloads for binary
+ * CoValues are stored in the blob store and a _blobRef JSON object is kept in transactions.
+ *
+ * SQLite has one connection and one transaction at a time: every statement is queued, and a
+ * transaction holds the queue from BEGIN to COMMIT/ROLLBACK so no other caller's statement lands in it.
+ */
+
+import { createOpsLogger, OPS_PREFIX } from '@MaiaOS/logs'
+import { AsyncLocalStorage } from 'node:async_hooks'
+import { StorageApiAsync } from 'cojson/dist/storage/storageAsync.js'
+import { runSqliteMigrations } from '../schema/sqlite.js'
+import { PostgresClient } from './postgres.js'
+
+const opsStor = createOpsLogger('STORAGE')
+
+/**
+ * @param {import('bun:sqlite').Database} database
+ * @returns {{ query: (text: string, params?: unknown[]) => Promise<{ rows: unknown[] }>, exec: (text: string) => Promise<void> }}
+ */
+export function createSqliteDbInterface(database) {
+	return {
+		query: async (text, params) => {
+			const statement = database.query(text.replace(/\$(\d+)/g, '?$1'))
+			const rows = statement.all(...(params ?? []).map((p) => (p === undefined ? null : p)))
+			return { rows }
+		},
+		exec: async (text) => {
+			database.exec(text)
+		},
+	}
+}
+
+/**
+ * Serialize statements on one connection. Statements issued inside a running transaction (same
+ * async context) bypass the queue; everything else waits until that transaction has ended.
+ * @param {{ query: Function, exec: Function }} db
+ */
+function createStatementQueue(db) {
+	const scope = new AsyncLocalStorage()
+	let tail = Promise.resolve()
+	const enqueue = (run) => {
+		if (scope.getStore()) return run()
+		const result = tail.then(run)
+		tail = result.catch(() => {})
+		return result
+	}
+	return {
+		db: {
+			query: (text, params) => enqueue(() => db.query(text, params)),
+			exec: (text) => enqueue(() => db.exec(text)),
+		},
+		/** @param {() => Promise<unknown>} body - runs BEGIN … COMMIT/ROLLBACK */
+		transaction: (body) => enqueue(() => scope.run(true, body)),
+	}
+}
+
+/**
+ * SQLite Client implementing DBClientInterfaceAsync
+ */
+export class SqliteClient extends PostgresClient {
+	/**
+	 * @param {import('bun:sqlite').Database} database
+	 * @param {{ query: Function, exec: Function }} db
+	 * @param {import('../blob/interface.js').BlobStore} [blobStore]
+	 */
+	constructor(database, db, blobStore) {
+		const queue = createStatementQueue(db)
+		super(database, queue.db, blobStore)
+		this._txQueue = queue
+	}
+
+	async transaction(callback) {
+		return this._txQueue.transaction(() => super.transaction(callback))
+	}
+
+	close() {
+		this._sql.close()
+	}
+}
+
+/**
+ * Create SQLite adapter with migrations
+ *
+ * @param {string} dbPath - Database file (parent directories are created)
+ * @param {import('../blob/interface.js').BlobStore} [blobStore] - optional blob store for binary offloading
+ * @returns {Promise<SqliteClient>}
+ */
+export async function createSqliteAdapter(dbPath, blobStore) {
+	if (typeof Bun === 'undefined') {
+		throw new Error(`${OPS_PREFIX.STORAGE} SQLite adapter requires Bun (bun:sqlite)`)
+	}
+	const { Database } = await import('bun:sqlite')
+	if (dbPath !== ':memory:') {
+		const { mkdir } = await import('node:fs/promises')
+		const { dirname } = await import('node:path')
+		await mkdir(dirname(dbPath), { recursive: true })
+	}
+
+	const database = new Database(dbPath, { create: true })
+	database.exec('PRAGMA journal_mode = WAL;')
+	database.exec('PRAGMA synchronous = NORMAL;')
+	const db = createSqliteDbInterface(database)
+
+	if (typeof process !== 'undefined' && process.env?.NODE_ENV !== 'production') {
+		opsStor.log('SQLite opened at %s, running migrations...', dbPath)
+	}
+
+	await runSqliteMigrations(db)
+
+	return new SqliteClient(database, db, blobStore)
+}
+
+/**
+ * Get SQLite storage wrapped in StorageApiAsync
+ *
+ * @param {string} dbPath - PEER_DB_PATH (a file, e.g. ./sync.db)
+ * @param {import('../blob/interface.js').BlobStore} [blobStore] - optional blob store for binary offloading
+ * @returns {Promise<StorageApiAsync>}
+ */
+export async function getSqliteStorage(dbPath, blobStore) {
+	const dbClient = await createSqliteAdapter(dbPath, blobStore)
+	const storage = new StorageApiAsync(dbClient)
+	storage.enableDeletedCoValuesErasure()
+	return storage
+}
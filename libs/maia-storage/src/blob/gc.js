@@ -0,0 +1,126 @@
+/**
+ * Mark-and-sweep garbage collection for the BlobStore.
+ *
+ * Mark: every _blobKey referenced by a row in the transactions table (any SQL adapter's db interface).
+ * Sweep: every key the store lists under BLOB_PREFIX that is not marked and was written before the
+ * grace period. Adapters put the blob before the transaction row that references it commits, so a
+ * fresh blob without a row may be an in-flight upload; the grace period leaves those alone, and a
+ * blob written while the collector runs is always younger than the cutoff.
+ */
+
+const DEFAULT_GRACE_MS = 60 * 60 * 1000
+const MARK_PAGE_SIZE = 1000
+
+/**
+ * @typedef {Object} BlobGcReport
+ * @property {boolean} dryRun - true when nothing was deleted
+ * @property {number} graceMs
+ * @property {number} referenced - distinct _blobKey values in the transactions table
+ * @property {number} scanned - keys listed in the store
+ * @property {string[]} orphaned - unreferenced keys older than the grace period
+ * @property {number} orphanedBytes
+ * @property {number} skippedRecent - unreferenced keys inside the grace period
+ * @property {number} missing - referenced keys the store does not have
+ * @property {number} deleted
+ * @property {{ key: string, error: string }[]} failed
+ * @property {number} durationMs
+ */
+
+/**
+ * Collect every _blobKey referenced from the transactions table, paging by primary key.
+ *
+ * @param {{ query: (text: string, params?: unknown[]) => Promise<{ rows: any[] }> }} db
+ * @returns {Promise<Set<string>>}
+ */
+export async function markReferencedBlobKeys(db) {
+	const referenced = new Set()
+	let ses = -1
+	let idx = -1
+	for (;;) {
+		const { rows } = await db.query(
+			`SELECT ses, idx, tx FROM transactions
+       WHERE tx LIKE '%"_blobKey"%' AND (ses > $1 OR (ses = $1 AND idx > $2))
+       ORDER BY ses, idx LIMIT $3`,
+			[ses, idx, MARK_PAGE_SIZE],
+		)
+		for (const row of rows) {
+			try {
+				const tx = typeof row.tx === 'string' ? JSON.parse(row.tx) : row.tx
+				if (typeof tx?._blobKey === 'string') referenced.add(tx._blobKey)
+			} catch {
+				// Not JSON: cannot hold a reference
+			}
+		}
+		if (rows.length < MARK_PAGE_SIZE) return referenced
+		const last = rows[rows.length - 1]
+		ses = Number(last.ses)
+		idx = Number(last.idx)
+	}
+}
+
+/**
+ * Delete blobs no transaction references any more.
+ *
+ * @param {Object} options
+ * @param {{ query: Function }} options.db - adapter db interface (client.db)
+ * @param {import('./interface.js').BlobStore} options.blobStore
+ * @param {number} [options.graceMs=3600000] - keep unreferenced blobs younger than this
+ * @param {boolean} [options.dryRun=false] - report only
+ * @param {number} [options.now=Date.now()]
+ * @returns {Promise<BlobGcReport>}
+ */
+export async function collectBlobGarbage({
+	db,
+	blobStore,
+	graceMs = DEFAULT_GRACE_MS,
+	dryRun = false,
+	now = Date.now(),
+}) {
+	if (typeof blobStore?.list !== 'function' || typeof blobStore?.delete !== 'function') {
+		throw new Error('[BlobGC] blobStore must implement list() and delete()')
+	}
+	const startedAt = Date.now()
+	const cutoff = now - graceMs
+	const referenced = await markReferencedBlobKeys(db)
+
+	/** @type {BlobGcReport} */
+	const report = {
+		dryRun,
+		graceMs,
+		referenced: referenced.size,
+		scanned: 0,
+		orphaned: [],
+		orphanedBytes: 0,
+		skippedRecent: 0,
+		missing: 0,
+		deleted: 0,
+		failed: [],
+		durationMs: 0,
+	}
+	const present = new Set()
+	for await (const entry of blobStore.list()) {
+		report.scanned++
+		present.add(entry.key)
+		if (referenced.has(entry.key)) continue
+		if (entry.lastModified > cutoff) {
+			report.skippedRecent++
+			continue
+		}
+		report.orphaned.push(entry.key)
+		report.orphanedBytes += entry.size
+	}
+	for (const key of referenced) if (!present.has(key)) report.missing++
+
+	if (!dryRun) {
+		for (const key of report.orphaned) {
+			try {
+				await blobStore.delete(key)
+				report.deleted++
+			} catch (e) {
+				report.failed.push({ key, error: e?.message ?? String(e) })
+			}
+		}
+	}
+	report.durationMs = Date.now() - startedAt
+	return report
+}
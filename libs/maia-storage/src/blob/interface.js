@@ -3,6 +3,8 @@
  *
  * Implementations: local-fs.js (dev), tigris.js (prod/S3-compatible).
  * Keys are BLAKE3 hex hashes of the transaction payload.
+ * Blobs are content-addressed and may be shared, so nothing deletes them on CoValue erasure;
+ * unreferenced keys are reclaimed by the mark-and-sweep job in gc.js.
  */
 
 import { blake3 } from '@noble/hashes/blake3.js'
@@ -13,6 +15,15 @@ import { bytesToHex } from '@noble/hashes/utils.js'
  * @property {(key: string, data: Uint8Array) => Promise<void>} put
  * @property {(key: string) => Promise<Uint8Array | null>} get
  * @property {(key: string) => Promise<boolean>} has
+ * @property {(key: string) => Promise<void>} delete - no-op when the key does not exist
+ * @property {() => AsyncIterable<BlobEntry>} list - every key under BLOB_PREFIX
+ */
+
+/**
+ * @typedef {Object} BlobEntry
+ * @property {string} key - full key, e.g. chunks/{blake3hex}
+ * @property {number} size - bytes
+ * @property {number} lastModified - epoch ms (write time; the GC grace period is measured from it)
  */
 
 export const BLOB_PREFIX = 'chunks/'
@@ -6,7 +6,7 @@
  * @implements {import('./interface.js').BlobStore}
  */
 
-import { mkdir, readFile, rm, stat, writeFile } from 'node:fs/promises'
+import { mkdir, readdir, readFile, rm, stat, writeFile } from 'node:fs/promises'
 import { join } from 'node:path'
 import { BLOB_PREFIX } from './interface.js'
 
@@ -48,6 +48,26 @@ export class LocalFsBlobStore {
 		}
 	}
 
+	async delete(key) {
+		await this._ready
+		await rm(this._keyToPath(key), { force: true })
+	}
+
+	async *list() {
+		await this._ready
+		for (const name of await readdir(this.chunksDir)) {
+			let info
+			try {
+				info = await stat(join(this.chunksDir, name))
+			} catch (e) {
+				if (e?.code === 'ENOENT') continue
+				throw e
+			}
+			if (!info.isFile()) continue
+			yield { key: `${BLOB_PREFIX}${name}`, size: info.size, lastModified: info.mtimeMs }
+		}
+	}
+
 	async clear() {
 		await this._ready
 		await rm(this.chunksDir, { recursive: true, force: true })
@@ -8,6 +8,7 @@
  * @implements {import('./interface.js').BlobStore}
  */
 
+import { BLOB_PREFIX } from './interface.js'
 import { s3BucketUrl, s3ObjectUrl, signedS3Headers } from './s3-signer.js'
 
 export class TigrisBlobStore {
@@ -79,45 +80,86 @@ export class TigrisBlobStore {
 		return true
 	}
 
+	async delete(key) {
+		const url = s3ObjectUrl(this.endpoint, this.bucketName, key)
+		const headers = await this._headers('DELETE', url)
+		const res = await fetch(url.toString(), { method: 'DELETE', headers })
+		if (res.status === 404) return
+		if (!res.ok) {
+			const t = await res.text().catch(() => '')
+			throw new Error(`[TigrisBlobStore] delete failed ${res.status}: ${t.slice(0, 200)}`)
+		}
+	}
+
+	async *list() {
+		let continuationToken
+		do {
+			const page = await this._listPage(BLOB_PREFIX, continuationToken)
+			continuationToken = page.continuationToken
+			yield* page.entries
+		} while (continuationToken)
+	}
+
 	async clear() {
 		let continuationToken
 		do {
-			const q = new URLSearchParams({ 'list-type': '2' })
-			if (continuationToken) q.set('continuation-token', continuationToken)
-			const listUrl = s3BucketUrl(this.endpoint, this.bucketName, q)
-			const h = await this._headers('GET', listUrl)
-			const listRes = await fetch(listUrl.toString(), { method: 'GET', headers: h })
-			if (!listRes.ok) {
-				const t = await listRes.text().catch(() => '')
-				throw new Error(`[TigrisBlobStore] list failed ${listRes.status}: ${t.slice(0, 200)}`)
-			}
-			const xml = await listRes.text()
-			const keys = [...xml.matchAll(/<Key>([^<]*)<\/Key>/g)].map((m) => m[1])
-			const truncated = /<IsTruncated>true<\/IsTruncated>/.test(xml)
-			const nextMatch = xml.match(/<NextContinuationToken>([^<]*)<\/NextContinuationToken>/)
-			continuationToken = truncated && nextMatch ? nextMatch[1] : undefined
+			const page = await this._listPage('', continuationToken)
+			continuationToken = page.continuationToken
+			const keys = page.entries.map((e) => e.key)
 
 			const batchSize = 1000
 			for (let i = 0; i < keys.length; i += batchSize) {
-				const batch = keys.slice(i, i + batchSize)
-				const body = buildDeleteObjectsXml(batch)
-				const delParams = new URLSearchParams()
-				delParams.set('delete', '')
-				const delUrl = s3BucketUrl(this.endpoint, this.bucketName, delParams)
-				const bodyBytes = new TextEncoder().encode(body)
-				const dh = await this._headers('POST', delUrl, bodyBytes, 'application/xml')
-				const delRes = await fetch(delUrl.toString(), {
-					method: 'POST',
-					headers: dh,
-					body: bodyBytes,
-				})
-				if (!delRes.ok) {
-					const t = await delRes.text().catch(() => '')
-					throw new Error(`[TigrisBlobStore] delete batch failed ${delRes.status}: ${t.slice(0, 200)}`)
-				}
+				await this._deleteBatch(keys.slice(i, i + batchSize))
 			}
 		} while (continuationToken)
 	}
+
+	/**
+	 * One ListObjectsV2 page.
+	 * @param {string} prefix
+	 * @param {string} [continuationToken]
+	 * @returns {Promise<{ entries: import('./interface.js').BlobEntry[], continuationToken?: string }>}
+	 */
+	async _listPage(prefix, continuationToken) {
+		const q = new URLSearchParams({ 'list-type': '2' })
+		if (prefix) q.set('prefix', prefix)
+		if (continuationToken) q.set('continuation-token', continuationToken)
+		const listUrl = s3BucketUrl(this.endpoint, this.bucketName, q)
+		const h = await this._headers('GET', listUrl)
+		const listRes = await fetch(listUrl.toString(), { method: 'GET', headers: h })
+		if (!listRes.ok) {
+			const t = await listRes.text().catch(() => '')
+			throw new Error(`[TigrisBlobStore] list failed ${listRes.status}: ${t.slice(0, 200)}`)
+		}
+		const xml = await listRes.text()
+		const entries = [...xml.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)].map((m) => ({
+			key: xmlTag(m[1], 'Key') ?? '',
+			size: Number(xmlTag(m[1], 'Size') ?? 0),
+			lastModified: Date.parse(xmlTag(m[1], 'LastModified') ?? '') || 0,
+		}))
+		const truncated = /<IsTruncated>true<\/IsTruncated>/.test(xml)
+		const next = xmlTag(xml, 'NextContinuationToken')
+		return { entries, continuationToken: truncated && next ? next : undefined }
+	}
+
+	/** @param {string[]} keys - at most 1000 (DeleteObjects limit) */
+	async _deleteBatch(keys) {
+		const body = buildDeleteObjectsXml(keys)
+		const delParams = new URLSearchParams()
+		delParams.set('delete', '')
+		const delUrl = s3BucketUrl(this.endpoint, this.bucketName, delParams)
+		const bodyBytes = new TextEncoder().encode(body)
+		const dh = await this._headers('POST', delUrl, bodyBytes, 'application/xml')
+		const delRes = await fetch(delUrl.toString(), {
+			method: 'POST',
+			headers: dh,
+			body: bodyBytes,
+		})
+		if (!delRes.ok) {
+			const t = await delRes.text().catch(() => '')
+			throw new Error(`[TigrisBlobStore] delete batch failed ${delRes.status}: ${t.slice(0, 200)}`)
+		}
+	}
 }
 
 /**
@@ -128,6 +170,26 @@ function buildDeleteObjectsXml(keys) {
 	return `<?xml version="1.0" encoding="UTF-8"?>\n<Delete xmlns="http://s3.amazonaws.com/doc/2006-03-01/">\n${objects}\n</Delete>\n`
 }
 
+/**
+ * @param {string} xml
+ * @param {string} tag
+ * @returns {string | undefined}
+ */
+function xmlTag(xml, tag) {
+	const m = xml.match(new RegExp(`<${tag}>([^<]*)</${tag}>`))
+	return m ? unescapeXml(m[1]) : undefined
+}
+
+/** @param {string} s */
+function unescapeXml(s) {
+	return s
+		.replace(/&lt;/g, '<')
+		.replace(/&gt;/g, '>')
+		.replace(/&quot;/g, '"')
+		.replace(/&apos;/g, "'")
+		.replace(/&amp;/g, '&')
+}
+
 /** @param {string} s */
 function escapeXml(s) {
 	return s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
@@ -5,12 +5,13 @@ import { normalizePostgresConnectionString } from './normalizePostgresUrl.js'
  * Clear DB and binary blob storage for reseed (sync: PEER_SYNC_MODE=seed).
  * Ensures a complete reset before loadOrCreateAgentAccount + seed.
  *
- * Node.js server only. Reads env: PEER_SYNC_STORAGE, PEER_DB_PATH, PEER_SYNC_DB_URL,
+ * Node.js server only. Reads env: PEER_SYNC_STORAGE (pglite | sqlite | postgres), PEER_DB_PATH, PEER_SYNC_DB_URL,
  * PEER_BLOB_PATH, BUCKET_NAME.
  *
  * @param {Object} [options]
- * @param {string} [options.dbPath] - PGlite db path (overrides PEER_DB_PATH)
+ * @param {string} [options.dbPath] - PGlite data directory or SQLite file (overrides PEER_DB_PATH)
  * @param {boolean} [options.usePostgres] - Use Postgres (PEER_SYNC_DB_URL)
+ * @param {boolean} [options.useSqlite] - dbPath is a SQLite file (default: PEER_SYNC_STORAGE=sqlite)
  */
 export async function clearStorageForReseed(options = {}) {
 	if (typeof window !== 'undefined' || typeof process === 'undefined' || !process.versions?.node) {
@@ -19,6 +20,7 @@ export async function clearStorageForReseed(options = {}) {
 
 	const storageType = process.env.PEER_SYNC_STORAGE || 'pglite'
 	const usePostgres = options.usePostgres ?? storageType === 'postgres'
+	const useSqlite = options.useSqlite ?? storageType === 'sqlite'
 	const dbPath = options.dbPath ?? process.env.PEER_DB_PATH
 
 	if (usePostgres) {
@@ -40,6 +42,14 @@ export async function clearStorageForReseed(options = {}) {
 		} finally {
 			await sql.close()
 		}
+	} else if (dbPath && useSqlite) {
+		const fs = await import('node:fs/promises')
+		const path = await import('node:path')
+		const resolvedPath = path.resolve(dbPath)
+		// WAL mode keeps two sidecar files next to the database
+		for (const file of [resolvedPath, `${resolvedPath}-wal`, `${resolvedPath}-shm`]) {
+			await fs.rm(file, { force: true })
+		}
 	} else if (dbPath) {
 		const fs = await import('node:fs/promises')
 		const path = await import('node:path')
@@ -0,0 +1,111 @@
+/**
+ * Encryption at rest for browser storage records (OPFS / IndexedDB).
+ *
+ * The key comes from the passkey PRF output that maia-self already evaluates (HKDF-SHA256 with
+ * storage-specific info, so it is independent of the agent secret derived from the same seed).
+ * A passkey's PRF output never changes, so there is one key per account and no rotation.
+ *
+ * Records are sealed with XChaCha20-Poly1305 (@noble/ciphers) under a random 24-byte nonce.
+ * Everything is synchronous on purpose: the IndexedDB client runs each storage transaction as one
+ * IDB transaction, which closes on any await that is not an IDB request (WebCrypto would split it).
+ *
+ * The aad binds a record to its row (e.g. tx:{ses}:{idx}) so ciphertexts cannot be swapped.
+ */
+
+import { xchacha20poly1305 } from '@noble/ciphers/chacha.js'
+import { hkdf } from '@noble/hashes/hkdf.js'
+import { sha256 } from '@noble/hashes/sha2.js'
+import { bytesToHex, concatBytes, randomBytes, utf8ToBytes } from '@noble/hashes/utils.js'
+
+export const SEALED_PREFIX = 'maiaSealed1_'
+
+const NONCE_BYTES = 24
+const HKDF_SALT = utf8ToBytes('maia.storage.at-rest')
+
+/**
+ * @typedef {Object} StorageKey
+ * @property {string} id - public key id (hex), stored next to each record and in the store marker
+ * @property {Uint8Array} key - 32-byte XChaCha20-Poly1305 key
+ */
+
+/**
+ * Derive the storage key from a secret (the passkey PRF output).
+ * @param {Uint8Array|ArrayBuffer} secret - at least 32 bytes
+ * @returns {StorageKey}
+ */
+export function deriveStorageKey(secret) {
+	if (secret instanceof ArrayBuffer) secret = new Uint8Array(secret)
+	if (!(secret instanceof Uint8Array) || secret.length < 32) {
+		throw new Error('[StorageEncryption] secret must be at least 32 bytes')
+	}
+	const okm = hkdf(sha256, secret, HKDF_SALT, utf8ToBytes('maia.storage.at-rest.v1'), 40)
+	return { id: bytesToHex(okm.subarray(32, 40)), key: okm.slice(0, 32) }
+}
+
+/** @param {unknown} value */
+export function isSealed(value) {
+	return typeof value === 'string' && value.startsWith(SEALED_PREFIX)
+}
+
+/**
+ * Key id a sealed record was written with, or null for plaintext.
+ * @param {unknown} value
+ */
+export function sealedKeyId(value) {
+	if (!isSealed(value)) return null
+	return value.slice(SEALED_PREFIX.length, value.indexOf('_', SEALED_PREFIX.length))
+}
+
+function toBase64Url(bytes) {
+	let binary = ''
+	for (let i = 0; i < bytes.length; i += 0x8000) {
+		binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000))
+	}
+	return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+function fromBase64Url(text) {
+	const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'))
+	const bytes = new Uint8Array(binary.length)
+	for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i)
+	return bytes
+}
+
+/**
+ * Seal a JSON value.
+ * @param {StorageKey} key
+ * @param {unknown} value
+ * @param {string} aad - row binding, e.g. header:{coId}
+ * @returns {string}
+ */
+export function sealRecord(key, value, aad) {
+	const nonce = randomBytes(NONCE_BYTES)
+	const sealed = xchacha20poly1305(key.key, nonce, utf8ToBytes(aad)).encrypt(
+		utf8ToBytes(JSON.stringify(value)),
+	)
+	return `${SEALED_PREFIX}${key.id}_${toBase64Url(concatBytes(nonce, sealed))}`
+}
+
+/**
+ * Open a sealed record. Plaintext (pre-encryption) records are returned unchanged.
+ * @param {StorageKey} key
+ * @param {unknown} value
+ * @param {string} aad
+ */
+export function openRecord(key, value, aad) {
+	if (!isSealed(value)) return value
+	const keyId = sealedKeyId(value)
+	if (keyId !== key.id) {
+		throw new Error(`[StorageEncryption] record sealed with unknown key ${keyId}`)
+	}
+	const bytes = fromBase64Url(value.slice(SEALED_PREFIX.length + keyId.length + 1))
+	let plaintext
+	try {
+		plaintext = xchacha20poly1305(key.key, bytes.subarray(0, NONCE_BYTES), utf8ToBytes(aad)).decrypt(
+			bytes.subarray(NONCE_BYTES),
+		)
+	} catch {
+		throw new Error(`[StorageEncryption] authentication failed for ${aad}`)
+	}
+	return JSON.parse(new TextDecoder().decode(plaintext))
+}
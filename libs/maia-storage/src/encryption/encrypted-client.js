@@ -0,0 +1,195 @@
+/**
+ * Encrypted storage client - wraps an OPFS or IndexedDB DBClient so every persisted header,
+ * transaction, signature and session signature is sealed (./at-rest.js) on write and opened on
+ * read. Row keys stay plaintext because the backends index on them: co-ids, session IDs,
+ * row ids, transaction indexes and the sync-state / deletion bookkeeping.
+ *
+ * enableStorageEncryption also migrates: a plaintext store is rewritten in place before the
+ * wrapper is installed, and a marker records the key id.
+ */
+
+import { OPS_PREFIX } from '@MaiaOS/logs'
+import {
+	getIndexedDBEncryptionMarker,
+	rewriteIndexedDBRecords,
+	setIndexedDBEncryptionMarker,
+} from '../adapters/indexeddb.js'
+import { OPFSClient } from '../adapters/opfs/opfsClient.js'
+import { deriveStorageKey, openRecord, sealedKeyId, sealRecord } from './at-rest.js'
+
+/**
+ * Encryption at rest is opt-in: MAIA_STORAGE_ENCRYPTION=1 (or true; VITE_ prefixed in Vite builds).
+ * It covers the browser backends (OPFS / IndexedDB) and needs the passkey PRF output, so maia-self
+ * enables it after sign-in / sign-up. Shared by the browser and Node entries.
+ * @returns {boolean}
+ */
+export function isStorageEncryptionEnabled() {
+	const env =
+		typeof import.meta !== 'undefined' && import.meta.env
+			? import.meta.env
+			: typeof process !== 'undefined'
+				? process.env
+				: null
+	const value = env?.MAIA_STORAGE_ENCRYPTION || env?.VITE_MAIA_STORAGE_ENCRYPTION
+	return value === '1' || value === 'true'
+}
+
+/** Sealed field and row binding per record kind (see rewriteRecords in the adapters). */
+const RECORD_FIELDS = {
+	header: ['header', (r) => `header:${r.id}`],
+	session: ['lastSignature', (r) => `session:${r.coValue}:${r.sessionID}`],
+	tx: ['tx', (r) => `tx:${r.ses}:${r.idx}`],
+	sig: ['signature', (r) => `sig:${r.ses}:${r.idx}`],
+}
+
+function sealField(key, kind, record) {
+	const [field, aad] = RECORD_FIELDS[kind]
+	if (!record || record[field] == null) return record
+	return { ...record, [field]: sealRecord(key, record[field], aad(record)) }
+}
+
+function openField(key, kind, record) {
+	const [field, aad] = RECORD_FIELDS[kind]
+	if (!record || record[field] == null) return record
+	return { ...record, [field]: openRecord(key, record[field], aad(record)) }
+}
+
+/**
+ * Seal one stored plaintext record; null when it already is sealed with the key.
+ * @param {import('./at-rest.js').StorageKey} key
+ * @param {'header'|'session'|'tx'|'sig'} kind
+ * @param {object} record
+ */
+export function sealStoredRecord(key, kind, record) {
+	const [field] = RECORD_FIELDS[kind]
+	if (record[field] == null || sealedKeyId(record[field]) === key.id) return null
+	return sealField(key, kind, openField(key, kind, record))
+}
+
+function encryptedTransaction(tx, key) {
+	return new Proxy(tx, {
+		get(target, prop) {
+			switch (prop) {
+				case 'getSingleCoValueSession':
+					return async (coValueRowId, sessionID) =>
+						openField(key, 'session', await target.getSingleCoValueSession(coValueRowId, sessionID))
+				case 'addSessionUpdate':
+					return ({ sessionUpdate, sessionRow }) =>
+						target.addSessionUpdate({
+							sessionUpdate: sealField(key, 'session', sessionUpdate),
+							sessionRow,
+						})
+				case 'addTransaction':
+					return (sessionRowID, idx, newTransaction) =>
+						target.addTransaction(
+							sessionRowID,
+							idx,
+							sealRecord(key, newTransaction, `tx:${sessionRowID}:${idx}`),
+						)
+				case 'addSignatureAfter':
+					return ({ sessionRowID, idx, signature }) =>
+						target.addSignatureAfter({
+							sessionRowID,
+							idx,
+							signature: sealRecord(key, signature, `sig:${sessionRowID}:${idx}`),
+						})
+				default: {
+					const value = Reflect.get(target, prop)
+					return typeof value === 'function' ? value.bind(target) : value
+				}
+			}
+		},
+	})
+}
+
+/**
+ * Wrap a DBClientInterfaceAsync. Methods not touching sealed fields pass through unchanged.
+ * @param {object} client
+ * @param {import('./at-rest.js').StorageKey} key
+ */
+export function createEncryptedDBClient(client, key) {
+	const overrides = {
+		async getCoValue(coValueId) {
+			return openField(key, 'header', await client.getCoValue(coValueId))
+		},
+		upsertCoValue(id, header) {
+			return client.upsertCoValue(id, header && sealRecord(key, header, `header:${id}`))
+		},
+		async getCoValueSessions(coValueRowId) {
+			const rows = await client.getCoValueSessions(coValueRowId)
+			return rows.map((r) => openField(key, 'session', r))
+		},
+		async getNewTransactionInSession(sessionRowId, fromIdx, toIdx) {
+			const rows = await client.getNewTransactionInSession(sessionRowId, fromIdx, toIdx)
+			return rows.map((r) => openField(key, 'tx', r))
+		},
+		async getSignatures(sessionRowId, firstNewTxIdx) {
+			const rows = await client.getSignatures(sessionRowId, firstNewTxIdx)
+			return rows.map((r) => openField(key, 'sig', r))
+		},
+		transaction(callback, storeNames) {
+			return client.transaction((tx) => callback(encryptedTransaction(tx, key)), storeNames)
+		},
+	}
+	return new Proxy(client, {
+		get(target, prop) {
+			if (prop === 'unencryptedClient') return target
+			if (Object.hasOwn(overrides, prop)) return overrides[prop]
+			const value = Reflect.get(target, prop)
+			return typeof value === 'function' ? value.bind(target) : value
+		},
+	})
+}
+
+/** Marker + record rewriting for the backends that support encryption at rest. */
+function recordBackend(client) {
+	if (client instanceof OPFSClient) {
+		return {
+			readMarker: () => client.getEncryptionMarker(),
+			writeMarker: (m) => client.setEncryptionMarker(m),
+			rewrite: (transform) => client.rewriteRecords(transform),
+		}
+	}
+	const db = client?.db
+	if (typeof db?.transaction === 'function' && db.objectStoreNames) {
+		return {
+			readMarker: async () => getIndexedDBEncryptionMarker(db),
+			writeMarker: async (m) => setIndexedDBEncryptionMarker(db, m),
+			rewrite: (transform) => rewriteIndexedDBRecords(db, transform),
+		}
+	}
+	return null
+}
+
+/**
+ * Turn on encryption at rest for a browser StorageApiAsync before a LocalNode uses it.
+ * Migrates plaintext stores. A store sealed by another passkey is refused rather than read as
+ * garbage; there is no rotation because a passkey's PRF output never changes.
+ *
+ * @param {{ dbClient: object }} storage - from getStorage({ mode: 'human' })
+ * @param {Uint8Array} secret - passkey PRF output
+ * @returns {Promise<{ keyId: string, migrated: boolean }>}
+ */
+export async function enableStorageEncryption(storage, secret) {
+	const inner = storage?.dbClient?.unencryptedClient ?? storage?.dbClient
+	const backend = recordBackend(inner)
+	if (!backend) {
+		throw new Error(
+			`${OPS_PREFIX.STORAGE} Encryption at rest supports OPFS and IndexedDB storage only`,
+		)
+	}
+	const key = deriveStorageKey(secret)
+	const marker = await backend.readMarker()
+	const migrated = marker?.keyId !== key.id
+	if (migrated) {
+		if (marker?.keyId) {
+			throw new Error(
+				`${OPS_PREFIX.STORAGE} Storage is sealed with another passkey's key ${marker.keyId}; sign in with that passkey or clear this site's storage`,
+			)
+		}
+		await backend.rewrite((kind, record) => sealStoredRecord(key, kind, record))
+		await backend.writeMarker({ keyId: key.id })
+	}
+	storage.dbClient = createEncryptedDBClient(inner, key)
+	return { keyId: key.id, migrated }
+}
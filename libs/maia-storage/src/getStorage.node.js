@@ -3,7 +3,7 @@
  * Runtime-aware storage selection based on environment and configuration
  *
  * Browser: OPFS first (~4x faster for blobs), IndexedDB fallback when OPFS unavailable.
- * Node: PGlite or Postgres for agent mode.
+ * Node: PGlite, SQLite (bun:sqlite) or Postgres for agent mode.
  */
 
 import { createOpsLogger, OPS_PREFIX } from '@MaiaOS/logs'
@@ -116,16 +116,16 @@ export async function getStorage(options = {}) {
 		const finalDbPath = dbPath || (typeof process !== 'undefined' && process.env?.PEER_DB_PATH)
 		const databaseUrl = typeof process !== 'undefined' && process.env?.PEER_SYNC_DB_URL
 
-		// Agent/server mode: pglite or postgres only. No in-memory or jazz-cloud.
+		// Agent/server mode: pglite, sqlite or postgres only. No in-memory or jazz-cloud.
 		if (mode === 'agent' && !forceInMemory) {
 			if (storageType === 'in-memory' || storageType === 'jazz-cloud') {
 				throw new Error(
-					`${OPS_PREFIX.STORAGE} Agent/server requires persistent storage. Use PEER_SYNC_STORAGE=pglite or PEER_SYNC_STORAGE=postgres. No in-memory or jazz-cloud.`,
+					`${OPS_PREFIX.STORAGE} Agent/server requires persistent storage. Use PEER_SYNC_STORAGE=pglite, sqlite or postgres. No in-memory or jazz-cloud.`,
 				)
 			}
-			if (storageType && storageType !== 'pglite' && storageType !== 'postgres') {
+			if (storageType && !['pglite', 'sqlite', 'postgres'].includes(storageType)) {
 				throw new Error(
-					`${OPS_PREFIX.STORAGE} Agent/server mode requires PEER_SYNC_STORAGE=pglite or PEER_SYNC_STORAGE=postgres. Got: ${storageType}`,
+					`${OPS_PREFIX.STORAGE} Agent/server mode requires PEER_SYNC_STORAGE=pglite, sqlite or postgres. Got: ${storageType}`,
 				)
 			}
 		}
@@ -150,6 +150,24 @@ export async function getStorage(options = {}) {
 			}
 		}
 
+		// SQLite (bun:sqlite, single file)
+		if (storageType === 'sqlite' && !forceInMemory) {
+			if (!finalDbPath) {
+				throw new Error(
+					`${OPS_PREFIX.STORAGE} PEER_SYNC_STORAGE=sqlite requires PEER_DB_PATH (database file)`,
+				)
+			}
+			try {
+				const { getSqliteStorage } = await import('@MaiaOS/storage/adapters/sqlite.js')
+				return await getSqliteStorage(finalDbPath, blobStore)
+			} catch (error) {
+				throw new Error(
+					`${OPS_PREFIX.STORAGE} SQLite storage initialization FAILED at ${finalDbPath}. ` +
+						`Original error: ${error?.message || error}`,
+				)
+			}
+		}
+
 		// PGlite (local WASM Postgres)
 		if (
 			(storageType === 'pglite' || (storageType !== 'postgres' && finalDbPath)) &&
@@ -170,7 +188,7 @@ export async function getStorage(options = {}) {
 		// Agent mode with no valid storage → fail hard
 		if (mode === 'agent') {
 			throw new Error(
-				`${OPS_PREFIX.STORAGE} Agent mode requires PEER_SYNC_STORAGE=pglite (with PEER_DB_PATH) or PEER_SYNC_STORAGE=postgres (with PEER_SYNC_DB_URL).`,
+				`${OPS_PREFIX.STORAGE} Agent mode requires PEER_SYNC_STORAGE=pglite or sqlite (with PEER_DB_PATH) or PEER_SYNC_STORAGE=postgres (with PEER_SYNC_DB_URL).`,
 			)
 		}
 	}
@@ -2,4 +2,8 @@
  * @MaiaOS/storage — browser entry (OPFS / IndexedDB only).
  */
 
+export {
+	enableStorageEncryption,
+	isStorageEncryptionEnabled,
+} from './encryption/encrypted-client.js'
 export { getStorage } from './getStorage.browser.js'
@@ -5,4 +5,8 @@
  * clearStorageForReseed is Node-only (uses pg, fs). Import from '@MaiaOS/storage/clearStorageForReseed'.
  */
 
+export {
+	enableStorageEncryption,
+	isStorageEncryptionEnabled,
+} from './encryption/encrypted-client.js'
 export { getStorage } from './getStorage.node.js'
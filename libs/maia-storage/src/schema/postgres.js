@@ -1,6 +1,6 @@
 /**
  * Shared PostgreSQL schema for CoJSON storage
- * Single source of truth for PGlite and node-postgres adapters
+ * Single source of truth for PGlite and node-postgres adapters; schema/sqlite.js mirrors it for bun:sqlite
  *
  * db interface: { query(sql, params) => { rows }, exec(sql) => void }
  * pg adapters provide exec = (sql) => client.query(sql)
@@ -79,15 +79,20 @@ export async function saveMigrationVersion(db, version) {
 	)
 }
 
-export async function runMigrations(db) {
+/**
+ * Apply every migration newer than the stored schema_version
+ * @param {{ query: Function, exec: Function }} db
+ * @param {Record<number, string[]>} [migrationSet=migrations] - Dialect-specific set (schema/sqlite.js)
+ */
+export async function runMigrations(db, migrationSet = migrations) {
 	const currentVersion = await getMigrationVersion(db)
-	const versions = Object.keys(migrations)
+	const versions = Object.keys(migrationSet)
 		.map((v) => parseInt(v, 10))
 		.filter((v) => v > currentVersion)
 		.sort((a, b) => a - b)
 
 	for (const version of versions) {
-		const queries = migrations[version]
+		const queries = migrationSet[version]
 		for (const query of queries) {
 			await db.exec(query)
 		}
@@ -0,0 +1,66 @@
+/**
+ * SQLite schema for CoJSON storage (bun:sqlite adapter)
+ * Same tables, columns and migration versions as schema/postgres.js, so rows look identical to the
+ * shared Postgres client code. Differences: INTEGER PRIMARY KEY AUTOINCREMENT instead of SERIAL,
+ * and a plain ADD COLUMN (SQLite has no IF NOT EXISTS there; the version table guards re-runs).
+ */
+
+import { runMigrations } from './postgres.js'
+
+export const migrations = {
+	1: [
+		`CREATE TABLE IF NOT EXISTS transactions (
+      ses INTEGER,
+      idx INTEGER,
+      tx TEXT NOT NULL,
+      PRIMARY KEY (ses, idx)
+    ) WITHOUT ROWID;`,
+		`CREATE TABLE IF NOT EXISTS sessions (
+      "rowID" INTEGER PRIMARY KEY AUTOINCREMENT,
+      "coValue" INTEGER NOT NULL,
+      "sessionID" TEXT NOT NULL,
+      "lastIdx" INTEGER,
+      "lastSignature" TEXT,
+      UNIQUE ("sessionID", "coValue")
+    );`,
+		'CREATE INDEX IF NOT EXISTS sessionsByCoValue ON sessions ("coValue");',
+		`CREATE TABLE IF NOT EXISTS coValues (
+      "rowID" INTEGER PRIMARY KEY AUTOINCREMENT,
+      id TEXT NOT NULL UNIQUE,
+      header TEXT NOT NULL
+    );`,
+		'CREATE INDEX IF NOT EXISTS coValuesByID ON coValues (id);',
+	],
+	3: [
+		`CREATE TABLE IF NOT EXISTS signatureAfter (
+      ses INTEGER,
+      idx INTEGER,
+      signature TEXT NOT NULL,
+      PRIMARY KEY (ses, idx)
+    ) WITHOUT ROWID;`,
+		'ALTER TABLE sessions ADD COLUMN "bytesSinceLastSignature" INTEGER;',
+	],
+	4: [
+		`CREATE TABLE IF NOT EXISTS unsynced_covalues (
+      "rowID" INTEGER PRIMARY KEY AUTOINCREMENT,
+      "co_value_id" TEXT NOT NULL,
+      "peer_id" TEXT NOT NULL,
+      UNIQUE ("co_value_id", "peer_id")
+    );`,
+		'CREATE INDEX IF NOT EXISTS idx_unsynced_covalues_co_value_id ON unsynced_covalues("co_value_id");',
+	],
+	5: [
+		`CREATE TABLE IF NOT EXISTS deletedCoValues (
+      "coValueID" TEXT PRIMARY KEY,
+      status INTEGER NOT NULL DEFAULT 0
+    );`,
+		'CREATE INDEX IF NOT EXISTS deletedCoValuesByStatus ON deletedCoValues (status);',
+	],
+}
+
+/**
+ * @param {{ query: Function, exec: Function }} db
+ */
+export async function runSqliteMigrations(db) {
+	await runMigrations(db, migrations)
+}
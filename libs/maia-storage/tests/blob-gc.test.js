@@ -0,0 +1,108 @@
+import { afterEach, beforeEach, describe, expect, test } from 'bun:test'
+import { mkdtemp, rm, utimes } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { createSqliteAdapter } from '../src/adapters/sqlite.js'
+import { collectBlobGarbage, markReferencedBlobKeys } from '../src/blob/gc.js'
+import { LocalFsBlobStore } from '../src/blob/local-fs.js'
+
+const HOUR = 60 * 60 * 1000
+
+const binaryHeader = {
+	type: 'comap',
+	ruleset: { type: 'unsafeAllowAll' },
+	meta: { type: 'binary' },
+}
+
+async function writeBinary(client, id, chunk) {
+	const rowID = await client.upsertCoValue(id, binaryHeader)
+	const sessionID = `${id}_session`
+	await client.transaction(async (tx) => {
+		const sessionRowID = await tx.addSessionUpdate({
+			sessionUpdate: { coValue: rowID, sessionID, lastIdx: 1, lastSignature: 'signature_z1' },
+		})
+		await tx.addTransaction(sessionRowID, 0, {
+			privacy: 'trusting',
+			changes: JSON.stringify([{ chunk }]),
+		})
+	})
+}
+
+/** Backdate a blob file so it is outside the grace period */
+async function age(store, key, ms) {
+	const t = new Date(Date.now() - ms)
+	await utimes(store._keyToPath(key), t, t)
+}
+
+describe('blob store GC', () => {
+	let dir
+	let store
+	let client
+
+	beforeEach(async () => {
+		dir = await mkdtemp(join(tmpdir(), 'maia-blob-gc-'))
+		store = new LocalFsBlobStore(dir)
+		client = await createSqliteAdapter(':memory:', store)
+	})
+
+	afterEach(async () => {
+		client.close()
+		await rm(dir, { recursive: true, force: true })
+	})
+
+	test('LocalFsBlobStore lists and deletes chunks', async () => {
+		await store.put('chunks/aa', new Uint8Array([1, 2, 3]))
+		const entries = []
+		for await (const e of store.list()) entries.push(e)
+		expect(entries).toMatchObject([{ key: 'chunks/aa', size: 3 }])
+		expect(entries[0].lastModified).toBeGreaterThan(Date.now() - HOUR)
+		await store.delete('chunks/aa')
+		await store.delete('chunks/aa')
+		expect(await store.has('chunks/aa')).toBe(false)
+	})
+
+	test('sweeps blobs whose CoValue was erased, keeping referenced and recent ones', async () => {
+		await writeBinary(client, 'co_zKeep', 'AAAA')
+		await writeBinary(client, 'co_zGone', 'BBBB')
+		const referenced = [...(await markReferencedBlobKeys(client.db))]
+		expect(referenced).toHaveLength(2)
+		for (const key of referenced) await age(store, key, 2 * HOUR)
+
+		await client.eraseCoValueButKeepTombstone('co_zGone')
+		const [kept] = await markReferencedBlobKeys(client.db)
+		const [gone] = referenced.filter((k) => k !== kept)
+		await store.put('chunks/inflight', new Uint8Array([9]))
+
+		const dry = await client.collectBlobGarbage({ dryRun: true })
+		expect(dry).toMatchObject({
+			dryRun: true,
+			scanned: 3,
+			referenced: 1,
+			orphaned: [gone],
+			skippedRecent: 1,
+			missing: 0,
+			deleted: 0,
+		})
+		expect(await store.has(gone)).toBe(true)
+
+		const report = await client.collectBlobGarbage()
+		expect(report).toMatchObject({ orphaned: [gone], deleted: 1, failed: [] })
+		expect(await store.has(gone)).toBe(false)
+		expect(await store.has(kept)).toBe(true)
+		expect(await store.has('chunks/inflight')).toBe(true)
+	})
+
+	test('reports referenced blobs missing from the store and requires list/delete', async () => {
+		await writeBinary(client, 'co_zA', 'AAAA')
+		const [key] = await markReferencedBlobKeys(client.db)
+		await store.delete(key)
+		expect(await collectBlobGarbage({ db: client.db, blobStore: store, graceMs: 0 })).toMatchObject({
+			scanned: 0,
+			missing: 1,
+		})
+		const legacy = { put: store.put, get: store.get, has: store.has }
+		await expect(collectBlobGarbage({ db: client.db, blobStore: legacy })).rejects.toThrow(
+			'list() and delete()',
+		)
+	})
+})
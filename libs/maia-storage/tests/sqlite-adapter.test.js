@@ -0,0 +1,149 @@
+import { describe, expect, test } from 'bun:test'
+import { mkdtemp, rm } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { createSqliteAdapter } from '../src/adapters/sqlite.js'
+
+/** In-memory BlobStore */
+function memoryBlobStore() {
+	const blobs = new Map()
+	return {
+		blobs,
+		put: async (key, data) => {
+			blobs.set(key, data)
+		},
+		get: async (key) => blobs.get(key) ?? null,
+		has: async (key) => blobs.has(key),
+	}
+}
+
+const header = (meta = null) => ({ type: 'comap', ruleset: { type: 'unsafeAllowAll' }, meta })
+
+async function writeSession(client, coValue, sessionID, txs) {
+	let sessionRowID
+	await client.transaction(async (tx) => {
+		const sessionRow = await tx.getSingleCoValueSession(coValue, sessionID)
+		sessionRowID = await tx.addSessionUpdate({
+			sessionUpdate: {
+				coValue,
+				sessionID,
+				lastIdx: txs.length,
+				lastSignature: 'signature_z1',
+				bytesSinceLastSignature: 10,
+			},
+			sessionRow,
+		})
+		for (let i = 0; i < txs.length; i++) await tx.addTransaction(sessionRowID, i, txs[i])
+		await tx.addSignatureAfter({ sessionRowID, idx: txs.length - 1, signature: 'signature_z1' })
+	})
+	return sessionRowID
+}
+
+describe('SQLite adapter', () => {
+	test('stores CoValues, sessions, transactions and signatures', async () => {
+		const client = await createSqliteAdapter(':memory:')
+		const rowID = await client.upsertCoValue('co_zA', header())
+		expect(await client.upsertCoValue('co_zA', header())).toBe(rowID)
+		expect(await client.upsertCoValue('co_zA')).toBe(rowID)
+		expect(await client.getCoValue('co_zA')).toEqual({ rowID, id: 'co_zA', header: header() })
+
+		const txs = [
+			{ privacy: 'trusting', changes: '[1]' },
+			{ privacy: 'trusting', changes: '[2]' },
+		]
+		const ses = await writeSession(client, rowID, 'sealer_z1/signer_z1_session_z1', txs)
+		expect(await client.getCoValueSessions(rowID)).toMatchObject([
+			{ rowID: ses, sessionID: 'sealer_z1/signer_z1_session_z1', lastIdx: 2 },
+		])
+		expect((await client.getNewTransactionInSession(ses, 0, 5)).map((r) => r.tx)).toEqual(txs)
+		expect(await client.getSignatures(ses, 0)).toEqual([{ ses, idx: 1, signature: 'signature_z1' }])
+		expect((await client.getCoValueKnownState('co_zA')).sessions).toEqual({
+			'sealer_z1/signer_z1_session_z1': 2,
+		})
+		client.close()
+	})
+
+	test('rolls back failed transactions and serializes concurrent ones', async () => {
+		const client = await createSqliteAdapter(':memory:')
+		const rowID = await client.upsertCoValue('co_zA', header())
+		const failing = client.transaction(async (tx) => {
+			await tx.addSessionUpdate({
+				sessionUpdate: { coValue: rowID, sessionID: 's1', lastIdx: 1, lastSignature: 'x' },
+			})
+			throw new Error('boom')
+		})
+		const ok = writeSession(client, rowID, 's2', [{ changes: '[]' }])
+		await expect(failing).rejects.toThrow('boom')
+		await ok
+		expect((await client.getCoValueSessions(rowID)).map((s) => s.sessionID)).toEqual(['s2'])
+		client.close()
+	})
+
+	test('queues statements from other callers until an open transaction ends', async () => {
+		const client = await createSqliteAdapter(':memory:')
+		const rowID = await client.upsertCoValue('co_zA', header())
+		let opened
+		const begun = new Promise((resolve) => {
+			opened = resolve
+		})
+		const failing = client.transaction(async (tx) => {
+			await tx.addSessionUpdate({
+				sessionUpdate: { coValue: rowID, sessionID: 's1', lastIdx: 1, lastSignature: 'x' },
+			})
+			opened()
+			await new Promise((resolve) => setTimeout(resolve, 10))
+			throw new Error('boom')
+		})
+		await begun
+		const outside = client.trackCoValuesSyncState([{ id: 'co_zA', peerId: 'p1', synced: false }])
+		await expect(failing).rejects.toThrow('boom')
+		await outside
+		expect(await client.getUnsyncedCoValueIDs()).toEqual(['co_zA'])
+		expect(await client.getCoValueSessions(rowID)).toEqual([])
+		client.close()
+	})
+
+	test('offloads binary CoValue payloads to the BlobStore as _blobRef', async () => {
+		const blobStore = memoryBlobStore()
+		const client = await createSqliteAdapter(':memory:', blobStore)
+		const rowID = await client.upsertCoValue('co_zBin', header({ type: 'binary' }))
+		const tx = { privacy: 'trusting', changes: JSON.stringify([{ chunk: 'AAAA' }]) }
+		const ses = await writeSession(client, rowID, 's1', [tx])
+		const [stored] = (
+			await client.db.query('SELECT tx FROM transactions WHERE ses = $1', [ses])
+		).rows.map((r) => JSON.parse(r.tx))
+		expect(stored._blobKey).toStartWith('chunks/')
+		expect(blobStore.blobs.size).toBe(1)
+		expect((await client.getNewTransactionInSession(ses, 0, 0))[0].tx).toEqual(tx)
+		client.close()
+	})
+
+	test('tracks sync state, erases deleted CoValues and reopens without re-migrating', async () => {
+		const dir = await mkdtemp(join(tmpdir(), 'maia-sqlite-'))
+		const dbPath = join(dir, 'nested', 'sync.db')
+		try {
+			const client = await createSqliteAdapter(dbPath)
+			await client.trackCoValuesSyncState([
+				{ id: 'co_zA', peerId: 'p1', synced: false },
+				{ id: 'co_zB', peerId: 'p1', synced: false },
+				{ id: 'co_zB', peerId: 'p1', synced: true },
+			])
+			expect(await client.getUnsyncedCoValueIDs()).toEqual(['co_zA'])
+
+			const rowID = await client.upsertCoValue('co_zA', header())
+			await writeSession(client, rowID, 's1', [{ changes: '[]' }])
+			await writeSession(client, rowID, 's1_deleted$', [{ changes: '[]' }])
+			await client.eraseCoValueButKeepTombstone('co_zA')
+			expect((await client.getCoValueSessions(rowID)).map((s) => s.sessionID)).toEqual(['s1_deleted$'])
+			client.close()
+
+			const reopened = await createSqliteAdapter(dbPath)
+			expect(await reopened.getUnsyncedCoValueIDs()).toEqual(['co_zA'])
+			const versions = await reopened.db.query('SELECT version FROM schema_version ORDER BY version')
+			expect(versions.rows.map((r) => r.version)).toEqual([1, 3, 4, 5])
+			reopened.close()
+		} finally {
+			await rm(dir, { recursive: true, force: true })
+		}
+	})
+})
@@ -0,0 +1,127 @@
+import { describe, expect, test } from 'bun:test'
+import { LocalNode } from 'cojson'
+import { WasmCrypto } from 'cojson/crypto/WasmCrypto'
+import { StorageApiAsync } from 'cojson/dist/storage/storageAsync.js'
+import { OPFSClient } from '../src/adapters/opfs/opfsClient.js'
+import { deriveStorageKey, openRecord, sealRecord } from '../src/encryption/at-rest.js'
+import { enableStorageEncryption } from '../src/encryption/encrypted-client.js'
+
+const notFound = () => Object.assign(new Error('not found'), { name: 'NotFoundError' })
+
+/** Minimal in-memory FileSystemDirectoryHandle (the subset opfsHelpers uses) */
+class MemoryDir {
+	children = new Map()
+
+	async getDirectoryHandle(name, { create } = {}) {
+		if (!this.children.has(name)) {
+			if (!create) throw notFound()
+			this.children.set(name, new MemoryDir())
+		}
+		return this.children.get(name)
+	}
+
+	async getFileHandle(name, { create } = {}) {
+		if (!this.children.has(name)) {
+			if (!create) throw notFound()
+			const file = { text: '' }
+			file.getFile = async () => ({ text: async () => file.text })
+			file.createWritable = async () => {
+				let buf = ''
+				return { write: async (s) => (buf += s), close: async () => (file.text = buf) }
+			}
+			this.children.set(name, file)
+		}
+		return this.children.get(name)
+	}
+
+	async removeEntry(name) {
+		if (!this.children.delete(name)) throw notFound()
+	}
+
+	async *entries() {
+		yield* this.children.entries()
+	}
+}
+
+function allFileText(dir) {
+	let out = ''
+	for (const [name, child] of dir.children) {
+		if (name.startsWith('_')) continue
+		out += child instanceof MemoryDir ? allFileText(child) : child.text
+	}
+	return out
+}
+
+const secret = (n) => new Uint8Array(32).fill(n)
+
+async function writePlaintextStore(crypto, root) {
+	const storage = new StorageApiAsync(new OPFSClient(root))
+	const { node } = await LocalNode.withNewlyCreatedAccount({
+		creationProps: { name: 'writer' },
+		crypto,
+		storage,
+	})
+	const group = node.createGroup()
+	group.addMember('everyone', 'reader')
+	const note = group.createMap({ text: 'meet at the old oak' })
+	await node.syncManager.waitForStorageSync(note.id)
+	await node.syncManager.waitForAllCoValuesSync?.(1000)
+	return note.id
+}
+
+async function readThrough(crypto, root, key, id) {
+	const storage = new StorageApiAsync(new OPFSClient(root))
+	const result = await enableStorageEncryption(storage, key)
+	const { node } = await LocalNode.withNewlyCreatedAccount({
+		creationProps: { name: 'reader' },
+		crypto,
+	})
+	node.setStorage(storage)
+	const note = await node.load(id)
+	return { result, text: note === 'unavailable' ? null : note.get('text') }
+}
+
+describe('storage encryption at rest', () => {
+	test('seals JSON records bound to their row', () => {
+		const key = deriveStorageKey(secret(1))
+		const sealed = sealRecord(key, { changes: '[1]' }, 'tx:1:0')
+		expect(sealed).not.toContain('changes')
+		expect(openRecord(key, sealed, 'tx:1:0')).toEqual({ changes: '[1]' })
+		expect(() => openRecord(key, sealed, 'tx:1:1')).toThrow('authentication failed')
+		const flipped = sealed.slice(0, -2) + (sealed.at(-2) === 'A' ? 'B' : 'A') + sealed.at(-1)
+		expect(() => openRecord(key, flipped, 'tx:1:0')).toThrow('authentication failed')
+		expect(() => openRecord(deriveStorageKey(secret(2)), sealed, 'tx:1:0')).toThrow('unknown key')
+		expect(openRecord(key, { plain: true }, 'tx:1:0')).toEqual({ plain: true })
+	})
+
+	test('migrates a plaintext OPFS store, then reads it back through a new node', async () => {
+		const crypto = await WasmCrypto.create()
+		const root = new MemoryDir()
+		const id = await writePlaintextStore(crypto, root)
+		expect(allFileText(root)).toContain('"header"')
+
+		const first = await readThrough(crypto, root, secret(1), id)
+		expect(first.result.migrated).toBe(true)
+		expect(first.text).toBe('meet at the old oak')
+		const text = allFileText(root)
+		expect(text).not.toContain('"changes"')
+		expect(text).not.toContain('"ruleset"')
+		expect(text).not.toContain('signature_z')
+
+		const again = await readThrough(crypto, root, secret(1), id)
+		expect(again.result.migrated).toBe(false)
+		expect(again.text).toBe('meet at the old oak')
+	})
+
+	test('refuses a store sealed by another passkey', async () => {
+		const crypto = await WasmCrypto.create()
+		const root = new MemoryDir()
+		const id = await writePlaintextStore(crypto, root)
+		await enableStorageEncryption(new StorageApiAsync(new OPFSClient(root)), secret(1))
+
+		await expect(
+			enableStorageEncryption(new StorageApiAsync(new OPFSClient(root)), secret(2)),
+		).rejects.toThrow("another passkey's key")
+		expect((await readThrough(crypto, root, secret(1), id)).text).toBe('meet at the old oak')
+	})
+})
@@ -0,0 +1,204 @@
+/**
+ * UCAN delegations — an issuer hands a narrowed capability to another agent (aud)
+ *
+ * A delegation grants aud the right to invoke cmd (and every command below it: "/llm" covers
+ * "/llm/chat") on behalf of sub, restricted by args constraints and an exp / nbf window.
+ * The root delegation is issued by the subject itself (iss === sub); each further link is issued
+ * by the previous link's aud and may only narrow: cmd below the parent's, all parent args
+ * constraints kept, exp no later and nbf no earlier.
+ *
+ * Invocations carry the chain in prf, ordered root → leaf; the invoker must be the leaf's aud.
+ */
+
+import { publicKeyToDidKey } from './did-key.js'
+import { assertNotRevoked } from './replay.js'
+import { getPublicKey } from './sign.js'
+import { createNonce, decodeToken, getTokenCid, signToken, verifyTokenSignature } from './token.js'
+
+const DEFAULT_DELEGATION_TTL = 24 * 3600
+
+/**
+ * True if a capability on parentCmd covers childCmd (same command or a sub-command)
+ * @param {string} parentCmd - e.g. "/llm"
+ * @param {string} childCmd - e.g. "/llm/chat"
+ * @returns {boolean}
+ */
+export function cmdCovers(parentCmd, childCmd) {
+	if (typeof parentCmd !== 'string' || typeof childCmd !== 'string') return false
+	if (parentCmd === '/' || parentCmd === childCmd) return true
+	return childCmd.startsWith(`${parentCmd}/`)
+}
+
+function sameValue(a, b) {
+	return a === b || JSON.stringify(a) === JSON.stringify(b)
+}
+
+/** First constraint key whose value args do not carry, or null */
+function findUnsatisfiedArg(constraints, args) {
+	for (const [key, value] of Object.entries(constraints ?? {})) {
+		if (!sameValue(args?.[key], value)) return key
+	}
+	return null
+}
+
+function shortDid(did) {
+	return typeof did === 'string' && did.length > 24 ? `${did.slice(0, 16)}…${did.slice(-6)}` : did
+}
+
+function linkError(label, payload, reason) {
+	return new Error(
+		`Invalid ${label} (${shortDid(payload?.iss)} → ${shortDid(payload?.aud ?? payload?.sub)}): ${reason}`,
+	)
+}
+
+/**
+ * Create UCAN delegation token
+ * @param {string} agentSecret - Issuer's agentSecret
+ * @param {string} accountID - Subject account co-id (maia/accountID in meta)
+ * @param {Object} opts
+ * @param {string} opts.aud - did:key of the agent receiving the capability
+ * @param {string} opts.cmd - Command prefix granted, e.g. "/llm/chat"
+ * @param {Object} [opts.args={}] - Constraints: invocation args must carry these exact values
+ * @param {number|null} [opts.exp] - Unix seconds (default: now+24h, null = no expiry)
+ * @param {number} [opts.nbf] - Not valid before (unix seconds)
+ * @param {string} [opts.sub] - Subject did:key when re-delegating (default: issuer = root delegation)
+ * @param {string} [opts.nonce] - 12 bytes base64url (generated if omitted)
+ * @returns {string} JWT-style token
+ */
+export function createDelegationToken(agentSecret, accountID, opts = {}) {
+	const { aud, cmd, args = {}, exp, nbf, sub, nonce } = opts
+	if (!aud?.startsWith?.('did:key:')) throw new Error('aud must be a did:key')
+	if (!cmd || typeof cmd !== 'string' || !cmd.startsWith('/')) throw new Error('cmd required')
+	if (!args || typeof args !== 'object' || Array.isArray(args)) {
+		throw new Error('args must be an object')
+	}
+
+	const now = Math.floor(Date.now() / 1000)
+	const iss = publicKeyToDidKey(getPublicKey(agentSecret))
+	const payload = {
+		iss,
+		aud,
+		sub: sub ?? iss,
+		cmd,
+		args,
+		nonce: nonce ?? createNonce(),
+		exp: exp === undefined ? now + DEFAULT_DELEGATION_TTL : exp,
+		meta: { 'maia/accountID': accountID },
+	}
+	if (nbf != null) payload.nbf = nbf
+	return signToken(agentSecret, { alg: 'EdDSA', typ: 'ucan-delegation' }, payload)
+}
+
+/**
+ * Decode a delegation token without verifying it (e.g. to read sub / exp before re-delegating)
+ * @param {string} token
+ * @returns {Object} Delegation payload
+ */
+export function decodeDelegationToken(token) {
+	return decodeToken(token).payload
+}
+
+/** Check child narrows parent: cmd, args constraints, exp and nbf */
+function assertAttenuates(parent, child, label) {
+	if (!cmdCovers(parent.cmd, child.cmd)) {
+		throw linkError(label, child, `cmd ${child.cmd} is not within ${parent.cmd}`)
+	}
+	const droppedArg = findUnsatisfiedArg(parent.args, child.args)
+	if (droppedArg !== null) {
+		throw linkError(label, child, `args.${droppedArg} widens the constraint from its proof`)
+	}
+	if (parent.exp != null && (child.exp == null || child.exp > parent.exp)) {
+		throw linkError(label, child, `exp ${child.exp ?? 'none'} outlives its proof (${parent.exp})`)
+	}
+	if (parent.nbf != null && (child.nbf == null || child.nbf < parent.nbf)) {
+		throw linkError(label, child, `nbf ${child.nbf ?? 'none'} precedes its proof (${parent.nbf})`)
+	}
+}
+
+function assertTimeWindow(payload, now, maxSkew, label) {
+	if (payload.exp != null && payload.exp < now) throw linkError(label, payload, 'expired')
+	if (payload.nbf != null && payload.nbf > now + maxSkew) {
+		throw linkError(label, payload, 'not yet valid')
+	}
+}
+
+/**
+ * Verify a proof chain for an invocation.
+ * @param {string[]} proofs - Delegation tokens, root → leaf
+ * @param {Object} invocation - Invocation payload (signature already verified)
+ * @param {Object} [opts]
+ * @param {number} [opts.now] - Unix seconds (default: Date.now()/1000)
+ * @param {number} [opts.maxSkew=0] - Seconds of clock skew tolerated on nbf
+ * @param {{ cids?: Set<string>, dids?: Set<string> }} [opts.revocations] - Revoked token CIDs / issuer DIDs
+ * @returns {{ sub: string, accountId: string|null }} Root subject and its account
+ * @throws {Error} Naming the failing link (prf[i] or the invocation) and the reason
+ */
+export function verifyProofChain(proofs, invocation, opts = {}) {
+	if (!Array.isArray(proofs) || proofs.length === 0) throw new Error('Empty proof chain')
+	const now = opts.now ?? Math.floor(Date.now() / 1000)
+	const maxSkew = opts.maxSkew ?? 0
+
+	let root = null
+	let parent = null
+	for (let i = 0; i < proofs.length; i++) {
+		const label = `proof prf[${i}]`
+		let decoded
+		try {
+			decoded = decodeToken(proofs[i])
+		} catch (e) {
+			throw new Error(`Invalid ${label}: ${e.message}`)
+		}
+		const link = decoded.payload
+		if (decoded.header?.typ !== 'ucan-delegation') {
+			throw linkError(label, link, 'not a delegation token')
+		}
+		try {
+			verifyTokenSignature(decoded)
+		} catch (e) {
+			throw linkError(label, link, e.message)
+		}
+		if (!link.aud?.startsWith?.('did:key:')) throw linkError(label, link, 'missing aud')
+		assertNotRevoked(opts.revocations, getTokenCid(proofs[i]), link.iss, `Proof prf[${i}]`)
+
+		if (!parent) {
+			if (link.sub !== link.iss) {
+				throw linkError(label, link, 'root delegation must be issued by its subject')
+			}
+			root = link
+		} else {
+			if (link.iss !== parent.aud) {
+				throw linkError(label, link, `issuer is not the audience of prf[${i - 1}]`)
+			}
+			if (link.sub !== root.sub) throw linkError(label, link, 'subject differs from root')
+			assertAttenuates(parent, link, label)
+		}
+		const accountId = link.meta?.['maia/accountID']
+		if (accountId != null && accountId !== root.meta?.['maia/accountID']) {
+			throw linkError(label, link, 'maia/accountID differs from root')
+		}
+		assertTimeWindow(link, now, maxSkew, label)
+		parent = link
+	}
+
+	const label = 'invocation'
+	if (invocation.iss !== parent.aud) {
+		throw linkError(label, invocation, `issuer is not the audience of prf[${proofs.length - 1}]`)
+	}
+	if (invocation.sub !== root.sub) throw linkError(label, invocation, 'subject differs from root')
+	if (!cmdCovers(parent.cmd, invocation.cmd)) {
+		throw linkError(label, invocation, `cmd ${invocation.cmd} is not within ${parent.cmd}`)
+	}
+	const unsatisfied = findUnsatisfiedArg(parent.args, invocation.args)
+	if (unsatisfied !== null) {
+		throw linkError(label, invocation, `args.${unsatisfied} does not match the delegation`)
+	}
+	if (parent.exp != null && (invocation.exp == null || invocation.exp > parent.exp)) {
+		throw linkError(label, invocation, `exp outlives prf[${proofs.length - 1}]`)
+	}
+	const accountId = root.meta?.['maia/accountID'] ?? null
+	const invocationAccountId = invocation.meta?.['maia/accountID']
+	if (invocationAccountId != null && invocationAccountId !== accountId) {
+		throw linkError(label, invocation, 'maia/accountID differs from root')
+	}
+	return { sub: root.sub, accountId }
+}
@@ -1,112 +1,111 @@
 /**
- * maia-ucan — UCAN-like invocation tokens for MaiaOS
+ * maia-ucan — UCAN-like invocation and delegation tokens for MaiaOS
  * Creates and verifies signed tokens from agentSecret (passkey-derived)
  */
-import * as ed from '@noble/ed25519'
-import { sha512 } from '@noble/hashes/sha2.js'
-import { didKeyToPublicKey, publicKeyToDidKey } from './did-key.js'
-
+import { decodeDelegationToken, verifyProofChain } from './delegation.js'
+import { publicKeyToDidKey } from './did-key.js'
+import { assertNotRevoked } from './replay.js'
+import { getPublicKey } from './sign.js'
+import { createNonce, decodeToken, getTokenCid, signToken, verifyTokenSignature } from './token.js'
+
+export {
+	cmdCovers,
+	createDelegationToken,
+	decodeDelegationToken,
+	verifyProofChain,
+} from './delegation.js'
 export { agentIDToDidKey } from './did-key.js'
-
-import { getPublicKey, sign } from './sign.js'
-
-/** @noble/ed25519 v3+: sync sign/verify need hashes.sha512 (v2 used ed.etc.sha512Sync). */
-ed.hashes.sha512 = sha512
-ed.hashes.sha512Async = (m) => Promise.resolve(sha512(m))
-
-function base64urlEncode(bytes) {
-	const b64 = btoa(String.fromCharCode(...bytes))
-	return b64.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
-}
-
-function base64urlDecode(str) {
-	const b64 = str.replace(/-/g, '+').replace(/_/g, '/')
-	const pad = (4 - (b64.length % 4)) % 4
-	const padded = b64 + '='.repeat(pad)
-	const binary = atob(padded)
-	return new Uint8Array(binary.length).map((_, i) => binary.charCodeAt(i))
-}
-
-function canonicalize(payload) {
-	const keys = Object.keys(payload).sort()
-	const canon = {}
-	for (const k of keys) canon[k] = payload[k]
-	return JSON.stringify(canon)
-}
+export {
+	evaluatePolicy,
+	evaluateStatement,
+	findPolicyViolation,
+	parseSelector,
+	select,
+} from './policy.js'
+export { assertNotRevoked, NonceCache } from './replay.js'
+export { getTokenCid } from './token.js'
+
+/** Default tolerated clock skew (seconds) for iat / nbf in the future */
+const DEFAULT_MAX_SKEW = 30
 
 /**
  * Create UCAN invocation token
  * @param {string} agentSecret
- * @param {string} accountID - co-id for maia/accountID in meta
+ * @param {string|null} accountID - co-id for maia/accountID in meta (null with prf: the root's account)
  * @param {Object} opts
  * @param {string} opts.cmd - e.g. "/test-ucan"
  * @param {Object} [opts.args={}]
- * @param {number} [opts.exp] - Unix seconds (default: now+60)
+ * @param {number} [opts.exp] - Unix seconds (default: now+60, capped at the leaf delegation exp)
+ * @param {number} [opts.nbf] - Not valid before (unix seconds)
  * @param {string} [opts.nonce] - 12 bytes base64url (generated if omitted)
+ * @param {string[]} [opts.prf=[]] - Delegation tokens root → leaf when invoking a delegated capability
  * @returns {string} JWT-style token
  */
 export function createInvocationToken(agentSecret, accountID, opts = {}) {
-	const { cmd, args = {}, exp, nonce: nonceOpt } = opts
+	const { cmd, args = {}, exp, nbf, nonce: nonceOpt, prf = [] } = opts
 	if (!cmd || typeof cmd !== 'string') throw new Error('cmd required')
+	if (!Array.isArray(prf)) throw new Error('prf must be an array of delegation tokens')
 
 	const now = Math.floor(Date.now() / 1000)
-	const expVal = exp ?? now + 60
-	const nonce = nonceOpt ?? base64urlEncode(crypto.getRandomValues(new Uint8Array(12)))
+	let expVal = exp ?? now + 60
+	const nonce = nonceOpt ?? createNonce()
 
 	const iss = publicKeyToDidKey(getPublicKey(agentSecret))
+	let sub = iss
+	let metaAccountID = accountID
+	if (prf.length > 0) {
+		// Act on behalf of the root subject; never outlive the delegation
+		const root = decodeDelegationToken(prf[0])
+		sub = root.sub
+		metaAccountID = accountID ?? root.meta?.['maia/accountID'] ?? null
+		const leafExp = decodeDelegationToken(prf[prf.length - 1]).exp
+		if (exp == null && leafExp != null) expVal = Math.min(expVal, leafExp)
+	}
 	const payload = {
 		iss,
-		sub: iss,
+		sub,
 		cmd,
 		args,
-		prf: [],
+		prf,
 		nonce,
+		iat: now,
 		exp: expVal,
-		meta: { 'maia/accountID': accountID },
+		meta: { 'maia/accountID': metaAccountID },
 	}
+	if (nbf != null) payload.nbf = nbf
 
-	const header = { alg: 'EdDSA', typ: 'ucan-invocation' }
-	const headerB64 = base64urlEncode(new TextEncoder().encode(canonicalize(header)))
-	const payloadB64 = base64urlEncode(new TextEncoder().encode(canonicalize(payload)))
-	const message = `${headerB64}.${payloadB64}`
-	const messageBytes = new TextEncoder().encode(message)
-	const sigBytes = sign(agentSecret, messageBytes)
-	const sigB64 = base64urlEncode(sigBytes)
-
-	return `${message}.${sigB64}`
+	return signToken(agentSecret, { alg: 'EdDSA', typ: 'ucan-invocation' }, payload)
 }
 
 /**
- * Verify UCAN invocation token
+ * Verify UCAN invocation token, including its delegation chain (prf)
  * @param {string} token - JWT-style string
  * @param {Object} opts
  * @param {number} [opts.now] - Unix seconds (default: Date.now()/1000)
  * @param {string|string[]} [opts.allowedCmd] - e.g. "/test-ucan" or ["/test-ucan"]
- * @returns {Object} { iss, sub, accountId }
+ * @param {number} [opts.maxSkew=30] - Seconds a sender clock may run ahead (iat / nbf)
+ * @param {NonceCache} [opts.nonceCache] - Rejects a second use of the same iss+nonce before exp
+ * @param {{ cids?: Set<string>, dids?: Set<string> }} [opts.revocations] - Revoked token CIDs / issuer DIDs (invocation and proofs)
+ * @returns {Object} { iss, sub, accountId, cmd, args, delegated, cid } - sub / accountId are the root authority
+ * @throws {Error} If the token, its signature or any proof link is invalid (message names the link)
  */
 export function verifyInvocationToken(token, opts = {}) {
-	if (!token || typeof token !== 'string') {
-		throw new Error('Token required')
-	}
-	const parts = token.split('.')
-	if (parts.length !== 3) throw new Error('Invalid token format')
-
-	const [headerB64, payloadB64, sigB64] = parts
-	const message = `${headerB64}.${payloadB64}`
-	const messageBytes = new TextEncoder().encode(message)
-
-	let payload
-	try {
-		const payloadJson = new TextDecoder().decode(base64urlDecode(payloadB64))
-		payload = JSON.parse(payloadJson)
-	} catch {
-		throw new Error('Invalid token payload')
-	}
+	const decoded = decodeToken(token)
+	const { header, payload } = decoded
+	// A delegation must never be accepted as its issuer's own invocation
+	if (header?.typ !== 'ucan-invocation') throw new Error('Not an invocation token')
 
 	const now = opts.now ?? Math.floor(Date.now() / 1000)
+	const maxSkew = opts.maxSkew ?? DEFAULT_MAX_SKEW
 	if (payload.exp != null && payload.exp < now) {
 		throw new Error('Token expired')
 	}
+	if (payload.nbf != null && payload.nbf > now + maxSkew) {
+		throw new Error('Token not yet valid')
+	}
+	if (payload.iat != null && payload.iat > now + maxSkew) {
+		throw new Error('Token issued in the future')
+	}
 
 	const allowedCmd = opts.allowedCmd
 	if (allowedCmd != null) {
@@ -116,25 +115,40 @@ export function verifyInvocationToken(token, opts = {}) {
 		}
 	}
 
-	const iss = payload.iss
-	if (!iss?.startsWith('did:key:')) throw new Error('Invalid iss')
+	verifyTokenSignature(decoded)
 
-	let pubkey
-	try {
-		pubkey = didKeyToPublicKey(iss)
-	} catch {
-		throw new Error('Invalid did:key in iss')
+	const prf = payload.prf ?? []
+	if (!Array.isArray(prf)) throw new Error('Invalid prf')
+	let authority
+	if (prf.length === 0) {
+		// Self-issued: the invoker acts for itself
+		if (payload.sub != null && payload.sub !== payload.iss) {
+			throw new Error('sub differs from iss without a delegation proof')
+		}
+		authority = { sub: payload.iss, accountId: payload.meta?.['maia/accountID'] ?? null }
+	} else {
+		authority = verifyProofChain(prf, payload, { now, maxSkew, revocations: opts.revocations })
 	}
 
-	const sigBytes = base64urlDecode(sigB64)
-	if (sigBytes.length !== 64) throw new Error('Invalid signature length')
+	const cid = getTokenCid(token)
+	assertNotRevoked(opts.revocations, cid, payload.iss)
 
-	const valid = ed.verify(sigBytes, messageBytes, pubkey)
-	if (!valid) throw new Error('Invalid signature')
+	// Last: only a fully valid token may burn its nonce
+	if (opts.nonceCache) {
+		if (!payload.nonce || typeof payload.nonce !== 'string') throw new Error('Token nonce required')
+		if (payload.exp == null) throw new Error('Token exp required for replay protection')
+		if (!opts.nonceCache.consume(payload.iss, payload.nonce, payload.exp, now)) {
+			throw new Error('Token replayed')
+		}
+	}
 
 	return {
 		iss: payload.iss,
-		sub: payload.sub,
-		accountId: payload.meta?.['maia/accountID'] ?? null,
+		sub: authority.sub,
+		accountId: authority.accountId,
+		cmd: payload.cmd,
+		args: payload.args ?? {},
+		delegated: prf.length > 0,
+		cid,
 	}
 }
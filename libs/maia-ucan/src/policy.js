@@ -0,0 +1,222 @@
+/**
+ * UCAN policy language — predicates a capability places on invocation args
+ *
+ * A policy is an array of statements that must all hold:
+ *   ["==", ".model", "qwen/qwen3-30b-a3b-instruct-2507"]
+ *   ["<=", ".temperature", 1]
+ *   ["like", ".to", "*@example.com"]
+ *   ["all", ".tools[]", ["like", ".", "co_z*"]]
+ *   ["or", [["==", ".stream", false], ["not", ["==", ".model", "big"]]]]
+ *
+ * Selectors are jq-like paths into args: "." (args itself), ".a.b", '.["a-b"]', ".list[0]",
+ * ".list[-1]", ".list[]" (every element / value, for all and any). A trailing "?" on a segment makes
+ * it optional: a missing key then yields null instead of failing the statement.
+ * Malformed policies and statements never pass (fail closed).
+ */
+
+const COMPARISONS = new Set(['<', '<=', '>', '>='])
+
+/** Marks a selector that ran into a missing key / wrong type without "?" */
+const MISSING = Symbol('missing')
+
+/**
+ * Parse a selector into segments
+ * @param {string} selector - e.g. ".tools[0].name?"
+ * @returns {Array<{ key?: string, index?: number, each?: true, optional: boolean }>}
+ */
+export function parseSelector(selector) {
+	if (typeof selector !== 'string' || !selector.startsWith('.')) {
+		throw new Error(`Invalid selector ${JSON.stringify(selector)}: must start with "."`)
+	}
+	const segments = []
+	let i = selector === '.' ? 1 : 0
+	while (i < selector.length) {
+		let seg
+		if (selector[i] === '.' && selector[i + 1] !== '[') {
+			const m = /^\.([A-Za-z_][A-Za-z0-9_]*)/.exec(selector.slice(i))
+			if (!m) throw new Error(`Invalid selector ${JSON.stringify(selector)} at ${i}`)
+			seg = { key: m[1] }
+			i += m[0].length
+		} else {
+			if (selector[i] === '.') i++
+			const m = /^\[(?:(-?\d+)|("(?:[^"\\]|\\.)*")|)\]/.exec(selector.slice(i))
+			if (!m) throw new Error(`Invalid selector ${JSON.stringify(selector)} at ${i}`)
+			if (m[1] !== undefined) seg = { index: Number(m[1]) }
+			else if (m[2] !== undefined) seg = { key: JSON.parse(m[2]) }
+			else seg = { each: true }
+			i += m[0].length
+		}
+		seg.optional = selector[i] === '?'
+		if (seg.optional) i++
+		segments.push(seg)
+	}
+	return segments
+}
+
+function step(value, seg) {
+	if (seg.index !== undefined) {
+		if (!Array.isArray(value)) return MISSING
+		const i = seg.index < 0 ? value.length + seg.index : seg.index
+		return i >= 0 && i < value.length ? value[i] : MISSING
+	}
+	if (!value || typeof value !== 'object' || Array.isArray(value)) return MISSING
+	return Object.hasOwn(value, seg.key) ? value[seg.key] : MISSING
+}
+
+/**
+ * Values a selector picks from args; one value unless it contains "[]"
+ * @returns {Array|typeof MISSING}
+ */
+function selectAll(segments, value) {
+	let current = [value]
+	for (const seg of segments) {
+		const next = []
+		for (const v of current) {
+			if (seg.each) {
+				if (Array.isArray(v)) next.push(...v)
+				else if (v && typeof v === 'object') next.push(...Object.values(v))
+				else if (!seg.optional) return MISSING
+				continue
+			}
+			const r = step(v, seg)
+			if (r !== MISSING) next.push(r)
+			else if (seg.optional) next.push(null)
+			else return MISSING
+		}
+		current = next
+	}
+	return current
+}
+
+/**
+ * Resolve a selector against a value
+ * @param {string} selector
+ * @param {*} value
+ * @returns {*} The selected value (array when the selector iterates); undefined when missing
+ */
+export function select(selector, value) {
+	const segments = parseSelector(selector)
+	const values = selectAll(segments, value)
+	if (values === MISSING) return undefined
+	return segments.some((s) => s.each) ? values : values[0]
+}
+
+/** Collection a quantifier ranges over: the selected array / object values */
+function quantified(selector, args) {
+	const target = select(selector, args)
+	if (Array.isArray(target)) return target
+	if (target && typeof target === 'object') return Object.values(target)
+	return null
+}
+
+function deepEqual(a, b) {
+	if (a === b) return true
+	if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false
+	if (Array.isArray(a) !== Array.isArray(b)) return false
+	const ka = Object.keys(a)
+	if (ka.length !== Object.keys(b).length) return false
+	return ka.every((k) => Object.hasOwn(b, k) && deepEqual(a[k], b[k]))
+}
+
+/** Glob match: "*" = any run of characters, "\*" = a literal star */
+function likeMatch(pattern, text) {
+	let re = '^'
+	for (let i = 0; i < pattern.length; i++) {
+		const c = pattern[i]
+		if (c === '\\' && pattern[i + 1] === '*') {
+			re += '\\*'
+			i++
+		} else if (c === '*') re += '[\\s\\S]*'
+		else re += c.replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+	}
+	return new RegExp(`${re}$`).test(text)
+}
+
+/** One selector value for a scalar statement; MISSING if absent or iterating */
+function selectOne(selector, args) {
+	const segments = parseSelector(selector)
+	if (segments.some((s) => s.each)) return MISSING
+	const values = selectAll(segments, args)
+	return values === MISSING ? MISSING : values[0]
+}
+
+/**
+ * Evaluate one statement against args
+ * @param {Array} statement
+ * @param {*} args
+ * @returns {boolean}
+ */
+export function evaluateStatement(statement, args) {
+	if (!Array.isArray(statement) || typeof statement[0] !== 'string') {
+		throw new Error(`Invalid policy statement ${JSON.stringify(statement)}`)
+	}
+	const [op, a, b] = statement
+	switch (op) {
+		case 'not':
+			return !evaluateStatement(a, args)
+		case 'and':
+		case 'or': {
+			if (!Array.isArray(a)) throw new Error(`"${op}" takes an array of statements`)
+			return op === 'and'
+				? a.every((s) => evaluateStatement(s, args))
+				: a.some((s) => evaluateStatement(s, args))
+		}
+		case 'all':
+		case 'any': {
+			const items = quantified(a, args)
+			if (items === null) return false
+			return op === 'all'
+				? items.every((item) => evaluateStatement(b, item))
+				: items.some((item) => evaluateStatement(b, item))
+		}
+	}
+	const value = selectOne(a, args)
+	if (op === '==' || op === '!=') {
+		if (value === MISSING) return false
+		return (op === '==') === deepEqual(value, b)
+	}
+	if (COMPARISONS.has(op)) {
+		if (typeof b !== 'number') throw new Error(`"${op}" compares against a number`)
+		if (typeof value !== 'number') return false
+		if (op === '<') return value < b
+		if (op === '<=') return value <= b
+		if (op === '>') return value > b
+		return value >= b
+	}
+	if (op === 'like') {
+		if (typeof b !== 'string') throw new Error('"like" takes a string pattern')
+		return typeof value === 'string' && likeMatch(b, value)
+	}
+	throw new Error(`Unknown policy operator "${op}"`)
+}
+
+/**
+ * First top-level statement args do not satisfy, or null when the whole policy holds
+ * @param {Array} pol - Policy (array of statements); empty / missing = no constraints
+ * @param {Object} args - Invocation args
+ * @returns {{ statement: *, reason: string }|null}
+ */
+export function findPolicyViolation(pol, args) {
+	if (pol == null) return null
+	if (!Array.isArray(pol)) return { statement: pol, reason: 'policy must be an array' }
+	for (const statement of pol) {
+		try {
+			if (!evaluateStatement(statement, args)) {
+				return { statement, reason: `${JSON.stringify(statement)} not satisfied` }
+			}
+		} catch (e) {
+			return { statement, reason: e.message }
+		}
+	}
+	return null
+}
+
+/**
+ * True if args satisfy every statement of pol
+ * @param {Array} pol
+ * @param {Object} args
+ * @returns {boolean}
+ */
+export function evaluatePolicy(pol, args) {
+	return findPolicyViolation(pol, args) === null
+}
@@ -0,0 +1,76 @@
+/**
+ * Replay protection and revocation
+ *
+ * NonceCache remembers (iss, nonce) of accepted invocations until their exp.
+ * Entries live exactly as long as the token could still verify, so memory is bounded by the
+ * number of tokens accepted within one token lifetime (60s by default). In-process only:
+ * run one verifier per service instance, or share a store that implements the same interface.
+ */
+
+const DEFAULT_MAX_ENTRIES = 100_000
+/** Sweep expired entries every N inserts so idle memory tracks live tokens, not the cap */
+const PRUNE_EVERY = 1000
+
+export class NonceCache {
+	/**
+	 * @param {Object} [opts]
+	 * @param {number} [opts.maxEntries=100000] - Hard cap; when full of live entries, tokens are rejected
+	 */
+	constructor(opts = {}) {
+		this.maxEntries = opts.maxEntries ?? DEFAULT_MAX_ENTRIES
+		this._expByKey = new Map() // `${iss} ${nonce}` -> exp
+		this._insertsSincePrune = 0
+	}
+
+	get size() {
+		return this._expByKey.size
+	}
+
+	/** Drop entries whose token has expired */
+	prune(now = Math.floor(Date.now() / 1000)) {
+		this._insertsSincePrune = 0
+		for (const [key, exp] of this._expByKey) {
+			if (exp < now) this._expByKey.delete(key)
+		}
+	}
+
+	/**
+	 * Record a nonce. Returns false if the same issuer already used it and it is still live.
+	 * @param {string} iss - Token issuer did:key
+	 * @param {string} nonce
+	 * @param {number} exp - Token expiry (unix seconds)
+	 * @param {number} [now] - Unix seconds
+	 * @returns {boolean} True if first use
+	 * @throws {Error} If the cache is full of live entries (fail closed rather than forget nonces)
+	 */
+	consume(iss, nonce, exp, now = Math.floor(Date.now() / 1000)) {
+		const key = `${iss} ${nonce}`
+		const seenExp = this._expByKey.get(key)
+		if (seenExp !== undefined && seenExp >= now) return false
+		if (this._expByKey.size >= this.maxEntries || ++this._insertsSincePrune >= PRUNE_EVERY) {
+			this.prune(now)
+			if (this._expByKey.size >= this.maxEntries) throw new Error('Nonce cache full')
+		}
+		this._expByKey.set(key, exp)
+		return true
+	}
+}
+
+function isListed(list, value) {
+	if (!list || value == null) return false
+	return typeof list.has === 'function' ? list.has(value) : list.includes?.(value) === true
+}
+
+/**
+ * Throw if a token CID or its issuer DID is on the revocation list
+ * @param {{ cids?: Set<string>|string[], dids?: Set<string>|string[] }|null} revocations
+ * @param {string} cid - Token CID (getTokenCid)
+ * @param {string} iss - Token issuer did:key
+ * @param {string} [label='Token'] - Names the token in the error (e.g. "proof prf[0]")
+ * @throws {Error} If revoked
+ */
+export function assertNotRevoked(revocations, cid, iss, label = 'Token') {
+	if (!revocations) return
+	if (isListed(revocations.cids, cid)) throw new Error(`${label} revoked (${cid})`)
+	if (isListed(revocations.dids, iss)) throw new Error(`${label} issuer revoked (${iss})`)
+}
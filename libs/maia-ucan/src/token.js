@@ -0,0 +1,118 @@
+/**
+ * JWT-style token encoding shared by invocations and delegations
+ * Format: base64url(canonical header).base64url(canonical payload).base64url(Ed25519 signature)
+ */
+import * as ed from '@noble/ed25519'
+import { sha256, sha512 } from '@noble/hashes/sha2.js'
+import { base32nopad } from '@scure/base'
+import { didKeyToPublicKey } from './did-key.js'
+import { sign } from './sign.js'
+
+/** @noble/ed25519 v3+: sync sign/verify need hashes.sha512 (v2 used ed.etc.sha512Sync). */
+ed.hashes.sha512 = sha512
+ed.hashes.sha512Async = (m) => Promise.resolve(sha512(m))
+
+export function base64urlEncode(bytes) {
+	const b64 = btoa(String.fromCharCode(...bytes))
+	return b64.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+function base64urlDecode(str) {
+	const b64 = str.replace(/-/g, '+').replace(/_/g, '/')
+	const pad = (4 - (b64.length % 4)) % 4
+	const padded = b64 + '='.repeat(pad)
+	const binary = atob(padded)
+	return new Uint8Array(binary.length).map((_, i) => binary.charCodeAt(i))
+}
+
+function canonicalize(payload) {
+	const keys = Object.keys(payload).sort()
+	const canon = {}
+	for (const k of keys) canon[k] = payload[k]
+	return JSON.stringify(canon)
+}
+
+/** CIDv1 prefix: version 1, raw codec (0x55), sha2-256 multihash (0x12, 32 bytes) */
+const CID_RAW_SHA256_PREFIX = new Uint8Array([0x01, 0x55, 0x12, 0x20])
+
+/**
+ * Content id of a token (CIDv1, raw, sha2-256, base32) — stable handle for revocation lists
+ * @param {string} token - JWT-style token
+ * @returns {string} e.g. "bafkrei..."
+ */
+export function getTokenCid(token) {
+	const digest = sha256(new TextEncoder().encode(token))
+	const bytes = new Uint8Array(CID_RAW_SHA256_PREFIX.length + digest.length)
+	bytes.set(CID_RAW_SHA256_PREFIX, 0)
+	bytes.set(digest, CID_RAW_SHA256_PREFIX.length)
+	return `b${base32nopad.encode(bytes).toLowerCase()}`
+}
+
+/** 12 random bytes, base64url */
+export function createNonce() {
+	return base64urlEncode(crypto.getRandomValues(new Uint8Array(12)))
+}
+
+/**
+ * Sign header + payload with agentSecret
+ * @param {string} agentSecret
+ * @param {Object} header - e.g. { alg: 'EdDSA', typ: 'ucan-invocation' }
+ * @param {Object} payload
+ * @returns {string} JWT-style token
+ */
+export function signToken(agentSecret, header, payload) {
+	const headerB64 = base64urlEncode(new TextEncoder().encode(canonicalize(header)))
+	const payloadB64 = base64urlEncode(new TextEncoder().encode(canonicalize(payload)))
+	const message = `${headerB64}.${payloadB64}`
+	const sigBytes = sign(agentSecret, new TextEncoder().encode(message))
+	return `${message}.${base64urlEncode(sigBytes)}`
+}
+
+/**
+ * Decode a token without verifying its signature
+ * @param {string} token
+ * @returns {{ header: Object, payload: Object, message: string, sigB64: string }}
+ * @throws {Error} If the token is malformed
+ */
+export function decodeToken(token) {
+	if (!token || typeof token !== 'string') {
+		throw new Error('Token required')
+	}
+	const parts = token.split('.')
+	if (parts.length !== 3) throw new Error('Invalid token format')
+
+	const [headerB64, payloadB64, sigB64] = parts
+	let header
+	let payload
+	try {
+		header = JSON.parse(new TextDecoder().decode(base64urlDecode(headerB64)))
+		payload = JSON.parse(new TextDecoder().decode(base64urlDecode(payloadB64)))
+	} catch {
+		throw new Error('Invalid token payload')
+	}
+	if (!payload || typeof payload !== 'object') throw new Error('Invalid token payload')
+	return { header, payload, message: `${headerB64}.${payloadB64}`, sigB64 }
+}
+
+/**
+ * Verify a decoded token was signed by its iss (did:key)
+ * @param {{ payload: Object, message: string, sigB64: string }} decoded - From decodeToken
+ * @throws {Error} If iss or signature is invalid
+ */
+export function verifyTokenSignature({ payload, message, sigB64 }) {
+	const iss = payload.iss
+	if (!iss?.startsWith('did:key:')) throw new Error('Invalid iss')
+
+	let pubkey
+	try {
+		pubkey = didKeyToPublicKey(iss)
+	} catch {
+		throw new Error('Invalid did:key in iss')
+	}
+
+	const sigBytes = base64urlDecode(sigB64)
+	if (sigBytes.length !== 64) throw new Error('Invalid signature length')
+
+	const valid = ed.verify(sigBytes, new TextEncoder().encode(message), pubkey)
+	if (!valid) throw new Error('Invalid signature')
+}
@@ -0,0 +1,132 @@
+import { describe, expect, test } from 'bun:test'
+import { base58 } from '@scure/base'
+import { publicKeyToDidKey } from '../src/did-key.js'
+import {
+	cmdCovers,
+	createDelegationToken,
+	createInvocationToken,
+	verifyInvocationToken,
+} from '../src/index.js'
+import { getPublicKey } from '../src/sign.js'
+
+function makeAgent() {
+	const secret = base58.encode(crypto.getRandomValues(new Uint8Array(32)))
+	const agentSecret = `sealerSecret_zunused/signerSecret_z${secret}`
+	return { agentSecret, did: publicKeyToDidKey(getPublicKey(agentSecret)) }
+}
+
+const ACCOUNT = 'co_zAccountRoot'
+const NOW = Math.floor(Date.now() / 1000)
+const owner = makeAgent()
+const device = makeAgent()
+const helper = makeAgent()
+
+function delegate(from, to, opts = {}) {
+	return createDelegationToken(from.agentSecret, ACCOUNT, {
+		aud: to.did,
+		cmd: '/llm',
+		exp: NOW + 3600,
+		...opts,
+		sub: opts.sub ?? owner.did,
+	})
+}
+
+function invoke(agent, prf, opts = {}) {
+	return createInvocationToken(agent.agentSecret, ACCOUNT, {
+		cmd: '/llm/chat',
+		exp: NOW + 60,
+		prf,
+		...opts,
+	})
+}
+
+describe('cmdCovers', () => {
+	test('matches the command and sub-commands only', () => {
+		expect(cmdCovers('/llm', '/llm/chat')).toBe(true)
+		expect(cmdCovers('/llm/chat', '/llm/chat')).toBe(true)
+		expect(cmdCovers('/', '/sync/write')).toBe(true)
+		expect(cmdCovers('/llm', '/llmx')).toBe(false)
+		expect(cmdCovers('/llm/chat', '/llm')).toBe(false)
+	})
+})
+
+describe('verifyInvocationToken with prf', () => {
+	test('self-issued tokens still verify', () => {
+		const out = verifyInvocationToken(invoke(owner, []), { now: NOW, allowedCmd: '/llm/chat' })
+		expect(out).toMatchObject({
+			iss: owner.did,
+			sub: owner.did,
+			accountId: ACCOUNT,
+			delegated: false,
+		})
+	})
+
+	test('accepts a narrowing two-link chain and reports the root authority', () => {
+		const root = delegate(owner, device, { args: { model: 'a' } })
+		const leaf = delegate(device, helper, {
+			cmd: '/llm/chat',
+			args: { model: 'a', temperature: 0 },
+			exp: NOW + 600,
+		})
+		const token = invoke(helper, [root, leaf], { args: { model: 'a', temperature: 0 } })
+		const out = verifyInvocationToken(token, { now: NOW })
+		expect(out).toMatchObject({
+			iss: helper.did,
+			sub: owner.did,
+			accountId: ACCOUNT,
+			delegated: true,
+		})
+	})
+
+	test('names the failing link', () => {
+		const root = delegate(owner, device)
+		const wider = delegate(device, helper, { cmd: '/sync' })
+		expect(() => verifyInvocationToken(invoke(helper, [root, wider]), { now: NOW })).toThrow(
+			/prf\[1\].*cmd \/sync is not within \/llm/,
+		)
+
+		const longer = delegate(device, helper, { exp: NOW + 7200 })
+		expect(() => verifyInvocationToken(invoke(helper, [root, longer]), { now: NOW })).toThrow(
+			/prf\[1\].*outlives its proof/,
+		)
+
+		const early = delegate(owner, device, { nbf: NOW + 100 })
+		expect(() => verifyInvocationToken(invoke(device, [early]), { now: NOW })).toThrow(
+			/prf\[0\].*not yet valid/,
+		)
+
+		const constrained = delegate(owner, device, { args: { model: 'a' } })
+		expect(() => verifyInvocationToken(invoke(device, [constrained]), { now: NOW })).toThrow(
+			/invocation.*args\.model/,
+		)
+	})
+
+	test('rejects broken linkage and forged subjects', () => {
+		const root = delegate(owner, device)
+		expect(() => verifyInvocationToken(invoke(helper, [root]), { now: NOW })).toThrow(
+			/invocation.*not the audience of prf\[0\]/,
+		)
+
+		const forged = delegate(device, helper, { sub: owner.did })
+		expect(() => verifyInvocationToken(invoke(helper, [forged]), { now: NOW })).toThrow(
+			/prf\[0\].*issued by its subject/,
+		)
+
+		// A delegation cannot be replayed as an invocation
+		expect(() => verifyInvocationToken(root, { now: NOW })).toThrow('Not an invocation token')
+	})
+
+	test('invocation exp is capped at the leaf delegation', () => {
+		const now = Math.floor(Date.now() / 1000)
+		const short = createDelegationToken(owner.agentSecret, ACCOUNT, {
+			aud: device.did,
+			cmd: '/llm',
+			exp: now + 10,
+		})
+		const token = createInvocationToken(device.agentSecret, ACCOUNT, {
+			cmd: '/llm/chat',
+			prf: [short],
+		})
+		expect(verifyInvocationToken(token).sub).toBe(owner.did)
+	})
+})
@@ -0,0 +1,85 @@
+import { describe, expect, test } from 'bun:test'
+import { evaluatePolicy, findPolicyViolation, parseSelector, select } from '../src/index.js'
+
+const args = {
+	model: 'qwen/qwen3-30b-a3b-instruct-2507',
+	temperature: 0.7,
+	stream: true,
+	tools: ['co_zA/ADD', 'co_zB/REMOVE'],
+	'max-tokens': 512,
+	meta: { tags: { a: 1, b: 2 } },
+}
+
+describe('selectors', () => {
+	test('paths, indexes, quoted keys and iteration', () => {
+		expect(select('.', args)).toBe(args)
+		expect(select('.model', args)).toBe(args.model)
+		expect(select('.tools[0]', args)).toBe('co_zA/ADD')
+		expect(select('.tools[-1]', args)).toBe('co_zB/REMOVE')
+		expect(select('.["max-tokens"]', args)).toBe(512)
+		expect(select('.meta.tags[]', args)).toEqual([1, 2])
+		expect(select('.missing', args)).toBeUndefined()
+		expect(select('.missing?', args)).toBeNull()
+	})
+
+	test('rejects malformed selectors', () => {
+		expect(() => parseSelector('model')).toThrow('must start with "."')
+		expect(() => parseSelector('.a[x]')).toThrow('Invalid selector')
+	})
+})
+
+describe('evaluatePolicy', () => {
+	test('empty or missing policy allows anything', () => {
+		expect(evaluatePolicy([], args)).toBe(true)
+		expect(evaluatePolicy(undefined, args)).toBe(true)
+	})
+
+	test('equality and numeric comparison ("only model X, max temperature 1")', () => {
+		const pol = [
+			['==', '.model', 'qwen/qwen3-30b-a3b-instruct-2507'],
+			['<=', '.temperature', 1],
+		]
+		expect(evaluatePolicy(pol, args)).toBe(true)
+		expect(evaluatePolicy(pol, { ...args, temperature: 1.5 })).toBe(false)
+		expect(evaluatePolicy(pol, { ...args, model: 'other' })).toBe(false)
+		expect(evaluatePolicy(pol, { model: args.model })).toBe(false)
+		expect(evaluatePolicy([['==', '.meta', { tags: { b: 2, a: 1 } }]], args)).toBe(true)
+	})
+
+	test('like, quantifiers and connectives', () => {
+		expect(evaluatePolicy([['like', '.model', 'qwen/*']], args)).toBe(true)
+		expect(evaluatePolicy([['like', '.model', 'qwen\\*']], args)).toBe(false)
+		expect(evaluatePolicy([['all', '.tools', ['like', '.', 'co_z*']]], args)).toBe(true)
+		expect(evaluatePolicy([['all', '.tools', ['like', '.', '*/ADD']]], args)).toBe(false)
+		expect(evaluatePolicy([['any', '.tools', ['like', '.', '*/ADD']]], args)).toBe(true)
+		expect(evaluatePolicy([['all', '.missing', ['==', '.', 1]]], args)).toBe(false)
+		expect(
+			evaluatePolicy(
+				[
+					[
+						'or',
+						[
+							['==', '.stream', false],
+							['not', ['==', '.model', 'big']],
+						],
+					],
+				],
+				args,
+			),
+		).toBe(true)
+		expect(evaluatePolicy([['and', []]], args)).toBe(true)
+		expect(evaluatePolicy([['or', []]], args)).toBe(false)
+	})
+
+	test('malformed statements fail closed and name the culprit', () => {
+		expect(findPolicyViolation([['~=', '.model', 'x']], args)).toEqual({
+			statement: ['~=', '.model', 'x'],
+			reason: 'Unknown policy operator "~="',
+		})
+		expect(findPolicyViolation({ '==': 1 }, args)?.reason).toBe('policy must be an array')
+		expect(findPolicyViolation([['<', '.temperature', '1']], args)?.reason).toContain('number')
+		expect(findPolicyViolation([['<=', '.temperature', 0.5]], args)?.reason).toBe(
+			'["<=",".temperature",0.5] not satisfied',
+		)
+	})
+})
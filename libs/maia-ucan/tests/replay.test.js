@@ -0,0 +1,81 @@
+import { describe, expect, test } from 'bun:test'
+import { base58 } from '@scure/base'
+import { publicKeyToDidKey } from '../src/did-key.js'
+import {
+	createDelegationToken,
+	createInvocationToken,
+	getTokenCid,
+	NonceCache,
+	verifyInvocationToken,
+} from '../src/index.js'
+import { getPublicKey } from '../src/sign.js'
+
+function makeAgent() {
+	const secret = base58.encode(crypto.getRandomValues(new Uint8Array(32)))
+	const agentSecret = `sealerSecret_zunused/signerSecret_z${secret}`
+	return { agentSecret, did: publicKeyToDidKey(getPublicKey(agentSecret)) }
+}
+
+const ACCOUNT = 'co_zAccountRoot'
+const owner = makeAgent()
+const device = makeAgent()
+
+describe('NonceCache', () => {
+	test('rejects reuse until exp, then forgets', () => {
+		const cache = new NonceCache()
+		expect(cache.consume('did:key:a', 'n1', 110, 100)).toBe(true)
+		expect(cache.consume('did:key:a', 'n1', 110, 105)).toBe(false)
+		expect(cache.consume('did:key:b', 'n1', 110, 105)).toBe(true)
+		cache.prune(111)
+		expect(cache.size).toBe(0)
+	})
+
+	test('fails closed when full of live entries', () => {
+		const cache = new NonceCache({ maxEntries: 1 })
+		cache.consume('did:key:a', 'n1', 200, 100)
+		expect(() => cache.consume('did:key:a', 'n2', 200, 100)).toThrow('Nonce cache full')
+		expect(cache.consume('did:key:a', 'n2', 300, 201)).toBe(true)
+	})
+})
+
+describe('verifyInvocationToken replay, skew and revocation', () => {
+	test('a captured token verifies once per nonce cache', () => {
+		const nonceCache = new NonceCache()
+		const token = createInvocationToken(owner.agentSecret, ACCOUNT, { cmd: '/llm/chat' })
+		expect(verifyInvocationToken(token, { nonceCache }).accountId).toBe(ACCOUNT)
+		expect(() => verifyInvocationToken(token, { nonceCache })).toThrow('Token replayed')
+	})
+
+	test('nbf and iat tolerate bounded clock skew', () => {
+		const now = Math.floor(Date.now() / 1000)
+		const soon = createInvocationToken(owner.agentSecret, ACCOUNT, { cmd: '/x', nbf: now + 10 })
+		expect(() => verifyInvocationToken(soon, { now })).not.toThrow()
+		expect(() => verifyInvocationToken(soon, { now, maxSkew: 0 })).toThrow('not yet valid')
+		const plain = createInvocationToken(owner.agentSecret, ACCOUNT, { cmd: '/x' })
+		expect(() => verifyInvocationToken(plain, { now: now - 120 })).toThrow('issued in the future')
+	})
+
+	test('rejects revoked token CIDs and issuer DIDs, including proofs', () => {
+		const token = createInvocationToken(owner.agentSecret, ACCOUNT, { cmd: '/llm/chat' })
+		const cid = getTokenCid(token)
+		expect(cid).toMatch(/^bafkrei[a-z2-7]+$/)
+		expect(verifyInvocationToken(token).cid).toBe(cid)
+		expect(() => verifyInvocationToken(token, { revocations: { cids: new Set([cid]) } })).toThrow(
+			'Token revoked',
+		)
+		expect(() => verifyInvocationToken(token, { revocations: { dids: [owner.did] } })).toThrow(
+			'Token issuer revoked',
+		)
+
+		const delegation = createDelegationToken(owner.agentSecret, ACCOUNT, {
+			aud: device.did,
+			cmd: '/llm',
+		})
+		const delegated = createInvocationToken(device.agentSecret, null, {
+			cmd: '/llm/chat',
+			prf: [delegation],
+		})
+		const revocations = { cids: new Set([getTokenCid(delegation)]) }
+		expect(() => verifyInvocationToken(delegated, { revocations })).toThrow('Proof prf[0] revoked')
+	})
+})
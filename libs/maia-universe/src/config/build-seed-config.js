@@ -210,6 +210,7 @@ export function getSeedConfig() {
 		'views/logs/interface.maia',
 		'views/messages/interface.maia',
 		'views/info-card/interface.maia',
+		'views/tool-confirmations/interface.maia',
 		'views/layout-chat/interface.maia',
 		'views/layout-paper/interface.maia',
 		'views/paper/interface.maia',
@@ -218,6 +219,7 @@ export function getSeedConfig() {
 		'views/tabs/todos.interface.maia',
 		'views/addressbook-humans-grid/interface.maia',
 		'views/addressbook-avens-grid/interface.maia',
+		'views/llm-usage-grid/interface.maia',
 	]
 	for (const p of interfacePaths) {
 		const iface = a(p)
@@ -302,6 +304,13 @@ export function getSeedConfig() {
 			'views/addressbook-grid/process.maia',
 			'views/addressbook-grid/style.maia',
 		],
+		[
+			'views/llm-usage-grid/actor.maia',
+			'views/llm-usage-grid/context.maia',
+			'views/addressbook-grid/view.maia',
+			'views/addressbook-grid/process.maia',
+			'views/addressbook-grid/style.maia',
+		],
 		[
 			'views/layout-chat/actor.maia',
 			'views/layout-chat/context.maia',
@@ -316,6 +325,13 @@ export function getSeedConfig() {
 			'views/info-card/process.maia',
 			'views/info-card/style.maia',
 		],
+		[
+			'views/tool-confirmations/actor.maia',
+			'views/tool-confirmations/context.maia',
+			'views/tool-confirmations/view.maia',
+			'views/tool-confirmations/process.maia',
+			'views/tool-confirmations/style.maia',
+		],
 		[
 			'views/layout-paper/actor.maia',
 			'views/layout-paper/context.maia',
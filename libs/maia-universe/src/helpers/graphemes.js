@@ -0,0 +1,15 @@
+/**
+ * Grapheme splitting for CoText (colist of graphemes).
+ */
+
+/** Fast grapheme split: ASCII fast path, Intl.Segmenter for Unicode. */
+export function toGraphemes(value) {
+	if (typeof value !== 'string') return []
+	for (let i = 0; i < value.length; i++) {
+		if (value.charCodeAt(i) > 127) {
+			const seg = new Intl.Segmenter('und', { granularity: 'grapheme' })
+			return [...seg.segment(value)].map((s) => s.segment)
+		}
+	}
+	return value.split('')
+}
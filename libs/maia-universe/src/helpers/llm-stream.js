@@ -0,0 +1,148 @@
+/**
+ * OpenAI-compatible chat completion streams (SSE, `stream: true`).
+ * Reassembles content and tool_calls deltas into the same message shape a non-streaming
+ * response carries in choices[0].message.
+ */
+
+/**
+ * Incremental SSE parser: feed text chunks in any split, get each event's data once complete.
+ * @param {(data: string) => void} onData - Called per event with its joined `data:` lines
+ * @returns {{ push: (text: string) => void, end: () => void }}
+ */
+export function createSseParser(onData) {
+	let buffer = ''
+	let dataLines = []
+	const dispatch = () => {
+		if (dataLines.length > 0) onData(dataLines.join('\n'))
+		dataLines = []
+	}
+	const handleLine = (line) => {
+		if (line === '') return dispatch()
+		if (line.startsWith(':')) return // comment / keep-alive
+		const colon = line.indexOf(':')
+		const field = colon === -1 ? line : line.slice(0, colon)
+		let value = colon === -1 ? '' : line.slice(colon + 1)
+		if (value.startsWith(' ')) value = value.slice(1)
+		if (field === 'data') dataLines.push(value)
+	}
+	return {
+		push(text) {
+			buffer += text
+			let nl = buffer.search(/\r\n|\r|\n/)
+			while (nl !== -1) {
+				const width = buffer[nl] === '\r' && buffer[nl + 1] === '\n' ? 2 : 1
+				// A lone \r at the chunk end may be half of \r\n — wait for the next chunk
+				if (buffer[nl] === '\r' && nl === buffer.length - 1) break
+				handleLine(buffer.slice(0, nl))
+				buffer = buffer.slice(nl + width)
+				nl = buffer.search(/\r\n|\r|\n/)
+			}
+		},
+		end() {
+			if (buffer) handleLine(buffer.replace(/\r$/, ''))
+			buffer = ''
+			dispatch()
+		},
+	}
+}
+
+/**
+ * Accumulates chat.completion.chunk objects into one assistant message.
+ * tool_calls deltas arrive keyed by index: id/name once, arguments as string fragments.
+ */
+export function createChatCompletionAccumulator() {
+	let content = ''
+	let model = null
+	let finishReason = null
+	let usage = null
+	const toolCallsByIndex = new Map()
+
+	return {
+		/**
+		 * @param {Object} chunk - Parsed chat.completion.chunk
+		 * @returns {string} Content delta carried by this chunk ('' when none)
+		 */
+		add(chunk) {
+			if (chunk?.model) model = chunk.model
+			if (chunk?.usage) usage = chunk.usage
+			const choice = chunk?.choices?.[0]
+			if (!choice) return ''
+			if (choice.finish_reason) finishReason = choice.finish_reason
+			const delta = choice.delta ?? {}
+			for (const tc of delta.tool_calls ?? []) {
+				const index = tc.index ?? toolCallsByIndex.size
+				let call = toolCallsByIndex.get(index)
+				if (!call) {
+					call = { id: null, type: 'function', function: { name: '', arguments: '' } }
+					toolCallsByIndex.set(index, call)
+				}
+				if (tc.id) call.id = tc.id
+				if (tc.type) call.type = tc.type
+				if (tc.function?.name) call.function.name += tc.function.name
+				if (tc.function?.arguments) call.function.arguments += tc.function.arguments
+			}
+			const text = typeof delta.content === 'string' ? delta.content : ''
+			content += text
+			return text
+		},
+		/** @returns {{ message: Object, model: string|null, finishReason: string|null, usage: Object|null }} */
+		result() {
+			const toolCalls = [...toolCallsByIndex.entries()]
+				.sort(([a], [b]) => a - b)
+				.map(([, call]) => call)
+			const message = { role: 'assistant', content }
+			if (toolCalls.length > 0) message.tool_calls = toolCalls
+			return { message, model, finishReason, usage }
+		},
+	}
+}
+
+/**
+ * Read a streaming chat completion response to the end.
+ * @param {Response} response - fetch Response with a text/event-stream body
+ * @param {Object} [opts]
+ * @param {(delta: string, content: string) => void} [opts.onContent] - Per content delta, with content so far
+ * @returns {Promise<{ message: Object, model: string|null, finishReason: string|null, usage: Object|null }>}
+ * @throws {Error} If the stream carries an error event or a malformed chunk
+ */
+export async function readChatCompletionStream(response, opts = {}) {
+	if (!response?.body) throw new Error('[llm-stream] Response has no body')
+	const acc = createChatCompletionAccumulator()
+	let content = ''
+	let streamError = null
+	const parser = createSseParser((data) => {
+		if (streamError || data === '[DONE]') return
+		let chunk
+		try {
+			chunk = JSON.parse(data)
+		} catch {
+			streamError = new Error(`[llm-stream] Malformed chunk: ${data.slice(0, 120)}`)
+			return
+		}
+		if (chunk?.error) {
+			streamError = new Error(chunk.error.message ?? String(chunk.error))
+			return
+		}
+		const delta = acc.add(chunk)
+		if (delta) {
+			content += delta
+			opts.onContent?.(delta, content)
+		}
+	})
+
+	const reader = response.body.getReader()
+	const decoder = new TextDecoder()
+	while (true) {
+		const { done, value } = await reader.read()
+		if (done) break
+		parser.push(decoder.decode(value, { stream: true }))
+		if (streamError) {
+			await reader.cancel().catch(() => {})
+			throw streamError
+		}
+	}
+	parser.push(decoder.decode())
+	parser.end()
+	if (streamError) throw streamError
+	return acc.result()
+}
@@ -7,9 +7,18 @@
  *
  * Usage in process:
  *   {"actor": "@ai/chat", "payload": {"context": [...], "model": "qwen/..."}}
+ *
+ * Streaming: pass streamTo (CoText co-id) and the reply is requested with stream: true and
+ * written into that CoText as tokens arrive; SUCCESS still carries the complete content.
+ *
+ * Tools: offered on every turn until the model answers without tool calls (or maxTurns runs out).
+ * Calls to different actors within one turn run in parallel; calls to the same actor keep their
+ * order. SUCCESS carries toolCalls, the transcript of every call (args, result, duration).
  */
 
 import { getSyncHttpBaseUrl } from '@MaiaOS/peer'
+import { toGraphemes } from '@MaiaOS/universe/helpers/graphemes.js'
+import { readChatCompletionStream } from '@MaiaOS/universe/helpers/llm-stream.js'
 import {
 	createErrorEntry,
 	createErrorResult,
@@ -35,12 +44,108 @@ function getLlmApiBaseUrl() {
 	return `${secure}://${domain}`
 }
 
-const MAX_TURNS = 4
+const DEFAULT_MAX_TURNS = 8
+const MAX_TURNS_LIMIT = 32
+
+function resolveMaxTurns(value) {
+	if (!Number.isInteger(value) || value < 1) return DEFAULT_MAX_TURNS
+	return Math.min(value, MAX_TURNS_LIMIT)
+}
+
+/** Tool name is "actorCoId/eventType"; calls to one actor share an inbox and must not interleave */
+function toolTarget(name) {
+	const slash = typeof name === 'string' ? name.lastIndexOf('/') : -1
+	return slash < 0 ? name : name.slice(0, slash)
+}
+
+function parseToolCall(tc) {
+	const name = tc.function?.name ?? tc.name
+	let raw = tc.function?.arguments ?? tc.arguments ?? '{}'
+	if (typeof raw !== 'string') raw = JSON.stringify(raw)
+	try {
+		const args = JSON.parse(raw || '{}')
+		return { id: tc.id, name, args: args && typeof args === 'object' ? args : {}, error: null }
+	} catch {
+		return { id: tc.id, name, args: {}, error: `Invalid JSON arguments for ${name}` }
+	}
+}
+
+/**
+ * Run one turn's tool calls: per-target queues, queues in parallel.
+ * @returns {Promise<Array<{ id: string, name: string, args: Object, ok: boolean, result: *, durationMs: number, turn: number }>>} In call order
+ */
+async function runToolCalls(runtime, actor, toolCalls, turn, traceparent) {
+	const calls = toolCalls.map(parseToolCall)
+	const entries = new Array(calls.length)
+	const queues = new Map()
+	calls.forEach((call, i) => {
+		const key = toolTarget(call.name)
+		if (!queues.has(key)) queues.set(key, [])
+		queues.get(key).push(i)
+	})
+	const runOne = async (i) => {
+		const call = calls[i]
+		const started = Date.now()
+		let result
+		if (call.error) {
+			result = { ok: false, error: call.error }
+		} else {
+			try {
+				result = await runtime.executeToolCall(actor, call.name, call.args, { traceparent })
+			} catch (e) {
+				result = { ok: false, error: e?.message ?? String(e) }
+			}
+		}
+		entries[i] = {
+			id: call.id,
+			name: call.name,
+			args: call.args,
+			ok: result?.ok !== false,
+			result: result ?? {},
+			durationMs: Date.now() - started,
+			turn,
+		}
+	}
+	await Promise.all(
+		[...queues.values()].map(async (indexes) => {
+			for (const i of indexes) await runOne(i)
+		}),
+	)
+	return entries
+}
+
+/**
+ * Coalescing CoText writer: at most one colistApplyDiff in flight, later values replace pending ones.
+ * Display-only — write failures never fail the chat (SUCCESS carries the content).
+ */
+function createCoTextStreamWriter(os, coId) {
+	let pending = null
+	let writing = null
+	const drain = async () => {
+		while (pending !== null) {
+			const value = pending
+			pending = null
+			await os.do({ op: 'colistApplyDiff', coId, result: toGraphemes(value) }).catch(() => {})
+		}
+	}
+	return {
+		update(value) {
+			pending = value
+			if (!writing) writing = drain().finally(() => (writing = null))
+		},
+		async flush(value) {
+			if (value !== undefined) pending = value
+			while (writing) await writing
+			await drain()
+		},
+	}
+}
 
 export default {
-	async execute(actor, payload) {
+	async execute(actor, payload, { traceparent } = {}) {
 		const context = payload?.context || payload?.messages
-		const { model = 'qwen/qwen3-30b-a3b-instruct-2507', temperature = 1 } = payload
+		const { model = 'qwen/qwen3-30b-a3b-instruct-2507', temperature = 1, streamTo } = payload
+		const maxTurns = resolveMaxTurns(payload.maxTurns)
 
 		if (!context || !Array.isArray(context) || context.length === 0) {
 			return createErrorResult([
@@ -59,28 +164,52 @@ export default {
 		}
 
 		const apiUrl = `${getLlmApiBaseUrl()}/api/v0/llm/chat`
-		let token = null
-		try {
-			token = await runtime.getCapabilityToken?.({ cmd: '/llm/chat', args: {} })
-		} catch (_e) {}
+		// Invocation tokens are single-use (server nonce cache): mint one per request
+		const mintToken = async () => {
+			try {
+				return await runtime.getCapabilityToken?.({ cmd: '/llm/chat', args: {} })
+			} catch (_e) {
+				return null
+			}
+		}
+		let token = await mintToken()
 		if (!token) {
 			return createErrorResult([
 				createErrorEntry('structural', '[@ai/chat] Sign in required for AI chat'),
 			])
 		}
 
+		const os = actor.actorOps?.os
+		const writer =
+			typeof streamTo === 'string' && streamTo.startsWith('co_z') && os?.do
+				? createCoTextStreamWriter(os, streamTo)
+				: null
+		const stream = payload.stream ?? writer !== null
+
 		const tools = await runtime.collectTools()
 		const currentMessages = [...context]
+		const transcript = []
+		let lastActionSummary = null
+		const finish = async (content, responseModel) => {
+			await writer?.flush(content)
+			return createSuccessResult({ content, model: responseModel ?? model, toolCalls: transcript })
+		}
 
-		for (let turn = 0; turn < MAX_TURNS; turn++) {
-			const passTools = turn === 0 && tools.length > 0
+		for (let turn = 0; turn < maxTurns; turn++) {
 			const reqBody = {
 				model,
 				messages: currentMessages,
 				temperature,
-				...(passTools && { tools }),
+				...(tools.length > 0 && { tools }),
+				...(stream && { stream: true }),
 			}
 
+			if (turn > 0) token = await mintToken()
+			if (!token) {
+				return createErrorResult([
+					createErrorEntry('structural', '[@ai/chat] Sign in required for AI chat'),
+				])
+			}
 			const response = await fetch(apiUrl, {
 				method: 'POST',
 				headers: {
@@ -95,9 +224,25 @@ export default {
 				return createErrorResult(toStructuredErrors(errorData))
 			}
 
-			const data = await response.json()
-			const choice = data.choices?.[0]
-			const msg = choice?.message
+			let msg
+			let responseModel
+			if (stream) {
+				try {
+					const streamed = await readChatCompletionStream(response, {
+						onContent: (_delta, content) => writer?.update(content),
+					})
+					msg = streamed.message
+					responseModel = streamed.model
+				} catch (e) {
+					return createErrorResult([
+						createErrorEntry('structural', `[@ai/chat] Stream failed: ${e?.message ?? e}`),
+					])
+				}
+			} else {
+				const data = await response.json()
+				msg = data.choices?.[0]?.message
+				responseModel = data.model
+			}
 
 			if (!msg) {
 				return createErrorResult([createErrorEntry('structural', '[@ai/chat] LLM returned no message')])
@@ -106,10 +251,7 @@ export default {
 			const toolCalls = msg.tool_calls
 			if (!toolCalls || toolCalls.length === 0) {
 				const content = typeof msg.content === 'string' ? msg.content : ''
-				return createSuccessResult({
-					content,
-					model: data.model ?? model,
-				})
+				return finish(content || lastActionSummary || '', responseModel)
 			}
 
 			currentMessages.push({
@@ -118,35 +260,21 @@ export default {
 				tool_calls: toolCalls,
 			})
 
-			let lastActionSummary = null
-			let anyToolFailed = false
-			for (const tc of toolCalls) {
-				const name = tc.function?.name ?? tc.name
-				let raw = tc.function?.arguments ?? tc.arguments ?? '{}'
-				if (typeof raw !== 'string') raw = JSON.stringify(raw)
-				let args = {}
-				try {
-					args = JSON.parse(raw)
-				} catch {}
-				lastActionSummary =
-					typeof args.actionSummary === 'string' ? args.actionSummary : lastActionSummary
-				const result = await runtime.executeToolCall(actor, name, args)
-				if (result?.ok === false) anyToolFailed = true
+			const entries = await runToolCalls(runtime, actor, toolCalls, turn, traceparent)
+			for (const entry of entries) {
+				transcript.push(entry)
+				if (typeof entry.args.actionSummary === 'string') lastActionSummary = entry.args.actionSummary
 				currentMessages.push({
 					role: 'tool',
-					tool_call_id: tc.id,
-					content: typeof result === 'string' ? result : JSON.stringify(result ?? {}),
-				})
-			}
-
-			if (!anyToolFailed && lastActionSummary) {
-				return createSuccessResult({
-					content: lastActionSummary,
-					model: data.model ?? model,
+					tool_call_id: entry.id,
+					content: typeof entry.result === 'string' ? entry.result : JSON.stringify(entry.result),
 				})
 			}
 		}
 
-		return createErrorResult([createErrorEntry('structural', '[@ai/chat] Max tool turns reached')])
+		return createErrorResult(
+			[createErrorEntry('structural', `[@ai/chat] Max tool turns reached (${maxTurns})`)],
+			{ toolCalls: transcript },
+		)
 	},
 }
@@ -4,6 +4,7 @@
  * Payload: { value: string, path?: string } — path is dot path into context (default "notes.0.content").
  */
 
+import { toGraphemes } from '@MaiaOS/universe/helpers/graphemes.js'
 import {
 	createErrorEntry,
 	createErrorResult,
@@ -13,18 +14,6 @@ import {
 /** Cache last value per coId to skip split+diff when unchanged. */
 const _lastValueByCoId = new Map()
 
-/** Fast grapheme split: ASCII fast path, Intl.Segmenter for Unicode. */
-function toGraphemes(value) {
-	if (typeof value !== 'string') return []
-	for (let i = 0; i < value.length; i++) {
-		if (value.charCodeAt(i) > 127) {
-			const seg = new Intl.Segmenter('und', { granularity: 'grapheme' })
-			return [...seg.segment(value)].map((s) => s.segment)
-		}
-	}
-	return value.split('')
-}
-
 /** Resolve value at dot path (e.g. "notes.0.content") from object. */
 function getByPath(obj, path) {
 	if (!obj || !path || typeof path !== 'string') return undefined
@@ -0,0 +1,118 @@
+import { afterEach, describe, expect, test } from 'bun:test'
+import aiChat from '../src/sparks/maia/actors/services/ai/function.js'
+
+const realFetch = globalThis.fetch
+afterEach(() => {
+	globalThis.fetch = realFetch
+})
+
+const toolCall = (id, name, args) => ({
+	id,
+	type: 'function',
+	function: { name, arguments: JSON.stringify(args) },
+})
+
+/** Mock proxy: replies[i] is the assistant message for request i; records request bodies */
+function mockProxy(replies) {
+	const bodies = []
+	globalThis.fetch = async (_url, init) => {
+		const body = JSON.parse(init.body)
+		bodies.push(body)
+		const message = replies[bodies.length - 1] ?? { role: 'assistant', content: 'done' }
+		return Response.json({ model: body.model, choices: [{ index: 0, message }] })
+	}
+	return bodies
+}
+
+function mockActor(executeToolCall) {
+	return {
+		id: 'co_zcaller',
+		actorOps: {
+			runtime: {
+				collectTools: async () => [{ type: 'function', function: { name: 'co_zA/ADD' } }],
+				getCapabilityToken: async () => 'token',
+				executeToolCall,
+			},
+		},
+	}
+}
+
+const context = [{ role: 'user', content: 'do things' }]
+
+describe('@ai/chat tool loop', () => {
+	test('offers tools every turn and returns the transcript', async () => {
+		const bodies = mockProxy([
+			{ role: 'assistant', content: null, tool_calls: [toolCall('c1', 'co_zA/ADD', { n: 1 })] },
+			{ role: 'assistant', content: null, tool_calls: [toolCall('c2', 'co_zA/ADD', { n: 2 })] },
+			{ role: 'assistant', content: 'Added two.' },
+		])
+		const actor = mockActor(async (_actor, _name, args) => ({ ok: true, n: args.n }))
+		const res = await aiChat.execute(actor, { context })
+		expect(res.ok).toBe(true)
+		expect(res.data.content).toBe('Added two.')
+		expect(bodies.every((b) => b.tools?.length === 1)).toBe(true)
+		expect(bodies[2].messages.filter((m) => m.role === 'tool').map((m) => m.tool_call_id)).toEqual([
+			'c1',
+			'c2',
+		])
+		expect(res.data.toolCalls.map(({ id, turn, ok, result }) => ({ id, turn, ok, result }))).toEqual([
+			{ id: 'c1', turn: 0, ok: true, result: { ok: true, n: 1 } },
+			{ id: 'c2', turn: 1, ok: true, result: { ok: true, n: 2 } },
+		])
+	})
+
+	test('runs calls to different actors in parallel, same actor in order', async () => {
+		mockProxy([
+			{
+				role: 'assistant',
+				content: null,
+				tool_calls: [
+					toolCall('a1', 'co_zA/ADD', { actionSummary: 'Adding' }),
+					toolCall('b1', 'co_zB/ADD', {}),
+					toolCall('a2', 'co_zA/ADD', {}),
+				],
+			},
+			{ role: 'assistant', content: '' },
+		])
+		const log = []
+		let active = 0
+		let maxActive = 0
+		const actor = mockActor(async (_actor, name) => {
+			active++
+			maxActive = Math.max(maxActive, active)
+			log.push(`start ${name}`)
+			await Bun.sleep(5)
+			log.push(`end ${name}`)
+			active--
+			return { ok: true }
+		})
+		const res = await aiChat.execute(actor, { context })
+		expect(maxActive).toBe(2)
+		expect(log.indexOf('end co_zA/ADD')).toBeLessThan(log.lastIndexOf('start co_zA/ADD'))
+		expect(res.data.toolCalls.map((e) => e.id)).toEqual(['a1', 'b1', 'a2'])
+		// Empty final content falls back to the last actionSummary
+		expect(res.data.content).toBe('Adding')
+	})
+
+	test('honours maxTurns and reports failed or malformed calls to the model', async () => {
+		const bodies = mockProxy([
+			{
+				role: 'assistant',
+				content: null,
+				tool_calls: [{ id: 'bad', type: 'function', function: { name: 'co_zA/ADD', arguments: '{' } }],
+			},
+			{ role: 'assistant', content: null, tool_calls: [toolCall('c2', 'co_zA/ADD', {})] },
+		])
+		const actor = mockActor(async () => {
+			throw new Error('boom')
+		})
+		const res = await aiChat.execute(actor, { context, maxTurns: 2 })
+		expect(res.ok).toBe(false)
+		expect(res.errors[0].message).toContain('Max tool turns reached (2)')
+		expect(bodies).toHaveLength(2)
+		expect(res.toolCalls.map(({ id, ok, result }) => ({ id, ok, error: result.error }))).toEqual([
+			{ id: 'bad', ok: false, error: 'Invalid JSON arguments for co_zA/ADD' },
+			{ id: 'c2', ok: false, error: 'boom' },
+		])
+	})
+})
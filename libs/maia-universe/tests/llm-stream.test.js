@@ -0,0 +1,121 @@
+import { afterAll, beforeAll, describe, expect, test } from 'bun:test'
+import { createSseParser, readChatCompletionStream } from '../src/helpers/llm-stream.js'
+
+const sse = (obj) => `data: ${JSON.stringify(obj)}\n\n`
+const chunk = (delta, extra = {}) => ({
+	model: 'mock/model',
+	choices: [{ index: 0, delta, finish_reason: null }],
+	...extra,
+})
+
+/** Mock OpenAI-compatible upstream: replays a fixed SSE body in awkward fragments. */
+let server
+const bodies = {
+	'/content': [
+		': keep-alive\n\n',
+		sse(chunk({ role: 'assistant', content: 'Hel' })),
+		sse(chunk({ content: 'lo, ' })),
+		sse(chunk({ content: 'wörld' })),
+		sse({ model: 'mock/model', choices: [{ index: 0, delta: {}, finish_reason: 'stop' }] }),
+		'data: [DONE]\n\n',
+	].join(''),
+	'/tools': [
+		sse(
+			chunk({
+				tool_calls: [
+					{
+						index: 0,
+						id: 'call_a',
+						type: 'function',
+						function: { name: 'todos_create', arguments: '' },
+					},
+				],
+			}),
+		),
+		sse(
+			chunk({
+				tool_calls: [
+					{
+						index: 1,
+						id: 'call_b',
+						type: 'function',
+						function: { name: 'todos_toggle', arguments: '{"id":' },
+					},
+				],
+			}),
+		),
+		sse(chunk({ tool_calls: [{ index: 0, function: { arguments: '{"text":"mi' } }] })),
+		sse(chunk({ tool_calls: [{ index: 0, function: { arguments: 'lk"}' } }] })),
+		sse(chunk({ tool_calls: [{ index: 1, function: { arguments: '"co_z1"}' } }] })),
+		'data: [DONE]\n\n',
+	].join(''),
+	'/error': sse({ error: { message: 'upstream overloaded' } }),
+}
+
+beforeAll(() => {
+	server = Bun.serve({
+		port: 0,
+		fetch(req) {
+			const body = bodies[new URL(req.url).pathname]
+			const bytes = new TextEncoder().encode(body)
+			// 7-byte slices split lines, JSON and multi-byte UTF-8 across reads
+			const stream = new ReadableStream({
+				start(controller) {
+					for (let i = 0; i < bytes.length; i += 7) controller.enqueue(bytes.slice(i, i + 7))
+					controller.close()
+				},
+			})
+			return new Response(stream, { headers: { 'Content-Type': 'text/event-stream' } })
+		},
+	})
+})
+
+afterAll(() => server?.stop(true))
+
+describe('createSseParser', () => {
+	test('joins multi-line data, ignores comments, handles CRLF split across pushes', () => {
+		const events = []
+		const parser = createSseParser((data) => events.push(data))
+		parser.push(': ping\r\ndata: a\r')
+		parser.push('\ndata: b\r\n\r\nevent: x\ndata:c')
+		parser.end()
+		expect(events).toEqual(['a\nb', 'c'])
+	})
+})
+
+describe('readChatCompletionStream (mock upstream)', () => {
+	test('reassembles content and reports each delta', async () => {
+		const seen = []
+		const res = await fetch(`http://localhost:${server.port}/content`)
+		const { message, model, finishReason } = await readChatCompletionStream(res, {
+			onContent: (_delta, content) => seen.push(content),
+		})
+		expect(message).toEqual({ role: 'assistant', content: 'Hello, wörld' })
+		expect(model).toBe('mock/model')
+		expect(finishReason).toBe('stop')
+		expect(seen).toEqual(['Hel', 'Hello, ', 'Hello, wörld'])
+	})
+
+	test('reassembles interleaved tool_call argument deltas by index', async () => {
+		const res = await fetch(`http://localhost:${server.port}/tools`)
+		const { message } = await readChatCompletionStream(res)
+		expect(message.content).toBe('')
+		expect(message.tool_calls).toEqual([
+			{
+				id: 'call_a',
+				type: 'function',
+				function: { name: 'todos_create', arguments: '{"text":"milk"}' },
+			},
+			{
+				id: 'call_b',
+				type: 'function',
+				function: { name: 'todos_toggle', arguments: '{"id":"co_z1"}' },
+			},
+		])
+	})
+
+	test('surfaces upstream error events', async () => {
+		const res = await fetch(`http://localhost:${server.port}/error`)
+		await expect(readChatCompletionStream(res)).rejects.toThrow('upstream overloaded')
+	})
+})
@@ -30,8 +30,8 @@ describe('maia registry (generated)', () => {
 	})
 
 	test('ALL_VIBE_REGISTRIES matches registry.js discovery', async () => {
-		expect(ALL_VIBE_REGISTRIES.length).toBe(8)
+		expect(ALL_VIBE_REGISTRIES.length).toBe(9)
 		const asyncList = await getAllVibeRegistries()
-		expect(asyncList.length).toBe(8)
+		expect(asyncList.length).toBe(9)
 	})
 })
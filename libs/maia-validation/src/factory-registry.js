@@ -20,20 +20,31 @@ const FACTORY_BASENAME_TO_REGISTRY_KEY = {
 	'humans-registry.factory.maia': 'os/humans-registry',
 	'inbox.factory.maia': 'inbox',
 	'indexes-registry.factory.maia': 'os/indexes-registry',
+	'llm-usage.factory.maia': 'os/llm-usage',
+	'log-stream.factory.maia': 'os/log-stream',
 	'maia-script-expression.factory.maia': 'maia-script-expression',
+	'operator.factory.maia': 'os/operator',
 	'os-registry.factory.maia': 'os/os-registry',
 	'process.factory.maia': 'process',
 	'registries.factory.maia': 'os/registries',
+	'revocation.factory.maia': 'os/revocation',
 	'sparks-registry.factory.maia': 'os/sparks-registry',
 	'style.factory.maia': 'style',
+	'timer.factory.maia': 'os/timer',
+	'tool-audit.factory.maia': 'os/tool-audit',
+	'tool-confirmation.factory.maia': 'os/tool-confirmation',
 	'vibe.factory.maia': 'vibe',
 	'vibes-registry.factory.maia': 'os/vibes-registry',
 	'view.factory.maia': 'view',
 	'wasm.factory.maia': 'os/wasm',
+	'building.factory.maia': 'data/building',
 	'chat.factory.maia': 'data/chat',
+	'city.factory.maia': 'data/city',
 	'cobinary.factory.maia': 'data/cobinary',
 	'notes.factory.maia': 'data/notes',
 	'profile.factory.maia': 'data/profile',
+	'resource-ledger.factory.maia': 'data/resource-ledger',
+	'resource-tick.factory.maia': 'data/resource-tick',
 	'spark.factory.maia': 'data/spark',
 	'todos.factory.maia': 'data/todos',
 }
@@ -46,8 +57,10 @@ const UNIQUE_PATH_KEYS = [
 	'actor.factory.maia',
 	'aven-identity.factory.maia',
 	'avens-identity-registry.factory.maia',
+	'building.factory.maia',
 	'capability.factory.maia',
 	'chat.factory.maia',
+	'city.factory.maia',
 	'cobinary.factory.maia',
 	'context.factory.maia',
 	'cotext.factory.maia',
@@ -58,16 +71,25 @@ const UNIQUE_PATH_KEYS = [
 	'humans-registry.factory.maia',
 	'inbox.factory.maia',
 	'indexes-registry.factory.maia',
+	'llm-usage.factory.maia',
+	'log-stream.factory.maia',
 	'maia-script-expression.factory.maia',
 	'notes.factory.maia',
+	'operator.factory.maia',
 	'os-registry.factory.maia',
 	'process.factory.maia',
 	'profile.factory.maia',
 	'registries.factory.maia',
+	'resource-ledger.factory.maia',
+	'resource-tick.factory.maia',
+	'revocation.factory.maia',
 	'spark.factory.maia',
 	'sparks-registry.factory.maia',
 	'style.factory.maia',
+	'timer.factory.maia',
 	'todos.factory.maia',
+	'tool-audit.factory.maia',
+	'tool-confirmation.factory.maia',
 	'vibe.factory.maia',
 	'vibes-registry.factory.maia',
 	'view.factory.maia',
@@ -80,8 +102,10 @@ const UNIVERSE_FACTORY_IMPORTS = {
 		import('@MaiaOS/universe/factories/aven-identity.factory.maia'),
 	'avens-identity-registry.factory.maia': () =>
 		import('@MaiaOS/universe/factories/avens-identity-registry.factory.maia'),
+	'building.factory.maia': () => import('@MaiaOS/universe/factories/building.factory.maia'),
 	'capability.factory.maia': () => import('@MaiaOS/universe/factories/capability.factory.maia'),
 	'chat.factory.maia': () => import('@MaiaOS/universe/factories/chat.factory.maia'),
+	'city.factory.maia': () => import('@MaiaOS/universe/factories/city.factory.maia'),
 	'cobinary.factory.maia': () => import('@MaiaOS/universe/factories/cobinary.factory.maia'),
 	'context.factory.maia': () => import('@MaiaOS/universe/factories/context.factory.maia'),
 	'cotext.factory.maia': () => import('@MaiaOS/universe/factories/cotext.factory.maia'),
@@ -95,18 +119,30 @@ const UNIVERSE_FACTORY_IMPORTS = {
 	'inbox.factory.maia': () => import('@MaiaOS/universe/factories/inbox.factory.maia'),
 	'indexes-registry.factory.maia': () =>
 		import('@MaiaOS/universe/factories/indexes-registry.factory.maia'),
+	'llm-usage.factory.maia': () => import('@MaiaOS/universe/factories/llm-usage.factory.maia'),
+	'log-stream.factory.maia': () => import('@MaiaOS/universe/factories/log-stream.factory.maia'),
 	'maia-script-expression.factory.maia': () =>
 		import('@MaiaOS/universe/factories/maia-script-expression.factory.maia'),
 	'notes.factory.maia': () => import('@MaiaOS/universe/factories/notes.factory.maia'),
+	'operator.factory.maia': () => import('@MaiaOS/universe/factories/operator.factory.maia'),
 	'os-registry.factory.maia': () => import('@MaiaOS/universe/factories/os-registry.factory.maia'),
 	'process.factory.maia': () => import('@MaiaOS/universe/factories/process.factory.maia'),
 	'profile.factory.maia': () => import('@MaiaOS/universe/factories/profile.factory.maia'),
 	'registries.factory.maia': () => import('@MaiaOS/universe/factories/registries.factory.maia'),
+	'resource-ledger.factory.maia': () =>
+		import('@MaiaOS/universe/factories/resource-ledger.factory.maia'),
+	'resource-tick.factory.maia': () =>
+		import('@MaiaOS/universe/factories/resource-tick.factory.maia'),
+	'revocation.factory.maia': () => import('@MaiaOS/universe/factories/revocation.factory.maia'),
 	'spark.factory.maia': () => import('@MaiaOS/universe/factories/spark.factory.maia'),
 	'sparks-registry.factory.maia': () =>
 		import('@MaiaOS/universe/factories/sparks-registry.factory.maia'),
 	'style.factory.maia': () => import('@MaiaOS/universe/factories/style.factory.maia'),
+	'timer.factory.maia': () => import('@MaiaOS/universe/factories/timer.factory.maia'),
 	'todos.factory.maia': () => import('@MaiaOS/universe/factories/todos.factory.maia'),
+	'tool-audit.factory.maia': () => import('@MaiaOS/universe/factories/tool-audit.factory.maia'),
+	'tool-confirmation.factory.maia': () =>
+		import('@MaiaOS/universe/factories/tool-confirmation.factory.maia'),
 	'vibe.factory.maia': () => import('@MaiaOS/universe/factories/vibe.factory.maia'),
 	'vibes-registry.factory.maia': () =>
 		import('@MaiaOS/universe/factories/vibes-registry.factory.maia'),
@@ -163,8 +199,10 @@ function buildFactories(rawByPathKey) {
 	const actorSchema = p('actor.factory.maia')
 	const avenIdentitySchema = p('aven-identity.factory.maia')
 	const avensIdentityRegistrySchema = p('avens-identity-registry.factory.maia')
+	const buildingDataSchema = p('building.factory.maia')
 	const capabilitySchema = p('capability.factory.maia')
 	const chatDataSchema = p('chat.factory.maia')
+	const cityDataSchema = p('city.factory.maia')
 	const cobinaryDataSchema = p('cobinary.factory.maia')
 	const contextSchema = p('context.factory.maia')
 	const cotextSchema = p('cotext.factory.maia')
@@ -177,14 +215,23 @@ function buildFactories(rawByPathKey) {
 	const indexesRegistrySchema = p('indexes-registry.factory.maia')
 	const maiaScriptExpressionSchema = p('maia-script-expression.factory.maia')
 	const notesDataSchema = p('notes.factory.maia')
+	const operatorSchema = p('operator.factory.maia')
 	const osRegistrySchema = p('os-registry.factory.maia')
 	const processSchema = p('process.factory.maia')
 	const profileDataSchema = p('profile.factory.maia')
 	const registriesSchema = p('registries.factory.maia')
+	const resourceLedgerDataSchema = p('resource-ledger.factory.maia')
+	const resourceTickDataSchema = p('resource-tick.factory.maia')
+	const revocationSchema = p('revocation.factory.maia')
+	const llmUsageSchema = p('llm-usage.factory.maia')
+	const logStreamSchema = p('log-stream.factory.maia')
 	const sparkDataSchema = p('spark.factory.maia')
 	const sparksRegistrySchema = p('sparks-registry.factory.maia')
 	const styleSchema = p('style.factory.maia')
+	const timerSchema = p('timer.factory.maia')
 	const todosDataSchema = p('todos.factory.maia')
+	const toolAuditSchema = p('tool-audit.factory.maia')
+	const toolConfirmationSchema = p('tool-confirmation.factory.maia')
 	const vibeSchema = p('vibe.factory.maia')
 	const vibesRegistrySchema = p('vibes-registry.factory.maia')
 	const viewSchema = p('view.factory.maia')
@@ -204,7 +251,14 @@ function buildFactories(rawByPathKey) {
 		inbox: inboxFactory,
 		'os/factories-registry': factoriesRegistryFactory,
 		'os/os-registry': osRegistrySchema,
+		'os/operator': operatorSchema,
 		'os/capability': capabilitySchema,
+		'os/revocation': revocationSchema,
+		'os/llm-usage': llmUsageSchema,
+		'os/tool-confirmation': toolConfirmationSchema,
+		'os/tool-audit': toolAuditSchema,
+		'os/log-stream': logStreamSchema,
+		'os/timer': timerSchema,
 		'os/groups': groupsSchema,
 		'os/indexes-registry': indexesRegistrySchema,
 		'os/aven-identity': avenIdentitySchema,
@@ -223,6 +277,10 @@ function buildFactories(rawByPathKey) {
 		'data/todos': todosDataSchema,
 		'data/chat': chatDataSchema,
 		'data/spark': sparkDataSchema,
+		'data/city': cityDataSchema,
+		'data/building': buildingDataSchema,
+		'data/resource-ledger': resourceLedgerDataSchema,
+		'data/resource-tick': resourceTickDataSchema,
 	}
 }
 
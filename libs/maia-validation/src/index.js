@@ -29,6 +29,12 @@ export {
 	isVibeRef,
 	VIBE_REF_PATTERN,
 } from './patterns.js'
+export {
+	getProcessStateErrors,
+	isStateProcess,
+	normalizeHandler,
+	validateProcessDef,
+} from './process-validator.js'
 export { removeIdFields } from './remove-id-fields.js'
 export { ValidationEngine } from './validation.engine.js'
 export {
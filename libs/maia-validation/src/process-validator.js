@@ -0,0 +1,91 @@
+/**
+ * Process definition validator - checks the optional finite-state section (`initial` + `states`)
+ * beyond what process.factory.maia can express: transition targets exist, every state is
+ * reachable from `initial`, and every handler does something.
+ */
+
+/** True when a process definition uses finite-state mode. */
+export function isStateProcess(processDef) {
+	return Boolean(processDef?.states && typeof processDef.states === 'object')
+}
+
+/**
+ * Handler entry → { actions, target, atomic }: an action array, { atomic, actions } (transaction)
+ * or, in a state, { target, actions, atomic? } (transition).
+ */
+export function normalizeHandler(handler) {
+	if (Array.isArray(handler)) return { actions: handler, target: null, atomic: false }
+	if (handler && typeof handler === 'object') {
+		return {
+			actions: Array.isArray(handler.actions) ? handler.actions : [],
+			target: typeof handler.target === 'string' ? handler.target : null,
+			atomic: handler.atomic === true,
+		}
+	}
+	return { actions: [], target: null, atomic: false }
+}
+
+/**
+ * Collect problems with a process's state machine (empty for flat processes).
+ * @param {Object} processDef - Process definition ({ handlers?, initial?, states? })
+ * @param {Object} [options]
+ * @param {string[]} [options.events] - Event types the actor accepts (interface); each needs a handler somewhere
+ * @returns {string[]} Error messages
+ */
+export function getProcessStateErrors(processDef, { events = [] } = {}) {
+	if (!isStateProcess(processDef)) return []
+	const { initial, states } = processDef
+	const names = Object.keys(states)
+	const errors = []
+	if (names.length === 0) return ['states is empty']
+	if (typeof initial !== 'string' || !(initial in states)) {
+		errors.push(`initial state "${initial}" is not one of: ${names.join(', ')}`)
+	}
+
+	const targets = new Map(names.map((name) => [name, new Set()]))
+	const handledEvents = new Set(Object.keys(processDef.handlers ?? {}))
+	for (const [name, state] of Object.entries(states)) {
+		for (const [event, handler] of Object.entries(state?.handlers ?? {})) {
+			handledEvents.add(event)
+			const { actions, target } = normalizeHandler(handler)
+			if (target !== null) {
+				if (target in states) targets.get(name).add(target)
+				else errors.push(`state "${name}" handles ${event} with unknown target "${target}"`)
+			} else if (actions.length === 0) {
+				errors.push(`state "${name}" has no handler for ${event} (no actions, no target)`)
+			}
+		}
+	}
+
+	if (initial in states) {
+		const reached = new Set([initial])
+		const queue = [initial]
+		while (queue.length > 0) {
+			for (const next of targets.get(queue.shift())) {
+				if (!reached.has(next)) {
+					reached.add(next)
+					queue.push(next)
+				}
+			}
+		}
+		for (const name of names) {
+			if (!reached.has(name)) errors.push(`state "${name}" is unreachable from "${initial}"`)
+		}
+	}
+
+	for (const event of events) {
+		if (!handledEvents.has(event)) errors.push(`event ${event} has no handler in any state`)
+	}
+	return errors
+}
+
+/**
+ * Validate a process definition's state machine. Throws listing every problem.
+ * Call when the process is created so a broken machine never starts.
+ */
+export function validateProcessDef(processDef, options = {}) {
+	const errors = getProcessStateErrors(processDef, options)
+	if (errors.length > 0) {
+		throw new Error(`[ProcessEngine] Invalid states: ${errors.join('; ')}`)
+	}
+}
@@ -100,6 +100,7 @@ function validateViewNode(node, path = 'view') {
 	}
 
 	if (node.$each) {
+		if (node.$each.$key !== undefined) rejectValue(node.$each.$key, `${path}.$each`, '$key')
 		validateViewNode(node.$each.template, `${path}.$each.template`)
 	}
 }
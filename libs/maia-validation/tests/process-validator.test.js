@@ -0,0 +1,48 @@
+import { describe, expect, test } from 'bun:test'
+import { getProcessStateErrors, validateProcessDef } from '../src/process-validator.js'
+
+const chat = {
+	initial: 'idle',
+	states: {
+		idle: { handlers: { SEND: { target: 'sending' } } },
+		sending: {
+			handlers: {
+				SUCCESS: { target: 'idle' },
+				ERROR: { target: 'failed', actions: [{ ctx: { error: '$$errors' } }] },
+			},
+		},
+		failed: { handlers: { RETRY: { target: 'sending' } } },
+	},
+}
+
+describe('process state validation', () => {
+	test('flat processes and well-formed machines pass', () => {
+		expect(getProcessStateErrors({ handlers: { SEND: [] } })).toEqual([])
+		expect(getProcessStateErrors(chat, { events: ['SEND', 'RETRY'] })).toEqual([])
+	})
+
+	test('rejects unknown initial, unknown targets and unreachable states', () => {
+		const errors = getProcessStateErrors({
+			initial: 'start',
+			states: {
+				idle: { handlers: { GO: { target: 'nowhere' } } },
+				orphan: {},
+			},
+		})
+		expect(errors).toContain('initial state "start" is not one of: idle, orphan')
+		expect(errors).toContain('state "idle" handles GO with unknown target "nowhere"')
+		expect(getProcessStateErrors({ initial: 'idle', states: { idle: {}, orphan: {} } })).toEqual([
+			'state "orphan" is unreachable from "idle"',
+		])
+	})
+
+	test('rejects events with no handler', () => {
+		const def = { initial: 'idle', states: { idle: { handlers: { SEND: [] } } } }
+		expect(() => validateProcessDef(def, { events: ['SEND', 'CANCEL'] })).toThrow(
+			'[ProcessEngine] Invalid states: state "idle" has no handler for SEND (no actions, no target); event CANCEL has no handler in any state',
+		)
+		// Flat handlers count for every state
+		const withFlat = { ...chat, handlers: { CANCEL: [{ ctx: { draft: '' } }] } }
+		expect(getProcessStateErrors(withFlat, { events: ['CANCEL'] })).toEqual([])
+	})
+})
@@ -32,6 +32,7 @@ const VIBE_REGISTRY_EXPORT = {
 	profile: 'ProfileVibeRegistry',
 	quickjs: 'QuickjsVibeRegistry',
 	sparks: 'SparksVibeRegistry',
+	usage: 'UsageVibeRegistry',
 }
 
 const VIBE_REGISTRY_ALIASES = {
@@ -286,7 +286,7 @@ export async function renderApp(
 	if (currentScreen === 'the-game') {
 		// Do not await: loading + Three.js mount can take seconds; awaiting would keep
 		// renderAppInternal's isRendering lock and drop navigateToScreen (e.g. home) until load finishes.
-		void renderGame().catch((err) => {
+		void renderGame(maia).catch((err) => {
 			console.error('[Maia game] render failed', err)
 		})
 		return
@@ -1,7 +1,10 @@
 /**
  * Full-viewport Three.js scene from @MaiaOS/game (dashboard screen `the-game`).
  * Loads `@MaiaOS/game` only when entering The Game (dynamic import + parallel splash decode).
+ * Signed in, the city (tick, resources, dome placement) is persisted in CoValues through `maia.do`.
  */
+import { resolveFactoryRefToCoId } from '@MaiaOS/runtime'
+
 const LOADING_SCREEN_IMAGE = '/brand/images/loading-screen.png'
 
 let _gameDispose = null
@@ -52,10 +55,23 @@ function gameLoadingMarkup() {
 	`
 }
 
+/** City store over the signed-in runtime; null (in-memory city) without one or before city factories are seeded. */
+function createGameCityStore(maia, gameMod) {
+	const peer = maia?.dataEngine?.peer
+	if (!peer || typeof maia.do !== 'function') return null
+	const factories = {}
+	for (const [key, ref] of Object.entries(gameMod.CITY_FACTORY_REFS)) {
+		factories[key] = resolveFactoryRefToCoId(peer, ref)
+		if (!factories[key]) return null
+	}
+	return gameMod.createCityStore({ execute: (payload) => maia.do(payload), factories })
+}
+
 /**
  * Paint loading UI, decode splash + load game module in parallel, then mount after frames so the browser can paint the splash.
+ * @param {Object} [maia] - signed-in MaiaOS instance (city persistence)
  */
-export async function renderGame() {
+export async function renderGame(maia) {
 	disposeGame()
 	const token = _loadSession
 	const app = document.getElementById('app')
@@ -65,6 +81,7 @@ export async function renderGame() {
 	const [, gameMod] = await Promise.all([waitForLoadingScreenImage(), import('@MaiaOS/game')])
 	const { mountGame } = gameMod
 	if (token !== _loadSession) return
+	const cityStore = createGameCityStore(maia, gameMod)
 
 	const scheduleMount = () => {
 		if (token !== _loadSession) return
@@ -72,11 +89,11 @@ export async function renderGame() {
 		if (typeof requestAnimationFrame === 'function') {
 			requestAnimationFrame(() => {
 				requestAnimationFrame(() => {
-					void runMountAsync(token, container, mountGame)
+					void runMountAsync(token, container, mountGame, cityStore)
 				})
 			})
 		} else {
-			setTimeout(() => void runMountAsync(token, container, mountGame), 0)
+			setTimeout(() => void runMountAsync(token, container, mountGame, cityStore), 0)
 		}
 	}
 
@@ -84,7 +101,7 @@ export async function renderGame() {
 }
 
 /** Terrain build yields to the event loop; await so home navigation can run mid-mount. */
-async function runMountAsync(token, container, mountGame) {
+async function runMountAsync(token, container, mountGame, cityStore) {
 	await new Promise((r) => setTimeout(r, 0))
 	if (token !== _loadSession) return
 	if (!container?.isConnected) return
@@ -92,6 +109,7 @@ async function runMountAsync(token, container, mountGame) {
 	try {
 		result = await mountGame(container, {
 			isCancelled: () => token !== _loadSession,
+			cityStore,
 		})
 	} catch (err) {
 		console.error('[Maia game] mount failed', err)
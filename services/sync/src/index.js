@@ -7,28 +7,37 @@
  *
  * Env vars (required - sync never generates credentials, only reads from env):
  *   AVEN_MAIA_ACCOUNT, AVEN_MAIA_SECRET - From Fly secrets (sync from .env: bun run agent:generate)
- *   PEER_SYNC_STORAGE=pglite | postgres (required - server never runs without persistent storage)
+ *   PEER_SYNC_STORAGE=pglite | sqlite | postgres (required - server never runs without persistent storage)
  *     - pglite: PEER_DB_PATH (default ./pg-lite.db)
+ *     - sqlite: PEER_DB_PATH, a database file (default ./sync.db)
  *     - postgres: PEER_SYNC_DB_URL (required)
  *   AVEN_MAIA_GUARDIAN: Human account co-id (co_z...). If set, add as admin of °maia spark guardian; also seeds /sync/write so that account can sync without POST /register.
  *   PEER_SYNC_MODE: seed | migrate | unset/empty/none — controls one-shot sync startup behavior.
- *     - seed: Clear storage (PGlite) then genesis seed (bootstrap + schemas + vibes). May overwrite scaffold.
+ *     - seed: Clear storage (PGlite / SQLite) then genesis seed (bootstrap + schemas + vibes). May overwrite scaffold.
  *     - migrate: Diff MAIA_SPARK_REGISTRY vs live CoValues and apply CRDT updates (after resolveSystemFactories). No seed.
  *     - unset, empty, or none: Normal run — use persisted scaffold; no genesis seed; no one-shot migrate.
  *   SEED_VIBES: Default "all". Which vibes to seed (todos, chat, quickjs, etc). "all" seeds every vibe including quickjs.
  *   Dev: when NODE_ENV is not production, sync watches `.maia` under maia-universe and live-migrates after registry regen. Production (Fly) sets NODE_ENV=production, so watch is off.
+ *   LLM_PROVIDERS: JSON array of LLM proxy providers (openai | ollama | fake) with per-model routing and fallback order; see src/llm-providers.js.
+ *     Unset: RED_PILL_API_KEY enables a single RedPill provider (RED_PILL_BASE_URL overrides its URL).
  *   PEER_APP_HOST: Allowed CORS origin (e.g. https://next.maia.city). When set, only that origin can call sync/LLM in production. Unset = * (dev).
  *   MAIA_DEV_CORS=1: With Postgres local dev, enable same multi-origin dev CORS as PGlite (localhost / 127.0.0.1 / ::1 on port 4200).
+ *   PEER_BLOB_GC_INTERVAL_MS: Blob store mark-and-sweep interval (default 6h, first run 1 min after start; 0 disables).
+ *     PEER_BLOB_GC_GRACE_MS: keep unreferenced blobs younger than this (default 1h, covers in-flight uploads).
+ *     PEER_BLOB_GC_DRY_RUN=1: only log what would be deleted.
  */
 
 import {
 	accountHasCapabilityOnPeer,
+	findCapabilityGrantsOnPeer,
 	getRuntimeRef,
+	loadLlmUsageOnPeer,
+	loadRevocationsOnPeer,
 	RUNTIME_REF,
 	resolveInfraFactoryCoId,
 } from '@MaiaOS/db'
 import { createOpsLogger, OPS_PREFIX } from '@MaiaOS/logs'
-import { agentIDToDidKey, verifyInvocationToken } from '@MaiaOS/maia-ucan'
+import { agentIDToDidKey, NonceCache, verifyInvocationToken } from '@MaiaOS/maia-ucan'
 import {
 	createWebSocketPeer,
 	DataEngine,
@@ -44,6 +53,15 @@ import {
 import { buildSeedConfig, filterVibesForSeeding, getSeedConfig } from '@MaiaOS/seed'
 import { dirname, resolve as pathResolve } from 'node:path'
 import { fileURLToPath } from 'node:url'
+import { createLLMProviderRegistry, loadLLMProviderConfigs } from './llm-providers.js'
+import {
+	completionText,
+	createUsageMeter,
+	effectiveQuota,
+	estimateUsage,
+	meterCompletionStream,
+	usageFromOpenAI,
+} from './llm-usage.js'
 
 // Resolve db path relative to sync package root (not process.cwd) so persistence is stable across restarts
 const _syncDir = pathResolve(dirname(fileURLToPath(import.meta.url)), '..')
@@ -53,26 +71,27 @@ const opsRegister = createOpsLogger('register')
 const opsLlm = createOpsLogger('llm')
 
 const PORT = process.env.PORT || 4201
-const PEER_DB_PATH = process.env.PEER_DB_PATH || './pg-lite.db'
 
 const accountID = process.env.AVEN_MAIA_ACCOUNT
 const agentSecret = process.env.AVEN_MAIA_SECRET
 const storageType = process.env.PEER_SYNC_STORAGE || 'pglite'
 if (storageType === 'in-memory' || storageType === 'jazz-cloud') {
 	throw new Error(
-		`${OPS_PREFIX.sync} Server requires persistent storage. Use PEER_SYNC_STORAGE=pglite or PEER_SYNC_STORAGE=postgres. No in-memory or jazz-cloud.`,
+		`${OPS_PREFIX.sync} Server requires persistent storage. Use PEER_SYNC_STORAGE=pglite, sqlite or postgres. No in-memory or jazz-cloud.`,
 	)
 }
 const usePGlite = storageType === 'pglite'
+const useSqlite = storageType === 'sqlite'
 const usePostgres = storageType === 'postgres'
-if (!usePGlite && !usePostgres) {
+if (!usePGlite && !useSqlite && !usePostgres) {
 	throw new Error(
-		`${OPS_PREFIX.sync} PEER_SYNC_STORAGE must be pglite or postgres. Got: ${storageType}`,
+		`${OPS_PREFIX.sync} PEER_SYNC_STORAGE must be pglite, sqlite or postgres. Got: ${storageType}`,
 	)
 }
+const PEER_DB_PATH = process.env.PEER_DB_PATH || (useSqlite ? './sync.db' : './pg-lite.db')
 // Resolve relative to sync package dir (stable across runs regardless of cwd)
-const dbPath = usePGlite ? pathResolve(_syncDir, PEER_DB_PATH) : undefined
-const RED_PILL_API_KEY = process.env.RED_PILL_API_KEY || ''
+const dbPath = usePostgres ? undefined : pathResolve(_syncDir, PEER_DB_PATH)
+const llmProviders = createLLMProviderRegistry(loadLLMProviderConfigs())
 
 const avenMaiaGuardian = process.env.AVEN_MAIA_GUARDIAN?.trim() || null
 function parsePeerSyncMode() {
@@ -110,7 +129,7 @@ const DEV_APP_ORIGINS = new Set([
 ])
 
 const IS_LOCAL_DEV_CORS =
-	usePGlite || process.env.MAIA_DEV_CORS === 'true' || process.env.MAIA_DEV_CORS === '1'
+	usePGlite || useSqlite || process.env.MAIA_DEV_CORS === 'true' || process.env.MAIA_DEV_CORS === '1'
 
 const rawPeerAppHost = process.env.PEER_APP_HOST?.trim() || ''
 const CONFIGURED_CORS_ORIGIN = rawPeerAppHost ? normalizeCorsOrigin(rawPeerAppHost) : null
@@ -213,7 +232,7 @@ async function getCoIdByPath(peer, startId, path, opts = {}) {
 	}
 }
 
-/** Verify that the signer (iss/did:key) owns the claimed accountID. Prevents forged accountID in token. */
+/** Verify that the root authority (sub: the token signer, or the root of its delegation chain) owns the claimed accountID. Prevents forged accountID in token. */
 async function verifyAccountBinding(peer, accountId, expectedDidKey) {
 	if (!accountId?.startsWith('co_z') || !expectedDidKey?.startsWith('did:key:')) return false
 	try {
@@ -230,13 +249,40 @@ async function verifyAccountBinding(peer, accountId, expectedDidKey) {
 	}
 }
 
-/** Create Capability CoMap; index hook appends to spark.os.indexes[capability schema]. Skips if a non-expired grant for the same sub+cmd already exists. */
+/** Invocation tokens are single-use until exp (per process; Fly runs one sync instance). */
+const invocationNonces = new NonceCache()
+const REVOCATIONS_TTL_MS = 5000
+let revocationsCache = { at: 0, value: null }
+
+/** Revoked token CIDs + issuer DIDs from spark.os.indexes[Revocation], refreshed at most every 5s. */
+async function getRevocations(worker) {
+	if (revocationsCache.value && Date.now() - revocationsCache.at < REVOCATIONS_TTL_MS) {
+		return revocationsCache.value
+	}
+	const value = await loadRevocationsOnPeer(worker.peer)
+	revocationsCache = { at: Date.now(), value }
+	return value
+}
+
+/** Verify a Bearer invocation token: signature, prf chain, clock skew, revocation list, single use. */
+async function verifyBearerToken(worker, token, allowedCmd) {
+	return verifyInvocationToken(token, {
+		now: Math.floor(Date.now() / 1000),
+		allowedCmd,
+		nonceCache: invocationNonces,
+		revocations: await getRevocations(worker),
+	})
+}
+
+/** Create Capability CoMap; index hook appends to spark.os.indexes[capability schema]. Skips if a live grant for sub already covers cmd. */
 async function ensureCapabilityGrant(worker, { sub, cmd, pol, exp }) {
 	const peer = worker.peer
 	if (!resolveInfraFactoryCoId(peer, RUNTIME_REF.OS_CAPABILITY)) {
 		await worker.dataEngine.resolveSystemFactories()
 	}
-	if (await accountHasCapabilityOnPeer(peer, worker.account, sub, cmd)) return
+	// Any live grant counts, restricted or not: never widen a guardian-narrowed policy
+	if (await accountHasCapabilityOnPeer(peer, worker.account, sub, cmd, { ignorePolicy: true }))
+		return
 	const capabilitySchemaCoId = resolveInfraFactoryCoId(peer, RUNTIME_REF.OS_CAPABILITY)
 	if (!capabilitySchemaCoId) {
 		opsRegister.warn(
@@ -308,13 +354,40 @@ async function seedCapabilitiesForGuardian(worker) {
 	}
 }
 
-/** Check if account has valid capability from Capability index CoList. /admin grants all. */
-async function hasValidCapability(worker, accountId, cmd) {
+/** Check if account has a grant covering cmd whose policy (pol) accepts args. /admin grants all. */
+async function hasValidCapability(worker, accountId, cmd, args = {}) {
 	const peer = worker.peer
 	if (!resolveInfraFactoryCoId(peer, RUNTIME_REF.OS_CAPABILITY)) {
 		await worker.dataEngine.resolveSystemFactories()
 	}
-	return accountHasCapabilityOnPeer(peer, worker.account, accountId, cmd)
+	return accountHasCapabilityOnPeer(peer, worker.account, accountId, cmd, { args })
+}
+
+/** LLM usage ledger (LlmUsage CoMaps in the system spark), created on first use once the worker is up. */
+let llmUsageMeter = null
+function getLlmUsageMeter(worker) {
+	if (llmUsageMeter) return llmUsageMeter
+	const usageSchemaCoId = () => resolveInfraFactoryCoId(worker.peer, RUNTIME_REF.OS_LLM_USAGE)
+	llmUsageMeter = createUsageMeter({
+		loadRows: (month) => loadLlmUsageOnPeer(worker.peer, { month }),
+		async createRow(data) {
+			if (!usageSchemaCoId()) await worker.dataEngine.resolveSystemFactories()
+			const r = await worker.dataEngine.execute({
+				op: 'create',
+				factory: usageSchemaCoId(),
+				data,
+				spark: worker.peer.systemSparkCoId,
+			})
+			if (r?.ok === false) throw new Error(r.errors?.map((e) => e.message).join('; '))
+			return r?.data?.id ?? r?.id
+		},
+		async updateRow(id, data) {
+			const r = await worker.dataEngine.execute({ op: 'update', id, data })
+			if (r?.ok === false) throw new Error(r.errors?.map((e) => e.message).join('; '))
+		},
+		onError: (e) => opsLlm.warn('Usage ledger write failed', e?.message ?? e),
+	})
+	return llmUsageMeter
 }
 
 /** Extract account/agent ID from CoJSON sessionID (format: id_session_z... or id_session_d...). */
@@ -426,7 +499,7 @@ async function checkSyncWriteCapability(worker, msg) {
 			}
 			sessionsAllowedUnresolved.delete(sessionID)
 		}
-		const hasCap = await hasValidCapability(worker, accountId, '/sync/write')
+		const hasCap = await hasValidCapability(worker, accountId, '/sync/write', { coId: msg.id })
 		if (!hasCap) {
 			return {
 				ok: false,
@@ -708,17 +781,14 @@ async function handleExtendCapability(worker, body, req) {
 
 	let payload
 	try {
-		payload = verifyInvocationToken(token, {
-			now: Math.floor(Date.now() / 1000),
-			allowedCmd: null, // Any valid token
-		})
+		payload = await verifyBearerToken(worker, token, null) // Any valid token
 	} catch {
 		return err('Invalid or expired token', 401, {}, req)
 	}
 	const callerAccountId = payload?.accountId
 	if (!callerAccountId?.startsWith('co_z')) return err('Invalid token claims', 403, {}, req)
 
-	const bindingOk = await verifyAccountBinding(worker.peer, callerAccountId, payload.iss)
+	const bindingOk = await verifyAccountBinding(worker.peer, callerAccountId, payload.sub)
 	if (!bindingOk) return err('Account binding verification failed', 403, {}, req)
 
 	try {
@@ -749,6 +819,110 @@ async function handleExtendCapability(worker, body, req) {
 	}
 }
 
+/**
+ * Set the LLM token quota on a capability grant. Guardian-only (owners may extend, never raise budgets).
+ * Body: { capabilityId, quota: { daily?, monthly? } } — {} clears both limits.
+ */
+async function handleSetCapabilityQuota(worker, body, req) {
+	const { capabilityId, quota } = body || {}
+	if (!capabilityId || typeof capabilityId !== 'string' || !capabilityId.startsWith('co_z'))
+		return err('capabilityId required (co_z...)', 400, {}, req)
+	if (!quota || typeof quota !== 'object' || Array.isArray(quota))
+		return err('quota object required ({ daily?, monthly? })', 400, {}, req)
+	const clean = {}
+	for (const field of ['daily', 'monthly']) {
+		if (quota[field] == null) continue
+		if (!Number.isInteger(quota[field]) || quota[field] < 0)
+			return err(`quota.${field} must be a non-negative integer (tokens)`, 400, {}, req)
+		clean[field] = quota[field]
+	}
+
+	const auth = body._authHeader
+	const token = auth?.startsWith('Bearer ') ? auth.slice(7).trim() : null
+	if (!token) return err('Authorization: Bearer token required', 401, {}, req)
+
+	let payload
+	try {
+		payload = await verifyBearerToken(worker, token, '/capability-quota')
+	} catch {
+		return err('Invalid or expired token', 401, {}, req)
+	}
+	const callerAccountId = payload?.accountId
+	if (!callerAccountId?.startsWith('co_z')) return err('Invalid token claims', 403, {}, req)
+	const isGuardian = avenMaiaGuardian?.startsWith('co_z') && callerAccountId === avenMaiaGuardian
+	if (!isGuardian) return err('Forbidden: only a guardian can set quotas', 403, {}, req)
+	const bindingOk = await verifyAccountBinding(worker.peer, callerAccountId, payload.sub)
+	if (!bindingOk) return err('Account binding verification failed', 403, {}, req)
+
+	try {
+		const capContent = await loadCoMap(worker.peer, capabilityId, { retries: 2 })
+		if (!capContent?.get?.('sub')?.startsWith('co_z'))
+			return err('Invalid capability (no sub)', 400, {}, req)
+		const r = await worker.dataEngine.execute({
+			op: 'update',
+			id: capabilityId,
+			data: { quota: clean },
+		})
+		if (r?.ok === false)
+			return err(r.errors?.map((e) => e.message).join('; ') ?? 'update failed', 500, {}, req)
+		return jsonResponse({ ok: true, quota: clean }, 200, {}, req)
+	} catch (e) {
+		return err(e?.message ?? 'failed to set quota', 500, {}, req)
+	}
+}
+
+/**
+ * Revoke a token CID or an issuer DID. Guardian-only; writes a Revocation CoMap into the spark's
+ * revocation index so every verifier (this server and any peer reading the index) rejects it.
+ */
+async function handleRevoke(worker, body, req) {
+	const { cid, iss, reason } = body || {}
+	const hasCid = typeof cid === 'string' && /^b[a-z2-7]+$/.test(cid)
+	const hasIss = typeof iss === 'string' && iss.startsWith('did:key:z')
+	if (!hasCid && !hasIss) return err('cid (token CID) or iss (did:key) required', 400, {}, req)
+
+	const auth = body._authHeader
+	const token = auth?.startsWith('Bearer ') ? auth.slice(7).trim() : null
+	if (!token) return err('Authorization: Bearer token required', 401, {}, req)
+
+	let payload
+	try {
+		payload = await verifyBearerToken(worker, token, '/revoke')
+	} catch {
+		return err('Invalid or expired token', 401, {}, req)
+	}
+	const callerAccountId = payload?.accountId
+	if (!callerAccountId?.startsWith('co_z')) return err('Invalid token claims', 403, {}, req)
+	const isGuardian = avenMaiaGuardian?.startsWith('co_z') && callerAccountId === avenMaiaGuardian
+	if (!isGuardian) return err('Forbidden: only a guardian can revoke', 403, {}, req)
+	const bindingOk = await verifyAccountBinding(worker.peer, callerAccountId, payload.sub)
+	if (!bindingOk) return err('Account binding verification failed', 403, {}, req)
+
+	const peer = worker.peer
+	if (!resolveInfraFactoryCoId(peer, RUNTIME_REF.OS_REVOCATION)) {
+		await worker.dataEngine.resolveSystemFactories()
+	}
+	const revocationSchemaCoId = resolveInfraFactoryCoId(peer, RUNTIME_REF.OS_REVOCATION)
+	if (!revocationSchemaCoId) return err('Revocation factory not seeded', 500, {}, req)
+
+	const r = await worker.dataEngine.execute({
+		op: 'create',
+		factory: revocationSchemaCoId,
+		data: {
+			...(hasCid && { cid }),
+			...(hasIss && { iss }),
+			...(typeof reason === 'string' && reason && { reason }),
+			revokedBy: callerAccountId,
+			revokedAt: Math.floor(Date.now() / 1000),
+		},
+		spark: peer.systemSparkCoId,
+	})
+	if (r?.ok === false)
+		return err(r.errors?.map((e) => e.message).join('; ') ?? 'revoke failed', 500, {}, req)
+	revocationsCache = { at: 0, value: null }
+	return jsonResponse({ ok: true }, 200, {}, req)
+}
+
 async function handleAgentHttp(req, worker) {
 	const url = new URL(req.url)
 	const post = async (strict, handler) => {
@@ -773,13 +947,29 @@ async function handleAgentHttp(req, worker) {
 			),
 		)
 	}
+	if (url.pathname === '/capability-quota' && req.method === 'POST') {
+		const auth = req.headers.get('Authorization')
+		return post(false, (w, b, r) =>
+			withTimeout(
+				handleSetCapabilityQuota(w, { ...b, _authHeader: auth }, r),
+				REQUEST_TIMEOUT_MS,
+				'/capability-quota',
+			),
+		)
+	}
+	if (url.pathname === '/revoke' && req.method === 'POST') {
+		const auth = req.headers.get('Authorization')
+		return post(false, (w, b, r) =>
+			withTimeout(handleRevoke(w, { ...b, _authHeader: auth }, r), REQUEST_TIMEOUT_MS, '/revoke'),
+		)
+	}
 	return null
 }
 
 /** LLM messages schema: role + optional content. Enforces structure and limits. */
 const LLM_MAX_MESSAGES = 100
 const LLM_MAX_CONTENT_LENGTH = 200_000
-const LLM_ALLOWED_ROLES = new Set(['system', 'user', 'assistant'])
+const LLM_ALLOWED_ROLES = new Set(['system', 'user', 'assistant', 'tool'])
 
 function validateLLMMessages(messages) {
 	if (!messages || !Array.isArray(messages) || messages.length === 0) {
@@ -794,7 +984,10 @@ function validateLLMMessages(messages) {
 			return { ok: false, error: `messages[${i}] must be object` }
 		}
 		if (!m.role || typeof m.role !== 'string' || !LLM_ALLOWED_ROLES.has(m.role)) {
-			return { ok: false, error: `messages[${i}].role must be system, user, or assistant` }
+			return { ok: false, error: `messages[${i}].role must be system, user, assistant, or tool` }
+		}
+		if (m.role === 'tool' && (typeof m.tool_call_id !== 'string' || !m.tool_call_id)) {
+			return { ok: false, error: `messages[${i}].tool_call_id required for tool messages` }
 		}
 		if ('content' in m && m.content != null) {
 			if (typeof m.content !== 'string') {
@@ -811,10 +1004,25 @@ function validateLLMMessages(messages) {
 	return { ok: true }
 }
 
-/** LLM proxy: forwards request to RedPill, returns response. Tool execution is client-side (Runtime). Requires Bearer token + valid /llm/chat capability. */
+/** Invocation args /llm/chat grant policies are evaluated against, e.g. ["<=", ".temperature", 1] */
+function llmInvocationArgs({ model, temperature, tools, stream }) {
+	return {
+		model,
+		temperature,
+		stream: stream === true,
+		tools: Array.isArray(tools) ? tools.map((t) => t?.function?.name).filter(Boolean) : [],
+	}
+}
+
+/** LLM proxy: routes the request to a configured provider (llm-providers.js), returns its response. Tool execution is client-side (Runtime). Requires Bearer token + valid /llm/chat capability. */
 async function handleLLMChat(req, worker) {
-	if (!RED_PILL_API_KEY)
-		return jsonResponse({ error: 'RED_PILL_API_KEY not configured' }, 500, {}, req)
+	if (llmProviders.size === 0)
+		return jsonResponse(
+			{ error: 'No LLM provider configured (set LLM_PROVIDERS or RED_PILL_API_KEY)' },
+			500,
+			{},
+			req,
+		)
 	if (!worker) return jsonResponse({ error: 'Initializing', status: 503 }, 503, {}, req)
 
 	// Auth gate: Bearer token + account binding + capability
@@ -825,10 +1033,7 @@ async function handleLLMChat(req, worker) {
 	}
 	let payload
 	try {
-		payload = verifyInvocationToken(token, {
-			now: Math.floor(Date.now() / 1000),
-			allowedCmd: '/llm/chat',
-		})
+		payload = await verifyBearerToken(worker, token, '/llm/chat')
 	} catch {
 		return jsonResponse({ error: 'Unauthorized', message: 'Invalid or expired token' }, 401, {}, req)
 	}
@@ -836,7 +1041,7 @@ async function handleLLMChat(req, worker) {
 	if (!accountId?.startsWith('co_z')) {
 		return jsonResponse({ error: 'Forbidden', message: 'Invalid token claims' }, 403, {}, req)
 	}
-	const bindingOk = await verifyAccountBinding(worker.peer, accountId, payload.iss)
+	const bindingOk = await verifyAccountBinding(worker.peer, accountId, payload.sub)
 	if (!bindingOk) {
 		opsLlm.warn('Account binding failed', { accountId: accountId?.slice(0, 12) })
 		return jsonResponse(
@@ -846,23 +1051,63 @@ async function handleLLMChat(req, worker) {
 			req,
 		)
 	}
-	const hasCap = await hasValidCapability(worker, accountId, '/llm/chat')
-	if (!hasCap) {
-		opsLlm.warn('No valid capability', { accountId: accountId?.slice(0, 12) })
+	if (!resolveInfraFactoryCoId(worker.peer, RUNTIME_REF.OS_CAPABILITY)) {
+		await worker.dataEngine.resolveSystemFactories()
+	}
+	let body
+	try {
+		body = await req.json()
+	} catch {
+		return jsonResponse({ error: 'Invalid JSON body' }, 400, {}, req)
+	}
+	const {
+		messages,
+		model = 'qwen/qwen3-30b-a3b-instruct-2507',
+		temperature = 1,
+		tools,
+		stream = false,
+	} = body ?? {}
+	// Grant policies see what will actually be sent upstream, not what the token claims
+	const rejected = []
+	const grants = await findCapabilityGrantsOnPeer(
+		worker.peer,
+		worker.account,
+		accountId,
+		'/llm/chat',
+		{ args: llmInvocationArgs({ model, temperature, tools, stream }), rejected },
+	)
+	if (grants.length === 0) {
+		opsLlm.warn('No valid capability', { accountId: accountId?.slice(0, 12), rejected })
+		const policyMiss = rejected.find((r) => r.reason.startsWith('policy: '))
 		return jsonResponse(
 			{
 				error: 'Forbidden',
-				message: 'No valid /llm/chat capability. Ask a guardian to grant you access in Capabilities.',
+				message: policyMiss
+					? `Request not allowed by your /llm/chat capability (${policyMiss.reason})`
+					: 'No valid /llm/chat capability. Ask a guardian to grant you access in Capabilities.',
 			},
 			403,
 			{},
 			req,
 		)
 	}
-
 	try {
-		const body = await req.json()
-		const { messages, model = 'qwen/qwen3-30b-a3b-instruct-2507', temperature = 1, tools } = body
+		const meter = getLlmUsageMeter(worker)
+		const overQuota = await meter.check(accountId, effectiveQuota(grants))
+		if (overQuota) {
+			opsLlm.warn('Quota exceeded', { accountId: accountId?.slice(0, 12), period: overQuota.period })
+			return jsonResponse(
+				{
+					error: 'Quota exceeded',
+					message: `${overQuota.period} LLM token quota of ${overQuota.limit} reached (used ${overQuota.used})`,
+					...overQuota,
+				},
+				429,
+				{ 'Retry-After': String(Math.max(1, overQuota.resetAt - Math.floor(Date.now() / 1000))) },
+				req,
+			)
+		}
+
 		const validation = validateLLMMessages(messages)
 		if (!validation.ok) return jsonResponse({ error: validation.error }, 400, {}, req)
 
@@ -871,28 +1116,42 @@ async function handleLLMChat(req, worker) {
 			messages,
 			temperature,
 			...(Array.isArray(tools) && tools.length > 0 && { tools }),
+			...(stream === true && { stream: true }),
 		}
-		const res = await fetch('https://api.redpill.ai/v1/chat/completions', {
-			method: 'POST',
-			headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${RED_PILL_API_KEY}` },
-			body: JSON.stringify(reqBody),
-		})
-		const txt = await res.text()
-		if (!res.ok) {
-			let data = { error: 'LLM request failed' }
-			try {
-				data = JSON.parse(txt)
-			} catch {}
-			opsLlm.error('RedPill upstream error', res.status, data.error || txt.slice(0, 200))
+		const result = await llmProviders.chat(reqBody)
+		if (result.attempts?.length) {
+			opsLlm.warn('Provider fallback', { model, attempts: result.attempts, served: result.provider })
+		}
+		if (!result.ok) {
+			opsLlm.error('LLM upstream error', result.status, result.provider ?? '-', result.error)
+			// 400 = request rejected before any upstream (model not allowed); upstream failures → 500
 			return jsonResponse(
-				{ error: data.error || `HTTP ${res.status}`, message: data.message || txt.slice(0, 200) },
-				500,
+				{ error: result.error, message: result.message || result.error },
+				result.status === 400 && !result.provider ? 400 : 500,
 				{},
 				req,
 			)
 		}
-		const data = JSON.parse(txt)
-		return jsonResponse(data, 200, {}, req)
+		if (result.stream) {
+			// Pass SSE chunks through as they arrive; client reassembles content + tool_calls deltas
+			const metered = meterCompletionStream(result.stream, messages, (usage) =>
+				meter.record(accountId, usage),
+			)
+			return new Response(metered, {
+				status: 200,
+				headers: {
+					'Content-Type': 'text/event-stream; charset=utf-8',
+					'Cache-Control': 'no-cache',
+					'X-Accel-Buffering': 'no',
+					...corsHeadersForRequest(req),
+				},
+			})
+		}
+		const usage =
+			usageFromOpenAI(result.data?.usage) ??
+			estimateUsage(messages, completionText(result.data?.choices?.[0]?.message))
+		meter.record(accountId, usage)
+		return jsonResponse(result.data, 200, {}, req)
 	} catch (e) {
 		const msg = e?.message ?? String(e)
 		console.error(OPS_PREFIX.llm, msg, e)
@@ -1033,6 +1292,50 @@ Bun.serve({
 
 opsSync.log('Listening on 0.0.0.0:%s', PORT)
 
+/**
+ * Periodic blob store mark-and-sweep (storage adapters with a BlobStore only).
+ * @param {import('cojson').LocalNode} node
+ */
+function startBlobGarbageCollector(node) {
+	const dbClient = node.storage?.dbClient
+	if (typeof dbClient?.collectBlobGarbage !== 'function') return
+	const intervalMs = Number(process.env.PEER_BLOB_GC_INTERVAL_MS ?? 6 * 60 * 60 * 1000)
+	if (!(intervalMs > 0)) return
+	const graceMs = Number(process.env.PEER_BLOB_GC_GRACE_MS ?? 60 * 60 * 1000)
+	const dryRun =
+		process.env.PEER_BLOB_GC_DRY_RUN === 'true' || process.env.PEER_BLOB_GC_DRY_RUN === '1'
+	let running = false
+	const run = async () => {
+		if (running) return
+		running = true
+		try {
+			const report = await dbClient.collectBlobGarbage({ graceMs, dryRun })
+			if (!report) return
+			opsSync.log(
+				'Blob GC%s: %d listed, %d referenced, %d orphaned (%d bytes), %d deleted, %d within grace, %d missing',
+				dryRun ? ' (dry run)' : '',
+				report.scanned,
+				report.referenced,
+				report.orphaned.length,
+				report.orphanedBytes,
+				report.deleted,
+				report.skippedRecent,
+				report.missing,
+			)
+			if (dryRun && report.orphaned.length > 0) {
+				opsSync.log('Blob GC would delete: %s', report.orphaned.slice(0, 50).join(', '))
+			}
+			for (const f of report.failed) opsSync.warn('Blob GC delete failed %s: %s', f.key, f.error)
+		} catch (e) {
+			opsSync.error('Blob GC failed:', e?.message ?? e)
+		} finally {
+			running = false
+		}
+	}
+	setTimeout(run, 60_000).unref?.()
+	setInterval(run, intervalMs).unref?.()
+}
+
 ;(async () => {
 	try {
 		if (!accountID || !agentSecret) {
@@ -1041,18 +1344,20 @@ opsSync.log('Listening on 0.0.0.0:%s', PORT)
 
 		if (dbPath && !process.env.PEER_DB_PATH) process.env.PEER_DB_PATH = dbPath
 
-		const storageLabel = usePostgres ? 'Postgres' : `PGlite at ${dbPath || './pg-lite.db'}`
+		const storageLabel = usePostgres ? 'Postgres' : `${useSqlite ? 'SQLite' : 'PGlite'} at ${dbPath}`
 		opsSync.log('Loading account (%s)...', storageLabel)
 		opsSync.log('accountID=%s', `${accountID?.slice(0, 12)}...`)
-		if (!RED_PILL_API_KEY) {
+		if (llmProviders.size === 0) {
 			opsSync.warn(
-				'RED_PILL_API_KEY not set — LLM chat will return 500. Add to root .env and restart.',
+				'No LLM provider (LLM_PROVIDERS / RED_PILL_API_KEY) — LLM chat will return 500. Add to root .env and restart.',
 			)
+		} else {
+			opsSync.log('LLM providers: %s', llmProviders.providerIds.join(', '))
 		}
 
 		if (peerSyncSeed) {
 			const { clearStorageForReseed } = await import('@MaiaOS/storage/clearStorageForReseed')
-			await clearStorageForReseed({ dbPath, usePostgres })
+			await clearStorageForReseed({ dbPath, usePostgres, useSqlite })
 			opsSync.log('Storage cleared for reseed (DB + binary).')
 		}
 
@@ -1068,6 +1373,7 @@ opsSync.log('Listening on 0.0.0.0:%s', PORT)
 
 		localNode = result.node
 		localNode.enableGarbageCollector()
+		startBlobGarbageCollector(localNode)
 
 		// Ensure profile name matches env var on every startup
 		try {
@@ -0,0 +1,395 @@
+/**
+ * LLM provider registry for the sync LLM proxy (/api/v0/llm/chat).
+ *
+ * Providers are tried in config order among those whose `models` patterns match the requested
+ * model (routing + allowlist in one). Network errors, 429 and 5xx fall through to the next
+ * provider; any other upstream error is returned as-is. Each provider type has an adapter that
+ * maps the OpenAI-style request body to its upstream and the upstream response back to the
+ * OpenAI chat.completion shape (streams: chat.completion.chunk SSE).
+ *
+ * Config (LLM_PROVIDERS, JSON array), e.g.:
+ *   [{ "id": "local", "type": "ollama", "baseUrl": "http://localhost:11434", "models": ["llama3*"] },
+ *    { "id": "redpill", "type": "openai", "baseUrl": "https://api.redpill.ai/v1",
+ *      "apiKeyEnv": "RED_PILL_API_KEY", "models": ["*"] }]
+ * Unset: a single "redpill" provider when RED_PILL_API_KEY is set (RED_PILL_BASE_URL overrides its URL).
+ */
+
+const PROVIDER_TYPES = new Set(['openai', 'ollama', 'fake'])
+
+/** "*" matches all, "qwen/*" matches by prefix, anything else exactly */
+function modelMatches(pattern, model) {
+	if (pattern === '*') return true
+	if (pattern.endsWith('*')) return model.startsWith(pattern.slice(0, -1))
+	return pattern === model
+}
+
+/** Upstream model name: modelMap[model], else modelMap["*"], else unchanged */
+function upstreamModel(provider, model) {
+	return provider.modelMap[model] ?? provider.modelMap['*'] ?? model
+}
+
+function sseData(obj) {
+	return `data: ${JSON.stringify(obj)}\n\n`
+}
+
+function completionChunk(model, delta, finishReason = null) {
+	return {
+		object: 'chat.completion.chunk',
+		model,
+		choices: [{ index: 0, delta, finish_reason: finishReason }],
+	}
+}
+
+/** OpenAI-compatible: RedPill, OpenAI, vLLM, llama.cpp server, Ollama's /v1 */
+const openaiAdapter = {
+	buildRequest(provider, body) {
+		return {
+			url: `${provider.baseUrl}/chat/completions`,
+			init: {
+				method: 'POST',
+				headers: {
+					'Content-Type': 'application/json',
+					...(provider.apiKey && { Authorization: `Bearer ${provider.apiKey}` }),
+				},
+				// include_usage: final chunk carries token usage (metering)
+				body: JSON.stringify(
+					body.stream === true ? { ...body, stream_options: { include_usage: true } } : body,
+				),
+			},
+		}
+	},
+	parseResponse: (data) => data,
+	transformStream: (readable) => readable,
+}
+
+/** Ollama native /api/chat: NDJSON stream, message.tool_calls with object arguments */
+const ollamaAdapter = {
+	buildRequest(provider, body) {
+		return {
+			url: `${provider.baseUrl}/api/chat`,
+			init: {
+				method: 'POST',
+				headers: { 'Content-Type': 'application/json' },
+				body: JSON.stringify({
+					model: body.model,
+					messages: ollamaMessages(body.messages),
+					stream: body.stream === true,
+					options: { temperature: body.temperature },
+					...(body.tools && { tools: body.tools }),
+				}),
+			},
+		}
+	},
+	parseResponse(data) {
+		const message = { role: 'assistant', content: data.message?.content ?? '' }
+		const toolCalls = ollamaToolCalls(data.message)
+		if (toolCalls.length > 0) message.tool_calls = toolCalls
+		return {
+			object: 'chat.completion',
+			model: data.model,
+			choices: [
+				{
+					index: 0,
+					message,
+					finish_reason: toolCalls.length > 0 ? 'tool_calls' : (data.done_reason ?? 'stop'),
+				},
+			],
+			...(ollamaUsage(data) && { usage: ollamaUsage(data) }),
+		}
+	},
+	transformStream(readable) {
+		const encoder = new TextEncoder()
+		const decoder = new TextDecoder()
+		let buffer = ''
+		let toolIndex = 0
+		const emitLine = (line, controller) => {
+			if (!line.trim()) return
+			const data = JSON.parse(line)
+			const content = data.message?.content
+			if (content)
+				controller.enqueue(encoder.encode(sseData(completionChunk(data.model, { content }))))
+			const toolCalls = ollamaToolCalls(data.message).map((tc) => ({ index: toolIndex++, ...tc }))
+			if (toolCalls.length > 0) {
+				controller.enqueue(
+					encoder.encode(sseData(completionChunk(data.model, { tool_calls: toolCalls }))),
+				)
+			}
+			if (data.done) {
+				const reason = toolIndex > 0 ? 'tool_calls' : (data.done_reason ?? 'stop')
+				const final = completionChunk(data.model, {}, reason)
+				if (ollamaUsage(data)) final.usage = ollamaUsage(data)
+				controller.enqueue(encoder.encode(sseData(final)))
+				controller.enqueue(encoder.encode('data: [DONE]\n\n'))
+			}
+		}
+		return readable.pipeThrough(
+			new TransformStream({
+				transform(chunk, controller) {
+					buffer += decoder.decode(chunk, { stream: true })
+					const lines = buffer.split('\n')
+					buffer = lines.pop()
+					for (const line of lines) emitLine(line, controller)
+				},
+				flush(controller) {
+					emitLine(buffer + decoder.decode(), controller)
+				},
+			}),
+		)
+	},
+}
+
+/** prompt_eval_count / eval_count (final response only) → OpenAI usage */
+function ollamaUsage(data) {
+	if (typeof data?.prompt_eval_count !== 'number' && typeof data?.eval_count !== 'number')
+		return null
+	const prompt = data.prompt_eval_count ?? 0
+	const completion = data.eval_count ?? 0
+	return { prompt_tokens: prompt, completion_tokens: completion, total_tokens: prompt + completion }
+}
+
+/**
+ * OpenAI chat history → Ollama messages. Assistant tool calls carry JSON-string arguments in the
+ * OpenAI shape (see ollamaToolCalls) but Ollama expects objects; tool results name their tool
+ * (tool_name) instead of referencing a call id.
+ */
+function ollamaMessages(messages) {
+	const toolNames = new Map()
+	return (messages ?? []).map((m) => {
+		if (m.role === 'assistant' && Array.isArray(m.tool_calls)) {
+			const { tool_calls, ...rest } = m
+			return {
+				...rest,
+				content: m.content ?? '',
+				tool_calls: tool_calls.map((tc) => {
+					if (tc.id) toolNames.set(tc.id, tc.function?.name)
+					return { function: { name: tc.function?.name, arguments: parseToolArguments(tc) } }
+				}),
+			}
+		}
+		if (m.role === 'tool') {
+			const { tool_call_id, ...rest } = m
+			const toolName = toolNames.get(tool_call_id) ?? m.name
+			return {
+				...rest,
+				content: typeof m.content === 'string' ? m.content : JSON.stringify(m.content ?? ''),
+				...(toolName && { tool_name: toolName }),
+			}
+		}
+		return m
+	})
+}
+
+function parseToolArguments(toolCall) {
+	const args = toolCall.function?.arguments
+	if (typeof args !== 'string') return args ?? {}
+	try {
+		return JSON.parse(args || '{}')
+	} catch {
+		throw new Error(
+			`[LLM] Tool call ${toolCall.function?.name} has arguments that are not valid JSON`,
+		)
+	}
+}
+
+function ollamaToolCalls(message) {
+	return (message?.tool_calls ?? []).map((tc, i) => ({
+		id: tc.id ?? `call_${i}`,
+		type: 'function',
+		function: {
+			name: tc.function?.name,
+			arguments:
+				typeof tc.function?.arguments === 'string'
+					? tc.function.arguments
+					: JSON.stringify(tc.function?.arguments ?? {}),
+		},
+	}))
+}
+
+/**
+ * Deterministic provider for tests and offline dev: replies `reply` (config) or echoes the last
+ * user message. No network.
+ */
+function fakeCompletion(provider, body) {
+	const lastUser = [...body.messages].reverse().find((m) => m.role === 'user')
+	const content = provider.reply ?? `[${provider.id}] ${lastUser?.content ?? ''}`
+	return { model: body.model, content }
+}
+
+const fakeAdapter = {
+	complete(provider, body) {
+		const { model, content } = fakeCompletion(provider, body)
+		if (body.stream !== true) {
+			return {
+				object: 'chat.completion',
+				model,
+				choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+			}
+		}
+		const parts = content.match(/\S+\s*|\s+/g) ?? []
+		const events = [
+			...parts.map((part) => sseData(completionChunk(model, { content: part }))),
+			sseData(completionChunk(model, {}, 'stop')),
+			'data: [DONE]\n\n',
+		]
+		const encoder = new TextEncoder()
+		return new ReadableStream({
+			start(controller) {
+				for (const e of events) controller.enqueue(encoder.encode(e))
+				controller.close()
+			},
+		})
+	},
+}
+
+const ADAPTERS = { openai: openaiAdapter, ollama: ollamaAdapter, fake: fakeAdapter }
+
+/**
+ * Validate and normalize one provider config
+ * @param {Object} config
+ * @param {Object} [env] - For apiKeyEnv lookups
+ * @returns {Object} Normalized provider
+ * @throws {Error} If the config is invalid
+ */
+export function normalizeProviderConfig(config, env = {}) {
+	if (!config || typeof config !== 'object')
+		throw new Error('[LLM] Provider config must be an object')
+	const { id, type = 'openai' } = config
+	if (!id || typeof id !== 'string') throw new Error('[LLM] Provider id required')
+	if (!PROVIDER_TYPES.has(type)) throw new Error(`[LLM] Provider ${id}: unknown type ${type}`)
+	if (type !== 'fake' && (typeof config.baseUrl !== 'string' || !config.baseUrl)) {
+		throw new Error(`[LLM] Provider ${id}: baseUrl required`)
+	}
+	const models = config.models ?? ['*']
+	if (!Array.isArray(models) || models.some((m) => typeof m !== 'string' || !m)) {
+		throw new Error(`[LLM] Provider ${id}: models must be an array of model names or patterns`)
+	}
+	return {
+		id,
+		type,
+		baseUrl: config.baseUrl?.replace(/\/+$/, '') ?? null,
+		apiKey: config.apiKey ?? (config.apiKeyEnv ? env[config.apiKeyEnv] || null : null),
+		models,
+		modelMap: config.modelMap ?? {},
+		reply: typeof config.reply === 'string' ? config.reply : null,
+	}
+}
+
+/**
+ * Provider configs from env: LLM_PROVIDERS (JSON) or the legacy single RedPill provider
+ * @param {Object} [env=process.env]
+ * @returns {Object[]} Raw provider configs
+ * @throws {Error} If LLM_PROVIDERS is not a JSON array
+ */
+export function loadLLMProviderConfigs(env = process.env) {
+	const raw = env.LLM_PROVIDERS?.trim()
+	if (raw) {
+		let parsed
+		try {
+			parsed = JSON.parse(raw)
+		} catch (e) {
+			throw new Error(`[LLM] LLM_PROVIDERS is not valid JSON: ${e.message}`)
+		}
+		if (!Array.isArray(parsed)) throw new Error('[LLM] LLM_PROVIDERS must be a JSON array')
+		return parsed
+	}
+	if (!env.RED_PILL_API_KEY) return []
+	return [
+		{
+			id: 'redpill',
+			type: 'openai',
+			baseUrl: env.RED_PILL_BASE_URL || 'https://api.redpill.ai/v1',
+			apiKeyEnv: 'RED_PILL_API_KEY',
+			models: ['*'],
+		},
+	]
+}
+
+/**
+ * @param {Object[]} configs - Provider configs (see loadLLMProviderConfigs)
+ * @param {Object} [opts]
+ * @param {Object} [opts.env] - For apiKeyEnv lookups (default process.env)
+ * @param {typeof fetch} [opts.fetch] - Injected fetch (tests)
+ */
+export function createLLMProviderRegistry(configs, opts = {}) {
+	const env = opts.env ?? process.env
+	const fetchImpl = opts.fetch ?? fetch
+	const providers = configs.map((c) => normalizeProviderConfig(c, env))
+	const ids = new Set()
+	for (const p of providers) {
+		if (ids.has(p.id)) throw new Error(`[LLM] Duplicate provider id ${p.id}`)
+		ids.add(p.id)
+	}
+
+	/** Providers that serve this model, in fallback order */
+	const route = (model) =>
+		providers.filter((p) => typeof model === 'string' && p.models.some((m) => modelMatches(m, model)))
+
+	async function callProvider(provider, body) {
+		const adapter = ADAPTERS[provider.type]
+		const upstreamBody = { ...body, model: upstreamModel(provider, body.model) }
+		if (adapter.complete) {
+			const out = adapter.complete(provider, upstreamBody)
+			return out instanceof ReadableStream
+				? { ok: true, provider: provider.id, stream: out }
+				: { ok: true, provider: provider.id, data: out }
+		}
+		const { url, init } = adapter.buildRequest(provider, upstreamBody)
+		const res = await fetchImpl(url, init)
+		if (!res.ok) {
+			const txt = await res.text().catch(() => '')
+			let data = {}
+			try {
+				data = JSON.parse(txt)
+			} catch {}
+			const error = data.error?.message ?? data.error ?? `HTTP ${res.status}`
+			return {
+				ok: false,
+				provider: provider.id,
+				status: res.status,
+				error: typeof error === 'string' ? error : JSON.stringify(error),
+				message: data.message || txt.slice(0, 200),
+			}
+		}
+		if (upstreamBody.stream === true && res.body) {
+			return { ok: true, provider: provider.id, stream: adapter.transformStream(res.body) }
+		}
+		return { ok: true, provider: provider.id, data: adapter.parseResponse(await res.json()) }
+	}
+
+	return {
+		get size() {
+			return providers.length
+		},
+		get providerIds() {
+			return providers.map((p) => p.id)
+		},
+		route,
+
+		/**
+		 * Run a chat completion against the first provider that serves body.model
+		 * @param {Object} body - OpenAI-style { model, messages, temperature, tools?, stream? }
+		 * @returns {Promise<{ ok: boolean, provider?: string, data?: Object, stream?: ReadableStream, status?: number, error?: string, message?: string, attempts?: Object[] }>}
+		 */
+		async chat(body) {
+			const candidates = route(body?.model)
+			if (candidates.length === 0) {
+				return { ok: false, status: 400, error: `Model not allowed: ${body?.model}` }
+			}
+			const attempts = []
+			for (const provider of candidates) {
+				let result
+				try {
+					result = await callProvider(provider, body)
+				} catch (e) {
+					result = { ok: false, provider: provider.id, status: 502, error: e?.message ?? String(e) }
+				}
+				if (result.ok) return attempts.length ? { ...result, attempts } : result
+				attempts.push({ provider: provider.id, status: result.status, error: result.error })
+				const retryable = result.status === 429 || result.status >= 500
+				if (!retryable) return { ...result, attempts }
+			}
+			const last = attempts[attempts.length - 1]
+			return { ok: false, status: last.status, error: last.error, attempts }
+		},
+	}
+}
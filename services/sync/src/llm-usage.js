@@ -0,0 +1,283 @@
+/**
+ * LLM usage metering and quotas for the sync LLM proxy.
+ *
+ * Usage is kept per account per UTC day (one LlmUsage CoMap each, the ledger) and mirrored in
+ * memory for quota checks. Quotas come from the caller's /llm/chat capability grants
+ * (grant.quota = { daily?, monthly? } in total tokens). A request is admitted while usage is below
+ * the limit, so one request can overshoot by its own size; concurrent requests likewise.
+ */
+
+import {
+	createChatCompletionAccumulator,
+	createSseParser,
+} from '@MaiaOS/universe/helpers/llm-stream.js'
+
+/** Rough token estimate when the upstream reports no usage (~4 chars per token) */
+const CHARS_PER_TOKEN = 4
+
+/**
+ * UTC day / month keys and their reset times
+ * @param {number} [nowMs=Date.now()]
+ * @returns {{ day: string, month: string, dayResetAt: number, monthResetAt: number }} Reset times in unix seconds
+ */
+export function utcPeriod(nowMs = Date.now()) {
+	const d = new Date(nowMs)
+	const y = d.getUTCFullYear()
+	const m = d.getUTCMonth()
+	const iso = d.toISOString()
+	return {
+		day: iso.slice(0, 10),
+		month: iso.slice(0, 7),
+		dayResetAt: Date.UTC(y, m, d.getUTCDate() + 1) / 1000,
+		monthResetAt: Date.UTC(y, m + 1, 1) / 1000,
+	}
+}
+
+/**
+ * Most permissive quota across grants: any grant without a limit makes that period unlimited
+ * @param {Array<{ quota: { daily?: number, monthly?: number }|null }>} grants
+ * @returns {{ daily: number|null, monthly: number|null }|null} null = unlimited
+ */
+export function effectiveQuota(grants) {
+	if (!Array.isArray(grants) || grants.length === 0) return null
+	const pick = (field) => {
+		let max = -1
+		for (const g of grants) {
+			const v = g?.quota?.[field]
+			if (typeof v !== 'number') return null
+			if (v > max) max = v
+		}
+		return max
+	}
+	const daily = pick('daily')
+	const monthly = pick('monthly')
+	return daily === null && monthly === null ? null : { daily, monthly }
+}
+
+/**
+ * Token usage from an OpenAI-style completion (or final stream chunk) usage object
+ * @param {Object|null} usage - { prompt_tokens, completion_tokens, total_tokens }
+ * @returns {{ promptTokens: number, completionTokens: number, totalTokens: number }|null}
+ */
+export function usageFromOpenAI(usage) {
+	if (!usage || typeof usage !== 'object') return null
+	const promptTokens = Number(usage.prompt_tokens) || 0
+	const completionTokens = Number(usage.completion_tokens) || 0
+	const totalTokens = Number(usage.total_tokens) || promptTokens + completionTokens
+	if (totalTokens <= 0) return null
+	return { promptTokens, completionTokens, totalTokens }
+}
+
+/**
+ * Estimate usage from message and reply text when the upstream does not report it
+ * @param {Array<{ content?: string }>} messages
+ * @param {string} completion - Reply text (content + tool call arguments)
+ */
+export function estimateUsage(messages, completion) {
+	const promptChars = (messages ?? []).reduce(
+		(n, m) => n + (typeof m?.content === 'string' ? m.content.length : 0),
+		0,
+	)
+	const promptTokens = Math.ceil(promptChars / CHARS_PER_TOKEN)
+	const completionTokens = Math.ceil((completion?.length ?? 0) / CHARS_PER_TOKEN)
+	return { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens }
+}
+
+/** Reply text of a completion message: content plus tool call arguments */
+export function completionText(message) {
+	const args = (message?.tool_calls ?? []).map((tc) => tc.function?.arguments ?? '').join('')
+	return `${typeof message?.content === 'string' ? message.content : ''}${args}`
+}
+
+/**
+ * Pass an SSE completion stream through unchanged while reading its usage (or estimating it)
+ * @param {ReadableStream<Uint8Array>} stream
+ * @param {Array} messages - Request messages (for estimation)
+ * @param {(usage: { promptTokens: number, completionTokens: number, totalTokens: number }) => void} onUsage - Called once at stream end
+ * @returns {ReadableStream<Uint8Array>}
+ */
+export function meterCompletionStream(stream, messages, onUsage) {
+	const decoder = new TextDecoder()
+	const acc = createChatCompletionAccumulator()
+	const parser = createSseParser((data) => {
+		if (data === '[DONE]') return
+		try {
+			acc.add(JSON.parse(data))
+		} catch {
+			// Not ours to validate; the client surfaces malformed chunks
+		}
+	})
+	let reported = false
+	const report = () => {
+		if (reported) return
+		reported = true
+		parser.push(decoder.decode())
+		parser.end()
+		const { message, usage } = acc.result()
+		onUsage(usageFromOpenAI(usage) ?? estimateUsage(messages, completionText(message)))
+	}
+	return stream.pipeThrough(
+		new TransformStream({
+			transform(chunk, controller) {
+				parser.push(decoder.decode(chunk, { stream: true }))
+				controller.enqueue(chunk)
+			},
+			flush: report,
+			cancel: report,
+		}),
+	)
+}
+
+/**
+ * In-memory usage mirror backed by the ledger
+ * @param {Object} store
+ * @param {(month: string) => Promise<Array<Object>>} store.loadRows - Ledger rows of the current UTC month (see loadLlmUsageOnPeer)
+ * @param {(data: Object) => Promise<string>} store.createRow - Create a row, resolve its co-id
+ * @param {(id: string, data: Object) => Promise<void>} store.updateRow
+ * @param {(error: Error) => void} [store.onError] - Persist failures (usage stays counted in memory)
+ * @param {() => number} [store.now] - ms clock (tests)
+ */
+export function createUsageMeter(store) {
+	const now = store.now ?? Date.now
+	/** account → day → row */
+	const rowsByAccount = new Map()
+	let loading = null
+
+	const rowFor = (account, day, month) => {
+		let days = rowsByAccount.get(account)
+		if (!days) {
+			days = new Map()
+			rowsByAccount.set(account, days)
+		}
+		let row = days.get(day)
+		if (!row) {
+			row = {
+				id: null,
+				account,
+				day,
+				month,
+				promptTokens: 0,
+				completionTokens: 0,
+				totalTokens: 0,
+				requests: 0,
+			}
+			days.set(day, row)
+		}
+		return row
+	}
+
+	const load = () => {
+		loading ??= store.loadRows(utcPeriod(now()).month).then(
+			(rows) => {
+				for (const r of rows) {
+					const row = rowFor(r.account, r.day, r.month)
+					Object.assign(row, r)
+				}
+			},
+			(e) => {
+				// Retry on the next call instead of keeping the meter broken
+				loading = null
+				throw e
+			},
+		)
+		return loading
+	}
+
+	const usageOf = (account, period) => {
+		let daily = 0
+		let monthly = 0
+		for (const row of rowsByAccount.get(account)?.values() ?? []) {
+			if (row.month === period.month) monthly += row.totalTokens
+			if (row.day === period.day) daily += row.totalTokens
+		}
+		return { daily, monthly }
+	}
+
+	return {
+		load,
+
+		/**
+		 * @param {string} account
+		 * @returns {Promise<{ daily: number, monthly: number }>} Total tokens used this UTC day / month
+		 */
+		async usage(account) {
+			await load()
+			return usageOf(account, utcPeriod(now()))
+		},
+
+		/**
+		 * @param {string} account
+		 * @param {{ daily: number|null, monthly: number|null }|null} quota
+		 * @returns {Promise<null|{ period: 'daily'|'monthly', limit: number, used: number, remaining: { daily: number|null, monthly: number|null }, resetAt: number }>} null = within budget
+		 */
+		async check(account, quota) {
+			if (!quota) return null
+			await load()
+			const period = utcPeriod(now())
+			const used = usageOf(account, period)
+			const remaining = {
+				daily: quota.daily === null ? null : Math.max(0, quota.daily - used.daily),
+				monthly: quota.monthly === null ? null : Math.max(0, quota.monthly - used.monthly),
+			}
+			if (remaining.monthly === 0) {
+				return {
+					period: 'monthly',
+					limit: quota.monthly,
+					used: used.monthly,
+					remaining,
+					resetAt: period.monthResetAt,
+				}
+			}
+			if (remaining.daily === 0) {
+				return {
+					period: 'daily',
+					limit: quota.daily,
+					used: used.daily,
+					remaining,
+					resetAt: period.dayResetAt,
+				}
+			}
+			return null
+		},
+
+		/**
+		 * Add one request's usage and persist the day row (writes per row are serialized)
+		 * @param {string} account
+		 * @param {{ promptTokens: number, completionTokens: number, totalTokens: number }} usage
+		 * @returns {Promise<void>} Resolves once persisted (or failed → onError); never rejects
+		 */
+		async record(account, usage) {
+			try {
+				await load()
+			} catch (e) {
+				store.onError?.(e)
+				return
+			}
+			const period = utcPeriod(now())
+			const row = rowFor(account, period.day, period.month)
+			row.promptTokens += usage.promptTokens
+			row.completionTokens += usage.completionTokens
+			row.totalTokens += usage.totalTokens
+			row.requests += 1
+			row.updatedAt = Math.floor(now() / 1000)
+			const persist = async () => {
+				const data = {
+					account: row.account,
+					day: row.day,
+					month: row.month,
+					promptTokens: row.promptTokens,
+					completionTokens: row.completionTokens,
+					totalTokens: row.totalTokens,
+					requests: row.requests,
+					updatedAt: row.updatedAt,
+				}
+				if (row.id) await store.updateRow(row.id, data)
+				else row.id = await store.createRow(data)
+			}
+			row.pending = (row.pending ?? Promise.resolve()).then(persist).catch((e) => {
+				store.onError?.(e)
+			})
+			return row.pending
+		},
+	}
+}
@@ -0,0 +1,197 @@
+import { describe, expect, test } from 'bun:test'
+import {
+	createLLMProviderRegistry,
+	loadLLMProviderConfigs,
+	normalizeProviderConfig,
+} from '../src/llm-providers.js'
+
+const messages = [
+	{ role: 'system', content: 'Be brief.' },
+	{ role: 'user', content: 'ping' },
+]
+
+function jsonRes(status, body) {
+	return new Response(JSON.stringify(body), {
+		status,
+		headers: { 'Content-Type': 'application/json' },
+	})
+}
+
+async function readText(stream) {
+	return new Response(stream).text()
+}
+
+describe('loadLLMProviderConfigs', () => {
+	test('falls back to a single RedPill provider from RED_PILL_API_KEY', () => {
+		expect(loadLLMProviderConfigs({})).toEqual([])
+		const [p] = loadLLMProviderConfigs({ RED_PILL_API_KEY: 'k' })
+		expect(p).toMatchObject({ id: 'redpill', type: 'openai', apiKeyEnv: 'RED_PILL_API_KEY' })
+		expect(normalizeProviderConfig(p, { RED_PILL_API_KEY: 'k' }).apiKey).toBe('k')
+	})
+
+	test('rejects malformed LLM_PROVIDERS', () => {
+		expect(() => loadLLMProviderConfigs({ LLM_PROVIDERS: '{' })).toThrow('not valid JSON')
+		expect(() => createLLMProviderRegistry([{ id: 'x', type: 'grpc' }])).toThrow('unknown type')
+		expect(() => createLLMProviderRegistry([{ id: 'x', type: 'openai' }])).toThrow('baseUrl')
+	})
+})
+
+describe('LLM provider registry', () => {
+	test('fake provider is deterministic, streaming and not', async () => {
+		const llm = createLLMProviderRegistry([{ id: 'fake', type: 'fake' }])
+		const plain = await llm.chat({ model: 'any', messages })
+		expect(plain.data.choices[0].message.content).toBe('[fake] ping')
+		const streamed = await llm.chat({ model: 'any', messages, stream: true })
+		const sse = await readText(streamed.stream)
+		expect(sse).toContain('"content":"[fake] "')
+		expect(sse.trim().endsWith('data: [DONE]')).toBe(true)
+	})
+
+	test('routes by model pattern and rejects models no provider allows', async () => {
+		const llm = createLLMProviderRegistry([
+			{ id: 'local', type: 'fake', models: ['llama3*'], reply: 'local' },
+			{ id: 'cloud', type: 'fake', models: ['qwen/*'], reply: 'cloud' },
+		])
+		expect(llm.route('llama3.1').map((p) => p.id)).toEqual(['local'])
+		expect((await llm.chat({ model: 'qwen/qwen3', messages })).provider).toBe('cloud')
+		const denied = await llm.chat({ model: 'gpt-4o', messages })
+		expect(denied).toMatchObject({ ok: false, status: 400, error: 'Model not allowed: gpt-4o' })
+	})
+
+	test('falls back on network errors and 5xx, stops on other 4xx', async () => {
+		const calls = []
+		const fetchImpl = async (url, init) => {
+			calls.push(url)
+			if (url.startsWith('http://down')) throw new Error('ECONNREFUSED')
+			if (url.startsWith('http://busy')) return jsonRes(503, { error: 'overloaded' })
+			if (url.startsWith('http://strict')) return jsonRes(401, { error: 'bad key' })
+			return jsonRes(200, { model: JSON.parse(init.body).model, choices: [] })
+		}
+		const llm = createLLMProviderRegistry(
+			[
+				{ id: 'down', baseUrl: 'http://down' },
+				{ id: 'busy', baseUrl: 'http://busy' },
+				{ id: 'ok', baseUrl: 'http://ok/v1', modelMap: { '*': 'upstream-name' } },
+			],
+			{ fetch: fetchImpl },
+		)
+		const res = await llm.chat({ model: 'm', messages })
+		expect(res).toMatchObject({ ok: true, provider: 'ok', data: { model: 'upstream-name' } })
+		expect(res.attempts.map((a) => a.provider)).toEqual(['down', 'busy'])
+		expect(calls.at(-1)).toBe('http://ok/v1/chat/completions')
+
+		const strict = createLLMProviderRegistry(
+			[
+				{ id: 'strict', baseUrl: 'http://strict' },
+				{ id: 'ok', baseUrl: 'http://ok' },
+			],
+			{ fetch: fetchImpl },
+		)
+		expect(await strict.chat({ model: 'm', messages })).toMatchObject({
+			ok: false,
+			status: 401,
+			provider: 'strict',
+			error: 'bad key',
+		})
+	})
+
+	test('ollama adapter maps native responses and NDJSON streams to OpenAI shape', async () => {
+		const lines = [
+			{ model: 'llama3.1', message: { role: 'assistant', content: 'Hi' }, done: false },
+			{
+				model: 'llama3.1',
+				message: {
+					role: 'assistant',
+					content: '',
+					tool_calls: [{ function: { name: 'todos_create', arguments: { text: 'milk' } } }],
+				},
+				done: false,
+			},
+			{ model: 'llama3.1', message: { role: 'assistant', content: '' }, done: true },
+		]
+		const fetchImpl = async (url, init) => {
+			expect(url).toBe('http://ollama:11434/api/chat')
+			const body = JSON.parse(init.body)
+			if (!body.stream) return jsonRes(200, { ...lines[1], done: true, done_reason: 'stop' })
+			return new Response(lines.map((l) => JSON.stringify(l)).join('\n'))
+		}
+		const llm = createLLMProviderRegistry(
+			[{ id: 'ollama', type: 'ollama', baseUrl: 'http://ollama:11434' }],
+			{ fetch: fetchImpl },
+		)
+		const plain = await llm.chat({ model: 'llama3.1', messages })
+		expect(plain.data.choices[0]).toMatchObject({
+			finish_reason: 'tool_calls',
+			message: {
+				tool_calls: [
+					{ type: 'function', function: { name: 'todos_create', arguments: '{"text":"milk"}' } },
+				],
+			},
+		})
+		const sse = await readText((await llm.chat({ model: 'llama3.1', messages, stream: true })).stream)
+		const events = sse
+			.split('\n\n')
+			.filter(Boolean)
+			.map((e) => e.slice('data: '.length))
+		expect(events.at(-1)).toBe('[DONE]')
+		const chunks = events.slice(0, -1).map((e) => JSON.parse(e))
+		expect(chunks[0].choices[0].delta.content).toBe('Hi')
+		expect(chunks[1].choices[0].delta.tool_calls[0]).toMatchObject({ index: 0 })
+		expect(chunks[2].choices[0].finish_reason).toBe('tool_calls')
+	})
+	test('ollama adapter sends a tool-call turn back with object arguments and named tool results', async () => {
+		let sent
+		const fetchImpl = async (_url, init) => {
+			sent = JSON.parse(init.body)
+			return jsonRes(200, {
+				model: 'llama3.1',
+				message: { role: 'assistant', content: 'Added milk.' },
+				done: true,
+			})
+		}
+		const llm = createLLMProviderRegistry(
+			[{ id: 'ollama', type: 'ollama', baseUrl: 'http://ollama:11434' }],
+			{ fetch: fetchImpl },
+		)
+		const secondTurn = [
+			...messages,
+			{
+				role: 'assistant',
+				content: null,
+				tool_calls: [
+					{
+						id: 'call_0',
+						type: 'function',
+						function: { name: 'todos_create', arguments: '{"text":"milk"}' },
+					},
+				],
+			},
+			{ role: 'tool', tool_call_id: 'call_0', content: '{"ok":true}' },
+		]
+		const res = await llm.chat({ model: 'llama3.1', messages: secondTurn })
+		expect(res.data.choices[0].message.content).toBe('Added milk.')
+		expect(sent.messages.slice(0, 2)).toEqual(messages)
+		expect(sent.messages[2]).toEqual({
+			role: 'assistant',
+			content: '',
+			tool_calls: [{ function: { name: 'todos_create', arguments: { text: 'milk' } } }],
+		})
+		expect(sent.messages[3]).toEqual({
+			role: 'tool',
+			content: '{"ok":true}',
+			tool_name: 'todos_create',
+		})
+
+		const bad = await llm.chat({
+			model: 'llama3.1',
+			messages: [
+				{
+					role: 'assistant',
+					tool_calls: [{ id: 'c', function: { name: 'todos_create', arguments: '{' } }],
+				},
+			],
+		})
+		expect(bad).toMatchObject({ ok: false, status: 502 })
+		expect(bad.error).toContain('not valid JSON')
+	})
+})
@@ -0,0 +1,143 @@
+import { describe, expect, test } from 'bun:test'
+import {
+	createUsageMeter,
+	effectiveQuota,
+	meterCompletionStream,
+	utcPeriod,
+} from '../src/llm-usage.js'
+
+const NOW = Date.UTC(2026, 2, 31, 23, 30)
+
+function memoryStore(rows = []) {
+	const saved = new Map()
+	let n = 0
+	return {
+		saved,
+		now: () => NOW,
+		loadRows: async () => rows,
+		createRow: async (data) => {
+			const id = `co_zrow${++n}`
+			saved.set(id, data)
+			return id
+		},
+		updateRow: async (id, data) => {
+			saved.set(id, data)
+		},
+	}
+}
+
+function sseStream(events) {
+	const bytes = new TextEncoder().encode(
+		events.map((e) => `data: ${typeof e === 'string' ? e : JSON.stringify(e)}\n\n`).join(''),
+	)
+	return new ReadableStream({
+		start(controller) {
+			for (let i = 0; i < bytes.length; i += 5) controller.enqueue(bytes.slice(i, i + 5))
+			controller.close()
+		},
+	})
+}
+
+describe('quota helpers', () => {
+	test('utcPeriod keys and reset times roll over at UTC day / month ends', () => {
+		expect(utcPeriod(NOW)).toEqual({
+			day: '2026-03-31',
+			month: '2026-03',
+			dayResetAt: Date.UTC(2026, 3, 1) / 1000,
+			monthResetAt: Date.UTC(2026, 3, 1) / 1000,
+		})
+	})
+
+	test('effectiveQuota picks the most permissive grant per period', () => {
+		expect(effectiveQuota([{ quota: null }])).toBeNull()
+		expect(
+			effectiveQuota([{ quota: { daily: 100, monthly: 1000 } }, { quota: { daily: 500 } }]),
+		).toEqual({ daily: 500, monthly: null })
+	})
+})
+
+describe('createUsageMeter', () => {
+	test('admits until the limit is reached, monthly before daily', async () => {
+		const store = memoryStore([
+			{ id: 'co_zold', account: 'co_zA', day: '2026-03-02', month: '2026-03', totalTokens: 900 },
+		])
+		const loadedMonths = []
+		const loadRows = store.loadRows
+		store.loadRows = (month) => {
+			loadedMonths.push(month)
+			return loadRows()
+		}
+		const meter = createUsageMeter(store)
+		expect(await meter.check('co_zA', { daily: 200, monthly: 1000 })).toBeNull()
+		expect(loadedMonths).toEqual(['2026-03'])
+		await meter.record('co_zA', { promptTokens: 60, completionTokens: 40, totalTokens: 100 })
+		const hit = await meter.check('co_zA', { daily: 200, monthly: 1000 })
+		expect(hit).toMatchObject({
+			period: 'monthly',
+			limit: 1000,
+			used: 1000,
+			remaining: { daily: 100, monthly: 0 },
+			resetAt: Date.UTC(2026, 3, 1) / 1000,
+		})
+		expect(await meter.check('co_zB', { daily: 200, monthly: 1000 })).toBeNull()
+		expect(await meter.usage('co_zA')).toEqual({ daily: 100, monthly: 1000 })
+	})
+
+	test('persists one row per account and day, updating it on later requests', async () => {
+		const store = memoryStore()
+		const meter = createUsageMeter(store)
+		await meter.record('co_zA', { promptTokens: 3, completionTokens: 2, totalTokens: 5 })
+		await meter.record('co_zA', { promptTokens: 1, completionTokens: 1, totalTokens: 2 })
+		expect([...store.saved.keys()]).toEqual(['co_zrow1'])
+		expect(store.saved.get('co_zrow1')).toMatchObject({
+			account: 'co_zA',
+			day: '2026-03-31',
+			promptTokens: 4,
+			completionTokens: 3,
+			totalTokens: 7,
+			requests: 2,
+		})
+	})
+
+	test('a failed ledger load is retried, and record reports it instead of rejecting', async () => {
+		const store = memoryStore([
+			{ id: 'co_zold', account: 'co_zA', day: '2026-03-31', month: '2026-03', totalTokens: 50 },
+		])
+		const errors = []
+		store.onError = (e) => errors.push(e.message)
+		const loadRows = store.loadRows
+		store.loadRows = async () => {
+			store.loadRows = loadRows
+			throw new Error('storage offline')
+		}
+		const meter = createUsageMeter(store)
+
+		await meter.record('co_zA', { promptTokens: 1, completionTokens: 1, totalTokens: 2 })
+		expect(errors).toEqual(['storage offline'])
+		expect(await meter.usage('co_zA')).toEqual({ daily: 50, monthly: 50 })
+	})
+})
+
+describe('meterCompletionStream', () => {
+	test('passes the stream through and reports upstream usage', async () => {
+		const seen = []
+		const events = [
+			{ choices: [{ index: 0, delta: { content: 'Hi' } }] },
+			{ choices: [], usage: { prompt_tokens: 12, completion_tokens: 1, total_tokens: 13 } },
+			'[DONE]',
+		]
+		const text = await new Response(
+			meterCompletionStream(sseStream(events), [], (u) => seen.push(u)),
+		).text()
+		expect(text).toContain('data: [DONE]')
+		expect(seen).toEqual([{ promptTokens: 12, completionTokens: 1, totalTokens: 13 }])
+	})
+
+	test('estimates usage when the upstream reports none', async () => {
+		const seen = []
+		const events = [{ choices: [{ index: 0, delta: { content: 'abcdefgh' } }] }, '[DONE]']
+		const messages = [{ role: 'user', content: 'abcdefghijkl' }]
+		await new Response(meterCompletionStream(sseStream(events), messages, (u) => seen.push(u))).text()
+		expect(seen).toEqual([{ promptTokens: 3, completionTokens: 2, totalTokens: 5 }])
+	})
+})